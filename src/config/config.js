@@ -26,6 +26,10 @@ const envVarsSchema = Joi.object()
     GOOGLE_CLIENT_ID: Joi.string().description('Google OAuth client ID'),
     GOOGLE_CLIENT_SECRET: Joi.string().description('Google OAuth client secret'),
     FRONTEND_URL: Joi.string().default('http://localhost:3000').description('Frontend URL for OAuth redirects'),
+    JOBS_ENABLED: Joi.boolean().default(true).description('whether this instance runs the scheduled jobs'),
+    SNAPSHOT_JOB_INTERVAL_MINUTES: Joi.number()
+      .default(60)
+      .description('minutes between checks for performance snapshots to generate'),
   })
   .unknown();
 
@@ -71,4 +75,8 @@ module.exports = {
   frontend: {
     url: envVars.FRONTEND_URL,
   },
+  jobs: {
+    enabled: envVars.JOBS_ENABLED,
+    snapshotIntervalMinutes: envVars.SNAPSHOT_JOB_INTERVAL_MINUTES,
+  },
 };
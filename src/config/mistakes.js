@@ -0,0 +1,13 @@
+/**
+ * Mistakes trades can be reviewed against when the user has not configured their own catalogue
+ */
+const defaultMistakes = [
+  { code: 'MOVED_STOP', label: 'Moved stop' },
+  { code: 'FOMO_ENTRY', label: 'FOMO entry' },
+  { code: 'OVERSIZED', label: 'Oversized position' },
+  { code: 'EARLY_EXIT', label: 'Early exit' },
+];
+
+module.exports = {
+  defaultMistakes,
+};
@@ -0,0 +1,19 @@
+// Codes of trading sessions, such as LONDON or NY_OPEN
+const sessionCodePattern = /^[A-Z0-9_]+$/;
+
+/**
+ * Trading sessions of users who have not defined their own. Each session opens at a local time in the time
+ * zone of its market and follows its daylight saving time, so in UTC openings move by an hour twice a year,
+ * and not on the same days. None of them ends: a trade belongs to the session opened last before its entry
+ * time, so overlaps go to the later session and the Asian session runs from the Sydney open until London.
+ */
+const defaultSessions = [
+  { code: 'LONDON', label: 'London', timeZone: 'Europe/London', start: '08:00' },
+  { code: 'NY', label: 'New York', timeZone: 'America/New_York', start: '08:00' },
+  { code: 'ASIA', label: 'Asia', timeZone: 'Australia/Sydney', start: '07:00' },
+];
+
+module.exports = {
+  sessionCodePattern,
+  defaultSessions,
+};
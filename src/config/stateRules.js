@@ -0,0 +1,144 @@
+const { PsychologicalState, IndicatorSeverity, StateRuleMetrics, RuleOperators, Emotion } = require('../models/enums');
+
+/**
+ * Rules applied when neither the user nor the platform has a rule set stored.
+ * Rules are evaluated in order; the state of the last matching rule wins.
+ */
+const defaultStateRules = [
+  {
+    name: 'High win rate',
+    conditions: [{ metric: StateRuleMetrics.WIN_RATE, operator: RuleOperators.GTE, value: 70 }],
+    state: PsychologicalState.OVEREXTENDED,
+    adjustments: { confidence: 25, riskTolerance: 15 },
+    indicator: {
+      category: 'Win Rate',
+      message: 'Win rate of 70% or more',
+      severity: IndicatorSeverity.POSITIVE,
+    },
+  },
+  {
+    name: 'Low win rate',
+    conditions: [{ metric: StateRuleMetrics.WIN_RATE, operator: RuleOperators.LTE, value: 30 }],
+    state: PsychologicalState.HESITANT,
+    adjustments: { confidence: -20, riskTolerance: -20 },
+    indicator: {
+      category: 'Win Rate',
+      message: 'Win rate of 30% or less',
+      severity: IndicatorSeverity.WARNING,
+    },
+  },
+  {
+    name: 'High risk per trade',
+    conditions: [{ metric: StateRuleMetrics.AVG_RISK_USED, operator: RuleOperators.GT, value: 3 }],
+    state: PsychologicalState.AGGRESSIVE,
+    adjustments: { riskTolerance: 20 },
+    indicator: {
+      category: 'Risk Management',
+      message: 'Average risk per trade above 3%',
+      severity: IndicatorSeverity.WARNING,
+    },
+    recommendation: 'Reduce risk per trade',
+  },
+  {
+    name: 'Low risk per trade',
+    conditions: [{ metric: StateRuleMetrics.AVG_RISK_USED, operator: RuleOperators.LT, value: 1 }],
+    state: PsychologicalState.HESITANT,
+    adjustments: { riskTolerance: -20 },
+    indicator: {
+      category: 'Risk Management',
+      message: 'Average risk per trade below 1%',
+      severity: IndicatorSeverity.WARNING,
+    },
+    recommendation: 'Consider increasing position size gradually',
+  },
+  {
+    name: 'Risk per trade in range',
+    conditions: [
+      { metric: StateRuleMetrics.AVG_RISK_USED, operator: RuleOperators.GTE, value: 1 },
+      { metric: StateRuleMetrics.AVG_RISK_USED, operator: RuleOperators.LTE, value: 3 },
+    ],
+    indicator: {
+      category: 'Risk Management',
+      message: 'Average risk per trade within the 1-3% range',
+      severity: IndicatorSeverity.POSITIVE,
+    },
+  },
+  {
+    name: 'Frequent early exits',
+    conditions: [{ metric: StateRuleMetrics.EARLY_EXIT_RATE, operator: RuleOperators.GT, value: 30 }],
+    adjustments: { emotionalBalance: -20 },
+    indicator: {
+      category: 'Early Exits',
+      message: 'More than 30% of trades exited early',
+      severity: IndicatorSeverity.WARNING,
+    },
+    recommendation: 'Work on holding profitable trades longer',
+  },
+  {
+    name: 'Frequent stop loss hits',
+    conditions: [{ metric: StateRuleMetrics.STOP_LOSS_RATE, operator: RuleOperators.GT, value: 40 }],
+    adjustments: { emotionalBalance: -15 },
+    indicator: {
+      category: 'Stop Loss Hits',
+      message: 'More than 40% of trades hit their stop loss',
+      severity: IndicatorSeverity.WARNING,
+    },
+    recommendation: 'Review entry strategies and market analysis',
+  },
+  {
+    name: 'Low target achievement',
+    conditions: [{ metric: StateRuleMetrics.AVG_TARGET_ACHIEVED, operator: RuleOperators.LT, value: 50 }],
+    indicator: {
+      category: 'Target Achievement',
+      message: 'Trades reach less than half of their target on average',
+      severity: IndicatorSeverity.WARNING,
+    },
+    recommendation: 'Improve trade management and target setting',
+  },
+];
+
+/**
+ * Thresholds for tilt detection over the trade sequence
+ */
+const tiltDetection = {
+  // Number of most recent trades inspected
+  lookbackTrades: 50,
+  // A trade opened within this many minutes of a losing trade's exit counts as a revenge trade
+  revengeWindowMinutes: 30,
+  // Raising risk after this many losses in a row counts as risk escalation
+  consecutiveLosses: 2,
+};
+
+const preTradeCheck = {
+  // Losses of the day, in multiples of the planned risk per trade, at which new trades are blocked
+  dailyLossLimitRiskMultiple: 3,
+  // Latest psychological states that call for caution before a new trade
+  warnStates: [PsychologicalState.OVEREXTENDED, PsychologicalState.HESITANT],
+  // Latest psychological states in which no new trade should be taken
+  blockStates: [PsychologicalState.AGGRESSIVE],
+};
+
+/**
+ * How self-reported check-ins and trade emotions are combined with the behavioural metrics.
+ * Check-in readings are on a scale of 1 to 5.
+ */
+const selfReport = {
+  // Check-ins recorded within this many hours count towards the current state
+  lookbackHours: 24,
+  // Share of the confidence and emotional balance scores taken from self-reported data
+  weight: 0.3,
+  // Average readings at which a check-in input is flagged
+  highStress: 4,
+  poorSleep: 2,
+  lowMood: 2,
+  // Share of recent trades entered or closed in an unsettled emotion at which it is flagged, in percent
+  unsettledTradeRate: 50,
+  unsettledEmotions: [Emotion.ANXIOUS, Emotion.FEARFUL, Emotion.FRUSTRATED, Emotion.GREEDY, Emotion.EUPHORIC],
+};
+
+module.exports = {
+  defaultStateRules,
+  tiltDetection,
+  selfReport,
+  preTradeCheck,
+};
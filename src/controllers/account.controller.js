@@ -0,0 +1,44 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const catchAsync = require('../utils/catchAsync');
+const { accountService } = require('../services');
+const logger = require('../config/logger');
+
+const createAccount = catchAsync(async (req, res) => {
+  logger.info('Creating account for user:', req.user.id);
+  const account = await accountService.createAccount(req.user.id, req.body);
+  logger.info('Account created successfully:', account.id);
+  res.status(httpStatus.CREATED).send(account);
+});
+
+const getAccounts = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['type']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await accountService.queryAccounts(req.user.id, filter, options);
+  res.send(result);
+});
+
+const getAccount = catchAsync(async (req, res) => {
+  const account = await accountService.getAccountById(req.params.accountId, req.user.id);
+  res.send(account);
+});
+
+const updateAccount = catchAsync(async (req, res) => {
+  const account = await accountService.updateAccountById(req.params.accountId, req.user.id, req.body);
+  logger.info('Account updated successfully:', account.id);
+  res.send(account);
+});
+
+const deleteAccount = catchAsync(async (req, res) => {
+  await accountService.deleteAccountById(req.params.accountId, req.user.id);
+  logger.info('Account deleted successfully:', req.params.accountId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+module.exports = {
+  createAccount,
+  getAccounts,
+  getAccount,
+  updateAccount,
+  deleteAccount,
+};
@@ -1,26 +1,51 @@
 const httpStatus = require('http-status');
 const pick = require('../utils/pick');
+const ApiError = require('../utils/ApiError');
 const catchAsync = require('../utils/catchAsync');
-const { analysisService } = require('../services');
+const {
+  accountService,
+  analysisService,
+  snapshotService,
+  planAdherenceService,
+  equityCurveService,
+  metricsService,
+} = require('../services');
 const logger = require('../config/logger');
 
 const getState = catchAsync(async (req, res) => {
   logger.info('Getting psychological state for user:', req.user.id);
-  const state = await analysisService.getCurrentState(req.user.id);
+  const accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
+  const state = await analysisService.getCurrentState(req.user.id, accountId);
   logger.info('Psychological state retrieved successfully for user:', req.user.id, 'State:', state.state);
   res.status(httpStatus.OK).send(state);
 });
 
 const getForecast = catchAsync(async (req, res) => {
   logger.info('Getting session forecast for user:', req.user.id, 'Session:', req.query.session);
-  const forecast = await analysisService.getSessionForecast(req.user.id, req.query.session);
+  const accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
+  const forecast = await analysisService.getSessionForecast(req.user.id, req.query.session, accountId);
   logger.info('Session forecast retrieved successfully for user:', req.user.id, 'Forecast:', forecast.forecast);
   res.status(httpStatus.OK).send(forecast);
 });
 
+const getForecastAccuracy = catchAsync(async (req, res) => {
+  logger.info('Getting forecast accuracy for user:', req.user.id);
+  const filter = pick(req.query, ['session', 'startDate', 'endDate']);
+  filter.accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
+  const accuracy = await analysisService.getForecastAccuracy(req.user.id, filter);
+  logger.info('Forecast accuracy retrieved successfully for user:', req.user.id, 'Forecasts:', accuracy.totalForecasts);
+  res.status(httpStatus.OK).send(accuracy);
+});
+
 const getInsights = catchAsync(async (req, res) => {
   logger.info('Getting performance insights for user:', req.user.id, 'Period:', req.query.period);
-  const insights = await analysisService.getPerformanceInsights(req.user.id, req.query.period);
+  const accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
+  const insights = await analysisService.getPerformanceInsights(
+    req.user.id,
+    req.query.period,
+    accountId,
+    req.query.currency
+  );
   logger.info(
     'Performance insights retrieved successfully for user:',
     req.user.id,
@@ -33,14 +58,79 @@ const getInsights = catchAsync(async (req, res) => {
 const getHistory = catchAsync(async (req, res) => {
   logger.info('Getting psychological history for user:', req.user.id);
   const filter = pick(req.query, ['startDate', 'endDate', 'limit']);
+  filter.accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
   const history = await analysisService.getStateHistory(req.user.id, filter);
   logger.info('Psychological history retrieved successfully for user:', req.user.id, 'Records:', history.history.length);
   res.status(httpStatus.OK).send(history);
 });
 
+const getStateAnalyses = catchAsync(async (req, res) => {
+  logger.info('Getting state analyses for user:', req.user.id);
+  const filter = pick(req.query, ['state', 'startDate', 'endDate']);
+  filter.accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await analysisService.queryStateAnalyses(req.user.id, filter, options);
+  logger.info('State analyses retrieved successfully for user:', req.user.id, 'Records:', result.results.length);
+  res.send(result);
+});
+
+const getStateAnalysis = catchAsync(async (req, res) => {
+  logger.info('Getting state analysis:', req.params.stateAnalysisId, 'for user:', req.user.id);
+  const stateAnalysis = await analysisService.getStateAnalysisById(req.params.stateAnalysisId, req.user.id);
+  if (!stateAnalysis) {
+    logger.info('State analysis not found:', req.params.stateAnalysisId);
+    throw new ApiError(httpStatus.NOT_FOUND, 'State analysis not found');
+  }
+  logger.info('State analysis retrieved successfully:', stateAnalysis.id);
+  res.send(stateAnalysis);
+});
+
+const getPlanAdherence = catchAsync(async (req, res) => {
+  logger.info('Getting plan adherence for user:', req.user.id);
+  const filter = pick(req.query, ['startDate', 'endDate']);
+  filter.accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
+  const adherence = await planAdherenceService.getPlanAdherence(req.user.id, filter);
+  logger.info('Plan adherence retrieved successfully for user:', req.user.id, 'Score:', adherence.score);
+  res.status(httpStatus.OK).send(adherence);
+});
+
+const getSnapshots = catchAsync(async (req, res) => {
+  logger.info('Getting performance snapshots for user:', req.user.id);
+  const filter = pick(req.query, ['period', 'startDate', 'endDate']);
+  filter.accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await snapshotService.queryPerformanceSnapshots(req.user.id, filter, options);
+  logger.info('Performance snapshots retrieved successfully for user:', req.user.id, 'Records:', result.results.length);
+  res.send(result);
+});
+
+const getEquityCurve = catchAsync(async (req, res) => {
+  logger.info('Getting equity curve for user:', req.user.id, 'Granularity:', req.query.granularity);
+  const filter = pick(req.query, ['granularity', 'startDate', 'endDate', 'currency']);
+  filter.accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
+  const equityCurve = await equityCurveService.getEquityCurve(req.user.id, filter);
+  logger.info('Equity curve retrieved successfully for user:', req.user.id, 'Points:', equityCurve.points.length);
+  res.status(httpStatus.OK).send(equityCurve);
+});
+
+const getMetrics = catchAsync(async (req, res) => {
+  logger.info('Getting performance metrics for user:', req.user.id, 'Period:', req.query.period);
+  const accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
+  const metrics = await metricsService.getPerformanceMetrics(req.user.id, req.query.period, accountId, req.query.currency);
+  logger.info('Performance metrics retrieved successfully for user:', req.user.id, 'Trades:', metrics.trades);
+  res.status(httpStatus.OK).send(metrics);
+});
+
 module.exports = {
   getState,
+  getStateAnalyses,
+  getStateAnalysis,
   getForecast,
+  getForecastAccuracy,
   getInsights,
   getHistory,
+  getPlanAdherence,
+  getSnapshots,
+  getEquityCurve,
+  getMetrics,
 };
@@ -0,0 +1,44 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const catchAsync = require('../utils/catchAsync');
+const { checkInService } = require('../services');
+const logger = require('../config/logger');
+
+const createCheckIn = catchAsync(async (req, res) => {
+  logger.info('Creating check-in for user:', req.user.id);
+  const checkIn = await checkInService.createCheckIn(req.user.id, req.body);
+  logger.info('Check-in created successfully:', checkIn.id);
+  res.status(httpStatus.CREATED).send(checkIn);
+});
+
+const getCheckIns = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['type', 'tradeId', 'startDate', 'endDate']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await checkInService.queryCheckIns(req.user.id, filter, options);
+  res.send(result);
+});
+
+const getCheckIn = catchAsync(async (req, res) => {
+  const checkIn = await checkInService.getCheckInById(req.params.checkInId, req.user.id);
+  res.send(checkIn);
+});
+
+const updateCheckIn = catchAsync(async (req, res) => {
+  const checkIn = await checkInService.updateCheckInById(req.params.checkInId, req.user.id, req.body);
+  logger.info('Check-in updated successfully:', checkIn.id);
+  res.send(checkIn);
+});
+
+const deleteCheckIn = catchAsync(async (req, res) => {
+  await checkInService.deleteCheckInById(req.params.checkInId, req.user.id);
+  logger.info('Check-in deleted successfully:', req.params.checkInId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+module.exports = {
+  createCheckIn,
+  getCheckIns,
+  getCheckIn,
+  updateCheckIn,
+  deleteCheckIn,
+};
@@ -1,18 +1,23 @@
 const httpStatus = require('http-status');
+const pick = require('../utils/pick');
 const catchAsync = require('../utils/catchAsync');
-const { dashboardService } = require('../services');
+const { accountService, dashboardService } = require('../services');
 const logger = require('../config/logger');
 
 const getDashboard = catchAsync(async (req, res) => {
   logger.info('Getting complete dashboard data for user:', req.user.id, 'Period:', req.query.period);
-  const dashboard = await dashboardService.getCompleteDashboard(req.user.id, req.query.period);
+  const options = pick(req.query, ['fresh', 'currency']);
+  options.accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
+  const dashboard = await dashboardService.getCompleteDashboard(req.user.id, req.query.period, options);
   logger.info('Dashboard data retrieved successfully for user:', req.user.id, 'Trades:', dashboard.summary.totalTrades);
   res.status(httpStatus.OK).send(dashboard);
 });
 
 const getSummary = catchAsync(async (req, res) => {
   logger.info('Getting dashboard summary for user:', req.user.id, 'Period:', req.query.period);
-  const summary = await dashboardService.getDashboardSummary(req.user.id, req.query.period);
+  const options = pick(req.query, ['fresh', 'currency']);
+  options.accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
+  const summary = await dashboardService.getDashboardSummary(req.user.id, req.query.period, options);
   logger.info('Dashboard summary retrieved successfully for user:', req.user.id, 'State:', summary.quickStats.currentState);
   res.status(httpStatus.OK).send(summary);
 });
@@ -0,0 +1,38 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const catchAsync = require('../utils/catchAsync');
+const { fxRateService } = require('../services');
+const logger = require('../config/logger');
+
+const setFxRate = catchAsync(async (req, res) => {
+  const fxRate = await fxRateService.setFxRate(req.body);
+  logger.info('FX rate set successfully:', fxRate.id);
+  res.status(httpStatus.CREATED).send(fxRate);
+});
+
+const getFxRates = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['baseCurrency', 'quoteCurrency', 'startDate', 'endDate']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await fxRateService.queryFxRates(filter, options);
+  res.send(result);
+});
+
+const importFxRates = catchAsync(async (req, res) => {
+  logger.info('Importing FX rates');
+  const result = await fxRateService.importFxRatesCsv(req.body);
+  logger.info('FX rates imported:', result.imported, 'Invalid rows:', result.errors.length);
+  res.status(httpStatus.CREATED).send(result);
+});
+
+const deleteFxRate = catchAsync(async (req, res) => {
+  await fxRateService.deleteFxRateById(req.params.fxRateId);
+  logger.info('FX rate deleted successfully:', req.params.fxRateId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+module.exports = {
+  setFxRate,
+  getFxRates,
+  importFxRates,
+  deleteFxRate,
+};
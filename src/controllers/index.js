@@ -2,3 +2,11 @@ module.exports.authController = require('./auth.controller');
 module.exports.userController = require('./user.controller');
 module.exports.tradingPlanController = require('./tradingPlan.controller');
 module.exports.tradeController = require('./trade.controller');
+module.exports.stateRuleController = require('./stateRule.controller');
+module.exports.tradeImportController = require('./tradeImport.controller');
+module.exports.setupController = require('./setup.controller');
+module.exports.mistakeCatalogueController = require('./mistakeCatalogue.controller');
+module.exports.sessionCatalogueController = require('./sessionCatalogue.controller');
+module.exports.checkInController = require('./checkIn.controller');
+module.exports.accountController = require('./account.controller');
+module.exports.fxRateController = require('./fxRate.controller');
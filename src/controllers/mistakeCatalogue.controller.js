@@ -0,0 +1,30 @@
+const catchAsync = require('../utils/catchAsync');
+const { mistakeCatalogueService, dashboardService } = require('../services');
+const logger = require('../config/logger');
+
+const getMistakes = catchAsync(async (req, res) => {
+  const mistakes = await mistakeCatalogueService.getMistakes(req.user.id);
+  res.send({ mistakes });
+});
+
+const saveMistakes = catchAsync(async (req, res) => {
+  logger.info('Saving mistake catalogue for user:', req.user.id);
+  const mistakes = await mistakeCatalogueService.saveMistakes(req.user.id, req.body.mistakes);
+  // The materialized dashboards show the mistake labels of the catalogue
+  await dashboardService.invalidateDashboards(req.user.id);
+  logger.info('Mistake catalogue saved successfully for user:', req.user.id);
+  res.send({ mistakes });
+});
+
+const resetMistakes = catchAsync(async (req, res) => {
+  logger.info('Resetting mistake catalogue for user:', req.user.id);
+  const mistakes = await mistakeCatalogueService.resetMistakes(req.user.id);
+  await dashboardService.invalidateDashboards(req.user.id);
+  res.send({ mistakes });
+});
+
+module.exports = {
+  getMistakes,
+  saveMistakes,
+  resetMistakes,
+};
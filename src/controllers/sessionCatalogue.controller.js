@@ -0,0 +1,30 @@
+const catchAsync = require('../utils/catchAsync');
+const { sessionCatalogueService, dashboardService } = require('../services');
+const logger = require('../config/logger');
+
+const getSessions = catchAsync(async (req, res) => {
+  const sessions = await sessionCatalogueService.getSessions(req.user.id);
+  res.send({ sessions });
+});
+
+const saveSessions = catchAsync(async (req, res) => {
+  logger.info('Saving session catalogue for user:', req.user.id);
+  const sessions = await sessionCatalogueService.saveSessions(req.user.id, req.body.sessions);
+  // The materialized dashboards show the session labels and forecasts of the catalogue
+  await dashboardService.invalidateDashboards(req.user.id);
+  logger.info('Session catalogue saved successfully for user:', req.user.id);
+  res.send({ sessions });
+});
+
+const resetSessions = catchAsync(async (req, res) => {
+  logger.info('Resetting session catalogue for user:', req.user.id);
+  const sessions = await sessionCatalogueService.resetSessions(req.user.id);
+  await dashboardService.invalidateDashboards(req.user.id);
+  res.send({ sessions });
+});
+
+module.exports = {
+  getSessions,
+  saveSessions,
+  resetSessions,
+};
@@ -0,0 +1,43 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const catchAsync = require('../utils/catchAsync');
+const { setupService } = require('../services');
+const logger = require('../config/logger');
+
+const createSetup = catchAsync(async (req, res) => {
+  logger.info('Creating setup for user:', req.user.id);
+  const setup = await setupService.createSetup(req.user.id, req.body);
+  logger.info('Setup created successfully:', setup.id);
+  res.status(httpStatus.CREATED).send(setup);
+});
+
+const getSetups = catchAsync(async (req, res) => {
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await setupService.querySetups(req.user.id, options);
+  res.send(result);
+});
+
+const getSetup = catchAsync(async (req, res) => {
+  const setup = await setupService.getSetupById(req.params.setupId, req.user.id);
+  res.send(setup);
+});
+
+const updateSetup = catchAsync(async (req, res) => {
+  const setup = await setupService.updateSetupById(req.params.setupId, req.user.id, req.body);
+  logger.info('Setup updated successfully:', setup.id);
+  res.send(setup);
+});
+
+const deleteSetup = catchAsync(async (req, res) => {
+  await setupService.deleteSetupById(req.params.setupId, req.user.id);
+  logger.info('Setup deleted successfully:', req.params.setupId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+module.exports = {
+  createSetup,
+  getSetups,
+  getSetup,
+  updateSetup,
+  deleteSetup,
+};
@@ -0,0 +1,55 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const ApiError = require('../utils/ApiError');
+const catchAsync = require('../utils/catchAsync');
+const { stateRuleService, analysisService } = require('../services');
+const logger = require('../config/logger');
+
+const createStateRuleSet = catchAsync(async (req, res) => {
+  const ruleSet = await stateRuleService.createStateRuleSet(req.body);
+  logger.info('State rule set created successfully:', ruleSet.id);
+  res.status(httpStatus.CREATED).send(ruleSet);
+});
+
+const getStateRuleSets = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['userId']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await stateRuleService.queryStateRuleSets(filter, options);
+  res.send(result);
+});
+
+const getStateRuleSet = catchAsync(async (req, res) => {
+  const ruleSet = await stateRuleService.getStateRuleSetById(req.params.ruleSetId);
+  if (!ruleSet) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Rule set not found');
+  }
+  res.send(ruleSet);
+});
+
+const updateStateRuleSet = catchAsync(async (req, res) => {
+  const ruleSet = await stateRuleService.updateStateRuleSetById(req.params.ruleSetId, req.body);
+  logger.info('State rule set updated successfully:', ruleSet.id);
+  res.send(ruleSet);
+});
+
+const deleteStateRuleSet = catchAsync(async (req, res) => {
+  await stateRuleService.deleteStateRuleSetById(req.params.ruleSetId);
+  logger.info('State rule set deleted successfully:', req.params.ruleSetId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const dryRunStateRules = catchAsync(async (req, res) => {
+  logger.info('Dry-running state rules for user:', req.body.userId);
+  const ruleSet = await stateRuleService.resolveDryRunRules(req.body.userId, req.body);
+  const result = await analysisService.dryRunStateRules(req.body.userId, ruleSet);
+  res.send(result);
+});
+
+module.exports = {
+  createStateRuleSet,
+  getStateRuleSets,
+  getStateRuleSet,
+  updateStateRuleSet,
+  deleteStateRuleSet,
+  dryRunStateRules,
+};
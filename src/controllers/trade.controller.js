@@ -1,10 +1,52 @@
+const { pipeline } = require('stream');
 const httpStatus = require('http-status');
 const pick = require('../utils/pick');
 const ApiError = require('../utils/ApiError');
 const catchAsync = require('../utils/catchAsync');
-const { tradeService } = require('../services');
+const { tradeService, tradeExportService } = require('../services');
+const { ReviewState, TradeStatus } = require('../models/enums');
 const logger = require('../config/logger');
 
+const tradeFilterFields = [
+  'accountId',
+  'symbol',
+  'direction',
+  'session',
+  'entryTime',
+  'exitTime',
+  'stopLossHit',
+  'exitedEarly',
+  'setup',
+  'status',
+  'reviewState',
+];
+
+/**
+ * Build the filter of the trades of the authenticated user from the query
+ * @param {Object} req
+ * @returns {Object} Mongo filter
+ */
+const getTradeFilter = (req) => {
+  const filter = pick(req.query, tradeFilterFields);
+  if (req.query.tag) {
+    filter.tags = req.query.tag;
+  }
+  if (req.query.mistake) {
+    filter.mistakes = req.query.mistake;
+  }
+  // Trades recorded before open positions existed have no status
+  if (filter.status === TradeStatus.CLOSED) {
+    filter.status = { $in: [TradeStatus.CLOSED, null] };
+  }
+  // Trades recorded before reviews existed have no review state
+  if (filter.reviewState === ReviewState.UNREVIEWED) {
+    filter.reviewState = { $in: [ReviewState.UNREVIEWED, null] };
+  }
+  // Add user filter to ensure users only see their own trades
+  filter.userId = req.user.id;
+  return filter;
+};
+
 const createTrade = catchAsync(async (req, res) => {
   logger.info('Creating trade for user:', req.user.id);
   const trade = await tradeService.createTrade(req.user.id, req.body);
@@ -16,23 +58,39 @@ const createBulkTrades = catchAsync(async (req, res) => {
   logger.info('Creating bulk trades for user:', req.user.id);
   const { trades } = req.body;
   const result = await tradeService.createBulkTrades(req.user.id, trades);
-  logger.info('Bulk trades created successfully:', result.length);
-  res.status(httpStatus.CREATED).send({ trades: result, count: result.length });
+  logger.info('Bulk trades created successfully:', result.trades.length);
+  res.status(httpStatus.CREATED).send({ ...result, count: result.trades.length });
 });
 
 const getTrades = catchAsync(async (req, res) => {
   logger.info('Getting trades for user:', req.user.id);
-  const filter = pick(req.query, ['session', 'entryTime', 'exitTime', 'stopLossHit', 'exitedEarly']);
+  const filter = getTradeFilter(req);
   const options = pick(req.query, ['sortBy', 'limit', 'page']);
 
-  // Add user filter to ensure users only see their own trades
-  filter.userId = req.user.id;
-
   const result = await tradeService.queryTrades(filter, options);
   logger.info('Trades retrieved successfully:', result.results.length);
   res.send(result);
 });
 
+const exportTrades = catchAsync(async (req, res) => {
+  logger.info('Exporting trades for user:', req.user.id, 'Format:', req.query.format);
+  const filter = getTradeFilter(req);
+
+  res.attachment(`trades-${new Date().toISOString().split('T')[0]}.${req.query.format}`);
+  pipeline(tradeExportService.exportTrades(filter, req.query.format), res, (error) => {
+    if (error) {
+      logger.error('Trade export interrupted for user:', req.user.id, error);
+    }
+  });
+});
+
+const getReviewQueue = catchAsync(async (req, res) => {
+  logger.info('Getting review queue for user:', req.user.id);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await tradeService.queryReviewQueue(req.user.id, options);
+  res.send(result);
+});
+
 const getTrade = catchAsync(async (req, res) => {
   logger.info('Getting trade:', req.params.tradeId, 'for user:', req.user.id);
   const trade = await tradeService.getTradeById(req.params.tradeId, req.user.id);
@@ -51,6 +109,27 @@ const updateTrade = catchAsync(async (req, res) => {
   res.send(trade);
 });
 
+const reviewTrade = catchAsync(async (req, res) => {
+  logger.info('Reviewing trade:', req.params.tradeId, 'for user:', req.user.id);
+  const trade = await tradeService.reviewTradeById(req.params.tradeId, req.user.id, req.body);
+  logger.info('Trade reviewed successfully:', trade.id);
+  res.send(trade);
+});
+
+const addTradeExit = catchAsync(async (req, res) => {
+  logger.info('Adding exit to trade:', req.params.tradeId, 'for user:', req.user.id);
+  const trade = await tradeService.addTradeExit(req.params.tradeId, req.user.id, req.body);
+  logger.info('Trade exit added successfully:', trade.id);
+  res.send(trade);
+});
+
+const closeTrade = catchAsync(async (req, res) => {
+  logger.info('Closing trade:', req.params.tradeId, 'for user:', req.user.id);
+  const trade = await tradeService.closeTradeById(req.params.tradeId, req.user.id, req.body);
+  logger.info('Trade closed successfully:', trade.id);
+  res.send(trade);
+});
+
 const deleteTrade = catchAsync(async (req, res) => {
   logger.info('Deleting trade:', req.params.tradeId, 'for user:', req.user.id);
   await tradeService.deleteTradeById(req.params.tradeId, req.user.id);
@@ -62,7 +141,12 @@ module.exports = {
   createTrade,
   createBulkTrades,
   getTrades,
+  exportTrades,
+  getReviewQueue,
   getTrade,
   updateTrade,
+  reviewTrade,
+  addTradeExit,
+  closeTrade,
   deleteTrade,
 };
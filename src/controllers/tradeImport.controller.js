@@ -0,0 +1,61 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const catchAsync = require('../utils/catchAsync');
+const { tradeImportService } = require('../services');
+const logger = require('../config/logger');
+
+const createImportProfile = catchAsync(async (req, res) => {
+  logger.info('Creating import profile for user:', req.user.id);
+  const profile = await tradeImportService.createImportProfile(req.user.id, req.body);
+  logger.info('Import profile created successfully:', profile.id);
+  res.status(httpStatus.CREATED).send(profile);
+});
+
+const getImportProfiles = catchAsync(async (req, res) => {
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await tradeImportService.queryImportProfiles(req.user.id, options);
+  res.send(result);
+});
+
+const getImportProfile = catchAsync(async (req, res) => {
+  const profile = await tradeImportService.getImportProfileById(req.params.profileId, req.user.id);
+  res.send(profile);
+});
+
+const updateImportProfile = catchAsync(async (req, res) => {
+  const profile = await tradeImportService.updateImportProfileById(req.params.profileId, req.user.id, req.body);
+  logger.info('Import profile updated successfully:', profile.id);
+  res.send(profile);
+});
+
+const deleteImportProfile = catchAsync(async (req, res) => {
+  await tradeImportService.deleteImportProfileById(req.params.profileId, req.user.id);
+  logger.info('Import profile deleted successfully:', req.params.profileId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const importCsv = catchAsync(async (req, res) => {
+  logger.info('Importing CSV trades for user:', req.user.id);
+  const importOptions = pick(req.query, ['profileId', 'accountId', 'dryRun', 'timezone']);
+  const result = await tradeImportService.importCsvTrades(req.user.id, req.body, importOptions);
+  logger.info('CSV import finished for user:', req.user.id, 'Imported:', result.imported);
+  res.status(result.dryRun ? httpStatus.OK : httpStatus.CREATED).send(result);
+});
+
+const importMetaTrader = catchAsync(async (req, res) => {
+  logger.info('Importing MetaTrader statement for user:', req.user.id);
+  const importOptions = pick(req.query, ['accountId', 'dryRun', 'timezone', 'riskPercent']);
+  const result = await tradeImportService.importMetaTraderStatement(req.user.id, req.body, importOptions);
+  logger.info('MetaTrader import finished for user:', req.user.id, 'Imported:', result.imported);
+  res.status(result.dryRun ? httpStatus.OK : httpStatus.CREATED).send(result);
+});
+
+module.exports = {
+  createImportProfile,
+  getImportProfiles,
+  getImportProfile,
+  updateImportProfile,
+  deleteImportProfile,
+  importCsv,
+  importMetaTrader,
+};
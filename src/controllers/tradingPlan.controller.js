@@ -1,19 +1,22 @@
 const httpStatus = require('http-status');
 const ApiError = require('../utils/ApiError');
+const pick = require('../utils/pick');
 const catchAsync = require('../utils/catchAsync');
-const { tradingPlanService } = require('../services');
+const { accountService, tradingPlanService, tradingPlanVersionService } = require('../services');
 const logger = require('../config/logger');
 
 const createTradingPlan = catchAsync(async (req, res) => {
   logger.info('Creating trading plan for user:', req.user.id);
-  const tradingPlan = await tradingPlanService.createOrUpdateTradingPlan(req.user.id, req.body);
+  const accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
+  const tradingPlan = await tradingPlanService.createOrUpdateTradingPlan(req.user.id, req.body, accountId);
   logger.info('Trading plan created/updated successfully:', tradingPlan.id);
   res.status(httpStatus.CREATED).send(tradingPlan);
 });
 
 const getTradingPlan = catchAsync(async (req, res) => {
   logger.info('Getting trading plan for user:', req.user.id);
-  const tradingPlan = await tradingPlanService.getTradingPlanByUserId(req.user.id);
+  const accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
+  const tradingPlan = await tradingPlanService.getTradingPlanByUserId(req.user.id, accountId);
   if (!tradingPlan) {
     logger.info('No trading plan found for user:', req.user.id);
     throw new ApiError(httpStatus.NOT_FOUND, 'Trading plan not found');
@@ -24,13 +27,54 @@ const getTradingPlan = catchAsync(async (req, res) => {
 
 const deleteTradingPlan = catchAsync(async (req, res) => {
   logger.info('Deleting trading plan for user:', req.user.id);
-  await tradingPlanService.deleteTradingPlanByUserId(req.user.id);
+  const accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
+  await tradingPlanService.deleteTradingPlanByUserId(req.user.id, accountId);
   logger.info('Trading plan deleted successfully for user:', req.user.id);
   res.status(httpStatus.NO_CONTENT).send();
 });
 
+const checkTrade = catchAsync(async (req, res) => {
+  logger.info('Checking proposed trade for user:', req.user.id);
+  const accountId = await accountService.getAccountScope(req.user.id, req.body.accountId);
+  const result = await tradingPlanService.checkProposedTrade(req.user.id, { ...req.body, accountId });
+  logger.info('Proposed trade checked for user:', req.user.id, 'Decision:', result.decision);
+  res.send(result);
+});
+
+const getTradingPlanVersions = catchAsync(async (req, res) => {
+  logger.info('Getting trading plan versions for user:', req.user.id);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
+  const result = await tradingPlanVersionService.queryTradingPlanVersions(req.user.id, options, accountId);
+  logger.info('Trading plan versions retrieved successfully for user:', req.user.id, 'Records:', result.results.length);
+  res.send(result);
+});
+
+const getTradingPlanVersion = catchAsync(async (req, res) => {
+  logger.info('Getting trading plan version', req.params.version, 'for user:', req.user.id);
+  const accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
+  const tradingPlanVersion = await tradingPlanVersionService.getTradingPlanVersion(
+    req.user.id,
+    req.params.version,
+    accountId
+  );
+  res.send(tradingPlanVersion);
+});
+
+const diffTradingPlanVersions = catchAsync(async (req, res) => {
+  logger.info('Diffing trading plan versions', req.query.from, 'and', req.query.to, 'for user:', req.user.id);
+  const accountId = await accountService.getAccountScope(req.user.id, req.query.accountId);
+  const diff = await tradingPlanVersionService.diffTradingPlanVersions(req.user.id, req.query.from, req.query.to, accountId);
+  logger.info('Trading plan versions diffed, changes:', diff.changes.length);
+  res.send(diff);
+});
+
 module.exports = {
   createTradingPlan,
   getTradingPlan,
   deleteTradingPlan,
+  checkTrade,
+  getTradingPlanVersions,
+  getTradingPlanVersion,
+  diffTradingPlanVersions,
 };
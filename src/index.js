@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const app = require('./app');
 const config = require('./config/config');
 const logger = require('./config/logger');
+const { startJobs, stopJobs } = require('./jobs');
 
 let server;
 
@@ -40,6 +41,7 @@ mongoose
     server = app.listen(config.port, () => {
       logger.info(`Listening to port ${config.port}`);
     });
+    startJobs();
   })
   .catch((error) => {
     logger.error('Failed to connect to MongoDB:', error);
@@ -52,6 +54,7 @@ mongoose
   });
 
 const exitHandler = () => {
+  stopJobs();
   if (server) {
     server.close(() => {
       logger.info('Server closed');
@@ -72,6 +75,7 @@ process.on('unhandledRejection', unexpectedErrorHandler);
 
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received');
+  stopJobs();
   if (server) {
     server.close();
   }
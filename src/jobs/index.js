@@ -0,0 +1,50 @@
+const config = require('../config/config');
+const logger = require('../config/logger');
+const runSnapshotJob = require('./snapshot.job');
+
+const jobs = [{ name: 'performanceSnapshots', run: runSnapshotJob, intervalMinutes: config.jobs.snapshotIntervalMinutes }];
+
+let timers = [];
+
+/**
+ * Run a job, logging instead of throwing so a failure never stops the scheduler
+ * @param {Object} job
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  try {
+    await job.run();
+  } catch (error) {
+    logger.error(`Job ${job.name} failed:`, error);
+  }
+};
+
+/**
+ * Start the in-process scheduler. Jobs run once at startup and then on their interval; every
+ * instance schedules them, job locks make sure only one of them does the work.
+ */
+const startJobs = () => {
+  if (!config.jobs.enabled) {
+    logger.info('Scheduled jobs are disabled');
+    return;
+  }
+
+  timers = jobs.map((job) => {
+    runJob(job);
+    return setInterval(() => runJob(job), job.intervalMinutes * 60 * 1000);
+  });
+  logger.info('Scheduled jobs started:', jobs.map((job) => job.name).join(', '));
+};
+
+/**
+ * Stop the scheduler
+ */
+const stopJobs = () => {
+  timers.forEach((timer) => clearInterval(timer));
+  timers = [];
+};
+
+module.exports = {
+  startJobs,
+  stopJobs,
+};
@@ -0,0 +1,57 @@
+const { snapshotService, jobLockService } = require('../services');
+const { SnapshotPeriod } = require('../models/enums');
+const { mapInBatches } = require('../utils/batch');
+const logger = require('../config/logger');
+
+// Longest a run may hold its lock, so a crashed instance does not block the job for good
+const LOCK_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Generate the snapshots of a period for the users of a time zone unless another instance already did or is
+ * doing it. Each time zone has its own lock, so its users get their snapshots once the period is over there.
+ * @param {string} period - DAILY or WEEKLY
+ * @param {string} timeZone
+ * @param {Date} now
+ * @returns {Promise<boolean>} Whether this instance generated the snapshots
+ */
+const runPeriod = async (period, timeZone, now) => {
+  const lockName = `performanceSnapshots:${period}:${timeZone}`;
+  const { periodStart } = snapshotService.getCompletedPeriod(period, now, timeZone);
+  const runKey = periodStart.toISOString();
+
+  if (!(await jobLockService.acquireJobLock(lockName, runKey, LOCK_TTL_MS))) {
+    return false;
+  }
+
+  try {
+    await snapshotService.generatePerformanceSnapshots(period, now, timeZone);
+    await jobLockService.releaseJobLock(lockName, runKey);
+    return true;
+  } catch (error) {
+    logger.error('Job: Failed to generate', period, 'performance snapshots in', timeZone, ':', error);
+    await jobLockService.releaseJobLock(lockName);
+    return false;
+  }
+};
+
+/**
+ * Write the daily and weekly performance snapshots for the last completed day and week of each time zone,
+ * one time zone at a time
+ * @param {Date} [now]
+ * @returns {Promise<Object>} Which periods this instance generated snapshots of
+ */
+const runSnapshotJob = async (now = new Date()) => {
+  const timeZones = await snapshotService.getUserTimeZones();
+  const runPeriodInTimeZones = async (period) => {
+    const generated = await mapInBatches(timeZones, 1, (timeZone) => runPeriod(period, timeZone, now));
+    return generated.some(Boolean);
+  };
+
+  const [daily, weekly] = await Promise.all([
+    runPeriodInTimeZones(SnapshotPeriod.DAILY),
+    runPeriodInTimeZones(SnapshotPeriod.WEEKLY),
+  ]);
+  return { daily, weekly };
+};
+
+module.exports = runSnapshotJob;
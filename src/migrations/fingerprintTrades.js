@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const { Trade } = require('../models');
+const { getTradeFingerprint } = require('../services/trade.service');
+
+/**
+ * Fingerprint the trades recorded before duplicate detection existed, and fingerprint again the trades whose
+ * fingerprint was computed from fewer fields. No trade is removed: a trade whose fingerprint is already taken
+ * by another trade of its user keeps the fingerprint it had and is reported, to be reviewed by hand.
+ * @returns {Promise<Object>} { fingerprinted, collisions } with collisions as { tradeId, userId, duplicateOf }
+ */
+const up = async () => {
+  // The unique index on fingerprints tells the collisions apart
+  await Trade.init();
+
+  let fingerprinted = 0;
+  const collisions = [];
+  await Trade.find()
+    .sort({ createdAt: 1, _id: 1 })
+    .lean()
+    .cursor()
+    .eachAsync(async (trade) => {
+      const fingerprint = getTradeFingerprint(trade);
+      if (trade.fingerprint === fingerprint) {
+        return;
+      }
+      try {
+        await Trade.updateOne({ _id: trade._id }, { $set: { fingerprint } });
+        fingerprinted += 1;
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        const duplicate = await Trade.findOne({ userId: trade.userId, fingerprint }).select('_id').lean();
+        collisions.push({ tradeId: trade._id, userId: trade.userId, duplicateOf: duplicate && duplicate._id });
+      }
+    });
+
+  return { fingerprinted, collisions };
+};
+
+/* istanbul ignore next */
+if (require.main === module) {
+  mongoose
+    .connect(config.mongoose.url, config.mongoose.options)
+    .then(up)
+    .then(({ fingerprinted, collisions }) => {
+      logger.info('Migration: trades fingerprinted:', fingerprinted, 'Collisions:', collisions.length);
+      collisions.forEach(({ tradeId, userId, duplicateOf }) =>
+        logger.warn('Migration: trade', tradeId, 'of user', userId, 'has the fingerprint of trade', duplicateOf)
+      );
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      logger.error('Migration: failed to fingerprint trades:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  up,
+};
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const { TradingPlan, TradingPlanVersion, Dashboard, SessionForecast, PerformanceSnapshot } = require('../models');
+
+/**
+ * Replace the unique indexes per user of the documents scoped by account. Documents written before accounts
+ * existed have no account, which the new indexes and queries treat as all the accounts of the user.
+ * @returns {Promise<Object>} { droppedIndexes }
+ */
+const up = async () => {
+  const dropped = await Promise.all(
+    [TradingPlan, TradingPlanVersion, Dashboard, SessionForecast, PerformanceSnapshot].map((model) => model.syncIndexes())
+  );
+  return { droppedIndexes: dropped.reduce((sum, names) => sum + names.length, 0) };
+};
+
+/* istanbul ignore next */
+if (require.main === module) {
+  mongoose
+    .connect(config.mongoose.url, config.mongoose.options)
+    .then(up)
+    .then(({ droppedIndexes }) => {
+      logger.info('Migration: indexes scoped by account, dropped:', droppedIndexes);
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      logger.error('Migration: failed to scope indexes by account:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  up,
+};
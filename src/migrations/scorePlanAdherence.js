@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const { Trade } = require('../models');
+const { scoreAllTradingDays } = require('../services/planAdherence.service');
+const { mapInBatches } = require('../utils/batch');
+
+/**
+ * Score the trades recorded before plan adherence scoring existed against their user's trading plan. Users are
+ * scored one at a time, each a batch of trading days at a time.
+ * @returns {Promise<number>} Number of trades scored
+ */
+const up = async () => {
+  const userIds = await Trade.distinct('userId', { 'planAdherence.score': { $exists: false } });
+
+  const scored = await mapInBatches(userIds, 1, (userId) => scoreAllTradingDays(userId));
+  return scored.reduce((sum, count) => sum + count, 0);
+};
+
+/* istanbul ignore next */
+if (require.main === module) {
+  mongoose
+    .connect(config.mongoose.url, config.mongoose.options)
+    .then(up)
+    .then((scored) => {
+      logger.info('Migration: plan adherence scored, trades updated:', scored);
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      logger.error('Migration: failed to score plan adherence:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  up,
+};
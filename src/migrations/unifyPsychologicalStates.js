@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const { StateAnalysis, SessionForecast, Dashboard } = require('../models');
+const { PsychologicalState } = require('../models/enums');
+
+/**
+ * Canonical PsychologicalState for each label used before the analysis engine adopted the enum
+ */
+const legacyStates = {
+  NEUTRAL: PsychologicalState.STABLE,
+  DISCIPLINED: PsychologicalState.STABLE,
+  CONFIDENT: PsychologicalState.OVEREXTENDED,
+  FRUSTRATED: PsychologicalState.HESITANT,
+  FEARFUL: PsychologicalState.HESITANT,
+  ANXIOUS: PsychologicalState.HESITANT,
+  GREEDY: PsychologicalState.AGGRESSIVE,
+};
+
+/**
+ * Collections and paths holding a psychological state
+ */
+const statePaths = [
+  { model: StateAnalysis, path: 'state' },
+  { model: SessionForecast, path: 'basedOnState' },
+  { model: Dashboard, path: 'brainHero.state' },
+];
+
+/**
+ * Rewrite legacy psychological state labels to the canonical PsychologicalState values
+ * @returns {Promise<number>} Number of documents updated
+ */
+const up = async () => {
+  let updated = 0;
+
+  // Write through the driver so documents failing the current enum validation can still be fixed
+  await Promise.all(
+    statePaths.map(async ({ model, path }) => {
+      await Promise.all(
+        Object.entries(legacyStates).map(async ([legacyState, state]) => {
+          const result = await model.collection.updateMany({ [path]: legacyState }, { $set: { [path]: state } });
+          if (result.modifiedCount > 0) {
+            logger.info(`Migration: ${model.modelName}.${path} ${legacyState} -> ${state}: ${result.modifiedCount}`);
+          }
+          updated += result.modifiedCount;
+        })
+      );
+    })
+  );
+
+  return updated;
+};
+
+/* istanbul ignore next */
+if (require.main === module) {
+  mongoose
+    .connect(config.mongoose.url, config.mongoose.options)
+    .then(up)
+    .then((updated) => {
+      logger.info('Migration: psychological states unified, documents updated:', updated);
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      logger.error('Migration: failed to unify psychological states:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  legacyStates,
+  up,
+};
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+const { AccountType } = require('./enums');
+
+const accountSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    broker: {
+      type: String,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(AccountType),
+      default: AccountType.PERSONAL,
+    },
+    // ISO 4217 code the balance and profit/loss of the account are in
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: /^[A-Z]{3}$/,
+      default: 'USD',
+    },
+    startingBalance: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+accountSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+accountSchema.plugin(toJSON);
+accountSchema.plugin(paginate);
+
+/**
+ * Check if the user already has an account with this name
+ * @param {ObjectId} userId
+ * @param {string} name
+ * @param {ObjectId} [excludeAccountId] - The id of the account to be excluded
+ * @returns {Promise<boolean>}
+ */
+accountSchema.statics.isNameTaken = async function (userId, name, excludeAccountId) {
+  const account = await this.findOne({ userId, name, _id: { $ne: excludeAccountId } });
+  return !!account;
+};
+
+/**
+ * @typedef Account
+ */
+const Account = mongoose.model('Account', accountSchema);
+
+module.exports = Account;
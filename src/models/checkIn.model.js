@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+const { CheckInType } = require('./enums');
+
+// Self-reported readings are on a scale of 1 to 5
+const reading = {
+  type: Number,
+  min: 1,
+  max: 5,
+};
+
+const checkInSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(CheckInType),
+      required: true,
+    },
+    // Trade a post-trade check-in was recorded after
+    tradeId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Trade',
+    },
+    mood: reading,
+    stress: reading,
+    sleep: reading,
+    confidence: reading,
+    notes: {
+      type: String,
+      trim: true,
+    },
+    recordedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+checkInSchema.index({ userId: 1, recordedAt: -1 });
+checkInSchema.index({ userId: 1, tradeId: 1 });
+
+checkInSchema.plugin(toJSON);
+checkInSchema.plugin(paginate);
+
+/**
+ * @typedef CheckIn
+ */
+const CheckIn = mongoose.model('CheckIn', checkInSchema);
+
+module.exports = CheckIn;
@@ -1,6 +1,6 @@
 const mongoose = require('mongoose');
 const { toJSON } = require('./plugins');
-const { PsychologicalState } = require('./enums');
+const { PsychologicalState, DashboardPeriod } = require('./enums');
 
 const dashboardSchema = mongoose.Schema(
   {
@@ -10,6 +10,21 @@ const dashboardSchema = mongoose.Schema(
       required: true,
       index: true,
     },
+    // Account the dashboard covers, null for all the accounts of the user
+    accountId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Account',
+      default: null,
+    },
+    period: {
+      type: String,
+      enum: Object.values(DashboardPeriod),
+      default: DashboardPeriod.MONTH,
+    },
+    // Reporting currency of the amounts, the dashboard is recomputed when another one is requested
+    currency: {
+      type: String,
+    },
     user: {
       id: {
         type: mongoose.SchemaTypes.ObjectId,
@@ -29,16 +44,18 @@ const dashboardSchema = mongoose.Schema(
         required: true,
         index: true,
       },
+      // Null when no state analysis was saved
       stateAnalysis: {
         type: mongoose.SchemaTypes.ObjectId,
         ref: 'StateAnalysis',
-        required: true,
+        default: null,
       },
     },
+    // Null when no session forecast was saved
     sessionForecast: {
       type: mongoose.SchemaTypes.ObjectId,
       ref: 'SessionForecast',
-      required: true,
+      default: null,
     },
     performanceSnapshot: {
       type: mongoose.SchemaTypes.ObjectId,
@@ -51,15 +68,35 @@ const dashboardSchema = mongoose.Schema(
         ref: 'Trade',
       },
     ],
+    // Not every user has a trading plan
     tradingPlan: {
       type: mongoose.SchemaTypes.ObjectId,
       ref: 'TradingPlan',
-      required: true,
+      default: null,
+    },
+    // Materialized GET /dashboard and GET /dashboard/summary responses
+    data: {
+      type: mongoose.SchemaTypes.Mixed,
+    },
+    summary: {
+      type: mongoose.SchemaTypes.Mixed,
+    },
+    computedAt: {
+      type: Date,
+      default: () => new Date(),
+    },
+    // Set when trades, the trading plan or FX rates changed since computedAt
+    stale: {
+      type: Boolean,
+      default: false,
     },
   },
   { timestamps: true }
 );
 
+// One materialized dashboard per user, account and period
+dashboardSchema.index({ userId: 1, accountId: 1, period: 1 }, { unique: true });
+
 dashboardSchema.plugin(toJSON);
 
 const Dashboard = mongoose.model('Dashboard', dashboardSchema);
@@ -1,9 +1,3 @@
-const TradingSessions = {
-  LONDON: 'LONDON',
-  NY: 'NY',
-  ASIA: 'ASIA',
-};
-
 const StopLossDisciplines = {
   ALWAYS: 'ALWAYS',
   FLEXIBLE: 'FLEXIBLE',
@@ -16,15 +10,173 @@ const PsychologicalState = {
   AGGRESSIVE: 'AGGRESSIVE',
 };
 
+const TradeDirection = {
+  LONG: 'LONG',
+  SHORT: 'SHORT',
+};
+
 const RiskLevel = {
   LOW: 'LOW',
   MEDIUM: 'MEDIUM',
   HIGH: 'HIGH',
 };
 
+const PlanViolation = {
+  RISK_ABOVE_PLAN: 'RISK_ABOVE_PLAN',
+  RISK_REWARD_BELOW_TARGET: 'RISK_REWARD_BELOW_TARGET',
+  SESSION_NOT_PREFERRED: 'SESSION_NOT_PREFERRED',
+  MAX_TRADES_EXCEEDED: 'MAX_TRADES_EXCEEDED',
+  STOP_LOSS_NOT_HONOURED: 'STOP_LOSS_NOT_HONOURED',
+};
+
+const PreTradeDecision = {
+  ALLOW: 'ALLOW',
+  WARN: 'WARN',
+  BLOCK: 'BLOCK',
+};
+
+const PreTradeCheckRule = {
+  NO_TRADING_PLAN: 'NO_TRADING_PLAN',
+  RISK_ABOVE_PLAN: 'RISK_ABOVE_PLAN',
+  RISK_REWARD_BELOW_TARGET: 'RISK_REWARD_BELOW_TARGET',
+  SESSION_NOT_PREFERRED: 'SESSION_NOT_PREFERRED',
+  MAX_TRADES_REACHED: 'MAX_TRADES_REACHED',
+  DAILY_LOSS_LIMIT: 'DAILY_LOSS_LIMIT',
+  PSYCHOLOGICAL_STATE: 'PSYCHOLOGICAL_STATE',
+};
+
+const ForecastBias = {
+  POSITIVE: 'POSITIVE',
+  NEUTRAL: 'NEUTRAL',
+  NEGATIVE: 'NEGATIVE',
+};
+
+const ForecastStatus = {
+  PENDING: 'PENDING',
+  RESOLVED: 'RESOLVED',
+  NO_TRADES: 'NO_TRADES',
+};
+
 const PerformanceInsightType = {
   POSITIVE: 'POSITIVE',
   CONSTRUCTIVE: 'CONSTRUCTIVE',
 };
 
-module.exports = { TradingSessions, StopLossDisciplines, PsychologicalState, RiskLevel, PerformanceInsightType };
+const DashboardPeriod = {
+  WEEK: 'WEEK',
+  MONTH: 'MONTH',
+  QUARTER: 'QUARTER',
+  YEAR: 'YEAR',
+};
+
+const SnapshotPeriod = {
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY',
+};
+
+const EquityCurveGranularity = {
+  TRADE: 'TRADE',
+  DAY: 'DAY',
+  WEEK: 'WEEK',
+};
+
+const IndicatorSeverity = {
+  POSITIVE: 'positive',
+  NEUTRAL: 'neutral',
+  WARNING: 'warning',
+  CRITICAL: 'critical',
+};
+
+const StateRuleMetrics = {
+  TRADE_COUNT: 'tradeCount',
+  WIN_RATE: 'winRate',
+  AVG_RISK_USED: 'avgRiskUsed',
+  AVG_RISK_REWARD: 'avgRiskReward',
+  AVG_TARGET_ACHIEVED: 'avgTargetAchieved',
+  EARLY_EXIT_RATE: 'earlyExitRate',
+  STOP_LOSS_RATE: 'stopLossRate',
+};
+
+const RuleOperators = {
+  GT: 'gt',
+  GTE: 'gte',
+  LT: 'lt',
+  LTE: 'lte',
+  EQ: 'eq',
+};
+
+const TradeStatus = {
+  OPEN: 'OPEN',
+  CLOSED: 'CLOSED',
+};
+
+const ReviewState = {
+  UNREVIEWED: 'UNREVIEWED',
+  REVIEWED: 'REVIEWED',
+  FLAGGED: 'FLAGGED',
+};
+
+const ReviewGrade = {
+  A: 'A',
+  B: 'B',
+  C: 'C',
+  D: 'D',
+  F: 'F',
+};
+
+const IndicatorSource = {
+  TRADES: 'trades',
+  CHECK_INS: 'check-ins',
+  TRADE_EMOTIONS: 'trade-emotions',
+};
+
+const AccountType = {
+  PROP_CHALLENGE: 'PROP_CHALLENGE',
+  FUNDED: 'FUNDED',
+  PERSONAL: 'PERSONAL',
+  DEMO: 'DEMO',
+};
+
+const CheckInType = {
+  PRE_SESSION: 'PRE_SESSION',
+  POST_TRADE: 'POST_TRADE',
+};
+
+const Emotion = {
+  CALM: 'CALM',
+  FOCUSED: 'FOCUSED',
+  CONFIDENT: 'CONFIDENT',
+  NEUTRAL: 'NEUTRAL',
+  BORED: 'BORED',
+  ANXIOUS: 'ANXIOUS',
+  FEARFUL: 'FEARFUL',
+  FRUSTRATED: 'FRUSTRATED',
+  GREEDY: 'GREEDY',
+  EUPHORIC: 'EUPHORIC',
+};
+
+module.exports = {
+  StopLossDisciplines,
+  PsychologicalState,
+  TradeDirection,
+  TradeStatus,
+  RiskLevel,
+  PlanViolation,
+  PreTradeDecision,
+  PreTradeCheckRule,
+  ForecastBias,
+  ForecastStatus,
+  PerformanceInsightType,
+  SnapshotPeriod,
+  DashboardPeriod,
+  EquityCurveGranularity,
+  IndicatorSeverity,
+  IndicatorSource,
+  StateRuleMetrics,
+  RuleOperators,
+  ReviewState,
+  ReviewGrade,
+  AccountType,
+  CheckInType,
+  Emotion,
+};
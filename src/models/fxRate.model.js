@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const currency = {
+  type: String,
+  required: true,
+  trim: true,
+  uppercase: true,
+  match: /^[A-Z]{3}$/,
+};
+
+// Rate of a currency pair on a day: one base currency unit is worth rate quote currency units
+const fxRateSchema = mongoose.Schema(
+  {
+    baseCurrency: { ...currency },
+    quoteCurrency: { ...currency },
+    date: {
+      type: Date,
+      required: true,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+fxRateSchema.index({ baseCurrency: 1, quoteCurrency: 1, date: -1 }, { unique: true });
+
+fxRateSchema.plugin(toJSON);
+fxRateSchema.plugin(paginate);
+
+/**
+ * @typedef FxRate
+ */
+const FxRate = mongoose.model('FxRate', fxRateSchema);
+
+module.exports = FxRate;
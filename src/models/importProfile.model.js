@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+// Name of the column each trade field is read from
+const columnMappingSchema = mongoose.Schema(
+  {
+    symbol: { type: String, trim: true },
+    direction: { type: String, trim: true },
+    entryTime: { type: String, trim: true },
+    exitTime: { type: String, trim: true },
+    entryPrice: { type: String, trim: true },
+    exitPrice: { type: String, trim: true },
+    stopLossPrice: { type: String, trim: true },
+    takeProfitPrice: { type: String, trim: true },
+    positionSize: { type: String, trim: true },
+    riskPercentUsed: { type: String, trim: true },
+    profitLoss: { type: String, trim: true },
+    commission: { type: String, trim: true },
+    swap: { type: String, trim: true },
+    currency: { type: String, trim: true },
+    riskRewardAchieved: { type: String, trim: true },
+    session: { type: String, trim: true },
+    stopLossHit: { type: String, trim: true },
+    exitedEarly: { type: String, trim: true },
+    targetPercentAchieved: { type: String, trim: true },
+    notes: { type: String, trim: true },
+    brokerTicketId: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const importProfileSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    mapping: {
+      type: columnMappingSchema,
+      required: true,
+    },
+    // Time zone of dates without an explicit offset
+    timezone: {
+      type: String,
+      default: 'UTC',
+    },
+    // Moment.js format of the dates, ISO 8601 when not set
+    dateFormat: {
+      type: String,
+      trim: true,
+    },
+    delimiter: {
+      type: String,
+      default: ',',
+      minlength: 1,
+      maxlength: 1,
+    },
+  },
+  { timestamps: true }
+);
+
+importProfileSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+importProfileSchema.plugin(toJSON);
+importProfileSchema.plugin(paginate);
+
+/**
+ * Check if the user already has an import profile with this name
+ * @param {ObjectId} userId
+ * @param {string} name
+ * @param {ObjectId} [excludeProfileId] - The id of the profile to be excluded
+ * @returns {Promise<boolean>}
+ */
+importProfileSchema.statics.isNameTaken = async function (userId, name, excludeProfileId) {
+  const profile = await this.findOne({ userId, name, _id: { $ne: excludeProfileId } });
+  return !!profile;
+};
+
+/**
+ * @typedef ImportProfile
+ */
+const ImportProfile = mongoose.model('ImportProfile', importProfileSchema);
+
+module.exports = ImportProfile;
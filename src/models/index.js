@@ -1,8 +1,18 @@
 module.exports.Token = require('./token.model');
 module.exports.User = require('./user.model');
+module.exports.Account = require('./account.model');
 module.exports.TradingPlan = require('./tradingPlan.model');
 module.exports.Trade = require('./trade.model');
 module.exports.StateAnalysis = require('./stateAnalysis.model');
 module.exports.SessionForecast = require('./sessionForecast.model');
 module.exports.PerformanceSnapshot = require('./performanceSnapshot.model');
 module.exports.Dashboard = require('./dashboard.model');
+module.exports.StateRuleSet = require('./stateRuleSet.model');
+module.exports.JobLock = require('./jobLock.model');
+module.exports.TradingPlanVersion = require('./tradingPlanVersion.model');
+module.exports.ImportProfile = require('./importProfile.model');
+module.exports.Setup = require('./setup.model');
+module.exports.MistakeCatalogue = require('./mistakeCatalogue.model');
+module.exports.SessionCatalogue = require('./sessionCatalogue.model');
+module.exports.CheckIn = require('./checkIn.model');
+module.exports.FxRate = require('./fxRate.model');
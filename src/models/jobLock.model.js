@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+const jobLockSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    // Instance currently holding the lock
+    lockedBy: {
+      type: String,
+    },
+    lockedUntil: {
+      type: Date,
+      required: true,
+      default: () => new Date(0),
+    },
+    // Key of the last run that completed, e.g. the period a job generated data for
+    lastRunKey: {
+      type: String,
+    },
+    lastRunAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobLockSchema.plugin(toJSON);
+
+/**
+ * @typedef JobLock
+ */
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+module.exports = JobLock;
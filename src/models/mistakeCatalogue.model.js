@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+const mistakeSchema = mongoose.Schema(
+  {
+    // Stored on reviewed trades, so renaming a mistake keeps their history
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+const mistakeCatalogueSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    mistakes: {
+      type: [mistakeSchema],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+// One catalogue per user, users without one review against the default catalogue
+mistakeCatalogueSchema.index({ userId: 1 }, { unique: true });
+
+mistakeCatalogueSchema.plugin(toJSON);
+
+/**
+ * @typedef MistakeCatalogue
+ */
+const MistakeCatalogue = mongoose.model('MistakeCatalogue', mistakeCatalogueSchema);
+
+module.exports = MistakeCatalogue;
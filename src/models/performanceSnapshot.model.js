@@ -1,6 +1,6 @@
 const mongoose = require('mongoose');
-const { toJSON } = require('./plugins');
-const { PerformanceInsightType } = require('./enums');
+const { toJSON, paginate } = require('./plugins');
+const { PerformanceInsightType, SnapshotPeriod } = require('./enums');
 
 const performanceInsightSchema = new mongoose.Schema(
   {
@@ -36,16 +36,45 @@ const performanceSnapshotSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Account the snapshot covers, null for all the accounts of the user
+    accountId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Account',
+      default: null,
+    },
+    period: {
+      type: String,
+      enum: Object.values(SnapshotPeriod),
+      required: true,
+    },
+    // Covered period in the time zone of the user, periodEnd exclusive
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    // Reporting currency of the profit/loss, the one of the account or the one all the accounts share
+    currency: {
+      type: String,
+    },
     insights: {
       type: [performanceInsightSchema],
       required: true,
       default: [],
     },
     stats: {
+      tradeCount: { type: Number, required: true, min: 0 },
+      profitLoss: { type: Number, required: true },
       winRate: { type: Number, required: true, min: 0 },
-      avgRiskReward: { type: Number, required: true, min: 0 },
-      planAdherence: { type: Number, required: true, min: 0, max: 100 },
+      avgRiskReward: { type: Number, min: 0, default: null },
+      // Null when no trade of the period was scored against a trading plan
+      planAdherence: { type: Number, min: 0, max: 100, default: null },
       tradesThisWeek: { type: Number, required: true, min: 0 },
+      // Trades of the period left out of the stats for want of an FX rate into the reporting currency
+      unconvertedTrades: { type: Number, min: 0, default: 0 },
     },
     timestamp: {
       type: Date,
@@ -58,8 +87,10 @@ const performanceSnapshotSchema = new mongoose.Schema(
 
 // Add indexes for better query performance
 performanceSnapshotSchema.index({ userId: 1, timestamp: -1 });
+performanceSnapshotSchema.index({ userId: 1, accountId: 1, period: 1, periodStart: 1 }, { unique: true });
 
 performanceSnapshotSchema.plugin(toJSON);
+performanceSnapshotSchema.plugin(paginate);
 
 const PerformanceSnapshot = mongoose.model('PerformanceSnapshot', performanceSnapshotSchema);
 module.exports = PerformanceSnapshot;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+const { isValidTimeZone } = require('../utils/timezone');
+
+// Local time of day, HH:mm
+const timeOfDay = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const sessionSchema = mongoose.Schema(
+  {
+    // Stored on trades, trading plans and forecasts, so renaming a session keeps their history
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Time zone the opening and closing times are in, which gives the session its daylight saving time
+    timeZone: {
+      type: String,
+      required: true,
+      validate(value) {
+        if (!isValidTimeZone(value)) {
+          throw new Error('Invalid time zone');
+        }
+      },
+    },
+    start: {
+      type: String,
+      required: true,
+      match: timeOfDay,
+    },
+    // Sessions without an end run until another session opens
+    end: {
+      type: String,
+      match: timeOfDay,
+    },
+  },
+  { _id: false }
+);
+
+const sessionCatalogueSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    sessions: {
+      type: [sessionSchema],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+// One catalogue per user, users without one trade the default sessions
+sessionCatalogueSchema.index({ userId: 1 }, { unique: true });
+
+sessionCatalogueSchema.plugin(toJSON);
+
+/**
+ * @typedef SessionCatalogue
+ */
+const SessionCatalogue = mongoose.model('SessionCatalogue', sessionCatalogueSchema);
+
+module.exports = SessionCatalogue;
@@ -1,6 +1,26 @@
 const mongoose = require('mongoose');
 const { toJSON } = require('./plugins');
-const { TradingSessions, PsychologicalState, RiskLevel } = require('./enums');
+const { PsychologicalState, RiskLevel, ForecastBias, ForecastStatus } = require('./enums');
+const { sessionCodePattern } = require('../config/sessions');
+
+const forecastFactorSchema = new mongoose.Schema(
+  {
+    factor: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    impact: {
+      type: String,
+      required: true,
+    },
+    weight: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
 
 const sessionForecastSchema = new mongoose.Schema(
   {
@@ -10,16 +30,37 @@ const sessionForecastSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Account the forecast covers, null for all the accounts of the user
+    accountId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Account',
+      default: null,
+    },
     session: {
       type: String,
-      enum: Object.values(TradingSessions),
       required: true,
+      match: sessionCodePattern,
       index: true,
     },
+    // Trading day the forecast is for, as the instant it starts at in the time zone of the user
+    sessionDate: {
+      type: Date,
+      required: true,
+    },
     predictedBias: {
       type: String,
+      enum: Object.values(ForecastBias),
       required: true,
-      trim: true,
+    },
+    probability: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    factors: {
+      type: [forecastFactorSchema],
+      default: [],
     },
     riskLevel: {
       type: String,
@@ -38,6 +79,21 @@ const sessionForecastSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    status: {
+      type: String,
+      enum: Object.values(ForecastStatus),
+      default: ForecastStatus.PENDING,
+      index: true,
+    },
+    outcome: {
+      tradeCount: { type: Number, min: 0 },
+      // Net profit/loss of the trades of the session, in the reporting currency
+      profitLoss: { type: Number },
+      currency: { type: String },
+      actualBias: { type: String, enum: Object.values(ForecastBias) },
+      hit: { type: Boolean },
+      resolvedAt: { type: Date },
+    },
     timestamp: {
       type: Date,
       required: true,
@@ -50,6 +106,7 @@ const sessionForecastSchema = new mongoose.Schema(
 // Add indexes for better query performance
 sessionForecastSchema.index({ userId: 1, timestamp: -1 });
 sessionForecastSchema.index({ session: 1, timestamp: -1 });
+sessionForecastSchema.index({ userId: 1, accountId: 1, session: 1, sessionDate: 1 }, { unique: true });
 
 sessionForecastSchema.plugin(toJSON);
 
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const setupSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Playbook of the setup: the conditions to check before taking it
+    rules: {
+      type: [{ type: String, trim: true }],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+setupSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+setupSchema.plugin(toJSON);
+setupSchema.plugin(paginate);
+
+/**
+ * Check if the user already has a setup with this name
+ * @param {ObjectId} userId
+ * @param {string} name
+ * @param {ObjectId} [excludeSetupId] - The id of the setup to be excluded
+ * @returns {Promise<boolean>}
+ */
+setupSchema.statics.isNameTaken = async function (userId, name, excludeSetupId) {
+  const setup = await this.findOne({ userId, name, _id: { $ne: excludeSetupId } });
+  return !!setup;
+};
+
+/**
+ * @typedef Setup
+ */
+const Setup = mongoose.model('Setup', setupSchema);
+
+module.exports = Setup;
@@ -1,6 +1,6 @@
 const mongoose = require('mongoose');
-const { toJSON } = require('./plugins');
-const { PsychologicalState } = require('./enums');
+const { toJSON, paginate } = require('./plugins');
+const { PsychologicalState, IndicatorSeverity, IndicatorSource } = require('./enums');
 
 const stateIndicatorSchema = new mongoose.Schema(
   {
@@ -16,12 +16,24 @@ const stateIndicatorSchema = new mongoose.Schema(
     },
     severity: {
       type: String,
-      enum: ['positive', 'neutral', 'warning', 'critical'],
+      enum: Object.values(IndicatorSeverity),
       required: true,
     },
     value: {
       type: Number,
     },
+    // Input the indicator was derived from, indicators recorded before self-reports existed have none
+    source: {
+      type: String,
+      enum: Object.values(IndicatorSource),
+    },
+    occurredAt: {
+      type: Date,
+    },
+    tradeId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Trade',
+    },
   },
   { _id: false }
 );
@@ -34,6 +46,12 @@ const stateAnalysisSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Account the analysis covers, null for all the accounts of the user
+    accountId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Account',
+      default: null,
+    },
     state: {
       type: String,
       enum: Object.values(PsychologicalState),
@@ -46,6 +64,20 @@ const stateAnalysisSchema = new mongoose.Schema(
       min: 0,
       max: 100,
     },
+    riskTolerance: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    emotionalBalance: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    recommendations: {
+      type: [String],
+      default: [],
+    },
     indicators: {
       type: [stateIndicatorSchema],
       required: true,
@@ -74,6 +106,7 @@ stateAnalysisSchema.index({ userId: 1, timestamp: -1 });
 stateAnalysisSchema.index({ state: 1, timestamp: -1 });
 
 stateAnalysisSchema.plugin(toJSON);
+stateAnalysisSchema.plugin(paginate);
 
 const StateAnalysis = mongoose.model('StateAnalysis', stateAnalysisSchema);
 
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+const { PsychologicalState, IndicatorSeverity, StateRuleMetrics, RuleOperators } = require('./enums');
+
+const ruleConditionSchema = new mongoose.Schema(
+  {
+    metric: {
+      type: String,
+      enum: Object.values(StateRuleMetrics),
+      required: true,
+    },
+    operator: {
+      type: String,
+      enum: Object.values(RuleOperators),
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const ruleIndicatorSchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    severity: {
+      type: String,
+      enum: Object.values(IndicatorSeverity),
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const stateRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    conditions: {
+      type: [ruleConditionSchema],
+      required: true,
+      validate(value) {
+        if (value.length === 0) {
+          throw new Error('A rule needs at least one condition');
+        }
+      },
+    },
+    state: {
+      type: String,
+      enum: Object.values(PsychologicalState),
+    },
+    adjustments: {
+      confidence: { type: Number, default: 0 },
+      riskTolerance: { type: Number, default: 0 },
+      emotionalBalance: { type: Number, default: 0 },
+    },
+    indicator: {
+      type: ruleIndicatorSchema,
+    },
+    recommendation: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+const stateRuleSetSchema = mongoose.Schema(
+  {
+    // A rule set without userId is the global rule set
+    userId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    rules: {
+      type: [stateRuleSchema],
+      required: true,
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+// One rule set per user and a single global rule set
+stateRuleSetSchema.index({ userId: 1 }, { unique: true });
+
+stateRuleSetSchema.plugin(toJSON);
+stateRuleSetSchema.plugin(paginate);
+
+/**
+ * Check if the scope (user or global) already has a rule set
+ * @param {ObjectId|null} userId - The user the rule set applies to, null for the global rule set
+ * @param {ObjectId} [excludeRuleSetId] - The id of the rule set to be excluded
+ * @returns {Promise<boolean>}
+ */
+stateRuleSetSchema.statics.isScopeTaken = async function (userId, excludeRuleSetId) {
+  const ruleSet = await this.findOne({ userId: userId || null, _id: { $ne: excludeRuleSetId } });
+  return !!ruleSet;
+};
+
+/**
+ * @typedef StateRuleSet
+ */
+const StateRuleSet = mongoose.model('StateRuleSet', stateRuleSetSchema);
+
+module.exports = StateRuleSet;
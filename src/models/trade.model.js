@@ -1,6 +1,51 @@
 const mongoose = require('mongoose');
 const { toJSON, paginate } = require('./plugins');
-const { TradingSessions } = require('./enums');
+const { sessionCodePattern } = require('../config/sessions');
+const { TradeDirection, TradeStatus, PlanViolation, ReviewState, ReviewGrade, Emotion } = require('./enums');
+
+const planViolationSchema = mongoose.Schema(
+  {
+    rule: {
+      type: String,
+      enum: Object.values(PlanViolation),
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Part of the position closed at once, trades scaled out of have several
+const exitLegSchema = mongoose.Schema(
+  {
+    exitTime: {
+      type: Date,
+      required: true,
+    },
+    exitPrice: {
+      type: Number,
+      min: 0,
+    },
+    positionSize: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    profitLoss: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// The outcome of a trade is only known once it is closed
+function isClosed() {
+  return this.status !== TradeStatus.OPEN;
+}
 
 const tradeSchema = mongoose.Schema(
   {
@@ -10,50 +55,169 @@ const tradeSchema = mongoose.Schema(
       required: true,
       index: true,
     },
+    // Trades recorded before accounts existed have no account
+    accountId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Account',
+    },
+    symbol: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    direction: {
+      type: String,
+      enum: Object.values(TradeDirection),
+    },
+    // Trades recorded before open positions existed have no status and are closed
+    status: {
+      type: String,
+      enum: Object.values(TradeStatus),
+      default: TradeStatus.CLOSED,
+    },
     entryTime: {
       type: Date,
       required: true,
     },
+    // Exit time, price and profit/loss of a trade with exit legs are computed from them by the trade service
     exitTime: {
       type: Date,
-      required: true,
+      required: isClosed,
+    },
+    // Prices and size are optional, R:R and target achieved are derived from them when given
+    entryPrice: {
+      type: Number,
+      min: 0,
+    },
+    exitPrice: {
+      type: Number,
+      min: 0,
+    },
+    stopLossPrice: {
+      type: Number,
+      min: 0,
+    },
+    takeProfitPrice: {
+      type: Number,
+      min: 0,
+    },
+    positionSize: {
+      type: Number,
+      min: 0,
     },
     riskPercentUsed: {
       type: Number,
       required: true,
       min: 0,
     },
+    // Gross profit/loss, in the currency of the trade
     profitLoss: {
       type: Number,
-      required: true,
+      required: isClosed,
+    },
+    // Fees signed the way brokers report them, negative for a cost. The net profit/loss adds them to profitLoss.
+    commission: {
+      type: Number,
+    },
+    swap: {
+      type: Number,
     },
+    // Currency of the profit/loss and fees, the currency of the account when not set
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: /^[A-Z]{3}$/,
+    },
+    // Unset on trades imported without the prices to derive it from
     riskRewardAchieved: {
       type: Number,
-      required: true,
       min: 0,
     },
+    // Code of a trading session of the user
     session: {
       type: String,
-      enum: Object.values(TradingSessions),
       required: true,
+      match: sessionCodePattern,
     },
     stopLossHit: {
       type: Boolean,
-      required: true,
+      required: isClosed,
     },
     exitedEarly: {
       type: Boolean,
-      required: true,
+      required: isClosed,
     },
+    // Unset on trades imported without the prices to derive it from
     targetPercentAchieved: {
       type: Number,
-      required: true,
       min: 0,
     },
+    exits: {
+      type: [exitLegSchema],
+      default: undefined,
+    },
     notes: {
       type: String,
       trim: true,
     },
+    // Setup of the user's playbook the trade was taken on
+    setup: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Setup',
+    },
+    tags: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      default: undefined,
+    },
+    // Emotions the trader reported when entering and after closing the trade
+    preTradeEmotion: {
+      type: String,
+      enum: Object.values(Emotion),
+    },
+    postTradeEmotion: {
+      type: String,
+      enum: Object.values(Emotion),
+    },
+    // Journal review, trades recorded before reviews existed have no review state and count as unreviewed
+    reviewState: {
+      type: String,
+      enum: Object.values(ReviewState),
+      default: ReviewState.UNREVIEWED,
+    },
+    // Codes from the user's mistake catalogue
+    mistakes: {
+      type: [{ type: String, trim: true, uppercase: true }],
+      default: undefined,
+    },
+    grade: {
+      type: String,
+      enum: Object.values(ReviewGrade),
+    },
+    lesson: {
+      type: String,
+      trim: true,
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    // Id of the position at the broker, when imported or typed from a statement
+    brokerTicketId: {
+      type: String,
+      trim: true,
+    },
+    // Natural key of the trade set by the trade service, trades recorded before it existed have none
+    fingerprint: {
+      type: String,
+      private: true,
+    },
+    // Evaluation against the trading plan version in force at entry, set by the plan adherence service
+    planAdherence: {
+      score: { type: Number, min: 0, max: 100 },
+      violations: { type: [planViolationSchema], default: undefined },
+      tradingPlanVersion: { type: mongoose.SchemaTypes.ObjectId, ref: 'TradingPlanVersion' },
+      evaluatedAt: { type: Date },
+    },
   },
   { timestamps: true }
 );
@@ -61,7 +225,36 @@ const tradeSchema = mongoose.Schema(
 // Add indexes for better query performance
 tradeSchema.index({ userId: 1, entryTime: -1 });
 tradeSchema.index({ session: 1, entryTime: -1 });
+tradeSchema.index({ userId: 1, symbol: 1, entryTime: -1 });
 tradeSchema.index({ entryTime: -1 });
+tradeSchema.index({ userId: 1, setup: 1 });
+tradeSchema.index({ userId: 1, tags: 1 });
+tradeSchema.index({ userId: 1, reviewState: 1, entryTime: -1 });
+tradeSchema.index(
+  { userId: 1, fingerprint: 1 },
+  { unique: true, partialFilterExpression: { fingerprint: { $exists: true } } }
+);
+tradeSchema.index({ userId: 1, brokerTicketId: 1 }, { partialFilterExpression: { brokerTicketId: { $exists: true } } });
+
+tradeSchema.index({ userId: 1, status: 1 });
+tradeSchema.index({ userId: 1, accountId: 1, entryTime: -1 });
+
+/**
+ * Restrict a query to closed trades, the only ones with a realised outcome
+ * @returns {Query}
+ */
+tradeSchema.query.closed = function () {
+  return this.where({ status: { $ne: TradeStatus.OPEN } });
+};
+
+/**
+ * Restrict a query to the trades of an account
+ * @param {ObjectId} [accountId] - The trades of every account when not set
+ * @returns {Query}
+ */
+tradeSchema.query.inAccount = function (accountId) {
+  return accountId ? this.where({ accountId }) : this;
+};
 
 tradeSchema.plugin(toJSON);
 tradeSchema.plugin(paginate);
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const { toJSON } = require('./plugins');
-const { TradingSessions, StopLossDisciplines } = require('./enums');
+const { StopLossDisciplines } = require('./enums');
+const { sessionCodePattern } = require('../config/sessions');
 
 const tradingPlanSchema = mongoose.Schema(
   {
@@ -10,6 +11,12 @@ const tradingPlanSchema = mongoose.Schema(
       required: true,
       index: true,
     },
+    // Plan of an account, the plan without an account applies to the trades of accounts without one
+    accountId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Account',
+      default: null,
+    },
     maxTradesPerDay: {
       type: Number,
       required: true,
@@ -29,7 +36,7 @@ const tradingPlanSchema = mongoose.Schema(
       type: [
         {
           type: String,
-          enum: Object.values(TradingSessions),
+          match: sessionCodePattern,
         },
       ],
       required: true,
@@ -44,8 +51,8 @@ const tradingPlanSchema = mongoose.Schema(
   { timestamps: true }
 );
 
-// Add indexes for better query performance
-tradingPlanSchema.index({ userId: 1 });
+// One plan per account, and one without an account
+tradingPlanSchema.index({ userId: 1, accountId: 1 }, { unique: true });
 
 tradingPlanSchema.plugin(toJSON);
 
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+const { StopLossDisciplines } = require('./enums');
+const { sessionCodePattern } = require('../config/sessions');
+
+// Plan rules are immutable once recorded, only effectiveTo is set when the version is superseded
+const tradingPlanVersionSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true,
+      immutable: true,
+    },
+    accountId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Account',
+      default: null,
+      immutable: true,
+    },
+    tradingPlan: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'TradingPlan',
+      required: true,
+      immutable: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+      immutable: true,
+    },
+    maxTradesPerDay: {
+      type: Number,
+      required: true,
+      min: 0,
+      immutable: true,
+    },
+    riskPercentPerTrade: {
+      type: Number,
+      required: true,
+      min: 0,
+      immutable: true,
+    },
+    targetRiskRewardRatio: {
+      type: Number,
+      required: true,
+      min: 0,
+      immutable: true,
+    },
+    preferredSessions: {
+      type: [
+        {
+          type: String,
+          match: sessionCodePattern,
+        },
+      ],
+      required: true,
+      default: [],
+      immutable: true,
+    },
+    stopLossDiscipline: {
+      type: String,
+      enum: Object.values(StopLossDisciplines),
+      required: true,
+      immutable: true,
+    },
+    effectiveFrom: {
+      type: Date,
+      required: true,
+      immutable: true,
+    },
+    // Null while the version is in force
+    effectiveTo: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Each plan of a user, per account or not, is versioned on its own
+tradingPlanVersionSchema.index({ userId: 1, accountId: 1, version: 1 }, { unique: true });
+
+tradingPlanVersionSchema.plugin(toJSON);
+tradingPlanVersionSchema.plugin(paginate);
+
+/**
+ * @typedef TradingPlanVersion
+ */
+const TradingPlanVersion = mongoose.model('TradingPlanVersion', tradingPlanVersionSchema);
+
+module.exports = TradingPlanVersion;
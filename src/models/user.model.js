@@ -3,6 +3,7 @@ const validator = require('validator');
 const bcrypt = require('bcryptjs');
 const { toJSON, paginate } = require('./plugins');
 const { roles } = require('../config/roles');
+const { isValidTimeZone } = require('../utils/timezone');
 
 const userSchema = mongoose.Schema(
   {
@@ -51,6 +52,16 @@ const userSchema = mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // IANA time zone trades are grouped into days in
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate(value) {
+        if (!isValidTimeZone(value)) {
+          throw new Error('Invalid time zone');
+        }
+      },
+    },
   },
   {
     timestamps: true,
@@ -118,6 +129,16 @@ userSchema.statics.isEmailTaken = async function (email, excludeUserId) {
   return !!user;
 };
 
+/**
+ * Get the time zone of a user
+ * @param {ObjectId} userId
+ * @returns {Promise<string>} UTC when the user is not found
+ */
+userSchema.statics.getTimeZone = async function (userId) {
+  const user = await this.findById(userId).select('timezone').lean();
+  return (user && user.timezone) || 'UTC';
+};
+
 /**
  * Check if password matches the user's password
  * @param {string} password
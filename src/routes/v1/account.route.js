@@ -0,0 +1,234 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const accountValidation = require('../../validations/account.validation');
+const accountController = require('../../controllers/account.controller');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .post(auth(), validate(accountValidation.createAccount), accountController.createAccount)
+  .get(auth(), validate(accountValidation.getAccounts), accountController.getAccounts);
+
+router
+  .route('/:accountId')
+  .get(auth(), validate(accountValidation.getAccount), accountController.getAccount)
+  .patch(auth(), validate(accountValidation.updateAccount), accountController.updateAccount)
+  .delete(auth(), validate(accountValidation.deleteAccount), accountController.deleteAccount);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Accounts
+ *   description: Trading accounts trades and trading plans belong to
+ */
+
+/**
+ * @swagger
+ * /accounts:
+ *   post:
+ *     summary: Create an account
+ *     description: Add a trading account, such as a prop firm challenge or a personal broker account.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - startingBalance
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Unique per user
+ *               broker:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [PROP_CHALLENGE, FUNDED, PERSONAL, DEMO]
+ *                 default: PERSONAL
+ *               currency:
+ *                 type: string
+ *                 pattern: '^[A-Z]{3}$'
+ *                 default: USD
+ *               startingBalance:
+ *                 type: number
+ *                 minimum: 0
+ *             example:
+ *               name: FTMO 100k challenge
+ *               broker: FTMO
+ *               type: PROP_CHALLENGE
+ *               currency: USD
+ *               startingBalance: 100000
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Account'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ *   get:
+ *     summary: Get accounts
+ *     description: Get the trading accounts of the authenticated user.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [PROP_CHALLENGE, FUNDED, PERSONAL, DEMO]
+ *         description: Account type
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: Sort by field (e.g., name:asc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of accounts per page
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Account'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalResults:
+ *                   type: integer
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /accounts/{id}:
+ *   get:
+ *     summary: Get an account
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account id
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Account'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   patch:
+ *     summary: Update an account
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               broker:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [PROP_CHALLENGE, FUNDED, PERSONAL, DEMO]
+ *               currency:
+ *                 type: string
+ *               startingBalance:
+ *                 type: number
+ *             example:
+ *               type: FUNDED
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Account'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   delete:
+ *     summary: Delete an account
+ *     description: Removes the account with its trading plan and analyses. Accounts with trades cannot be deleted.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account id
+ *     responses:
+ *       "204":
+ *         description: No content
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
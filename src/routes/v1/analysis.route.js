@@ -8,12 +8,34 @@ const router = express.Router();
 
 router.route('/state').get(auth(), validate(analysisValidation.getState), analysisController.getState);
 
+router
+  .route('/state/analyses')
+  .get(auth(), validate(analysisValidation.getStateAnalyses), analysisController.getStateAnalyses);
+
+router
+  .route('/state/analyses/:stateAnalysisId')
+  .get(auth(), validate(analysisValidation.getStateAnalysis), analysisController.getStateAnalysis);
+
 router.route('/forecast').get(auth(), validate(analysisValidation.getForecast), analysisController.getForecast);
 
+router
+  .route('/forecast/accuracy')
+  .get(auth(), validate(analysisValidation.getForecastAccuracy), analysisController.getForecastAccuracy);
+
 router.route('/insights').get(auth(), validate(analysisValidation.getInsights), analysisController.getInsights);
 
 router.route('/history').get(auth(), validate(analysisValidation.getHistory), analysisController.getHistory);
 
+router
+  .route('/plan-adherence')
+  .get(auth(), validate(analysisValidation.getPlanAdherence), analysisController.getPlanAdherence);
+
+router.route('/snapshots').get(auth(), validate(analysisValidation.getSnapshots), analysisController.getSnapshots);
+
+router.route('/equity-curve').get(auth(), validate(analysisValidation.getEquityCurve), analysisController.getEquityCurve);
+
+router.route('/metrics').get(auth(), validate(analysisValidation.getMetrics), analysisController.getMetrics);
+
 module.exports = router;
 
 /**
@@ -28,10 +50,18 @@ module.exports = router;
  * /analysis/state:
  *   get:
  *     summary: Get current psychological state
- *     description: Get the current psychological state analysis for the authenticated user.
+ *     description: Get the current psychological state analysis for the authenticated user. The state comes from
+ *       the recent trades; check-ins of the last 24 hours and the emotions reported on trades weigh in on the
+ *       confidence and emotional balance.
  *     tags: [Analysis]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account id, or all (default) for all the accounts of the user
  *     responses:
  *       "200":
  *         description: OK
@@ -42,7 +72,7 @@ module.exports = router;
  *               properties:
  *                 state:
  *                   type: string
- *                   enum: [CONFIDENT, ANXIOUS, FRUSTRATED, DISCIPLINED, GREEDY, FEARFUL]
+ *                   enum: [STABLE, OVEREXTENDED, HESITANT, AGGRESSIVE]
  *                   description: Current psychological state
  *                 confidence:
  *                   type: number
@@ -68,8 +98,33 @@ module.exports = router;
  *                   items:
  *                     type: string
  *                   description: Psychological recommendations
+ *                 indicators:
+ *                   type: array
+ *                   description: Matched state rules, detected tilt patterns (revenge trading, risk escalation, overtrading)
+ *                     and self-reported inputs (mood, stress, sleep, confidence, trade emotions)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       category:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *                       severity:
+ *                         type: string
+ *                         enum: [positive, neutral, warning, critical]
+ *                       value:
+ *                         type: number
+ *                       occurredAt:
+ *                         type: string
+ *                         format: date-time
+ *                       tradeId:
+ *                         type: string
+ *                       source:
+ *                         type: string
+ *                         enum: [trades, check-ins, trade-emotions]
+ *                         description: Input the indicator was derived from
  *             example:
- *               state: "CONFIDENT"
+ *               state: "STABLE"
  *               confidence: 75
  *               riskTolerance: 60
  *               emotionalBalance: 80
@@ -79,6 +134,111 @@ module.exports = router;
  *         $ref: '#/components/responses/Unauthorized'
  */
 
+/**
+ * @swagger
+ * /analysis/state/analyses:
+ *   get:
+ *     summary: Get past state analyses
+ *     description: Get the psychological state analyses recorded for the authenticated user, newest first.
+ *     tags: [Analysis]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account id, or all (default) for all the accounts of the user
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [STABLE, OVEREXTENDED, HESITANT, AGGRESSIVE]
+ *         description: Filter by psychological state
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only analyses recorded on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only analyses recorded on or before this date
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: Sort by field (default timestamp:desc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of analyses per page
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StateAnalysis'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalResults:
+ *                   type: integer
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /analysis/state/analyses/{id}:
+ *   get:
+ *     summary: Get a past state analysis
+ *     description: Get a recorded psychological state analysis by ID for the authenticated user.
+ *     tags: [Analysis]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: State analysis ID
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StateAnalysis'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
 /**
  * @swagger
  * /analysis/forecast:
@@ -90,11 +250,15 @@ module.exports = router;
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account id, or all (default) for all the accounts of the user
+ *       - in: query
  *         name: session
  *         schema:
  *           type: string
- *           enum: [LONDON, NY, ASIA]
- *         description: Trading session to forecast
+ *         description: Code of the trading session to forecast, the first session of the user by default
  *     responses:
  *       "200":
  *         description: OK
@@ -105,7 +269,6 @@ module.exports = router;
  *               properties:
  *                 session:
  *                   type: string
- *                   enum: [LONDON, NY, ASIA]
  *                   description: Trading session
  *                 forecast:
  *                   type: string
@@ -155,6 +318,92 @@ module.exports = router;
  *         $ref: '#/components/responses/Unauthorized'
  */
 
+/**
+ * @swagger
+ * /analysis/forecast/accuracy:
+ *   get:
+ *     summary: Get session forecast accuracy
+ *     description: |
+ *       Compare persisted session forecasts with the trades actually taken in those sessions.
+ *       Forecasts of sessions that are over are resolved whenever trades change. The Brier score reads
+ *       the forecast probability as the chance of a profitable session (lower is better).
+ *     tags: [Analysis]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account id, or all (default) for all the accounts of the user
+ *       - in: query
+ *         name: session
+ *         schema:
+ *           type: string
+ *         description: Only include forecasts for this session
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include forecasts for session days on or after this day, in the time zone of the user
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include forecasts for session days on or before this day, in the time zone of the user
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ForecastAccuracy'
+ *                 - type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - type: object
+ *                             properties:
+ *                               session:
+ *                                 type: string
+ *                           - $ref: '#/components/schemas/ForecastAccuracy'
+ *                       description: Accuracy per trading session
+ *             example:
+ *               totalForecasts: 12
+ *               resolvedForecasts: 9
+ *               pendingForecasts: 1
+ *               hits: 6
+ *               hitRate: 66.67
+ *               brierScore: 0.2011
+ *               calibration:
+ *                 - range: "60-70"
+ *                   forecasts: 4
+ *                   predictedProbability: 65
+ *                   observedFrequency: 75
+ *               sessions:
+ *                 - session: "LONDON"
+ *                   totalForecasts: 12
+ *                   resolvedForecasts: 9
+ *                   pendingForecasts: 1
+ *                   hits: 6
+ *                   hitRate: 66.67
+ *                   brierScore: 0.2011
+ *                   calibration:
+ *                     - range: "60-70"
+ *                       forecasts: 4
+ *                       predictedProbability: 65
+ *                       observedFrequency: 75
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
 /**
  * @swagger
  * /analysis/insights:
@@ -166,12 +415,22 @@ module.exports = router;
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account id, or all (default) for all the accounts of the user
+ *       - in: query
  *         name: period
  *         schema:
  *           type: string
  *           enum: [WEEK, MONTH, QUARTER, YEAR]
  *         default: MONTH
  *         description: Analysis period
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Reporting currency, defaults to the currency of the account, or the one all the accounts share, otherwise USD
  *     responses:
  *       "200":
  *         description: OK
@@ -184,6 +443,21 @@ module.exports = router;
  *                   type: string
  *                   enum: [WEEK, MONTH, QUARTER, YEAR]
  *                   description: Analysis period
+ *                 currency:
+ *                   type: string
+ *                   description: Reporting currency of the profit/loss
+ *                 profitLoss:
+ *                   type: object
+ *                   properties:
+ *                     gross:
+ *                       type: number
+ *                     fees:
+ *                       type: number
+ *                       description: Commissions and swaps
+ *                     net:
+ *                       type: number
+ *                 unconvertedTrades:
+ *                   $ref: '#/components/schemas/UnconvertedTrades'
  *                 insights:
  *                   type: array
  *                   items:
@@ -191,8 +465,8 @@ module.exports = router;
  *                     properties:
  *                       type:
  *                         type: string
- *                         enum: [STRENGTH, WEAKNESS, OPPORTUNITY, THREAT]
- *                         description: Insight type
+ *                         enum: [STRENGTH, WEAKNESS, OPPORTUNITY, THREAT, CONSTRUCTIVE]
+ *                         description: Insight type, CONSTRUCTIVE for a mistake logged while reviewing trades
  *                       description:
  *                         type: string
  *                         description: Insight description
@@ -205,6 +479,9 @@ module.exports = router;
  *                         type: string
  *                         enum: [HIGH, MEDIUM, LOW]
  *                         description: Impact level
+ *                       mistake:
+ *                         type: string
+ *                         description: Code of the mistake, on CONSTRUCTIVE insights
  *                   description: Performance insights
  *                 patterns:
  *                   type: array
@@ -232,6 +509,11 @@ module.exports = router;
  *                   description: Improvement recommendations
  *             example:
  *               period: "MONTH"
+ *               currency: "USD"
+ *               profitLoss:
+ *                 gross: 1250.0
+ *                 fees: -87.5
+ *                 net: 1162.5
  *               insights:
  *                 - type: "STRENGTH"
  *                   description: "Consistent risk management in winning trades"
@@ -261,6 +543,11 @@ module.exports = router;
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account id, or all (default) for all the accounts of the user
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -299,7 +586,7 @@ module.exports = router;
  *                         description: State change timestamp
  *                       state:
  *                         type: string
- *                         enum: [CONFIDENT, ANXIOUS, FRUSTRATED, DISCIPLINED, GREEDY, FEARFUL]
+ *                         enum: [STABLE, OVEREXTENDED, HESITANT, AGGRESSIVE]
  *                         description: Psychological state
  *                       confidence:
  *                         type: number
@@ -332,7 +619,7 @@ module.exports = router;
  *             example:
  *               history:
  *                 - timestamp: "2023-01-01T09:00:00Z"
- *                   state: "CONFIDENT"
+ *                   state: "STABLE"
  *                   confidence: 75
  *                   trigger: "Successful trade"
  *                   context: {"tradeId": "123", "profit": 150}
@@ -343,9 +630,397 @@ module.exports = router;
  *                   context: {"tradeId": "124", "loss": -75}
  *               summary:
  *                 totalChanges: 25
- *                 mostCommonState: "CONFIDENT"
+ *                 mostCommonState: "STABLE"
  *                 averageConfidence: 68
  *                 volatility: 0.3
  *       "401":
  *         $ref: '#/components/responses/Unauthorized'
  */
+
+/**
+ * @swagger
+ * /analysis/plan-adherence:
+ *   get:
+ *     summary: Get trading plan adherence
+ *     description: |
+ *       Aggregate how well trades followed the trading plan, overall and per session. Each trade is scored
+ *       against the plan when it is recorded: planned risk, target R:R, preferred sessions, daily trade
+ *       limit and stop-loss discipline each cost 20 points when broken.
+ *     tags: [Analysis]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account id, or all (default) for all the accounts of the user
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only trades entered on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only trades entered on or before this date
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PlanAdherence'
+ *                 - type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - type: object
+ *                             properties:
+ *                               session:
+ *                                 type: string
+ *                           - $ref: '#/components/schemas/PlanAdherence'
+ *             example:
+ *               score: 84
+ *               scoredTrades: 10
+ *               compliantTrades: 6
+ *               violations:
+ *                 RISK_ABOVE_PLAN: 2
+ *                 RISK_REWARD_BELOW_TARGET: 1
+ *                 SESSION_NOT_PREFERRED: 1
+ *                 MAX_TRADES_EXCEEDED: 0
+ *                 STOP_LOSS_NOT_HONOURED: 0
+ *               sessions:
+ *                 - session: "LONDON"
+ *                   score: 84
+ *                   scoredTrades: 10
+ *                   compliantTrades: 6
+ *                   violations:
+ *                     RISK_ABOVE_PLAN: 2
+ *                     RISK_REWARD_BELOW_TARGET: 1
+ *                     SESSION_NOT_PREFERRED: 1
+ *                     MAX_TRADES_EXCEEDED: 0
+ *                     STOP_LOSS_NOT_HONOURED: 0
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /analysis/snapshots:
+ *   get:
+ *     summary: Get performance snapshots
+ *     description: |
+ *       Get the daily and weekly performance snapshots of the authenticated user, newest period first.
+ *       Snapshots are written by a scheduled job once a day or week is over in the time zone of the user.
+ *     tags: [Analysis]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account id, or all (default) for all the accounts of the user
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [DAILY, WEEKLY]
+ *         description: Filter by snapshot period
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only snapshots of periods starting on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only snapshots of periods starting on or before this date
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: Sort by field (default periodStart:desc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of snapshots per page
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PerformanceSnapshot'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalResults:
+ *                   type: integer
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /analysis/equity-curve:
+ *   get:
+ *     summary: Get the equity curve
+ *     description: |
+ *       Get the balance of the accounts of the authenticated user after the net profit/loss of each closed trade,
+ *       from their starting balance, with the peak balance and the drawdown from it. Days and weeks are in the
+ *       time zone of the user, and their points hold the balance at their end. Trades closed before startDate
+ *       still make the balance and peak the curve opens with.
+ *     tags: [Analysis]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account id, or all (default) for all the accounts of the user
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [TRADE, DAY, WEEK]
+ *           default: TRADE
+ *         description: One point per trade, per day or per week starting on Monday
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only trades closed on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only trades closed on or before this date
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Reporting currency, defaults to the currency of the account, or the one all the accounts share, otherwise USD
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 currency:
+ *                   type: string
+ *                 granularity:
+ *                   type: string
+ *                   enum: [TRADE, DAY, WEEK]
+ *                 timezone:
+ *                   type: string
+ *                 startingBalance:
+ *                   type: number
+ *                   description: Starting balance of the accounts, converted at the rate of the day each was opened
+ *                 openingBalance:
+ *                   type: number
+ *                   description: Balance before the first trade of the range
+ *                 closingBalance:
+ *                   type: number
+ *                 maxDrawdown:
+ *                   type: number
+ *                 maxDrawdownPercent:
+ *                   type: number
+ *                   nullable: true
+ *                 points:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         description: Exit time of the trade, or the day (YYYY-MM-DD) or first day of the week
+ *                       tradeId:
+ *                         type: string
+ *                         description: Only at the TRADE granularity
+ *                       trades:
+ *                         type: integer
+ *                       profitLoss:
+ *                         type: number
+ *                         description: Net profit/loss of the trades of the point
+ *                       balance:
+ *                         type: number
+ *                       peak:
+ *                         type: number
+ *                       drawdown:
+ *                         type: number
+ *                       drawdownPercent:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Drawdown as a percentage of the peak, not set while the peak is not positive
+ *                 drawdownPeriods:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       start:
+ *                         type: string
+ *                         description: First point below the peak
+ *                       trough:
+ *                         type: string
+ *                       recovery:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Point the balance got back to the peak, not set while it has not
+ *                       peakBalance:
+ *                         type: number
+ *                       troughBalance:
+ *                         type: number
+ *                       drawdown:
+ *                         type: number
+ *                       drawdownPercent:
+ *                         type: number
+ *                         nullable: true
+ *                       durationDays:
+ *                         type: number
+ *                         description: Days from the start to the recovery, or to the last point while not recovered
+ *                 unconvertedTrades:
+ *                   $ref: '#/components/schemas/UnconvertedTrades'
+ *                 unconvertedAccounts:
+ *                   type: array
+ *                   description: Accounts whose starting balance is left out for want of an FX rate on the day they were opened
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       accountId:
+ *                         type: string
+ *                       currency:
+ *                         type: string
+ *             example:
+ *               currency: USD
+ *               granularity: DAY
+ *               timezone: Europe/London
+ *               startingBalance: 10000
+ *               openingBalance: 10000
+ *               closingBalance: 10028
+ *               maxDrawdown: 100
+ *               maxDrawdownPercent: 0.99
+ *               points:
+ *                 - date: "2023-01-02"
+ *                   trades: 2
+ *                   profitLoss: 128
+ *                   balance: 10128
+ *                   peak: 10128
+ *                   drawdown: 0
+ *                   drawdownPercent: 0
+ *                 - date: "2023-01-03"
+ *                   trades: 1
+ *                   profitLoss: -100
+ *                   balance: 10028
+ *                   peak: 10128
+ *                   drawdown: 100
+ *                   drawdownPercent: 0.99
+ *               drawdownPeriods:
+ *                 - start: "2023-01-03"
+ *                   trough: "2023-01-03"
+ *                   recovery: null
+ *                   peakBalance: 10128
+ *                   troughBalance: 10028
+ *                   drawdown: 100
+ *                   drawdownPercent: 0.99
+ *                   durationDays: 0
+ *               unconvertedTrades: []
+ *               unconvertedAccounts: []
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /analysis/metrics:
+ *   get:
+ *     summary: Get performance metrics
+ *     description: |
+ *       Get the performance metrics of the closed trades entered in the period, overall and per session, from their
+ *       net profit/loss in the reporting currency. Drawdowns and returns are measured from the balance of the accounts
+ *       at the start of the period.
+ *     tags: [Analysis]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account id, or all (default) for all the accounts of the user
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [WEEK, MONTH, QUARTER, YEAR]
+ *         default: MONTH
+ *         description: Analysis period
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Reporting currency, defaults to the currency of the account, or the one all the accounts share, otherwise USD
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - type: object
+ *                   properties:
+ *                     period:
+ *                       type: string
+ *                       enum: [WEEK, MONTH, QUARTER, YEAR]
+ *                     currency:
+ *                       type: string
+ *                     openingBalance:
+ *                       type: number
+ *                       description: Balance of the accounts at the start of the period
+ *                     unconvertedTrades:
+ *                       $ref: '#/components/schemas/UnconvertedTrades'
+ *                 - $ref: '#/components/schemas/PerformanceMetricsBySession'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
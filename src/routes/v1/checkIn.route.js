@@ -0,0 +1,261 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const checkInValidation = require('../../validations/checkIn.validation');
+const checkInController = require('../../controllers/checkIn.controller');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .post(auth(), validate(checkInValidation.createCheckIn), checkInController.createCheckIn)
+  .get(auth(), validate(checkInValidation.getCheckIns), checkInController.getCheckIns);
+
+router
+  .route('/:checkInId')
+  .get(auth(), validate(checkInValidation.getCheckIn), checkInController.getCheckIn)
+  .patch(auth(), validate(checkInValidation.updateCheckIn), checkInController.updateCheckIn)
+  .delete(auth(), validate(checkInValidation.deleteCheckIn), checkInController.deleteCheckIn);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Check-ins
+ *   description: Self-reported mood, stress, sleep and confidence
+ */
+
+/**
+ * @swagger
+ * /check-ins:
+ *   post:
+ *     summary: Record a check-in
+ *     description: Record how the user feels before a session or after a trade, on a scale of 1 to 5. At least one
+ *       reading is required. The psychological state is recomputed with the check-in.
+ *     tags: [Check-ins]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [PRE_SESSION, POST_TRADE]
+ *               tradeId:
+ *                 type: string
+ *                 description: Trade of the user, only for post-trade check-ins
+ *               mood:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               stress:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               sleep:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 description: Sleep quality
+ *               confidence:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               notes:
+ *                 type: string
+ *               recordedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *             example:
+ *               type: PRE_SESSION
+ *               mood: 4
+ *               stress: 2
+ *               sleep: 3
+ *               confidence: 4
+ *               notes: Slept late, feeling sharp after coffee
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckIn'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ *   get:
+ *     summary: Get check-ins
+ *     description: Get the check-ins of the authenticated user, latest first.
+ *     tags: [Check-ins]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [PRE_SESSION, POST_TRADE]
+ *       - in: query
+ *         name: tradeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Earliest recorded at
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Latest recorded at
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: Sort by field (e.g., recordedAt:asc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of check-ins per page
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CheckIn'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalResults:
+ *                   type: integer
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /check-ins/{id}:
+ *   get:
+ *     summary: Get a check-in
+ *     tags: [Check-ins]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Check-in id
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckIn'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   patch:
+ *     summary: Update a check-in
+ *     tags: [Check-ins]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Check-in id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mood:
+ *                 type: integer
+ *               stress:
+ *                 type: integer
+ *               sleep:
+ *                 type: integer
+ *               confidence:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *               recordedAt:
+ *                 type: string
+ *                 format: date-time
+ *             example:
+ *               stress: 3
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckIn'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   delete:
+ *     summary: Delete a check-in
+ *     tags: [Check-ins]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Check-in id
+ *     responses:
+ *       "204":
+ *         description: No content
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
@@ -24,18 +24,36 @@ module.exports = router;
  * /dashboard:
  *   get:
  *     summary: Get complete dashboard data
- *     description: Get comprehensive dashboard data including trades, performance metrics, psychological state, and insights.
+ *     description: |
+ *       Get comprehensive dashboard data including trades, performance metrics, psychological state, and insights.
+ *       The dashboard is stored per period and served until trades or the trading plan change, or the day is over.
  *     tags: [Dashboard]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account id, or all (default) for all the accounts of the user
+ *       - in: query
  *         name: period
  *         schema:
  *           type: string
  *           enum: [WEEK, MONTH, QUARTER, YEAR]
  *         default: MONTH
  *         description: Analysis period for dashboard data
+ *       - in: query
+ *         name: fresh
+ *         schema:
+ *           type: boolean
+ *         default: false
+ *         description: Recompute the dashboard instead of serving the stored one
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Reporting currency, defaults to the currency of the account, or the one all the accounts share, otherwise USD
  *     responses:
  *       "200":
  *         description: OK
@@ -48,6 +66,12 @@ module.exports = router;
  *                   type: string
  *                   enum: [WEEK, MONTH, QUARTER, YEAR]
  *                   description: Analysis period
+ *                 currency:
+ *                   type: string
+ *                   description: Reporting currency of every amount, converted with the FX rate of the day of each trade
+ *                 timezone:
+ *                   type: string
+ *                   description: Time zone of the user, the days of the daily profit/loss are counted in
  *                 summary:
  *                   type: object
  *                   properties:
@@ -65,10 +89,17 @@ module.exports = router;
  *                       description: Win rate percentage
  *                     totalProfitLoss:
  *                       type: number
- *                       description: Total profit/loss
+ *                       description: Total gross profit/loss
+ *                     fees:
+ *                       type: number
+ *                       description: Total commissions and swaps
+ *                     netProfitLoss:
+ *                       type: number
+ *                       description: Total profit/loss after fees
  *                     averageRiskReward:
  *                       type: number
- *                       description: Average risk-reward ratio
+ *                       nullable: true
+ *                       description: Average risk-reward ratio of the trades it is known for, null when none has one
  *                     bestTrade:
  *                       type: number
  *                       description: Best trade profit
@@ -80,7 +111,7 @@ module.exports = router;
  *                   properties:
  *                     state:
  *                       type: string
- *                       enum: [CONFIDENT, ANXIOUS, FRUSTRATED, DISCIPLINED, GREEDY, FEARFUL]
+ *                       enum: [STABLE, OVEREXTENDED, HESITANT, AGGRESSIVE]
  *                       description: Current psychological state
  *                     confidence:
  *                       type: number
@@ -117,13 +148,40 @@ module.exports = router;
  *                         properties:
  *                           session:
  *                             type: string
- *                             enum: [LONDON, NY, ASIA]
+ *                           label:
+ *                             type: string
+ *                             description: Label of the session in the catalogue of the user, its code when no longer in it
  *                           trades:
  *                             type: integer
  *                           profitLoss:
  *                             type: number
  *                           winRate:
  *                             type: number
+ *                     setupPerformance:
+ *                       type: array
+ *                       description: Trades of each setup of the user, best expectancy first
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           setup:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           trades:
+ *                             type: integer
+ *                           profitLoss:
+ *                             type: number
+ *                           winRate:
+ *                             type: number
+ *                           expectancy:
+ *                             type: number
+ *                             description: Average profit/loss per trade
+ *                           expectancyR:
+ *                             type: number
+ *                             nullable: true
+ *                             description: |
+ *                               Average R multiple per trade, losing trades counting as negative R, over the trades
+ *                               it is known for
  *                     riskMetrics:
  *                       type: object
  *                       properties:
@@ -131,8 +189,12 @@ module.exports = router;
  *                           type: number
  *                         maxDrawdown:
  *                           type: number
- *                         sharpeRatio:
- *                           type: number
+ *                 metrics:
+ *                   $ref: '#/components/schemas/PerformanceMetricsBySession'
+ *                 planAdherence:
+ *                   $ref: '#/components/schemas/PlanAdherence'
+ *                 openExposure:
+ *                   $ref: '#/components/schemas/OpenExposure'
  *                 insights:
  *                   type: array
  *                   items:
@@ -140,7 +202,7 @@ module.exports = router;
  *                     properties:
  *                       type:
  *                         type: string
- *                         enum: [STRENGTH, WEAKNESS, OPPORTUNITY, THREAT]
+ *                         enum: [STRENGTH, WEAKNESS, OPPORTUNITY, THREAT, CONSTRUCTIVE]
  *                       description:
  *                         type: string
  *                       confidence:
@@ -148,6 +210,8 @@ module.exports = router;
  *                       impact:
  *                         type: string
  *                         enum: [HIGH, MEDIUM, LOW]
+ *                       mistake:
+ *                         type: string
  *                 recentTrades:
  *                   type: array
  *                   items:
@@ -163,26 +227,40 @@ module.exports = router;
  *                         format: date-time
  *                       profitLoss:
  *                         type: number
+ *                       netProfitLoss:
+ *                         type: number
  *                       session:
  *                         type: string
- *                         enum: [LONDON, NY, ASIA]
  *                       riskPercentUsed:
  *                         type: number
  *                       riskRewardAchieved:
  *                         type: number
+ *                       planAdherenceScore:
+ *                         type: number
+ *                         nullable: true
+ *                 unconvertedTrades:
+ *                   $ref: '#/components/schemas/UnconvertedTrades'
+ *                 computedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the dashboard was computed
  *             example:
  *               period: "MONTH"
+ *               currency: "USD"
+ *               timezone: "Europe/London"
  *               summary:
  *                 totalTrades: 25
  *                 winningTrades: 15
  *                 losingTrades: 10
  *                 winRate: 60.0
  *                 totalProfitLoss: 1250.0
+ *                 fees: -87.5
+ *                 netProfitLoss: 1162.5
  *                 averageRiskReward: 1.8
  *                 bestTrade: 450.0
  *                 worstTrade: -180.0
  *               psychologicalState:
- *                 state: "CONFIDENT"
+ *                 state: "STABLE"
  *                 confidence: 75
  *                 riskTolerance: 60
  *                 emotionalBalance: 80
@@ -194,17 +272,26 @@ module.exports = router;
  *                     profitLoss: -75.0
  *                 sessionPerformance:
  *                   - session: "LONDON"
+ *                     label: "London"
  *                     trades: 12
  *                     profitLoss: 800.0
  *                     winRate: 66.7
  *                   - session: "NY"
+ *                     label: "New York"
  *                     trades: 8
  *                     profitLoss: 300.0
  *                     winRate: 62.5
+ *                 setupPerformance:
+ *                   - setup: "5ebac534954b54139806c115"
+ *                     name: "London breakout"
+ *                     trades: 9
+ *                     profitLoss: 720.0
+ *                     winRate: 66.7
+ *                     expectancy: 80.0
+ *                     expectancyR: 0.8
  *                 riskMetrics:
  *                   averageRiskPerTrade: 2.1
  *                   maxDrawdown: 5.2
- *                   sharpeRatio: 1.4
  *               insights:
  *                 - type: "STRENGTH"
  *                   description: "Consistent risk management"
@@ -219,9 +306,11 @@ module.exports = router;
  *                   entryTime: "2023-01-01T09:00:00Z"
  *                   exitTime: "2023-01-01T10:30:00Z"
  *                   profitLoss: 150.0
+ *                   netProfitLoss: 146.5
  *                   session: "LONDON"
  *                   riskPercentUsed: 2.0
  *                   riskRewardAchieved: 1.5
+ *               computedAt: "2023-01-10T15:00:00Z"
  *       "401":
  *         $ref: '#/components/responses/Unauthorized'
  */
@@ -231,18 +320,36 @@ module.exports = router;
  * /dashboard/summary:
  *   get:
  *     summary: Get summary stats
- *     description: Get quick summary statistics for the dashboard header or overview.
+ *     description: |
+ *       Get quick summary statistics for the dashboard header or overview.
+ *       Served from the same stored dashboard as GET /dashboard.
  *     tags: [Dashboard]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account id, or all (default) for all the accounts of the user
+ *       - in: query
  *         name: period
  *         schema:
  *           type: string
  *           enum: [WEEK, MONTH, QUARTER, YEAR]
  *         default: MONTH
  *         description: Analysis period for summary stats
+ *       - in: query
+ *         name: fresh
+ *         schema:
+ *           type: boolean
+ *         default: false
+ *         description: Recompute the dashboard instead of serving the stored one
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Reporting currency, defaults to the currency of the account, or the one all the accounts share, otherwise USD
  *     responses:
  *       "200":
  *         description: OK
@@ -255,6 +362,9 @@ module.exports = router;
  *                   type: string
  *                   enum: [WEEK, MONTH, QUARTER, YEAR]
  *                   description: Analysis period
+ *                 currency:
+ *                   type: string
+ *                   description: Reporting currency of every amount
  *                 quickStats:
  *                   type: object
  *                   properties:
@@ -266,19 +376,33 @@ module.exports = router;
  *                       description: Win rate percentage
  *                     totalPnL:
  *                       type: number
- *                       description: Total profit/loss
+ *                       description: Total gross profit/loss
+ *                     netPnL:
+ *                       type: number
+ *                       description: Total profit/loss after commissions and swaps
  *                     avgRiskReward:
  *                       type: number
- *                       description: Average risk-reward ratio
+ *                       nullable: true
+ *                       description: Average risk-reward ratio of the trades it is known for, null when none has one
  *                     currentState:
  *                       type: string
- *                       enum: [CONFIDENT, ANXIOUS, FRUSTRATED, DISCIPLINED, GREEDY, FEARFUL]
+ *                       enum: [STABLE, OVEREXTENDED, HESITANT, AGGRESSIVE]
  *                       description: Current psychological state
  *                     confidence:
  *                       type: number
  *                       minimum: 0
  *                       maximum: 100
  *                       description: Confidence level
+ *                     planAdherence:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Plan adherence score of the period
+ *                     openTrades:
+ *                       type: integer
+ *                       description: Number of open trades, left out of the other stats
+ *                     openRiskPercent:
+ *                       type: number
+ *                       description: Risk left on the open trades
  *                 trends:
  *                   type: object
  *                   properties:
@@ -307,15 +431,26 @@ module.exports = router;
  *                       priority:
  *                         type: string
  *                         enum: [HIGH, MEDIUM, LOW]
+ *                 unconvertedTrades:
+ *                   $ref: '#/components/schemas/UnconvertedTrades'
+ *                 computedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the dashboard was computed
  *             example:
  *               period: "MONTH"
+ *               currency: "USD"
  *               quickStats:
  *                 totalTrades: 25
  *                 winRate: 60.0
  *                 totalPnL: 1250.0
+ *                 netPnL: 1162.5
  *                 avgRiskReward: 1.8
- *                 currentState: "CONFIDENT"
+ *                 currentState: "STABLE"
  *                 confidence: 75
+ *                 planAdherence: 84
+ *                 openTrades: 1
+ *                 openRiskPercent: 0.5
  *               trends:
  *                 pnlTrend: "UP"
  *                 winRateTrend: "STABLE"
@@ -327,6 +462,7 @@ module.exports = router;
  *                 - type: "WARNING"
  *                   message: "Risk per trade above target"
  *                   priority: "HIGH"
+ *               computedAt: "2023-01-10T15:00:00Z"
  *       "401":
  *         $ref: '#/components/responses/Unauthorized'
  */
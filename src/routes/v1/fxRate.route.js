@@ -0,0 +1,231 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const fxRateValidation = require('../../validations/fxRate.validation');
+const fxRateController = require('../../controllers/fxRate.controller');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .post(auth('manageFxRates'), validate(fxRateValidation.setFxRate), fxRateController.setFxRate)
+  .get(auth(), validate(fxRateValidation.getFxRates), fxRateController.getFxRates);
+
+router
+  .route('/import')
+  .post(
+    auth('manageFxRates'),
+    express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+    validate(fxRateValidation.importFxRates),
+    fxRateController.importFxRates
+  );
+
+router
+  .route('/:fxRateId')
+  .delete(auth('manageFxRates'), validate(fxRateValidation.deleteFxRate), fxRateController.deleteFxRate);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: FX Rates
+ *   description: Exchange rates converting profit/loss into the reporting currency
+ */
+
+/**
+ * @swagger
+ * /fx-rates:
+ *   post:
+ *     summary: Set an FX rate
+ *     description: Only admins can manage FX rates. Replaces the rate of the pair on the same day.
+ *     tags: [FX Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - baseCurrency
+ *               - quoteCurrency
+ *               - date
+ *               - rate
+ *             properties:
+ *               baseCurrency:
+ *                 type: string
+ *               quoteCurrency:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               rate:
+ *                 type: number
+ *                 description: Units of the quote currency for one unit of the base currency
+ *             example:
+ *               baseCurrency: EUR
+ *               quoteCurrency: USD
+ *               date: 2024-01-15
+ *               rate: 1.0875
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FxRate'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *
+ *   get:
+ *     summary: Get FX rates
+ *     description: Latest rates first.
+ *     tags: [FX Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: baseCurrency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: quoteCurrency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. date:asc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of rates
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FxRate'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalResults:
+ *                   type: integer
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /fx-rates/import:
+ *   post:
+ *     summary: Import FX rates from CSV
+ *     description: |
+ *       Only admins can import FX rates. The header names the date, base, quote and rate columns, in any order.
+ *       Dates are YYYY-MM-DD days. Rates already set for a pair and day are replaced; invalid rows are reported and skipped.
+ *     tags: [FX Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             date,base,quote,rate
+ *             2024-01-15,EUR,USD,1.0875
+ *             2024-01-15,GBP,USD,1.2710
+ *     responses:
+ *       "201":
+ *         description: Imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalRows:
+ *                   type: integer
+ *                 imported:
+ *                   type: integer
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                       messages:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /fx-rates/{id}:
+ *   delete:
+ *     summary: Delete an FX rate
+ *     description: Only admins can delete FX rates.
+ *     tags: [FX Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: FX rate id
+ *     responses:
+ *       "204":
+ *         description: No content
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
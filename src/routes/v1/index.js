@@ -1,10 +1,18 @@
 const express = require('express');
 const authRoute = require('./auth.route');
 const userRoute = require('./user.route');
+const accountRoute = require('./account.route');
 const tradingPlanRoute = require('./tradingPlan.route');
+const tradeImportRoute = require('./tradeImport.route');
 const tradeRoute = require('./trade.route');
+const setupRoute = require('./setup.route');
+const mistakeCatalogueRoute = require('./mistakeCatalogue.route');
+const sessionCatalogueRoute = require('./sessionCatalogue.route');
+const checkInRoute = require('./checkIn.route');
 const analysisRoute = require('./analysis.route');
 const dashboardRoute = require('./dashboard.route');
+const stateRuleRoute = require('./stateRule.route');
+const fxRateRoute = require('./fxRate.route');
 const healthRoute = require('./health.route');
 const docsRoute = require('./docs.route');
 const config = require('../../config/config');
@@ -20,14 +28,38 @@ const defaultRoutes = [
     path: '/users',
     route: userRoute,
   },
+  {
+    path: '/accounts',
+    route: accountRoute,
+  },
   {
     path: '/trading-plan',
     route: tradingPlanRoute,
   },
+  {
+    path: '/trades/import',
+    route: tradeImportRoute,
+  },
   {
     path: '/trades',
     route: tradeRoute,
   },
+  {
+    path: '/setups',
+    route: setupRoute,
+  },
+  {
+    path: '/mistakes',
+    route: mistakeCatalogueRoute,
+  },
+  {
+    path: '/trading-sessions',
+    route: sessionCatalogueRoute,
+  },
+  {
+    path: '/check-ins',
+    route: checkInRoute,
+  },
   {
     path: '/analysis',
     route: analysisRoute,
@@ -36,6 +68,14 @@ const defaultRoutes = [
     path: '/dashboard',
     route: dashboardRoute,
   },
+  {
+    path: '/state-rules',
+    route: stateRuleRoute,
+  },
+  {
+    path: '/fx-rates',
+    route: fxRateRoute,
+  },
   {
     path: '/health',
     route: healthRoute,
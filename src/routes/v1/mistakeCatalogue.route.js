@@ -0,0 +1,134 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const mistakeCatalogueValidation = require('../../validations/mistakeCatalogue.validation');
+const mistakeCatalogueController = require('../../controllers/mistakeCatalogue.controller');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(auth(), mistakeCatalogueController.getMistakes)
+  .put(auth(), validate(mistakeCatalogueValidation.saveMistakes), mistakeCatalogueController.saveMistakes)
+  .delete(auth(), mistakeCatalogueController.resetMistakes);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Mistakes
+ *   description: Catalogue of the mistakes trades are reviewed against
+ */
+
+/**
+ * @swagger
+ * /mistakes:
+ *   get:
+ *     summary: Get the mistake catalogue
+ *     description: Get the mistakes of the authenticated user, or the default catalogue when they have not configured one.
+ *     tags: [Mistakes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mistakes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Mistake'
+ *             example:
+ *               mistakes:
+ *                 - code: MOVED_STOP
+ *                   label: Moved stop
+ *                 - code: FOMO_ENTRY
+ *                   label: FOMO entry
+ *                 - code: OVERSIZED
+ *                   label: Oversized position
+ *                 - code: EARLY_EXIT
+ *                   label: Early exit
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ *   put:
+ *     summary: Replace the mistake catalogue
+ *     description: |
+ *       Replace the mistakes of the authenticated user. Reviewed trades keep the codes they were reviewed with,
+ *       so keeping a code while changing its label renames the mistake on past reviews.
+ *     tags: [Mistakes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mistakes
+ *             properties:
+ *               mistakes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - code
+ *                     - label
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                       pattern: '^[A-Z0-9_]+$'
+ *                       maxLength: 50
+ *                       description: Unique in the catalogue, uppercased
+ *                     label:
+ *                       type: string
+ *                       maxLength: 100
+ *             example:
+ *               mistakes:
+ *                 - code: MOVED_STOP
+ *                   label: Moved stop
+ *                 - code: REVENGE_TRADE
+ *                   label: Revenge trade
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mistakes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Mistake'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ *   delete:
+ *     summary: Reset the mistake catalogue
+ *     description: Go back to the default catalogue, which is returned.
+ *     tags: [Mistakes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mistakes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Mistake'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
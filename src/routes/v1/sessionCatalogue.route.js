@@ -0,0 +1,164 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const sessionCatalogueValidation = require('../../validations/sessionCatalogue.validation');
+const sessionCatalogueController = require('../../controllers/sessionCatalogue.controller');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(auth(), sessionCatalogueController.getSessions)
+  .put(auth(), validate(sessionCatalogueValidation.saveSessions), sessionCatalogueController.saveSessions)
+  .delete(auth(), sessionCatalogueController.resetSessions);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Trading Sessions
+ *   description: Catalogue of the trading sessions trades are assigned to
+ */
+
+/**
+ * @swagger
+ * /trading-sessions:
+ *   get:
+ *     summary: Get the session catalogue
+ *     description: Get the trading sessions of the authenticated user, or the default LONDON, NY and ASIA sessions when they have not configured their own.
+ *     tags: [Trading Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TradingSession'
+ *             example:
+ *               sessions:
+ *                 - code: LONDON
+ *                   label: London
+ *                   timeZone: Europe/London
+ *                   start: "08:00"
+ *                 - code: NY
+ *                   label: New York
+ *                   timeZone: America/New_York
+ *                   start: "08:00"
+ *                 - code: ASIA
+ *                   label: Asia
+ *                   timeZone: Australia/Sydney
+ *                   start: "07:00"
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ *   put:
+ *     summary: Replace the session catalogue
+ *     description: |
+ *       Replace the trading sessions of the authenticated user. Trades entered without a session are assigned
+ *       the session open at their entry time: of the sessions open then, the one opened last, so a session nested
+ *       in another takes its trades. Outside every session, trades go to the session opened last. Trades, trading
+ *       plans and forecasts keep the codes they were recorded with, so keeping a code while changing its label
+ *       renames the session on past trades.
+ *     tags: [Trading Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sessions
+ *             properties:
+ *               sessions:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - code
+ *                     - label
+ *                     - timeZone
+ *                     - start
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                       pattern: '^[A-Z0-9_]+$'
+ *                       maxLength: 50
+ *                       description: Unique in the catalogue, uppercased
+ *                     label:
+ *                       type: string
+ *                       maxLength: 100
+ *                     timeZone:
+ *                       type: string
+ *                       description: IANA time zone of the opening and closing times
+ *                     start:
+ *                       type: string
+ *                       pattern: '^([01][0-9]|2[0-3]):[0-5][0-9]$'
+ *                       description: Local opening time, HH:mm
+ *                     end:
+ *                       type: string
+ *                       pattern: '^([01][0-9]|2[0-3]):[0-5][0-9]$'
+ *                       description: Local closing time, HH:mm, the next day when before the start. Without an end, the session runs until another one opens.
+ *             example:
+ *               sessions:
+ *                 - code: SYDNEY
+ *                   label: Sydney
+ *                   timeZone: Australia/Sydney
+ *                   start: "07:00"
+ *                 - code: LONDON
+ *                   label: London
+ *                   timeZone: Europe/London
+ *                   start: "08:00"
+ *                 - code: NY_OPEN
+ *                   label: NY open 9:30-11:00
+ *                   timeZone: America/New_York
+ *                   start: "09:30"
+ *                   end: "11:00"
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TradingSession'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ *   delete:
+ *     summary: Reset the session catalogue
+ *     description: Go back to the default sessions, which are returned.
+ *     tags: [Trading Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TradingSession'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
@@ -0,0 +1,216 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const setupValidation = require('../../validations/setup.validation');
+const setupController = require('../../controllers/setup.controller');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .post(auth(), validate(setupValidation.createSetup), setupController.createSetup)
+  .get(auth(), validate(setupValidation.getSetups), setupController.getSetups);
+
+router
+  .route('/:setupId')
+  .get(auth(), validate(setupValidation.getSetup), setupController.getSetup)
+  .patch(auth(), validate(setupValidation.updateSetup), setupController.updateSetup)
+  .delete(auth(), validate(setupValidation.deleteSetup), setupController.deleteSetup);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Setups
+ *   description: Playbook of the setups trades are taken on
+ */
+
+/**
+ * @swagger
+ * /setups:
+ *   post:
+ *     summary: Create a setup
+ *     description: Add a setup to the playbook of the user, with the rules to check before taking it.
+ *     tags: [Setups]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Unique per user
+ *               description:
+ *                 type: string
+ *               rules:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   maxLength: 200
+ *             example:
+ *               name: London breakout
+ *               description: Break of the Asian range in the first hour of London
+ *               rules:
+ *                 - Asian range under 30 pips
+ *                 - Candle close outside the range
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Setup'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ *   get:
+ *     summary: Get setups
+ *     description: Get the setups of the authenticated user.
+ *     tags: [Setups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: Sort by field (e.g., name:asc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of setups per page
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Setup'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalResults:
+ *                   type: integer
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /setups/{id}:
+ *   get:
+ *     summary: Get a setup
+ *     tags: [Setups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Setup id
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Setup'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   patch:
+ *     summary: Update a setup
+ *     tags: [Setups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Setup id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               rules:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *             example:
+ *               name: London range breakout
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Setup'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   delete:
+ *     summary: Delete a setup
+ *     description: The trades taken on the setup are kept, without a setup.
+ *     tags: [Setups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Setup id
+ *     responses:
+ *       "204":
+ *         description: No content
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
@@ -0,0 +1,335 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const stateRuleValidation = require('../../validations/stateRule.validation');
+const stateRuleController = require('../../controllers/stateRule.controller');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .post(auth('manageStateRules'), validate(stateRuleValidation.createStateRuleSet), stateRuleController.createStateRuleSet)
+  .get(auth('manageStateRules'), validate(stateRuleValidation.getStateRuleSets), stateRuleController.getStateRuleSets);
+
+router
+  .route('/dry-run')
+  .post(auth('manageStateRules'), validate(stateRuleValidation.dryRunStateRules), stateRuleController.dryRunStateRules);
+
+router
+  .route('/:ruleSetId')
+  .get(auth('manageStateRules'), validate(stateRuleValidation.getStateRuleSet), stateRuleController.getStateRuleSet)
+  .patch(auth('manageStateRules'), validate(stateRuleValidation.updateStateRuleSet), stateRuleController.updateStateRuleSet)
+  .delete(
+    auth('manageStateRules'),
+    validate(stateRuleValidation.deleteStateRuleSet),
+    stateRuleController.deleteStateRuleSet
+  );
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: State Rules
+ *   description: Rules driving psychological state detection
+ */
+
+/**
+ * @swagger
+ * /state-rules:
+ *   post:
+ *     summary: Create a state rule set
+ *     description: Only admins can manage state rules. Omit userId to create the global rule set.
+ *     tags: [State Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - rules
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: User the rule set applies to, null for the global rule set
+ *               name:
+ *                 type: string
+ *               rules:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/StateRule'
+ *             example:
+ *               userId: 5ebac534954b54139806c111
+ *               name: Scalper thresholds
+ *               rules:
+ *                 - name: High risk per trade
+ *                   conditions:
+ *                     - metric: avgRiskUsed
+ *                       operator: gt
+ *                       value: 1
+ *                   state: AGGRESSIVE
+ *                   adjustments:
+ *                     riskTolerance: 20
+ *                   indicator:
+ *                     category: Risk Management
+ *                     message: Average risk per trade above 1%
+ *                     severity: warning
+ *                   recommendation: Reduce risk per trade
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StateRuleSet'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *
+ *   get:
+ *     summary: Get all state rule sets
+ *     description: Only admins can retrieve state rule sets.
+ *     tags: [State Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Filter by user
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. name:asc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of rule sets
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StateRuleSet'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalResults:
+ *                   type: integer
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /state-rules/dry-run:
+ *   post:
+ *     summary: Dry-run state rules
+ *     description: Evaluate inline rules, a stored rule set, or the rules currently applying to a user against that user's last 10 trades. Nothing is persisted.
+ *     tags: [State Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               ruleSetId:
+ *                 type: string
+ *                 description: Stored rule set to evaluate
+ *               rules:
+ *                 type: array
+ *                 description: Inline rules to evaluate
+ *                 items:
+ *                   $ref: '#/components/schemas/StateRule'
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 userId:
+ *                   type: string
+ *                 source:
+ *                   type: string
+ *                   enum: [INLINE, USER, GLOBAL, DEFAULT]
+ *                 ruleSetId:
+ *                   type: string
+ *                   nullable: true
+ *                 analyzedTradeCount:
+ *                   type: integer
+ *                 metrics:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: number
+ *                 matchedRules:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 result:
+ *                   type: object
+ *                   properties:
+ *                     state:
+ *                       type: string
+ *                       enum: [STABLE, OVEREXTENDED, HESITANT, AGGRESSIVE]
+ *                     confidence:
+ *                       type: number
+ *                     riskTolerance:
+ *                       type: number
+ *                     emotionalBalance:
+ *                       type: number
+ *                     indicators:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     recommendations:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /state-rules/{id}:
+ *   get:
+ *     summary: Get a state rule set
+ *     description: Only admins can retrieve state rule sets.
+ *     tags: [State Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule set id
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StateRuleSet'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   patch:
+ *     summary: Update a state rule set
+ *     description: Only admins can update state rule sets.
+ *     tags: [State Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule set id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 nullable: true
+ *               name:
+ *                 type: string
+ *               rules:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/StateRule'
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StateRuleSet'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   delete:
+ *     summary: Delete a state rule set
+ *     description: Only admins can delete state rule sets. Users fall back to the global rule set, then to the built-in rules.
+ *     tags: [State Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule set id
+ *     responses:
+ *       "204":
+ *         description: No content
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
@@ -13,12 +13,22 @@ router
 
 router.route('/bulk').post(auth(), validate(tradeValidation.createBulkTrades), tradeController.createBulkTrades);
 
+router.route('/export').get(auth(), validate(tradeValidation.exportTrades), tradeController.exportTrades);
+
+router.route('/review-queue').get(auth(), validate(tradeValidation.getReviewQueue), tradeController.getReviewQueue);
+
 router
   .route('/:tradeId')
   .get(auth(), validate(tradeValidation.getTrade), tradeController.getTrade)
   .put(auth(), validate(tradeValidation.updateTrade), tradeController.updateTrade)
   .delete(auth(), validate(tradeValidation.deleteTrade), tradeController.deleteTrade);
 
+router.route('/:tradeId/review').put(auth(), validate(tradeValidation.reviewTrade), tradeController.reviewTrade);
+
+router.route('/:tradeId/exits').post(auth(), validate(tradeValidation.addTradeExit), tradeController.addTradeExit);
+
+router.route('/:tradeId/close').post(auth(), validate(tradeValidation.closeTrade), tradeController.closeTrade);
+
 module.exports = router;
 
 /**
@@ -33,7 +43,16 @@ module.exports = router;
  * /trades:
  *   post:
  *     summary: Create a trade
- *     description: Create a new trade for the authenticated user.
+ *     description: |
+ *       Create a new trade for the authenticated user.
+ *       When prices are given, riskRewardAchieved is derived from the entry, exit and stop loss prices and
+ *       targetPercentAchieved from the entry, exit and take profit prices, replacing any typed value.
+ *       A trade with the entry and exit times, profit/loss and broker ticket id of a recorded trade is
+ *       rejected, as is one whose broker ticket is recorded with other times or profit/loss.
+ *       An OPEN trade is recorded without its outcome (exit time and price, profit/loss, R:R, target achieved,
+ *       stop loss hit, exited early), which is given when it is closed. A closed trade scaled out of is recorded
+ *       with its exits instead of an exit time, price and profit/loss: those are computed from the exits.
+ *       exitTime, profitLoss, stopLossHit and exitedEarly are required for closed trades.
  *     tags: [Trades]
  *     security:
  *       - bearerAuth: []
@@ -45,15 +64,22 @@ module.exports = router;
  *             type: object
  *             required:
  *               - entryTime
- *               - exitTime
  *               - riskPercentUsed
- *               - profitLoss
- *               - riskRewardAchieved
- *               - session
- *               - stopLossHit
- *               - exitedEarly
- *               - targetPercentAchieved
  *             properties:
+ *               accountId:
+ *                 type: string
+ *                 description: Account the trade was taken on
+ *               status:
+ *                 type: string
+ *                 enum: [OPEN, CLOSED]
+ *                 default: CLOSED
+ *               symbol:
+ *                 type: string
+ *                 description: Traded instrument, stored uppercase
+ *               direction:
+ *                 type: string
+ *                 enum: [LONG, SHORT]
+ *                 description: Long or short
  *               entryTime:
  *                 type: string
  *                 format: date-time
@@ -62,21 +88,49 @@ module.exports = router;
  *                 type: string
  *                 format: date-time
  *                 description: Trade exit time
+ *               entryPrice:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Entry price
+ *               exitPrice:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Exit price
+ *               stopLossPrice:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Stop loss price, derives riskRewardAchieved with the entry and exit prices
+ *               takeProfitPrice:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Take profit price, derives targetPercentAchieved with the entry and exit prices
+ *               positionSize:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Position size, in lots, contracts or units
  *               riskPercentUsed:
  *                 type: number
  *                 minimum: 0
  *                 description: Risk percentage used for this trade
  *               profitLoss:
  *                 type: number
- *                 description: Profit or loss amount
+ *                 description: Gross profit or loss amount
+ *               commission:
+ *                 type: number
+ *                 description: Commission charged by the broker, negative when paid
+ *               swap:
+ *                 type: number
+ *                 description: Overnight financing, negative when paid
+ *               currency:
+ *                 type: string
+ *                 description: ISO 4217 code of the amounts, the account currency when not set
  *               riskRewardAchieved:
  *                 type: number
  *                 minimum: 0
- *                 description: Risk-reward ratio achieved
+ *                 description: Risk-reward ratio achieved, required unless stopLossPrice is given
  *               session:
  *                 type: string
- *                 enum: [LONDON, NY, ASIA]
- *                 description: Trading session
+ *                 description: Code of a trading session of the user, by default the session open at the entry time
  *               stopLossHit:
  *                 type: boolean
  *                 description: Whether stop loss was hit
@@ -86,20 +140,50 @@ module.exports = router;
  *               targetPercentAchieved:
  *                 type: number
  *                 minimum: 0
- *                 description: Target percentage achieved
+ *                 description: Target percentage achieved, required unless takeProfitPrice is given
  *               notes:
  *                 type: string
  *                 description: Additional notes
+ *               brokerTicketId:
+ *                 type: string
+ *                 description: Id of the position at the broker, part of the natural key of the trade
+ *               setup:
+ *                 type: string
+ *                 description: Id of a setup of the user
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   maxLength: 50
+ *                 description: Free tags, stored lowercase
+ *               preTradeEmotion:
+ *                 type: string
+ *                 enum: [CALM, FOCUSED, CONFIDENT, NEUTRAL, BORED, ANXIOUS, FEARFUL, FRUSTRATED, GREEDY, EUPHORIC]
+ *                 description: Emotion when entering the trade
+ *               postTradeEmotion:
+ *                 type: string
+ *                 enum: [CALM, FOCUSED, CONFIDENT, NEUTRAL, BORED, ANXIOUS, FEARFUL, FRUSTRATED, GREEDY, EUPHORIC]
+ *                 description: Emotion after closing the trade
+ *               exits:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/TradeExit'
+ *                 description: Partial exits of an open trade, or every exit of a closed trade scaled out of
  *             example:
+ *               symbol: EURUSD
+ *               direction: LONG
  *               entryTime: "2023-01-01T09:00:00Z"
  *               exitTime: "2023-01-01T10:30:00Z"
+ *               entryPrice: 1.0700
+ *               exitPrice: 1.0730
+ *               stopLossPrice: 1.0680
+ *               takeProfitPrice: 1.0730
+ *               positionSize: 1.0
  *               riskPercentUsed: 2.0
  *               profitLoss: 150.0
- *               riskRewardAchieved: 1.5
  *               session: LONDON
  *               stopLossHit: false
  *               exitedEarly: false
- *               targetPercentAchieved: 100.0
  *               notes: "Good trade setup"
  *     responses:
  *       "201":
@@ -121,10 +205,25 @@ module.exports = router;
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account id
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *         description: Filter by traded instrument
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [LONG, SHORT]
+ *         description: Filter by direction
+ *       - in: query
  *         name: session
  *         schema:
  *           type: string
- *           enum: [LONDON, NY, ASIA]
  *         description: Filter by trading session
  *       - in: query
  *         name: entryTime
@@ -149,6 +248,33 @@ module.exports = router;
  *           type: boolean
  *         description: Filter by early exit
  *       - in: query
+ *         name: setup
+ *         schema:
+ *           type: string
+ *         description: Filter by setup id
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Filter by tag
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [OPEN, CLOSED]
+ *         description: Filter by status
+ *       - in: query
+ *         name: reviewState
+ *         schema:
+ *           type: string
+ *           enum: [UNREVIEWED, REVIEWED, FLAGGED]
+ *         description: Filter by review state
+ *       - in: query
+ *         name: mistake
+ *         schema:
+ *           type: string
+ *         description: Filter by mistake code
+ *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
@@ -196,7 +322,11 @@ module.exports = router;
  * /trades/bulk:
  *   post:
  *     summary: Import multiple trades
- *     description: Import multiple trades for the authenticated user.
+ *     description: |
+ *       Import multiple trades for the authenticated user. A trade is identified by its entry and exit times,
+ *       profit/loss and broker ticket id: trades already recorded are skipped, and trades whose broker ticket
+ *       is recorded with other times or profit/loss are reported as conflicting. Neither is created, so the
+ *       same batch can be sent again safely.
  *     tags: [Trades]
  *     security:
  *       - bearerAuth: []
@@ -218,29 +348,51 @@ module.exports = router;
  *                     - exitTime
  *                     - riskPercentUsed
  *                     - profitLoss
- *                     - riskRewardAchieved
- *                     - session
  *                     - stopLossHit
  *                     - exitedEarly
- *                     - targetPercentAchieved
  *                   properties:
+ *                     symbol:
+ *                       type: string
+ *                     direction:
+ *                       type: string
+ *                       enum: [LONG, SHORT]
  *                     entryTime:
  *                       type: string
  *                       format: date-time
  *                     exitTime:
  *                       type: string
  *                       format: date-time
+ *                     entryPrice:
+ *                       type: number
+ *                       minimum: 0
+ *                     exitPrice:
+ *                       type: number
+ *                       minimum: 0
+ *                     stopLossPrice:
+ *                       type: number
+ *                       minimum: 0
+ *                     takeProfitPrice:
+ *                       type: number
+ *                       minimum: 0
+ *                     positionSize:
+ *                       type: number
+ *                       minimum: 0
  *                     riskPercentUsed:
  *                       type: number
  *                       minimum: 0
  *                     profitLoss:
  *                       type: number
+ *                     commission:
+ *                       type: number
+ *                     swap:
+ *                       type: number
+ *                     currency:
+ *                       type: string
  *                     riskRewardAchieved:
  *                       type: number
  *                       minimum: 0
  *                     session:
  *                       type: string
- *                       enum: [LONDON, NY, ASIA]
  *                     stopLossHit:
  *                       type: boolean
  *                     exitedEarly:
@@ -250,6 +402,29 @@ module.exports = router;
  *                       minimum: 0
  *                     notes:
  *                       type: string
+ *                     brokerTicketId:
+ *                       type: string
+ *                     setup:
+ *                       type: string
+ *                     tags:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     preTradeEmotion:
+ *                       type: string
+ *                       enum: [CALM, FOCUSED, CONFIDENT, NEUTRAL, BORED, ANXIOUS, FEARFUL, FRUSTRATED, GREEDY, EUPHORIC]
+ *                     postTradeEmotion:
+ *                       type: string
+ *                       enum: [CALM, FOCUSED, CONFIDENT, NEUTRAL, BORED, ANXIOUS, FEARFUL, FRUSTRATED, GREEDY, EUPHORIC]
+ *                     status:
+ *                       type: string
+ *                       enum: [OPEN, CLOSED]
+ *                     accountId:
+ *                       type: string
+ *                     exits:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TradeExit'
  *             example:
  *               trades:
  *                 - entryTime: "2023-01-01T09:00:00Z"
@@ -272,16 +447,194 @@ module.exports = router;
  *               properties:
  *                 trades:
  *                   type: array
+ *                   description: Created trades
  *                   items:
  *                     $ref: '#/components/schemas/Trade'
  *                 count:
  *                   type: integer
+ *                   description: Number of created trades
+ *                 skipped:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TradeDuplicate'
+ *                 conflicting:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TradeDuplicate'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /trades/export:
+ *   get:
+ *     summary: Export trades
+ *     description: |
+ *       Download all the trades of the authenticated user matching the filters of GET /trades, oldest first.
+ *       CSV and Excel files have one column per trade field, JSON files hold an array of trades. CSV text that
+ *       a spreadsheet would run as a formula is prefixed with a quote.
+ *     tags: [Trades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account id
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, xlsx]
+ *           default: csv
+ *         description: File format
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *         description: Filter by traded instrument
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [LONG, SHORT]
+ *         description: Filter by direction
+ *       - in: query
+ *         name: session
+ *         schema:
+ *           type: string
+ *         description: Filter by trading session
+ *       - in: query
+ *         name: entryTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Filter by entry time
+ *       - in: query
+ *         name: exitTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Filter by exit time
+ *       - in: query
+ *         name: stopLossHit
+ *         schema:
+ *           type: boolean
+ *         description: Filter by stop loss hit
+ *       - in: query
+ *         name: exitedEarly
+ *         schema:
+ *           type: boolean
+ *         description: Filter by early exit
+ *       - in: query
+ *         name: setup
+ *         schema:
+ *           type: string
+ *         description: Filter by setup id
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Filter by tag
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [OPEN, CLOSED]
+ *         description: Filter by status
+ *       - in: query
+ *         name: reviewState
+ *         schema:
+ *           type: string
+ *           enum: [UNREVIEWED, REVIEWED, FLAGGED]
+ *         description: Filter by review state
+ *       - in: query
+ *         name: mistake
+ *         schema:
+ *           type: string
+ *         description: Filter by mistake code
+ *     responses:
+ *       "200":
+ *         description: The exported file, as an attachment
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *             example: |
+ *               id,symbol,direction,entryTime,exitTime,session,entryPrice,exitPrice,stopLossPrice,takeProfitPrice,positionSize,riskPercentUsed,profitLoss,riskRewardAchieved,targetPercentAchieved,stopLossHit,exitedEarly,planAdherenceScore,brokerTicketId,setup,tags,reviewState,mistakes,grade,lesson,notes
+ *               5ebac534954b54139806c112,EURUSD,LONG,2023-01-01T09:00:00.000Z,2023-01-01T10:30:00.000Z,LONDON,1.07,1.073,1.068,1.073,1,2,150,1.5,100,false,false,80,48213377,5ebac534954b54139806c115,"news, a-plus",REVIEWED,,A,Patience paid off,Good trade setup
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Trade'
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
  *       "400":
  *         $ref: '#/components/responses/BadRequest'
  *       "401":
  *         $ref: '#/components/responses/Unauthorized'
  */
 
+/**
+ * @swagger
+ * /trades/review-queue:
+ *   get:
+ *     summary: Get the trades waiting for a review
+ *     description: Get the unreviewed trades of the authenticated user, latest first.
+ *     tags: [Trades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: Sort by field (default entryTime:desc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of trades per page
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Trade'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalResults:
+ *                   type: integer
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
 /**
  * @swagger
  * /trades/{id}:
@@ -330,23 +683,52 @@ module.exports = router;
  *           schema:
  *             type: object
  *             properties:
+ *               accountId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Account of the trade, null to detach it
+ *               symbol:
+ *                 type: string
+ *               direction:
+ *                 type: string
+ *                 enum: [LONG, SHORT]
  *               entryTime:
  *                 type: string
  *                 format: date-time
  *               exitTime:
  *                 type: string
  *                 format: date-time
+ *               entryPrice:
+ *                 type: number
+ *                 minimum: 0
+ *               exitPrice:
+ *                 type: number
+ *                 minimum: 0
+ *               stopLossPrice:
+ *                 type: number
+ *                 minimum: 0
+ *               takeProfitPrice:
+ *                 type: number
+ *                 minimum: 0
+ *               positionSize:
+ *                 type: number
+ *                 minimum: 0
  *               riskPercentUsed:
  *                 type: number
  *                 minimum: 0
  *               profitLoss:
  *                 type: number
+ *               commission:
+ *                 type: number
+ *               swap:
+ *                 type: number
+ *               currency:
+ *                 type: string
  *               riskRewardAchieved:
  *                 type: number
  *                 minimum: 0
  *               session:
  *                 type: string
- *                 enum: [LONDON, NY, ASIA]
  *               stopLossHit:
  *                 type: boolean
  *               exitedEarly:
@@ -356,6 +738,27 @@ module.exports = router;
  *                 minimum: 0
  *               notes:
  *                 type: string
+ *               brokerTicketId:
+ *                 type: string
+ *               setup:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Id of a setup of the user, null to detach the trade from its setup
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               preTradeEmotion:
+ *                 type: string
+ *                 enum: [CALM, FOCUSED, CONFIDENT, NEUTRAL, BORED, ANXIOUS, FEARFUL, FRUSTRATED, GREEDY, EUPHORIC]
+ *               postTradeEmotion:
+ *                 type: string
+ *                 enum: [CALM, FOCUSED, CONFIDENT, NEUTRAL, BORED, ANXIOUS, FEARFUL, FRUSTRATED, GREEDY, EUPHORIC]
+ *               exits:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/TradeExit'
+ *                 description: Replaces the exits of the trade
  *             example:
  *               profitLoss: 200.0
  *               notes: "Updated notes"
@@ -394,3 +797,186 @@ module.exports = router;
  *       "404":
  *         $ref: '#/components/responses/NotFound'
  */
+
+/**
+ * @swagger
+ * /trades/{id}/review:
+ *   put:
+ *     summary: Review a trade
+ *     description: |
+ *       Record the journal review of a trade: its review state, the mistakes made from the user's mistake
+ *       catalogue, a grade and the lesson learnt. Setting the state back to UNREVIEWED returns the trade to
+ *       the review queue. Mistakes logged on reviewed trades feed the performance insights.
+ *     tags: [Trades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trade ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reviewState
+ *             properties:
+ *               reviewState:
+ *                 type: string
+ *                 enum: [UNREVIEWED, REVIEWED, FLAGGED]
+ *               mistakes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Codes from the mistake catalogue
+ *               grade:
+ *                 type: string
+ *                 enum: [A, B, C, D, F]
+ *                 nullable: true
+ *               lesson:
+ *                 type: string
+ *             example:
+ *               reviewState: REVIEWED
+ *               mistakes: [FOMO_ENTRY]
+ *               grade: C
+ *               lesson: Wait for the candle close before entering
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Trade'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /trades/{id}/exits:
+ *   post:
+ *     summary: Scale out of an open trade
+ *     description: |
+ *       Record a partial exit of an open trade. When the trade has a position size, the exit must leave part
+ *       of it open: the last exit is recorded by closing the trade.
+ *     tags: [Trades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trade ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TradeExit'
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Trade'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /trades/{id}/close:
+ *   post:
+ *     summary: Close an open trade
+ *     description: |
+ *       Record the outcome of an open trade. A trade scaled out of gets the final exit added to its exits, its
+ *       size defaulting to the size left open, and its exit time, price and profit/loss are computed from them;
+ *       without a final exit, the exits already taken close the whole position. A trade never scaled out of
+ *       is closed with the exit time and profit/loss given. R:R and target achieved are derived from the prices
+ *       like for new trades, and required otherwise.
+ *     tags: [Trades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trade ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stopLossHit
+ *               - exitedEarly
+ *             properties:
+ *               exitTime:
+ *                 type: string
+ *                 format: date-time
+ *               exitPrice:
+ *                 type: number
+ *                 minimum: 0
+ *               positionSize:
+ *                 type: number
+ *                 description: Size of the final exit, the size left open by default
+ *               profitLoss:
+ *                 type: number
+ *                 description: Profit/loss of the final exit, required with exitTime
+ *               commission:
+ *                 type: number
+ *                 description: Total commission of the trade, negative when paid
+ *               swap:
+ *                 type: number
+ *                 description: Total overnight financing of the trade, negative when paid
+ *               riskRewardAchieved:
+ *                 type: number
+ *                 minimum: 0
+ *               targetPercentAchieved:
+ *                 type: number
+ *                 minimum: 0
+ *               stopLossHit:
+ *                 type: boolean
+ *               exitedEarly:
+ *                 type: boolean
+ *             example:
+ *               exitTime: "2023-01-01T11:30:00Z"
+ *               exitPrice: 1.0745
+ *               profitLoss: 90.0
+ *               riskRewardAchieved: 2.1
+ *               targetPercentAchieved: 100
+ *               stopLossHit: false
+ *               exitedEarly: false
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Trade'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
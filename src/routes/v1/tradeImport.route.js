@@ -0,0 +1,385 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const tradeImportValidation = require('../../validations/tradeImport.validation');
+const tradeImportController = require('../../controllers/tradeImport.controller');
+
+const router = express.Router();
+
+router
+  .route('/profiles')
+  .post(auth(), validate(tradeImportValidation.createImportProfile), tradeImportController.createImportProfile)
+  .get(auth(), validate(tradeImportValidation.getImportProfiles), tradeImportController.getImportProfiles);
+
+router
+  .route('/profiles/:profileId')
+  .get(auth(), validate(tradeImportValidation.getImportProfile), tradeImportController.getImportProfile)
+  .patch(auth(), validate(tradeImportValidation.updateImportProfile), tradeImportController.updateImportProfile)
+  .delete(auth(), validate(tradeImportValidation.deleteImportProfile), tradeImportController.deleteImportProfile);
+
+// Years of history easily exceed the default JSON body limit, so the file is sent as is
+router
+  .route('/csv')
+  .post(
+    auth(),
+    express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+    validate(tradeImportValidation.importCsv),
+    tradeImportController.importCsv
+  );
+
+// MT5 saves its reports as UTF-16, so the statement is decoded by the service rather than the body parser
+router
+  .route('/metatrader')
+  .post(
+    auth(),
+    express.raw({ type: ['text/html', 'application/octet-stream'], limit: '10mb' }),
+    validate(tradeImportValidation.importMetaTrader),
+    tradeImportController.importMetaTrader
+  );
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Trade Import
+ *   description: Import trades from files
+ */
+
+/**
+ * @swagger
+ * /trades/import/profiles:
+ *   post:
+ *     summary: Create an import profile
+ *     description: Save how the columns of a CSV file map to trade fields, and how its dates are written.
+ *     tags: [Trade Import]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - mapping
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Unique per user
+ *               mapping:
+ *                 $ref: '#/components/schemas/ImportColumnMapping'
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone of dates without an offset (default UTC)
+ *               dateFormat:
+ *                 type: string
+ *                 description: Moment.js format of the dates (default ISO 8601)
+ *               delimiter:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 1
+ *                 description: Column delimiter (default ,)
+ *             example:
+ *               name: Journal spreadsheet
+ *               mapping:
+ *                 symbol: Pair
+ *                 entryTime: Opened
+ *                 exitTime: Closed
+ *                 riskPercentUsed: Risk %
+ *                 profitLoss: P&L
+ *                 riskRewardAchieved: R
+ *                 session: Session
+ *                 stopLossHit: Stopped out
+ *                 exitedEarly: Closed early
+ *                 targetPercentAchieved: Target %
+ *               timezone: Europe/London
+ *               dateFormat: DD/MM/YYYY HH:mm
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportProfile'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ *   get:
+ *     summary: Get import profiles
+ *     description: Get the import profiles of the authenticated user.
+ *     tags: [Trade Import]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: Sort by field (e.g., name:asc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of profiles per page
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportProfile'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalResults:
+ *                   type: integer
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /trades/import/profiles/{id}:
+ *   get:
+ *     summary: Get an import profile
+ *     tags: [Trade Import]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import profile id
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportProfile'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   patch:
+ *     summary: Update an import profile
+ *     tags: [Trade Import]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import profile id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               mapping:
+ *                 $ref: '#/components/schemas/ImportColumnMapping'
+ *               timezone:
+ *                 type: string
+ *               dateFormat:
+ *                 type: string
+ *               delimiter:
+ *                 type: string
+ *             example:
+ *               timezone: America/New_York
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportProfile'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   delete:
+ *     summary: Delete an import profile
+ *     tags: [Trade Import]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import profile id
+ *     responses:
+ *       "204":
+ *         description: No content
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /trades/import/csv:
+ *   post:
+ *     summary: Import trades from CSV
+ *     description: |
+ *       Import the rows of a CSV file as trades, using the column mapping of an import profile. The first
+ *       row holds the column names. Each row is validated like a trade created through POST /trades.
+ *       A dry run only reports the outcome and the parsed trades; otherwise the valid rows are imported
+ *       and the invalid ones reported.
+ *     tags: [Trade Import]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account the trades are imported into
+ *       - in: query
+ *         name: profileId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import profile id
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate the file without importing it
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *         description: IANA time zone overriding the one of the profile
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             Pair,Opened,Closed,Risk %,P&L,R,Session,Stopped out,Closed early,Target %
+ *             EURUSD,02/01/2023 09:00,02/01/2023 10:30,1,150,1.5,LONDON,no,no,100
+ *     responses:
+ *       "200":
+ *         description: Dry run outcome
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TradeImportResult'
+ *       "201":
+ *         description: Valid rows imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TradeImportResult'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /trades/import/metatrader:
+ *   post:
+ *     summary: Import trades from a MetaTrader statement
+ *     description: |
+ *       Import the closed positions of an MT4 Detailed Statement or an MT5 Trade History Report saved as
+ *       HTML. Open and close times become the entry and exit times and the session is the one open at entry.
+ *       Profit/loss includes commission, taxes and swap. A position closed at its stop loss price counts as
+ *       stopped out, one closed at neither its stop loss nor its take profit as exited early. R:R and target
+ *       achieved are derived from the stop loss and take profit, and left unset when the position had none:
+ *       averages and plan adherence skip the trades without them.
+ *       A dry run only reports the outcome and the parsed trades.
+ *     tags: [Trade Import]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account the trades are imported into
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate the statement without importing it
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *         description: IANA time zone of the broker server the statement times are in
+ *       - in: query
+ *         name: riskPercent
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *         description: Risk of every trade, the risk per trade of the trading plan when not set
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/html:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       "200":
+ *         description: Dry run outcome
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TradeImportResult'
+ *       "201":
+ *         description: Valid positions imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TradeImportResult'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
@@ -12,6 +12,20 @@ router
   .get(auth(), validate(tradingPlanValidation.getTradingPlan), tradingPlanController.getTradingPlan)
   .delete(auth(), validate(tradingPlanValidation.deleteTradingPlan), tradingPlanController.deleteTradingPlan);
 
+router.route('/check').post(auth(), validate(tradingPlanValidation.checkTrade), tradingPlanController.checkTrade);
+
+router
+  .route('/versions')
+  .get(auth(), validate(tradingPlanValidation.getTradingPlanVersions), tradingPlanController.getTradingPlanVersions);
+
+router
+  .route('/versions/diff')
+  .get(auth(), validate(tradingPlanValidation.diffTradingPlanVersions), tradingPlanController.diffTradingPlanVersions);
+
+router
+  .route('/versions/:version')
+  .get(auth(), validate(tradingPlanValidation.getTradingPlanVersion), tradingPlanController.getTradingPlanVersion);
+
 module.exports = router;
 
 /**
@@ -30,6 +44,12 @@ module.exports = router;
  *     tags: [Trading Plan]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account of the trading plan, the plan without an account when not set
  *     requestBody:
  *       required: true
  *       content:
@@ -60,8 +80,7 @@ module.exports = router;
  *                 type: array
  *                 items:
  *                   type: string
- *                   enum: [LONDON, NY, ASIA]
- *                 description: Preferred trading sessions
+ *                 description: Codes of preferred trading sessions of the user
  *               stopLossDiscipline:
  *                 type: string
  *                 enum: [ALWAYS, FLEXIBLE]
@@ -90,6 +109,12 @@ module.exports = router;
  *     tags: [Trading Plan]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account of the trading plan, the plan without an account when not set
  *     responses:
  *       "200":
  *         description: OK
@@ -108,6 +133,12 @@ module.exports = router;
  *     tags: [Trading Plan]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account of the trading plan, the plan without an account when not set
  *     responses:
  *       "204":
  *         description: No content
@@ -116,3 +147,310 @@ module.exports = router;
  *       "404":
  *         $ref: '#/components/responses/NotFound'
  */
+
+/**
+ * @swagger
+ * /trading-plan/check:
+ *   post:
+ *     summary: Check a proposed trade
+ *     description: |
+ *       Check a trade before entering it. The trade is checked against the trading plan version in force at its
+ *       entry time, the trades already taken that day in the time zone of the user, the losses realised that day and the latest
+ *       psychological state. The decision is BLOCK when any reason blocks, WARN when there are only warnings
+ *       and ALLOW otherwise.
+ *     tags: [Trading Plan]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - riskPercent
+ *               - riskReward
+ *             properties:
+ *               session:
+ *                 type: string
+ *                 description: Code of a trading session of the user (default the session open at the entry time)
+ *               riskPercent:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 description: Percentage of the account at risk
+ *               riskReward:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Planned risk-reward ratio
+ *               entryTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Planned entry time (default now)
+ *               accountId:
+ *                 type: string
+ *                 description: Account of the trade, checked against its trading plan and trades
+ *             example:
+ *               session: LONDON
+ *               riskPercent: 1.5
+ *               riskReward: 2
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 decision:
+ *                   type: string
+ *                   enum: [ALLOW, WARN, BLOCK]
+ *                 reasons:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rule:
+ *                         type: string
+ *                         enum: [NO_TRADING_PLAN, RISK_ABOVE_PLAN, RISK_REWARD_BELOW_TARGET, SESSION_NOT_PREFERRED, MAX_TRADES_REACHED, DAILY_LOSS_LIMIT, PSYCHOLOGICAL_STATE]
+ *                       severity:
+ *                         type: string
+ *                         enum: [WARN, BLOCK]
+ *                       message:
+ *                         type: string
+ *                 context:
+ *                   type: object
+ *                   properties:
+ *                     tradingPlanVersion:
+ *                       type: integer
+ *                       nullable: true
+ *                     session:
+ *                       type: string
+ *                     tradesToday:
+ *                       type: integer
+ *                       description: Trades entered on the day of the entry time, in the time zone of the user
+ *                     maxTradesPerDay:
+ *                       type: integer
+ *                       nullable: true
+ *                     realisedProfitLoss:
+ *                       type: number
+ *                     realisedLossPercent:
+ *                       type: number
+ *                       description: Risk lost on the losing trades closed today
+ *                     dailyLossLimitPercent:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Losses at which new trades are blocked, a multiple of the planned risk per trade
+ *                     psychologicalState:
+ *                       type: string
+ *                       enum: [STABLE, OVEREXTENDED, HESITANT, AGGRESSIVE]
+ *               example:
+ *                 decision: WARN
+ *                 reasons:
+ *                   - rule: SESSION_NOT_PREFERRED
+ *                     severity: WARN
+ *                     message: The ASIA session is outside the preferred LONDON, NY
+ *                 context:
+ *                   tradingPlanVersion: 2
+ *                   session: ASIA
+ *                   tradesToday: 1
+ *                   maxTradesPerDay: 5
+ *                   realisedProfitLoss: -75
+ *                   realisedLossPercent: 1.5
+ *                   dailyLossLimitPercent: 6
+ *                   psychologicalState: STABLE
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /trading-plan/versions:
+ *   get:
+ *     summary: Get trading plan versions
+ *     description: |
+ *       Get the version history of the authenticated user's trading plan, newest first.
+ *       Every change to the plan records a new version, the previous one stays as it was with its effective dates.
+ *     tags: [Trading Plan]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account of the trading plan, the plan without an account when not set
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: Sort by field (default version:desc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of versions per page
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TradingPlanVersion'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalResults:
+ *                   type: integer
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /trading-plan/versions/diff:
+ *   get:
+ *     summary: Diff two trading plan versions
+ *     description: List the plan rules that differ between two versions of the authenticated user's trading plan.
+ *     tags: [Trading Plan]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account of the trading plan, the plan without an account when not set
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Version to compare from
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Version to compare to
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: object
+ *                   properties:
+ *                     version:
+ *                       type: integer
+ *                     effectiveFrom:
+ *                       type: string
+ *                       format: date-time
+ *                     effectiveTo:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                 to:
+ *                   type: object
+ *                   properties:
+ *                     version:
+ *                       type: integer
+ *                     effectiveFrom:
+ *                       type: string
+ *                       format: date-time
+ *                     effectiveTo:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                 changes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       field:
+ *                         type: string
+ *                       from: {}
+ *                       to: {}
+ *               example:
+ *                 from:
+ *                   version: 1
+ *                   effectiveFrom: 2020-05-12T16:18:04.793Z
+ *                   effectiveTo: 2020-06-01T08:00:00.000Z
+ *                 to:
+ *                   version: 2
+ *                   effectiveFrom: 2020-06-01T08:00:00.000Z
+ *                   effectiveTo: null
+ *                 changes:
+ *                   - field: riskPercentPerTrade
+ *                     from: 2
+ *                     to: 1
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /trading-plan/versions/{version}:
+ *   get:
+ *     summary: Get a trading plan version
+ *     description: Get one version of the authenticated user's trading plan.
+ *     tags: [Trading Plan]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Account of the trading plan, the plan without an account when not set
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Version number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TradingPlanVersion'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
@@ -58,6 +58,9 @@ module.exports = router;
  *                 format: password
  *                 minLength: 8
  *                 description: At least one number and one letter
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone the trading days of the user are counted in (default UTC)
  *               role:
  *                  type: string
  *                  enum: [user, admin]
@@ -207,6 +210,9 @@ module.exports = router;
  *                 format: password
  *                 minLength: 8
  *                 description: At least one number and one letter
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone the trading days of the user are counted in (default UTC)
  *             example:
  *               name: fake name
  *               email: fake@example.com
@@ -0,0 +1,144 @@
+const httpStatus = require('http-status');
+const {
+  Account,
+  Trade,
+  TradingPlan,
+  TradingPlanVersion,
+  Dashboard,
+  StateAnalysis,
+  SessionForecast,
+  PerformanceSnapshot,
+} = require('../models');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+const dashboardService = require('./dashboard.service');
+
+/**
+ * Create an account. The dashboards of the user are marked stale, their balance and reporting currency
+ * depend on the accounts.
+ * @param {ObjectId} userId
+ * @param {Object} accountBody
+ * @returns {Promise<Account>}
+ */
+const createAccount = async (userId, accountBody) => {
+  logger.info('Service: Creating account for user:', userId);
+  if (await Account.isNameTaken(userId, accountBody.name)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Account name already taken');
+  }
+  const account = await Account.create({ ...accountBody, userId });
+  await dashboardService.invalidateDashboards(userId);
+  return account;
+};
+
+/**
+ * Query for accounts of a user
+ * @param {ObjectId} userId
+ * @param {Object} filter - Account type
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryAccounts = async (userId, filter, options) => {
+  logger.info('Service: Querying accounts for user:', userId);
+  return Account.paginate({ ...filter, userId }, options);
+};
+
+/**
+ * Get an account of a user
+ * @param {ObjectId} accountId
+ * @param {ObjectId} userId
+ * @returns {Promise<Account>}
+ */
+const getAccountById = async (accountId, userId) => {
+  const account = await Account.findOne({ _id: accountId, userId });
+  if (!account) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Account not found');
+  }
+  return account;
+};
+
+/**
+ * Check that the accounts trades refer to belong to the user
+ * @param {ObjectId} userId
+ * @param {Array<ObjectId>} accountIds - Empty values are ignored
+ * @returns {Promise<void>}
+ */
+const assertAccountsExist = async (userId, accountIds) => {
+  const uniqueIds = [...new Set(accountIds.filter(Boolean).map(String))];
+  if (uniqueIds.length === 0) {
+    return;
+  }
+  const count = await Account.countDocuments({ _id: { $in: uniqueIds }, userId });
+  if (count !== uniqueIds.length) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Account not found');
+  }
+};
+
+/**
+ * Resolve the account stats are scoped to
+ * @param {ObjectId} userId
+ * @param {string} [accountId] - Id of an account of the user, or 'all'
+ * @returns {Promise<ObjectId|null>} The account id, null for all the accounts of the user
+ */
+const getAccountScope = async (userId, accountId) => {
+  if (!accountId || accountId === 'all') {
+    return null;
+  }
+  const account = await getAccountById(accountId, userId);
+  return account._id;
+};
+
+/**
+ * Update an account of a user, marking the dashboards of the user stale
+ * @param {ObjectId} accountId
+ * @param {ObjectId} userId
+ * @param {Object} updateBody
+ * @returns {Promise<Account>}
+ */
+const updateAccountById = async (accountId, userId, updateBody) => {
+  logger.info('Service: Updating account:', accountId);
+  const account = await getAccountById(accountId, userId);
+  if (updateBody.name && (await Account.isNameTaken(userId, updateBody.name, accountId))) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Account name already taken');
+  }
+  Object.assign(account, updateBody);
+  await account.save();
+  await dashboardService.invalidateDashboards(userId);
+  return account;
+};
+
+/**
+ * Delete an account of a user, with its trading plan and the analyses of the account. Accounts with
+ * trades are kept, their trades have to be moved or deleted first.
+ * @param {ObjectId} accountId
+ * @param {ObjectId} userId
+ * @returns {Promise<Account>}
+ */
+const deleteAccountById = async (accountId, userId) => {
+  logger.info('Service: Deleting account:', accountId);
+  const account = await getAccountById(accountId, userId);
+  if ((await Trade.countDocuments({ userId, accountId: account._id })) > 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Account has trades, move or delete them first');
+  }
+  await account.remove();
+  const scope = { userId, accountId: account._id };
+  await Promise.all(
+    [TradingPlan, TradingPlanVersion, Dashboard, StateAnalysis, SessionForecast, PerformanceSnapshot].map((model) =>
+      model.deleteMany(scope)
+    )
+  );
+  await dashboardService.invalidateDashboards(userId);
+  return account;
+};
+
+module.exports = {
+  createAccount,
+  queryAccounts,
+  getAccountById,
+  assertAccountsExist,
+  getAccountScope,
+  updateAccountById,
+  deleteAccountById,
+};
@@ -1,80 +1,384 @@
-const { Trade } = require('../models');
+const { User, Trade, StateAnalysis, SessionForecast, CheckIn } = require('../models');
+const {
+  PsychologicalState,
+  RuleOperators,
+  IndicatorSeverity,
+  IndicatorSource,
+  RiskLevel,
+  ForecastBias,
+  ForecastStatus,
+  PerformanceInsightType,
+  ReviewState,
+  TradeStatus,
+} = require('../models/enums');
+const { defaultStateRules, tiltDetection, selfReport } = require('../config/stateRules');
 const logger = require('../config/logger');
+const stateRuleService = require('./stateRule.service');
+const mistakeCatalogueService = require('./mistakeCatalogue.service');
+const sessionCatalogueService = require('./sessionCatalogue.service');
+const tradingPlanVersionService = require('./tradingPlanVersion.service');
+const fxRateService = require('./fxRate.service');
+const { getNetProfitLoss, summariseProfitLoss } = require('../utils/profitLoss');
+const averageOf = require('../utils/average');
+const { getZonedDay, getZonedDayBounds, getCalendarDayBounds } = require('../utils/timezone');
 
 /**
- * Analyze psychological state from recent trades
+ * Calculate the metrics state rules are evaluated against
  * @param {Array} trades
  * @returns {Object}
  */
-const analyzePsychologicalState = (trades) => {
-  if (trades.length === 0) {
+const calculateStateMetrics = (trades) => {
+  const tradeCount = trades.length;
+  if (tradeCount === 0) {
     return {
-      state: 'NEUTRAL',
-      confidence: 50,
-      riskTolerance: 50,
-      emotionalBalance: 50,
-      lastUpdated: new Date().toISOString(),
-      recommendations: ['Start trading to build psychological profile'],
+      tradeCount,
+      winRate: 0,
+      avgRiskUsed: 0,
+      avgRiskReward: 0,
+      avgTargetAchieved: 0,
+      earlyExitRate: 0,
+      stopLossRate: 0,
     };
   }
 
-  // Calculate basic metrics
-  const totalTrades = trades.length;
-  const winningTrades = trades.filter((t) => t.profitLoss > 0).length;
-  const winRate = totalTrades > 0 ? (winningTrades / totalTrades) * 100 : 0;
+  return {
+    tradeCount,
+    winRate: (trades.filter((t) => t.profitLoss > 0).length / tradeCount) * 100,
+    avgRiskUsed: trades.reduce((sum, t) => sum + t.riskPercentUsed, 0) / tradeCount,
+    // Null when none of the trades has it, so no condition on it matches
+    avgRiskReward: averageOf(trades, 'riskRewardAchieved'),
+    avgTargetAchieved: averageOf(trades, 'targetPercentAchieved'),
+    earlyExitRate: (trades.filter((t) => t.exitedEarly).length / tradeCount) * 100,
+    stopLossRate: (trades.filter((t) => t.stopLossHit).length / tradeCount) * 100,
+  };
+};
 
-  // Calculate average metrics
-  const avgRiskUsed = trades.reduce((sum, t) => sum + t.riskPercentUsed, 0) / totalTrades;
-  const avgTargetAchieved = trades.reduce((sum, t) => sum + t.targetPercentAchieved, 0) / totalTrades;
+/**
+ * Check a metric value against a rule condition
+ * @param {number|null} actual - Null when the trades do not measure the metric, matching no condition
+ * @param {string} operator
+ * @param {number} expected
+ * @returns {boolean}
+ */
+const compareMetric = (actual, operator, expected) => {
+  if (actual == null) {
+    return false;
+  }
+  switch (operator) {
+    case RuleOperators.GT:
+      return actual > expected;
+    case RuleOperators.GTE:
+      return actual >= expected;
+    case RuleOperators.LT:
+      return actual < expected;
+    case RuleOperators.LTE:
+      return actual <= expected;
+    case RuleOperators.EQ:
+      return actual === expected;
+    default:
+      return false;
+  }
+};
 
-  // Determine psychological state based on metrics
-  let state = 'NEUTRAL';
-  let confidence = 50;
-  let riskTolerance = 50;
-  let emotionalBalance = 50;
+/**
+ * Evaluate state rules against trade metrics
+ * @param {Object} metrics - Result of calculateStateMetrics
+ * @param {Array} rules
+ * @returns {Object}
+ */
+const evaluateStateRules = (metrics, rules) => {
+  let state = PsychologicalState.STABLE;
+  const scores = { confidence: 50, riskTolerance: 50, emotionalBalance: 50 };
+  const indicators = [];
   const recommendations = [];
+  const matchedRules = [];
+
+  rules.forEach((rule) => {
+    const matched = rule.conditions.every((condition) =>
+      compareMetric(metrics[condition.metric], condition.operator, condition.value)
+    );
+    if (!matched) {
+      return;
+    }
 
-  // Analyze win rate impact
-  if (winRate >= 70) {
-    state = 'CONFIDENT';
-    confidence = Math.min(95, 50 + (winRate - 50) * 0.9);
-    riskTolerance = Math.min(80, 50 + (winRate - 50) * 0.6);
-  } else if (winRate <= 30) {
-    state = 'FRUSTRATED';
-    confidence = Math.max(20, 50 - (50 - winRate) * 0.6);
-    riskTolerance = Math.max(20, 50 - (50 - winRate) * 0.6);
+    matchedRules.push(rule.name);
+
+    // Later rules take precedence over earlier ones
+    if (rule.state) {
+      state = rule.state;
+    }
+
+    Object.keys(scores).forEach((score) => {
+      scores[score] += (rule.adjustments && rule.adjustments[score]) || 0;
+    });
+
+    if (rule.indicator) {
+      indicators.push({
+        category: rule.indicator.category,
+        message: rule.indicator.message,
+        severity: rule.indicator.severity,
+        value: Math.round(metrics[rule.conditions[0].metric] * 100) / 100,
+        source: IndicatorSource.TRADES,
+      });
+    }
+
+    if (rule.recommendation) {
+      recommendations.push(rule.recommendation);
+    }
+  });
+
+  Object.keys(scores).forEach((score) => {
+    scores[score] = Math.max(0, Math.min(100, Math.round(scores[score])));
+  });
+
+  return {
+    state,
+    ...scores,
+    indicators,
+    recommendations,
+    matchedRules,
+  };
+};
+
+/**
+ * Detect tilt patterns in the trade sequence: revenge trades, risk escalation after losses and overtrading
+ * @param {Array} trades
+ * @param {Array} [tradingPlanVersions] - Overtrading is judged against the version in force on each day
+ * @param {string} [timeZone] - Time zone of the days overtrading is judged on
+ * @param {Object} [settings]
+ * @returns {Array} Dated indicators, oldest first
+ */
+const detectTiltPatterns = (trades, tradingPlanVersions = [], timeZone = 'UTC', settings = tiltDetection) => {
+  const sortedTrades = [...trades].sort((a, b) => new Date(a.entryTime) - new Date(b.entryTime));
+  const indicators = [];
+  let consecutiveLosses = 0;
+
+  sortedTrades.forEach((trade, index) => {
+    const previousTrade = sortedTrades[index - 1];
+
+    if (previousTrade && previousTrade.profitLoss < 0) {
+      const minutesSinceLoss = (new Date(trade.entryTime) - new Date(previousTrade.exitTime)) / 60000;
+      if (minutesSinceLoss >= 0 && minutesSinceLoss <= settings.revengeWindowMinutes) {
+        indicators.push({
+          category: 'Revenge Trading',
+          message: `Trade opened ${Math.round(minutesSinceLoss)} minutes after a loss`,
+          severity: IndicatorSeverity.CRITICAL,
+          value: Math.round(minutesSinceLoss * 100) / 100,
+          occurredAt: trade.entryTime,
+          tradeId: trade._id,
+          source: IndicatorSource.TRADES,
+        });
+      }
+    }
+
+    if (consecutiveLosses >= settings.consecutiveLosses && trade.riskPercentUsed > previousTrade.riskPercentUsed) {
+      indicators.push({
+        category: 'Risk Escalation',
+        message: `Risk raised to ${trade.riskPercentUsed}% after ${consecutiveLosses} consecutive losses`,
+        severity: IndicatorSeverity.CRITICAL,
+        value: trade.riskPercentUsed,
+        occurredAt: trade.entryTime,
+        tradeId: trade._id,
+        source: IndicatorSource.TRADES,
+      });
+    }
+
+    if (trade.status !== TradeStatus.OPEN) {
+      consecutiveLosses = trade.profitLoss < 0 ? consecutiveLosses + 1 : 0;
+    }
+  });
+
+  if (tradingPlanVersions.length > 0) {
+    const tradesPerDay = {};
+    sortedTrades.forEach((trade) => {
+      const date = getZonedDay(trade.entryTime, timeZone);
+      if (!tradesPerDay[date]) {
+        tradesPerDay[date] = [];
+      }
+      tradesPerDay[date].push(trade);
+    });
+
+    Object.entries(tradesPerDay).forEach(([date, dayTrades]) => {
+      const tradingPlan = tradingPlanVersionService.getPlanVersionAt(tradingPlanVersions, dayTrades[0].entryTime);
+      if (tradingPlan && dayTrades.length > tradingPlan.maxTradesPerDay) {
+        const firstExcessTrade = dayTrades[tradingPlan.maxTradesPerDay];
+        indicators.push({
+          category: 'Overtrading',
+          message: `${dayTrades.length} trades on ${date}, the trading plan allows ${tradingPlan.maxTradesPerDay}`,
+          severity: IndicatorSeverity.CRITICAL,
+          value: dayTrades.length,
+          occurredAt: firstExcessTrade.entryTime,
+          tradeId: firstExcessTrade._id,
+          source: IndicatorSource.TRADES,
+        });
+      }
+    });
   }
 
-  // Analyze risk management
-  if (avgRiskUsed > 3) {
-    state = 'GREEDY';
-    riskTolerance = Math.min(90, riskTolerance + 20);
-    recommendations.push('Reduce risk per trade');
-  } else if (avgRiskUsed < 1) {
-    state = 'FEARFUL';
-    riskTolerance = Math.max(10, riskTolerance - 20);
-    recommendations.push('Consider increasing position size gradually');
+  return indicators.sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+};
+
+/**
+ * Average a reading over the check-ins reporting it
+ * @param {Array} checkIns
+ * @param {string} reading - mood, stress, sleep or confidence
+ * @returns {number|null} null when no check-in reports it
+ */
+const averageReading = (checkIns, reading) => {
+  const values = checkIns.map((checkIn) => checkIn[reading]).filter((value) => typeof value === 'number');
+  if (values.length === 0) {
+    return null;
   }
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100;
+};
 
-  // Analyze discipline
-  const earlyExits = trades.filter((t) => t.exitedEarly).length;
-  const stopLossHits = trades.filter((t) => t.stopLossHit).length;
+// Map a reading on the 1 to 5 check-in scale to a 0 to 100 score
+const toScore = (reading) => ((reading - 1) / 4) * 100;
 
-  if (earlyExits / totalTrades > 0.3) {
-    emotionalBalance = Math.max(30, emotionalBalance - 20);
-    recommendations.push('Work on holding profitable trades longer');
+/**
+ * Analyze self-reported check-ins and trade emotions
+ * @param {Array} checkIns - Recent check-ins
+ * @param {Array} trades - Recent trades, with the emotions reported on them
+ * @param {Object} [settings]
+ * @returns {Object} { confidence, emotionalBalance, indicators, recommendations }, scores are null without data
+ */
+const analyzeSelfReport = (checkIns, trades, settings = selfReport) => {
+  const indicators = [];
+  const recommendations = [];
+  const wellbeingScores = [];
+
+  const latestCheckIn = checkIns.reduce(
+    (latest, checkIn) => (!latest || new Date(checkIn.recordedAt) > new Date(latest.recordedAt) ? checkIn : latest),
+    null
+  );
+  const checkInIndicator = (category, message, severity, value) => ({
+    category,
+    message,
+    severity,
+    value,
+    occurredAt: latestCheckIn.recordedAt,
+    source: IndicatorSource.CHECK_INS,
+  });
+
+  const mood = averageReading(checkIns, 'mood');
+  if (mood !== null) {
+    wellbeingScores.push(toScore(mood));
+    const severity = mood <= settings.lowMood ? IndicatorSeverity.WARNING : IndicatorSeverity.NEUTRAL;
+    indicators.push(checkInIndicator('Mood', `Reported mood of ${mood}/5`, severity, mood));
   }
 
-  if (stopLossHits / totalTrades > 0.4) {
-    emotionalBalance = Math.max(30, emotionalBalance - 15);
-    recommendations.push('Review entry strategies and market analysis');
+  const stress = averageReading(checkIns, 'stress');
+  if (stress !== null) {
+    wellbeingScores.push(100 - toScore(stress));
+    const severity = stress >= settings.highStress ? IndicatorSeverity.WARNING : IndicatorSeverity.NEUTRAL;
+    indicators.push(checkInIndicator('Stress', `Reported stress of ${stress}/5`, severity, stress));
   }
 
-  // Analyze target achievement
-  if (avgTargetAchieved < 50) {
-    recommendations.push('Improve trade management and target setting');
+  const sleep = averageReading(checkIns, 'sleep');
+  if (sleep !== null) {
+    wellbeingScores.push(toScore(sleep));
+    const severity = sleep <= settings.poorSleep ? IndicatorSeverity.WARNING : IndicatorSeverity.NEUTRAL;
+    indicators.push(checkInIndicator('Sleep', `Reported sleep quality of ${sleep}/5`, severity, sleep));
   }
 
+  const confidence = averageReading(checkIns, 'confidence');
+  if (confidence !== null) {
+    const message = `Reported confidence of ${confidence}/5`;
+    indicators.push(checkInIndicator('Self-confidence', message, IndicatorSeverity.NEUTRAL, confidence));
+  }
+
+  if ((stress !== null && stress >= settings.highStress) || (sleep !== null && sleep <= settings.poorSleep)) {
+    recommendations.push('High stress or poor sleep reported - trade smaller or sit the session out');
+  }
+
+  const tradesWithEmotions = trades.filter((t) => t.preTradeEmotion || t.postTradeEmotion);
+  if (tradesWithEmotions.length > 0) {
+    const unsettledTrades = tradesWithEmotions.filter(
+      (t) =>
+        settings.unsettledEmotions.includes(t.preTradeEmotion) || settings.unsettledEmotions.includes(t.postTradeEmotion)
+    );
+    const unsettledRate = Math.round((unsettledTrades.length / tradesWithEmotions.length) * 100 * 100) / 100;
+    wellbeingScores.push(100 - unsettledRate);
+
+    const latestTrade = tradesWithEmotions.reduce((latest, t) =>
+      new Date(t.entryTime) > new Date(latest.entryTime) ? t : latest
+    );
+    indicators.push({
+      category: 'Trade Emotions',
+      message: `${unsettledTrades.length} of ${tradesWithEmotions.length} trades entered or closed in an unsettled state`,
+      severity: unsettledRate >= settings.unsettledTradeRate ? IndicatorSeverity.WARNING : IndicatorSeverity.NEUTRAL,
+      value: unsettledRate,
+      occurredAt: latestTrade.entryTime,
+      tradeId: latestTrade._id,
+      source: IndicatorSource.TRADE_EMOTIONS,
+    });
+
+    if (unsettledRate >= settings.unsettledTradeRate) {
+      recommendations.push('Most recent trades were taken in an unsettled state - pause and reset before entering');
+    }
+  }
+
+  return {
+    confidence: confidence !== null ? toScore(confidence) : null,
+    emotionalBalance:
+      wellbeingScores.length > 0 ? wellbeingScores.reduce((sum, score) => sum + score, 0) / wellbeingScores.length : null,
+    indicators,
+    recommendations,
+  };
+};
+
+/**
+ * Blend a behavioural score with a self-reported one
+ * @param {number} score - Behavioural score
+ * @param {number|null} selfReportedScore
+ * @param {number} weight - Share of the self-reported score
+ * @returns {number}
+ */
+const blendScore = (score, selfReportedScore, weight) => {
+  if (selfReportedScore === null) {
+    return score;
+  }
+  return Math.max(0, Math.min(100, Math.round(score * (1 - weight) + selfReportedScore * weight)));
+};
+
+/**
+ * Analyze psychological state from recent trades, combined with what the trader reported. The state comes from
+ * the behavioural rules; self-reported data weighs in on the confidence and emotional balance scores. Each
+ * indicator names the input it was derived from.
+ * @param {Array} trades
+ * @param {Array} [rules] - State rules to evaluate, the built-in rules by default
+ * @param {Array} [tiltIndicators] - Result of detectTiltPatterns
+ * @param {Array} [checkIns] - Recent check-ins
+ * @returns {Object}
+ */
+const analyzePsychologicalState = (trades, rules = defaultStateRules, tiltIndicators = [], checkIns = []) => {
+  const reported = analyzeSelfReport(checkIns, trades);
+
+  if (trades.length === 0) {
+    return {
+      state: PsychologicalState.STABLE,
+      confidence: blendScore(50, reported.confidence, selfReport.weight),
+      riskTolerance: 50,
+      emotionalBalance: blendScore(50, reported.emotionalBalance, selfReport.weight),
+      lastUpdated: new Date().toISOString(),
+      recommendations: ['Start trading to build psychological profile', ...reported.recommendations],
+      indicators: reported.indicators,
+    };
+  }
+
+  const { state, confidence, riskTolerance, emotionalBalance, indicators, recommendations } = evaluateStateRules(
+    calculateStateMetrics(trades),
+    rules
+  );
+
+  if (tiltIndicators.length > 0) {
+    indicators.push(...tiltIndicators);
+    recommendations.push('Signs of tilt detected - step away before taking the next trade');
+  }
+
+  indicators.push(...reported.indicators);
+  recommendations.push(...reported.recommendations);
+
   // Default recommendations if none generated
   if (recommendations.length === 0) {
     recommendations.push('Continue current trading approach');
@@ -82,11 +386,12 @@ const analyzePsychologicalState = (trades) => {
 
   return {
     state,
-    confidence: Math.round(confidence),
-    riskTolerance: Math.round(riskTolerance),
-    emotionalBalance: Math.round(emotionalBalance),
+    confidence: blendScore(confidence, reported.confidence, selfReport.weight),
+    riskTolerance,
+    emotionalBalance: blendScore(emotionalBalance, reported.emotionalBalance, selfReport.weight),
     lastUpdated: new Date().toISOString(),
     recommendations,
+    indicators,
   };
 };
 
@@ -205,6 +510,103 @@ const analyzeSessionForecast = (trades, session) => {
   };
 };
 
+/**
+ * Risk level implied by each forecast bias
+ */
+const forecastRiskLevels = {
+  [ForecastBias.POSITIVE]: RiskLevel.LOW,
+  [ForecastBias.NEUTRAL]: RiskLevel.MEDIUM,
+  [ForecastBias.NEGATIVE]: RiskLevel.HIGH,
+};
+
+/**
+ * Compare a session forecast with the net profit/loss of the trades taken in that session
+ * @param {Object} forecast
+ * @param {Array} sessionTrades - Trades in the reporting currency
+ * @param {string} currency - Reporting currency
+ * @returns {Object} Forecast status and outcome
+ */
+const resolveSessionForecast = (forecast, sessionTrades, currency) => {
+  const resolvedAt = new Date();
+
+  if (sessionTrades.length === 0) {
+    return { status: ForecastStatus.NO_TRADES, outcome: { tradeCount: 0, resolvedAt } };
+  }
+
+  const profitLoss = sessionTrades.reduce((sum, t) => sum + getNetProfitLoss(t), 0);
+  let actualBias = ForecastBias.NEUTRAL;
+  if (profitLoss > 0) {
+    actualBias = ForecastBias.POSITIVE;
+  } else if (profitLoss < 0) {
+    actualBias = ForecastBias.NEGATIVE;
+  }
+
+  return {
+    status: ForecastStatus.RESOLVED,
+    outcome: {
+      tradeCount: sessionTrades.length,
+      profitLoss: Math.round(profitLoss * 100) / 100,
+      currency,
+      actualBias,
+      hit: forecast.predictedBias === actualBias,
+      resolvedAt,
+    },
+  };
+};
+
+/**
+ * Calculate hit rate, Brier score and calibration of session forecasts
+ * @param {Array} forecasts
+ * @returns {Object}
+ */
+const calculateForecastAccuracy = (forecasts) => {
+  const resolved = forecasts.filter((f) => f.status === ForecastStatus.RESOLVED);
+  const hits = resolved.filter((f) => f.outcome.hit).length;
+
+  // Probability is read as the chance of a profitable session
+  const squaredErrors = resolved.map((f) => {
+    const observed = f.outcome.actualBias === ForecastBias.POSITIVE ? 1 : 0;
+    return (f.probability / 100 - observed) ** 2;
+  });
+  const brierScore =
+    resolved.length > 0
+      ? Math.round((squaredErrors.reduce((sum, e) => sum + e, 0) / resolved.length) * 10000) / 10000
+      : null;
+
+  // Group forecasts into 10-point probability buckets
+  const buckets = {};
+  resolved.forEach((f) => {
+    const lowerBound = Math.min(90, Math.floor(f.probability / 10) * 10);
+    if (!buckets[lowerBound]) {
+      buckets[lowerBound] = { forecasts: 0, probabilitySum: 0, positiveSessions: 0 };
+    }
+    buckets[lowerBound].forecasts += 1;
+    buckets[lowerBound].probabilitySum += f.probability;
+    if (f.outcome.actualBias === ForecastBias.POSITIVE) {
+      buckets[lowerBound].positiveSessions += 1;
+    }
+  });
+
+  const calibration = Object.entries(buckets)
+    .map(([lowerBound, bucket]) => ({
+      range: `${lowerBound}-${Number(lowerBound) + 10}`,
+      forecasts: bucket.forecasts,
+      predictedProbability: Math.round((bucket.probabilitySum / bucket.forecasts) * 100) / 100,
+      observedFrequency: Math.round((bucket.positiveSessions / bucket.forecasts) * 100 * 100) / 100,
+    }))
+    .sort((a, b) => parseInt(a.range, 10) - parseInt(b.range, 10));
+
+  return {
+    totalForecasts: forecasts.length,
+    resolvedForecasts: resolved.length,
+    pendingForecasts: forecasts.filter((f) => f.status === ForecastStatus.PENDING).length,
+    hits,
+    hitRate: resolved.length > 0 ? Math.round((hits / resolved.length) * 100 * 100) / 100 : null,
+    brierScore,
+    calibration,
+  };
+};
+
 /**
  * Get date range for period
  * @param {string} period
@@ -234,13 +636,60 @@ const getDateRange = (period) => {
   return { start, end: now };
 };
 
+/**
+ * Analyze how often mistakes were logged on reviewed trades, most frequent first
+ * @param {Array} trades
+ * @param {Array} mistakes - Mistake catalogue of the user, giving the labels
+ * @returns {Array} Insights
+ */
+const analyzeMistakes = (trades, mistakes) => {
+  const reviewedTrades = trades.filter((t) => t.reviewState && t.reviewState !== ReviewState.UNREVIEWED);
+  if (reviewedTrades.length === 0) {
+    return [];
+  }
+
+  const mistakeStats = {};
+  reviewedTrades.forEach((trade) => {
+    (trade.mistakes || []).forEach((code) => {
+      if (!mistakeStats[code]) {
+        mistakeStats[code] = { trades: 0, profitLoss: 0 };
+      }
+      mistakeStats[code].trades += 1;
+      mistakeStats[code].profitLoss += trade.profitLoss;
+    });
+  });
+
+  return Object.entries(mistakeStats)
+    .sort(([, a], [, b]) => b.trades - a.trades)
+    .map(([code, stats]) => {
+      const mistake = mistakes.find((m) => m.code === code);
+      const frequency = stats.trades / reviewedTrades.length;
+      let impact = 'LOW';
+      if (frequency >= 0.3) {
+        impact = 'HIGH';
+      } else if (frequency >= 0.15) {
+        impact = 'MEDIUM';
+      }
+      return {
+        type: PerformanceInsightType.CONSTRUCTIVE,
+        description: `${mistake ? mistake.label : code} on ${stats.trades} of ${
+          reviewedTrades.length
+        } reviewed trades, for a profit/loss of ${Math.round(stats.profitLoss * 100) / 100}`,
+        confidence: Math.round(frequency * 100),
+        impact,
+        mistake: code,
+      };
+    });
+};
+
 /**
  * Analyze performance insights
  * @param {Array} trades
  * @param {string} period
+ * @param {Array} [mistakes] - Mistake catalogue of the user, giving the labels of the mistakes logged on trades
  * @returns {Object}
  */
-const analyzePerformanceInsights = (trades, period) => {
+const analyzePerformanceInsights = (trades, period, mistakes = []) => {
   if (trades.length === 0) {
     return {
       period,
@@ -266,7 +715,7 @@ const analyzePerformanceInsights = (trades, period) => {
   const winningTrades = trades.filter((t) => t.profitLoss > 0).length;
   const winRate = (winningTrades / totalTrades) * 100;
   const avgRisk = trades.reduce((sum, t) => sum + t.riskPercentUsed, 0) / totalTrades;
-  const avgRiskReward = trades.reduce((sum, t) => sum + t.riskRewardAchieved, 0) / totalTrades;
+  const avgRiskReward = averageOf(trades, 'riskRewardAchieved');
 
   // Win rate insights
   if (winRate >= 70) {
@@ -304,7 +753,7 @@ const analyzePerformanceInsights = (trades, period) => {
     recommendations.push('Reduce risk per trade to protect capital');
   }
 
-  // Risk-reward insights
+  // Risk-reward insights, none when no trade has an R:R
   if (avgRiskReward >= 1.5) {
     insights.push({
       type: 'STRENGTH',
@@ -312,7 +761,7 @@ const analyzePerformanceInsights = (trades, period) => {
       confidence: 75,
       impact: 'MEDIUM',
     });
-  } else if (avgRiskReward < 1) {
+  } else if (avgRiskReward != null && avgRiskReward < 1) {
     insights.push({
       type: 'WEAKNESS',
       description: 'Poor risk-reward ratios limit profit potential',
@@ -361,6 +810,13 @@ const analyzePerformanceInsights = (trades, period) => {
     });
   }
 
+  // Mistakes logged while reviewing trades
+  const mistakeInsights = analyzeMistakes(trades, mistakes);
+  insights.push(...mistakeInsights);
+  if (mistakeInsights.length > 0 && mistakeInsights[0].impact !== 'LOW') {
+    recommendations.push('Add a check against your most frequent mistake to your pre-trade routine');
+  }
+
   // Default recommendations if none generated
   if (recommendations.length === 0) {
     recommendations.push('Continue current trading approach');
@@ -400,15 +856,16 @@ const getStateTrigger = (trade) => {
  * Analyze state history
  * @param {Array} trades
  * @param {number} limit
+ * @param {Array} rules
  * @returns {Object}
  */
-const analyzeStateHistory = (trades, limit) => {
+const analyzeStateHistory = (trades, limit, rules) => {
   if (trades.length === 0) {
     return {
       history: [],
       summary: {
         totalChanges: 0,
-        mostCommonState: 'NEUTRAL',
+        mostCommonState: PsychologicalState.STABLE,
         averageConfidence: 50,
         volatility: 0,
       },
@@ -430,7 +887,7 @@ const analyzeStateHistory = (trades, limit) => {
   for (let i = 0; i < sortedTrades.length && history.length < limit; i += 1) {
     const trade = sortedTrades[i];
     const recentTrades = sortedTrades.slice(Math.max(0, i - 4), i + 1);
-    const state = analyzePsychologicalState(recentTrades);
+    const state = analyzePsychologicalState(recentTrades, rules);
 
     // Only record state changes or significant events
     if (!lastState || lastState.state !== state.state || Math.abs(lastState.confidence - state.confidence) > 15) {
@@ -483,39 +940,191 @@ const analyzeStateHistory = (trades, limit) => {
 };
 
 /**
- * Get current psychological state
+ * Persist a computed psychological state
  * @param {ObjectId} userId
- * @returns {Promise<Object>}
+ * @param {Array} trades - Trades the state was computed from
+ * @param {Object} state - Result of analyzePsychologicalState
+ * @param {ObjectId} [accountId] - Account the trades are from, null for all accounts
+ * @returns {Promise<StateAnalysis>}
  */
-const getCurrentState = async (userId) => {
-  logger.info('Service: Getting current psychological state for user:', userId);
+const saveStateAnalysis = async (userId, trades, state, accountId = null) => {
+  const timestamp = new Date(state.lastUpdated);
+  const entryTimes = trades.map((t) => new Date(t.entryTime).getTime());
 
-  // Get recent trades for analysis
-  const recentTrades = await Trade.find({ userId }).sort({ entryTime: -1 }).limit(10).lean();
+  const stateAnalysis = await StateAnalysis.create({
+    userId,
+    accountId,
+    state: state.state,
+    confidence: state.confidence,
+    riskTolerance: state.riskTolerance,
+    emotionalBalance: state.emotionalBalance,
+    recommendations: state.recommendations,
+    indicators: state.indicators,
+    analyzedTradeCount: trades.length,
+    dateRange: {
+      from: entryTimes.length > 0 ? new Date(Math.min(...entryTimes)) : timestamp,
+      to: entryTimes.length > 0 ? new Date(Math.max(...entryTimes)) : timestamp,
+    },
+    timestamp,
+  });
+
+  logger.info('Service: Saved state analysis:', stateAnalysis.id);
+  return stateAnalysis;
+};
+
+/**
+ * Get current psychological state. Check-ins are the trader's whatever the account.
+ * @param {ObjectId} userId
+ * @param {ObjectId} [accountId] - Account to analyze the trades of, all accounts when not set
+ * @returns {Promise<Object>}
+ */
+const getCurrentState = async (userId, accountId = null) => {
+  logger.info('Service: Getting current psychological state for user:', userId, 'Account:', accountId);
+
+  // Get recent trades for analysis, with a longer sequence for tilt detection
+  const checkInsSince = new Date(Date.now() - selfReport.lookbackHours * 60 * 60 * 1000);
+  const [lookbackTrades, tradingPlanVersions, checkIns, timeZone] = await Promise.all([
+    Trade.find({ userId })
+      .inAccount(accountId)
+      .sort({ entryTime: -1 })
+      .limit(Math.max(10, tiltDetection.lookbackTrades))
+      .lean(),
+    tradingPlanVersionService.getAccountTradingPlanVersions(userId, accountId),
+    CheckIn.find({ userId, recordedAt: { $gte: checkInsSince } }).lean(),
+    User.getTimeZone(userId),
+  ]);
+  // Open trades take part in tilt patterns, but have no outcome to analyze yet
+  const recentTrades = lookbackTrades.filter((t) => t.status !== TradeStatus.OPEN).slice(0, 10);
 
   logger.info('Service: Found recent trades for analysis:', recentTrades.length);
 
-  // Analyze recent performance to determine psychological state
-  const state = analyzePsychologicalState(recentTrades);
+  const { source, rules } = await stateRuleService.getEffectiveStateRules(userId);
+  logger.info('Service: Using state rules from:', source);
+
+  const tiltIndicators = detectTiltPatterns(lookbackTrades, tradingPlanVersions, timeZone);
+  logger.info('Service: Detected tilt indicators:', tiltIndicators.length);
+
+  logger.info('Service: Found recent check-ins for analysis:', checkIns.length);
+
+  // Analyze recent performance and self-reports to determine psychological state
+  const state = analyzePsychologicalState(recentTrades, rules, tiltIndicators, checkIns);
 
   logger.info('Service: Calculated psychological state:', state.state);
+
+  // Keep a record of what the trader was told
+  await saveStateAnalysis(userId, recentTrades, state, accountId);
+
   return state;
 };
 
+/**
+ * Get the latest psychological state of a user, analysing the trades when none was recorded yet
+ * @param {ObjectId} userId
+ * @param {ObjectId} [accountId] - Account the state was analyzed for, all accounts when not set
+ * @returns {Promise<Object>}
+ */
+const getLatestState = async (userId, accountId = null) => {
+  const latestStateAnalysis = await StateAnalysis.findOne({ userId, accountId }).sort({ timestamp: -1 }).lean();
+  return latestStateAnalysis || getCurrentState(userId, accountId);
+};
+
+/**
+ * Query for persisted state analyses
+ * @param {ObjectId} userId
+ * @param {Object} filter
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryStateAnalyses = async (userId, filter = {}, options = {}) => {
+  logger.info('Service: Querying state analyses for user:', userId, 'Filter:', filter);
+
+  const { state, startDate, endDate, accountId = null } = filter;
+
+  const query = { userId, accountId };
+  if (state) {
+    query.state = state;
+  }
+  if (startDate || endDate) {
+    query.timestamp = {};
+    if (startDate) query.timestamp.$gte = new Date(startDate);
+    if (endDate) query.timestamp.$lte = new Date(endDate);
+  }
+
+  const result = await StateAnalysis.paginate(query, { sortBy: 'timestamp:desc', ...options });
+  logger.info('Service: State analyses found:', result.results.length);
+  return result;
+};
+
+/**
+ * Get persisted state analysis by id
+ * @param {ObjectId} stateAnalysisId
+ * @param {ObjectId} userId
+ * @returns {Promise<StateAnalysis>}
+ */
+const getStateAnalysisById = async (stateAnalysisId, userId) => {
+  logger.info('Service: Getting state analysis by id:', stateAnalysisId, 'for user:', userId);
+  const stateAnalysis = await StateAnalysis.findOne({ _id: stateAnalysisId, userId });
+  logger.info('Service: State analysis found:', !!stateAnalysis);
+  return stateAnalysis;
+};
+
+/**
+ * Persist the forecast for today's session. Only the first forecast of the day is kept so
+ * accuracy is measured on what the trader was told before trading, not in hindsight.
+ * @param {ObjectId} userId
+ * @param {Object} forecast - Result of analyzeSessionForecast
+ * @param {ObjectId} [accountId] - Account the forecast is for, null for all accounts
+ * @returns {Promise<SessionForecast>}
+ */
+const saveSessionForecast = async (userId, forecast, accountId = null) => {
+  const [latestStateAnalysis, timeZone] = await Promise.all([
+    StateAnalysis.findOne({ userId, accountId }).sort({ timestamp: -1 }).lean(),
+    User.getTimeZone(userId),
+  ]);
+
+  const sessionForecast = await SessionForecast.findOneAndUpdate(
+    { userId, accountId, session: forecast.session, sessionDate: getZonedDayBounds(new Date(), timeZone).start },
+    {
+      $setOnInsert: {
+        predictedBias: forecast.forecast,
+        probability: forecast.probability,
+        factors: forecast.factors,
+        riskLevel: forecastRiskLevels[forecast.forecast],
+        recommendations: forecast.recommendations,
+        basedOnState: latestStateAnalysis ? latestStateAnalysis.state : PsychologicalState.STABLE,
+        status: ForecastStatus.PENDING,
+        timestamp: new Date(),
+      },
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  logger.info('Service: Saved session forecast:', sessionForecast.id);
+  return sessionForecast;
+};
+
 /**
  * Get session forecast
  * @param {ObjectId} userId
- * @param {string} session
+ * @param {string} [session] - One of the trading sessions of the user, the first of them when not set
+ * @param {ObjectId} [accountId] - Account to forecast from the trades of, all accounts when not set
  * @returns {Promise<Object>}
  */
-const getSessionForecast = async (userId, session = 'LONDON') => {
-  logger.info('Service: Getting session forecast for user:', userId, 'Session:', session);
+const getSessionForecast = async (userId, requestedSession, accountId = null) => {
+  await sessionCatalogueService.assertSessionsExist(userId, [requestedSession]);
+  const session = requestedSession || (await sessionCatalogueService.getSessions(userId))[0].code;
+  logger.info('Service: Getting session forecast for user:', userId, 'Session:', session, 'Account:', accountId);
 
   // Get trades for the specified session
   const sessionTrades = await Trade.find({
     userId,
     session: session.toUpperCase(),
   })
+    .inAccount(accountId)
+    .closed()
     .sort({ entryTime: -1 })
     .limit(20)
     .lean();
@@ -526,36 +1135,159 @@ const getSessionForecast = async (userId, session = 'LONDON') => {
   const forecast = analyzeSessionForecast(sessionTrades, session);
 
   logger.info('Service: Calculated session forecast:', forecast.forecast);
+
+  await saveSessionForecast(userId, forecast, accountId);
+
   return forecast;
 };
 
 /**
- * Get performance insights
+ * Resolve the forecasts of sessions that are over against the trades taken in them, in the account
+ * of the forecast when it was made for one. Days are those of the time zone of the user. Trades are converted
+ * into the reporting currency of the account of the forecast, or of all the accounts of the user.
+ * @param {ObjectId} userId
+ * @param {Date} [since] - Re-resolve forecasts from this day on, e.g. after trades were edited; only pending forecasts otherwise
+ * @returns {Promise<number>} Number of forecasts resolved
+ */
+const reconcileSessionForecasts = async (userId, since) => {
+  const timeZone = await User.getTimeZone(userId);
+  const query = { userId, sessionDate: { $lt: getZonedDayBounds(new Date(), timeZone).start } };
+  if (since) {
+    query.sessionDate.$gte = getZonedDayBounds(since, timeZone).start;
+  } else {
+    query.status = ForecastStatus.PENDING;
+  }
+
+  const forecasts = await SessionForecast.find(query);
+  if (forecasts.length === 0) {
+    return 0;
+  }
+
+  const sessionDates = forecasts.map((f) => f.sessionDate.getTime());
+  const trades = await Trade.find({
+    userId,
+    entryTime: {
+      $gte: new Date(Math.min(...sessionDates)),
+      $lt: getZonedDayBounds(new Date(Math.max(...sessionDates)), timeZone).end,
+    },
+  })
+    .closed()
+    .lean();
+
+  // Trades in the reporting currency of each account forecasts were made for, null standing for all accounts
+  const accountIds = [...new Set(forecasts.map((f) => (f.accountId ? f.accountId.toString() : null)))];
+  const convertedTrades = new Map(
+    await Promise.all(
+      accountIds.map(async (accountId) => {
+        const currency = await fxRateService.getReportingCurrency(userId, accountId);
+        const accountTrades = accountId ? trades.filter((t) => t.accountId && t.accountId.toString() === accountId) : trades;
+        const converted = await fxRateService.convertTrades(userId, accountTrades, currency);
+        return [accountId, { currency, trades: converted.trades }];
+      })
+    )
+  );
+
+  await Promise.all(
+    forecasts.map(async (forecast) => {
+      const dayEnd = getZonedDayBounds(forecast.sessionDate, timeZone).end;
+      const { currency, trades: accountTrades } = convertedTrades.get(
+        forecast.accountId ? forecast.accountId.toString() : null
+      );
+      const sessionTrades = accountTrades.filter(
+        (t) => t.session === forecast.session && t.entryTime >= forecast.sessionDate && t.entryTime < dayEnd
+      );
+      Object.assign(forecast, resolveSessionForecast(forecast, sessionTrades, currency));
+      await forecast.save();
+    })
+  );
+
+  logger.info('Service: Reconciled session forecasts:', forecasts.length);
+  return forecasts.length;
+};
+
+/**
+ * Get forecast accuracy overall and per session
+ * @param {ObjectId} userId
+ * @param {Object} filter
+ * @returns {Promise<Object>}
+ */
+const getForecastAccuracy = async (userId, filter = {}) => {
+  logger.info('Service: Getting forecast accuracy for user:', userId, 'Filter:', filter);
+
+  const { session, startDate, endDate, accountId = null } = filter;
+  await sessionCatalogueService.assertSessionsExist(userId, [session]);
+
+  const query = { userId, accountId };
+  if (session) {
+    query.session = session;
+  }
+  if (startDate || endDate) {
+    // Both days are included, as days of the time zone of the user
+    const timeZone = await User.getTimeZone(userId);
+    query.sessionDate = {};
+    if (startDate) query.sessionDate.$gte = getCalendarDayBounds(new Date(startDate), timeZone).start;
+    if (endDate) query.sessionDate.$lt = getCalendarDayBounds(new Date(endDate), timeZone).end;
+  }
+
+  const forecasts = await SessionForecast.find(query).lean();
+
+  const forecastsBySession = {};
+  forecasts.forEach((forecast) => {
+    if (!forecastsBySession[forecast.session]) {
+      forecastsBySession[forecast.session] = [];
+    }
+    forecastsBySession[forecast.session].push(forecast);
+  });
+
+  return {
+    ...calculateForecastAccuracy(forecasts),
+    sessions: Object.entries(forecastsBySession).map(([forecastSession, sessionForecasts]) => ({
+      session: forecastSession,
+      ...calculateForecastAccuracy(sessionForecasts),
+    })),
+  };
+};
+
+/**
+ * Get performance insights, with the gross and net profit/loss of the period in a reporting currency
  * @param {ObjectId} userId
  * @param {string} period
+ * @param {ObjectId} [accountId] - Account to analyze the trades of, all accounts when not set
+ * @param {string} [currency] - Reporting currency, the one of the accounts when not set
  * @returns {Promise<Object>}
  */
-const getPerformanceInsights = async (userId, period = 'MONTH') => {
-  logger.info('Service: Getting performance insights for user:', userId, 'Period:', period);
+const getPerformanceInsights = async (userId, period = 'MONTH', accountId = null, currency = undefined) => {
+  logger.info('Service: Getting performance insights for user:', userId, 'Period:', period, 'Account:', accountId);
 
   // Calculate date range based on period
   const dateRange = getDateRange(period);
 
   // Get trades for the specified period
-  const periodTrades = await Trade.find({
+  const [recordedTrades, mistakes, reportingCurrency] = await Promise.all([
+    Trade.find({
+      userId,
+      entryTime: { $gte: dateRange.start, $lte: dateRange.end },
+    })
+      .inAccount(accountId)
+      .closed()
+      .sort({ entryTime: -1 })
+      .lean(),
+    mistakeCatalogueService.getMistakes(userId),
+    fxRateService.getReportingCurrency(userId, accountId, currency),
+  ]);
+
+  logger.info('Service: Found period trades for insights:', recordedTrades.length);
+  const { trades: periodTrades, unconvertedTrades } = await fxRateService.convertTrades(
     userId,
-    entryTime: { $gte: dateRange.start, $lte: dateRange.end },
-  })
-    .sort({ entryTime: -1 })
-    .lean();
-
-  logger.info('Service: Found period trades for insights:', periodTrades.length);
+    recordedTrades,
+    reportingCurrency
+  );
 
   // Analyze performance patterns and generate insights
-  const insights = analyzePerformanceInsights(periodTrades, period);
+  const insights = analyzePerformanceInsights(periodTrades, period, mistakes);
 
   logger.info('Service: Generated insights count:', insights.insights.length);
-  return insights;
+  return { ...insights, currency: reportingCurrency, profitLoss: summariseProfitLoss(periodTrades), unconvertedTrades };
 };
 
 /**
@@ -567,7 +1299,7 @@ const getPerformanceInsights = async (userId, period = 'MONTH') => {
 const getStateHistory = async (userId, filter = {}) => {
   logger.info('Service: Getting state history for user:', userId, 'Filter:', filter);
 
-  const { startDate, endDate, limit = 50 } = filter;
+  const { startDate, endDate, limit = 50, accountId } = filter;
 
   // Build date filter
   const dateFilter = {};
@@ -581,22 +1313,57 @@ const getStateHistory = async (userId, filter = {}) => {
   }
 
   const trades = await Trade.find(query)
+    .inAccount(accountId)
+    .closed()
     .sort({ entryTime: -1 })
     .limit(limit * 2) // Get more trades to analyze state changes
     .lean();
 
   logger.info('Service: Found trades for history analysis:', trades.length);
 
+  const { rules } = await stateRuleService.getEffectiveStateRules(userId);
+
   // Analyze state changes over time
-  const history = analyzeStateHistory(trades, limit);
+  const history = analyzeStateHistory(trades, limit, rules);
 
   logger.info('Service: Generated history records:', history.history.length);
   return history;
 };
 
+/**
+ * Evaluate state rules against a user's recent trades without persisting the result
+ * @param {ObjectId} userId
+ * @param {Object} ruleSet - Rules to evaluate with their source and ruleSetId
+ * @returns {Promise<Object>}
+ */
+const dryRunStateRules = async (userId, ruleSet) => {
+  logger.info('Service: Dry-running state rules for user:', userId, 'Source:', ruleSet.source);
+
+  const recentTrades = await Trade.find({ userId }).closed().sort({ entryTime: -1 }).limit(10).lean();
+  const metrics = calculateStateMetrics(recentTrades);
+  const { matchedRules, ...evaluation } = evaluateStateRules(metrics, ruleSet.rules);
+
+  return {
+    userId,
+    source: ruleSet.source,
+    ruleSetId: ruleSet.ruleSetId,
+    analyzedTradeCount: recentTrades.length,
+    metrics,
+    matchedRules,
+    result: evaluation,
+  };
+};
+
 module.exports = {
   getCurrentState,
+  getLatestState,
   getSessionForecast,
   getPerformanceInsights,
+  getDateRange,
   getStateHistory,
+  queryStateAnalyses,
+  getStateAnalysisById,
+  dryRunStateRules,
+  reconcileSessionForecasts,
+  getForecastAccuracy,
 };
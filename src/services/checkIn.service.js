@@ -0,0 +1,129 @@
+const httpStatus = require('http-status');
+const { CheckIn, Trade } = require('../models');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+const analysisService = require('./analysis.service');
+const dashboardService = require('./dashboard.service');
+
+/**
+ * Recompute the psychological state of a user after their check-ins changed
+ * @param {ObjectId} userId
+ * @returns {Promise<void>}
+ */
+const refreshState = async (userId) => {
+  try {
+    await dashboardService.invalidateDashboards(userId);
+    await analysisService.getCurrentState(userId);
+  } catch (error) {
+    logger.error('Service: Failed to refresh state for user:', userId, error);
+  }
+};
+
+/**
+ * Check that the trade a check-in refers to belongs to the user
+ * @param {ObjectId} userId
+ * @param {ObjectId} [tradeId]
+ * @returns {Promise<void>}
+ */
+const assertTradeExists = async (userId, tradeId) => {
+  if (tradeId && (await Trade.countDocuments({ _id: tradeId, userId })) === 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Trade not found');
+  }
+};
+
+/**
+ * Create a check-in
+ * @param {ObjectId} userId
+ * @param {Object} checkInBody
+ * @returns {Promise<CheckIn>}
+ */
+const createCheckIn = async (userId, checkInBody) => {
+  logger.info('Service: Creating', checkInBody.type, 'check-in for user:', userId);
+  await assertTradeExists(userId, checkInBody.tradeId);
+  const checkIn = await CheckIn.create({ ...checkInBody, userId });
+  await refreshState(userId);
+  return checkIn;
+};
+
+/**
+ * Query for check-ins of a user
+ * @param {ObjectId} userId
+ * @param {Object} filter - Type, trade and recorded at range
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryCheckIns = async (userId, filter = {}, options = {}) => {
+  logger.info('Service: Querying check-ins for user:', userId, 'Filter:', filter);
+
+  const { type, tradeId, startDate, endDate } = filter;
+
+  const query = { userId };
+  if (type) {
+    query.type = type;
+  }
+  if (tradeId) {
+    query.tradeId = tradeId;
+  }
+  if (startDate || endDate) {
+    query.recordedAt = {};
+    if (startDate) query.recordedAt.$gte = new Date(startDate);
+    if (endDate) query.recordedAt.$lte = new Date(endDate);
+  }
+
+  return CheckIn.paginate(query, { sortBy: 'recordedAt:desc', ...options });
+};
+
+/**
+ * Get a check-in of a user
+ * @param {ObjectId} checkInId
+ * @param {ObjectId} userId
+ * @returns {Promise<CheckIn>}
+ */
+const getCheckInById = async (checkInId, userId) => {
+  const checkIn = await CheckIn.findOne({ _id: checkInId, userId });
+  if (!checkIn) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Check-in not found');
+  }
+  return checkIn;
+};
+
+/**
+ * Update a check-in of a user
+ * @param {ObjectId} checkInId
+ * @param {ObjectId} userId
+ * @param {Object} updateBody
+ * @returns {Promise<CheckIn>}
+ */
+const updateCheckInById = async (checkInId, userId, updateBody) => {
+  logger.info('Service: Updating check-in:', checkInId);
+  const checkIn = await getCheckInById(checkInId, userId);
+  Object.assign(checkIn, updateBody);
+  await checkIn.save();
+  await refreshState(userId);
+  return checkIn;
+};
+
+/**
+ * Delete a check-in of a user
+ * @param {ObjectId} checkInId
+ * @param {ObjectId} userId
+ * @returns {Promise<CheckIn>}
+ */
+const deleteCheckInById = async (checkInId, userId) => {
+  logger.info('Service: Deleting check-in:', checkInId);
+  const checkIn = await getCheckInById(checkInId, userId);
+  await checkIn.remove();
+  await refreshState(userId);
+  return checkIn;
+};
+
+module.exports = {
+  createCheckIn,
+  queryCheckIns,
+  getCheckInById,
+  updateCheckInById,
+  deleteCheckInById,
+};
@@ -1,5 +1,17 @@
-const { Trade } = require('../models');
-const { analysisService } = require('./index');
+const httpStatus = require('http-status');
+const { User, Trade, Setup, StateAnalysis, SessionForecast, Dashboard } = require('../models');
+const { PsychologicalState, TradeStatus } = require('../models/enums');
+const analysisService = require('./analysis.service');
+const snapshotService = require('./snapshot.service');
+const planAdherenceService = require('./planAdherence.service');
+const tradingPlanVersionService = require('./tradingPlanVersion.service');
+const fxRateService = require('./fxRate.service');
+const sessionCatalogueService = require('./sessionCatalogue.service');
+const metricsService = require('./metrics.service');
+const ApiError = require('../utils/ApiError');
+const { getNetProfitLoss, summariseProfitLoss } = require('../utils/profitLoss');
+const averageOf = require('../utils/average');
+const { getZonedDay, getZonedDayBounds } = require('../utils/timezone');
 const logger = require('../config/logger');
 
 /**
@@ -32,7 +44,7 @@ const getDateRange = (period) => {
 };
 
 /**
- * Calculate summary statistics
+ * Calculate summary statistics. totalProfitLoss is gross, fees and netProfitLoss add the commissions and swaps.
  * @param {Array} trades
  * @returns {Object}
  */
@@ -44,6 +56,8 @@ const calculateSummaryStats = (trades) => {
       losingTrades: 0,
       winRate: 0,
       totalProfitLoss: 0,
+      fees: 0,
+      netProfitLoss: 0,
       averageRiskReward: 0,
       bestTrade: 0,
       worstTrade: 0,
@@ -54,8 +68,8 @@ const calculateSummaryStats = (trades) => {
   const winningTrades = trades.filter((t) => t.profitLoss > 0).length;
   const losingTrades = trades.filter((t) => t.profitLoss < 0).length;
   const winRate = totalTrades > 0 ? (winningTrades / totalTrades) * 100 : 0;
-  const totalProfitLoss = trades.reduce((sum, t) => sum + t.profitLoss, 0);
-  const averageRiskReward = trades.reduce((sum, t) => sum + t.riskRewardAchieved, 0) / totalTrades;
+  const profitLoss = summariseProfitLoss(trades);
+  const averageRiskReward = averageOf(trades, 'riskRewardAchieved');
   const profits = trades.map((t) => t.profitLoss);
   const bestTrade = Math.max(...profits);
   const worstTrade = Math.min(...profits);
@@ -65,8 +79,10 @@ const calculateSummaryStats = (trades) => {
     winningTrades,
     losingTrades,
     winRate: Math.round(winRate * 100) / 100,
-    totalProfitLoss: Math.round(totalProfitLoss * 100) / 100,
-    averageRiskReward: Math.round(averageRiskReward * 100) / 100,
+    totalProfitLoss: profitLoss.gross,
+    fees: profitLoss.fees,
+    netProfitLoss: profitLoss.net,
+    averageRiskReward: averageRiskReward == null ? null : Math.round(averageRiskReward * 100) / 100,
     bestTrade: Math.round(bestTrade * 100) / 100,
     worstTrade: Math.round(worstTrade * 100) / 100,
   };
@@ -75,13 +91,14 @@ const calculateSummaryStats = (trades) => {
 /**
  * Calculate daily P&L
  * @param {Array} trades
+ * @param {string} [timeZone] - Time zone of the days trades are grouped into
  * @returns {Array}
  */
-const calculateDailyPnL = (trades) => {
+const calculateDailyPnL = (trades, timeZone = 'UTC') => {
   const dailyPnL = {};
 
   trades.forEach((trade) => {
-    const date = new Date(trade.entryTime).toISOString().split('T')[0];
+    const date = getZonedDay(trade.entryTime, timeZone);
     if (!dailyPnL[date]) {
       dailyPnL[date] = 0;
     }
@@ -99,9 +116,10 @@ const calculateDailyPnL = (trades) => {
 /**
  * Calculate session performance
  * @param {Array} trades
+ * @param {Array} [sessions] - Trading sessions of the user, which label their trades
  * @returns {Array}
  */
-const calculateSessionPerformance = (trades) => {
+const calculateSessionPerformance = (trades, sessions = []) => {
   const sessionStats = {};
 
   trades.forEach((trade) => {
@@ -120,8 +138,12 @@ const calculateSessionPerformance = (trades) => {
     }
   });
 
+  const sessionLabels = new Map(sessions.map((session) => [session.code, session.label]));
+
   return Object.entries(sessionStats).map(([session, stats]) => ({
     session,
+    // Sessions no longer in the catalogue are shown by their code
+    label: sessionLabels.get(session) || session,
     trades: stats.trades,
     profitLoss: Math.round(stats.profitLoss * 100) / 100,
     winRate: Math.round((stats.winningTrades / stats.trades) * 100 * 100) / 100,
@@ -129,7 +151,62 @@ const calculateSessionPerformance = (trades) => {
 };
 
 /**
- * Calculate risk metrics
+ * Calculate the performance of each setup the trades were taken on, best expectancy first. Losing trades count
+ * as negative R multiples.
+ * @param {Array} trades
+ * @param {Array} setups - Setups of the user
+ * @returns {Array}
+ */
+const calculateSetupPerformance = (trades, setups) => {
+  const setupStats = {};
+
+  trades.forEach((trade) => {
+    if (!trade.setup) {
+      return;
+    }
+    const setupId = trade.setup.toString();
+    if (!setupStats[setupId]) {
+      setupStats[setupId] = {
+        trades: 0,
+        profitLoss: 0,
+        winningTrades: 0,
+        rMultiples: [],
+      };
+    }
+    setupStats[setupId].trades += 1;
+    setupStats[setupId].profitLoss += trade.profitLoss;
+    const rMultiple = metricsService.getRMultiple(trade);
+    if (rMultiple != null) {
+      setupStats[setupId].rMultiples.push(rMultiple);
+    }
+    if (trade.profitLoss > 0) {
+      setupStats[setupId].winningTrades += 1;
+    }
+  });
+
+  const setupNames = new Map(setups.map((setup) => [setup._id.toString(), setup.name]));
+
+  return Object.entries(setupStats)
+    .filter(([setupId]) => setupNames.has(setupId))
+    .map(([setupId, stats]) => ({
+      setup: setupId,
+      name: setupNames.get(setupId),
+      trades: stats.trades,
+      profitLoss: Math.round(stats.profitLoss * 100) / 100,
+      winRate: Math.round((stats.winningTrades / stats.trades) * 100 * 100) / 100,
+      // Average profit/loss per trade
+      expectancy: Math.round((stats.profitLoss / stats.trades) * 100) / 100,
+      // Average R multiple per trade, over the trades it is known for
+      expectancyR:
+        stats.rMultiples.length > 0
+          ? Math.round((stats.rMultiples.reduce((sum, r) => sum + r, 0) / stats.rMultiples.length) * 100) / 100
+          : null,
+    }))
+    .sort((a, b) => b.expectancy - a.expectancy);
+};
+
+/**
+ * Calculate risk metrics. Risk-adjusted ratios such as the Sharpe ratio are part of the performance metrics.
  * @param {Array} trades
  * @returns {Object}
  */
@@ -138,7 +215,6 @@ const calculateRiskMetrics = (trades) => {
     return {
       averageRiskPerTrade: 0,
       maxDrawdown: 0,
-      sharpeRatio: 0,
     };
   }
 
@@ -160,17 +236,39 @@ const calculateRiskMetrics = (trades) => {
     }
   });
 
-  // Calculate Sharpe ratio (simplified)
-  const returns = trades.map((t) => t.profitLoss);
-  const avgReturn = returns.reduce((sum, r) => sum + r, 0) / returns.length;
-  const variance = returns.reduce((sum, r) => sum + (r - avgReturn) ** 2, 0) / returns.length;
-  const stdDev = Math.sqrt(variance);
-  const sharpeRatio = stdDev > 0 ? avgReturn / stdDev : 0;
-
   return {
     averageRiskPerTrade: Math.round(averageRiskPerTrade * 100) / 100,
     maxDrawdown: Math.round(maxDrawdown * 100) / 100,
-    sharpeRatio: Math.round(sharpeRatio * 100) / 100,
+  };
+};
+
+/**
+ * Calculate the exposure of the open trades: the risk left on them once their partial exits are taken off
+ * @param {Array} openTrades
+ * @returns {Object}
+ */
+const calculateOpenExposure = (openTrades) => {
+  const positions = openTrades.map((trade) => {
+    const exits = trade.exits || [];
+    const exitedSize = exits.reduce((sum, exit) => sum + exit.positionSize, 0);
+    const remainingShare = trade.positionSize ? Math.max(0, 1 - exitedSize / trade.positionSize) : 1;
+    return {
+      trade: trade._id,
+      symbol: trade.symbol,
+      direction: trade.direction,
+      session: trade.session,
+      entryTime: trade.entryTime,
+      remainingSize: trade.positionSize != null ? Math.round((trade.positionSize - exitedSize) * 1e8) / 1e8 : null,
+      riskPercent: Math.round(trade.riskPercentUsed * remainingShare * 100) / 100,
+      realisedProfitLoss: Math.round(exits.reduce((sum, exit) => sum + exit.profitLoss, 0) * 100) / 100,
+    };
+  });
+
+  return {
+    openTrades: positions.length,
+    riskPercent: Math.round(positions.reduce((sum, position) => sum + position.riskPercent, 0) * 100) / 100,
+    realisedProfitLoss: Math.round(positions.reduce((sum, position) => sum + position.realisedProfitLoss, 0) * 100) / 100,
+    positions,
   };
 };
 
@@ -296,13 +394,19 @@ const generateAlerts = (trades, psychologicalState) => {
   }
 
   // Psychological state alerts
-  if (psychologicalState.state === 'GREEDY') {
+  if (psychologicalState.state === PsychologicalState.AGGRESSIVE) {
     alerts.push({
       type: 'WARNING',
       message: 'High risk tolerance detected - reduce position sizes',
       priority: 'HIGH',
     });
-  } else if (psychologicalState.state === 'FEARFUL') {
+  } else if (psychologicalState.state === PsychologicalState.OVEREXTENDED) {
+    alerts.push({
+      type: 'WARNING',
+      message: 'Winning streak detected - stick to your planned position sizes',
+      priority: 'MEDIUM',
+    });
+  } else if (psychologicalState.state === PsychologicalState.HESITANT) {
     alerts.push({
       type: 'INFO',
       message: 'Low confidence detected - consider taking a break',
@@ -314,38 +418,85 @@ const generateAlerts = (trades, psychologicalState) => {
 };
 
 /**
- * Get complete dashboard data
+ * Compute the dashboard of a period and store it in the user's Dashboard document
  * @param {ObjectId} userId
  * @param {string} period
- * @returns {Promise<Object>}
+ * @param {ObjectId} accountId - Account of the dashboard, null for all accounts
+ * @param {string} currency - Reporting currency
+ * @returns {Promise<Dashboard>}
  */
-const getCompleteDashboard = async (userId, period = 'MONTH') => {
-  logger.info('Service: Getting complete dashboard for user:', userId, 'Period:', period);
+const materializeDashboard = async (userId, period, accountId, currency) => {
+  logger.info('Service: Computing dashboard for user:', userId, 'Period:', period, 'Account:', accountId, currency);
 
   // Get date range
   const dateRange = getDateRange(period);
 
-  // Get trades for the period
-  const trades = await Trade.find({
-    userId,
-    entryTime: { $gte: dateRange.start, $lte: dateRange.end },
-  })
-    .sort({ entryTime: -1 })
-    .lean();
-
-  logger.info('Service: Found trades for dashboard:', trades.length);
+  const [user, recordedTrades, recordedOpenTrades, tradingPlan, setups, sessions, openingBalance] = await Promise.all([
+    User.findById(userId).lean(),
+    // Get the closed trades for the period, open trades have no realised outcome yet
+    Trade.find({
+      userId,
+      entryTime: { $gte: dateRange.start, $lte: dateRange.end },
+    })
+      .inAccount(accountId)
+      .closed()
+      .sort({ entryTime: -1 })
+      .lean(),
+    // Whatever the period, every open trade is exposed
+    Trade.find({ userId, status: TradeStatus.OPEN }).inAccount(accountId).sort({ entryTime: -1 }).lean(),
+    tradingPlanVersionService.getAccountTradingPlan(userId, accountId),
+    Setup.find({ userId }).select('name').lean(),
+    sessionCatalogueService.getSessions(userId),
+    metricsService.getBalanceAt(userId, dateRange.start, accountId, currency),
+  ]);
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
+  }
+  // Users registered before time zones were kept are in UTC
+  const timeZone = user.timezone || 'UTC';
+
+  logger.info('Service: Found trades for dashboard:', recordedTrades.length);
+  const [closed, open] = await Promise.all([
+    fxRateService.convertTrades(userId, recordedTrades, currency),
+    fxRateService.convertTrades(userId, recordedOpenTrades, currency),
+  ]);
+  const { trades } = closed;
+  const openTrades = open.trades;
+  // Trades without a rate into the reporting currency are left out of the stats
+  const unconvertedTrades = [...closed.unconvertedTrades, ...open.unconvertedTrades];
 
   // Get psychological state
-  const psychologicalState = await analysisService.getCurrentState(userId);
+  const psychologicalState = await analysisService.getCurrentState(userId, accountId);
 
   // Get performance insights
-  const insights = await analysisService.getPerformanceInsights(userId, period);
+  const insights = await analysisService.getPerformanceInsights(userId, period, accountId, currency);
+
+  // Forecast the first preferred session of the plan still traded by the user, else their first session
+  const sessionCodes = sessions.map((session) => session.code);
+  const forecastSession =
+    (tradingPlan && tradingPlan.preferredSessions.find((session) => sessionCodes.includes(session))) || sessionCodes[0];
+  await analysisService.getSessionForecast(userId, forecastSession, accountId);
+
+  const [stateAnalysis, sessionForecast, performanceSnapshot] = await Promise.all([
+    StateAnalysis.findOne({ userId, accountId }).sort({ timestamp: -1 }).select('_id').lean(),
+    SessionForecast.findOne({ userId, accountId, session: forecastSession }).sort({ sessionDate: -1 }).select('_id').lean(),
+    snapshotService.getLatestPerformanceSnapshot(userId, accountId),
+  ]);
 
   // Calculate metrics
   const summary = calculateSummaryStats(trades);
-  const dailyPnL = calculateDailyPnL(trades);
-  const sessionPerformance = calculateSessionPerformance(trades);
+  const dailyPnL = calculateDailyPnL(trades, timeZone);
+  const sessionPerformance = calculateSessionPerformance(trades, sessions);
+  const setupPerformance = calculateSetupPerformance(trades, setups);
   const riskMetrics = calculateRiskMetrics(trades);
+  const planAdherence = planAdherenceService.calculatePlanAdherence(trades);
+  const openExposure = calculateOpenExposure(openTrades);
+  const metrics = metricsService.calculateMetrics(trades, sessions, {
+    openingBalance,
+    startDate: dateRange.start,
+    endDate: dateRange.end,
+    timeZone,
+  });
 
   // Get recent trades (last 10)
   const recentTrades = trades.slice(0, 10).map((trade) => ({
@@ -353,82 +504,156 @@ const getCompleteDashboard = async (userId, period = 'MONTH') => {
     entryTime: trade.entryTime,
     exitTime: trade.exitTime,
     profitLoss: trade.profitLoss,
+    netProfitLoss: getNetProfitLoss(trade),
     session: trade.session,
     riskPercentUsed: trade.riskPercentUsed,
     riskRewardAchieved: trade.riskRewardAchieved,
+    planAdherenceScore: trade.planAdherence ? trade.planAdherence.score : null,
   }));
 
-  const dashboard = {
+  const data = {
     period,
+    currency,
+    timezone: timeZone,
     summary,
     psychologicalState,
     performance: {
       dailyPnL,
       sessionPerformance,
+      setupPerformance,
       riskMetrics,
     },
+    metrics,
+    planAdherence,
+    openExposure,
     insights: insights.insights,
     recentTrades,
+    unconvertedTrades,
+  };
+
+  // Calculate quick stats
+  const quickStats = {
+    totalTrades: summary.totalTrades,
+    winRate: summary.winRate,
+    totalPnL: summary.totalProfitLoss,
+    netPnL: summary.netProfitLoss,
+    avgRiskReward: summary.averageRiskReward,
+    currentState: psychologicalState.state,
+    confidence: psychologicalState.confidence,
+    planAdherence: planAdherence.score,
+    openTrades: openExposure.openTrades,
+    openRiskPercent: openExposure.riskPercent,
   };
 
+  const dashboardSummary = {
+    period,
+    currency,
+    quickStats,
+    trends: calculateTrends(trades),
+    alerts: generateAlerts(trades, psychologicalState),
+    unconvertedTrades,
+  };
+
+  const dashboard = await Dashboard.findOneAndUpdate(
+    { userId, accountId, period },
+    {
+      user: { id: user._id, name: user.name },
+      currency,
+      brainHero: { state: psychologicalState.state, stateAnalysis: stateAnalysis ? stateAnalysis._id : null },
+      sessionForecast: sessionForecast ? sessionForecast._id : null,
+      performanceSnapshot: performanceSnapshot._id,
+      recentTrades: recentTrades.map((trade) => trade.id),
+      tradingPlan: tradingPlan ? tradingPlan._id : null,
+      data,
+      summary: dashboardSummary,
+      computedAt: new Date(),
+      stale: false,
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+
   logger.info('Service: Dashboard data compiled successfully');
   return dashboard;
 };
 
 /**
- * Get dashboard summary
+ * Get the materialized dashboard of a period, recomputing it when it is missing, stale, was
+ * computed before today in the time zone of the user (the period window moved on), is in another currency
+ * or a fresh one is requested
  * @param {ObjectId} userId
  * @param {string} period
- * @returns {Promise<Object>}
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh]
+ * @param {ObjectId} [options.accountId] - Account of the dashboard, all accounts when not set
+ * @param {string} [options.currency] - Reporting currency, the one of the accounts when not set
+ * @returns {Promise<Dashboard>}
  */
-const getDashboardSummary = async (userId, period = 'MONTH') => {
-  logger.info('Service: Getting dashboard summary for user:', userId, 'Period:', period);
-
-  // Get date range
-  const dateRange = getDateRange(period);
-
-  // Get trades for the period
-  const trades = await Trade.find({
-    userId,
-    entryTime: { $gte: dateRange.start, $lte: dateRange.end },
-  })
-    .sort({ entryTime: -1 })
-    .lean();
-
-  logger.info('Service: Found trades for summary:', trades.length);
-
-  // Get psychological state
-  const psychologicalState = await analysisService.getCurrentState(userId);
-
-  // Calculate quick stats
-  const summaryStats = calculateSummaryStats(trades);
-  const quickStats = {
-    totalTrades: summaryStats.totalTrades,
-    winRate: summaryStats.winRate,
-    totalPnL: summaryStats.totalProfitLoss,
-    avgRiskReward: summaryStats.averageRiskReward,
-    currentState: psychologicalState.state,
-    confidence: psychologicalState.confidence,
-  };
+const getMaterializedDashboard = async (userId, period, { fresh = false, accountId = null, currency } = {}) => {
+  const reportingCurrency = await fxRateService.getReportingCurrency(userId, accountId, currency);
+  if (!fresh) {
+    const { start: today } = getZonedDayBounds(new Date(), await User.getTimeZone(userId));
+
+    const dashboard = await Dashboard.findOne({
+      userId,
+      accountId,
+      period,
+      currency: reportingCurrency,
+      stale: false,
+      computedAt: { $gte: today },
+    }).lean();
+    if (dashboard && dashboard.data) {
+      logger.info('Service: Serving materialized dashboard computed at:', dashboard.computedAt);
+      return dashboard;
+    }
+  }
 
-  // Calculate trends
-  const trends = calculateTrends(trades);
+  return materializeDashboard(userId, period, accountId, reportingCurrency);
+};
 
-  // Generate alerts
-  const alerts = generateAlerts(trades, psychologicalState);
+/**
+ * Mark the materialized dashboards of a user as stale, so each period and account is recomputed on its next read
+ * @param {ObjectId} userId
+ * @returns {Promise<void>}
+ */
+const invalidateDashboards = async (userId) => {
+  const result = await Dashboard.updateMany({ userId, stale: false }, { $set: { stale: true } });
+  logger.info('Service: Invalidated dashboards for user:', userId, 'Count:', result.nModified);
+};
 
-  const summary = {
-    period,
-    quickStats,
-    trends,
-    alerts,
-  };
+/**
+ * Get complete dashboard data
+ * @param {ObjectId} userId
+ * @param {string} period
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh] - Recompute instead of serving the materialized dashboard
+ * @param {ObjectId} [options.accountId] - Account of the dashboard, all accounts when not set
+ * @param {string} [options.currency] - Reporting currency, the one of the accounts when not set
+ * @returns {Promise<Object>}
+ */
+const getCompleteDashboard = async (userId, period = 'MONTH', options = {}) => {
+  logger.info('Service: Getting complete dashboard for user:', userId, 'Period:', period);
+  const dashboard = await getMaterializedDashboard(userId, period, options);
+  return { ...dashboard.data, computedAt: dashboard.computedAt };
+};
 
-  logger.info('Service: Dashboard summary compiled successfully');
-  return summary;
+/**
+ * Get dashboard summary
+ * @param {ObjectId} userId
+ * @param {string} period
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh] - Recompute instead of serving the materialized dashboard
+ * @param {ObjectId} [options.accountId] - Account of the dashboard, all accounts when not set
+ * @param {string} [options.currency] - Reporting currency, the one of the accounts when not set
+ * @returns {Promise<Object>}
+ */
+const getDashboardSummary = async (userId, period = 'MONTH', options = {}) => {
+  logger.info('Service: Getting dashboard summary for user:', userId, 'Period:', period);
+  const dashboard = await getMaterializedDashboard(userId, period, options);
+  return { ...dashboard.summary, computedAt: dashboard.computedAt };
 };
 
 module.exports = {
   getCompleteDashboard,
   getDashboardSummary,
+  invalidateDashboards,
 };
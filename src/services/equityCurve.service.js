@@ -0,0 +1,205 @@
+const { Trade, Account, User } = require('../models');
+const { EquityCurveGranularity } = require('../models/enums');
+const { getNetProfitLoss } = require('../utils/profitLoss');
+const { getZonedDay, getZonedWeek } = require('../utils/timezone');
+const logger = require('../config/logger');
+const fxRateService = require('./fxRate.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the point of the equity curve a trade falls in
+ * @param {Date} exitTime
+ * @param {string} granularity - TRADE, DAY or WEEK
+ * @param {string} timeZone
+ * @returns {Date|string} The exit time, or the day (YYYY-MM-DD) or first day of the week, in the time zone
+ */
+const getPointDate = (exitTime, granularity, timeZone) => {
+  if (granularity === EquityCurveGranularity.DAY) {
+    return getZonedDay(exitTime, timeZone);
+  }
+  if (granularity === EquityCurveGranularity.WEEK) {
+    return getZonedWeek(exitTime, timeZone);
+  }
+  return exitTime;
+};
+
+/**
+ * Build the equity curve of closed trades sorted by exit time: the balance after each trade, or at the end
+ * of each day or week, with the highest of these balances so far and the drawdown from it
+ * @param {Array} trades
+ * @param {Object} opening - { balance, peak } before the first trade
+ * @param {string} [granularity] - TRADE, DAY or WEEK
+ * @param {string} [timeZone] - Time zone of the days and weeks
+ * @returns {Array} { date, trades, profitLoss, balance, peak, drawdown, drawdownPercent }, with the tradeId
+ *   of each point at the TRADE granularity
+ */
+const buildEquityCurve = (trades, opening, granularity = EquityCurveGranularity.TRADE, timeZone = 'UTC') => {
+  const points = [];
+  let { balance, peak } = opening;
+
+  trades.forEach((trade) => {
+    const profitLoss = getNetProfitLoss(trade);
+    balance += profitLoss;
+    const date = getPointDate(trade.exitTime, granularity, timeZone);
+    const last = points[points.length - 1];
+    if (granularity !== EquityCurveGranularity.TRADE && last && last.date === date) {
+      Object.assign(last, { trades: last.trades + 1, profitLoss: last.profitLoss + profitLoss, balance });
+    } else {
+      points.push({
+        date,
+        ...(granularity === EquityCurveGranularity.TRADE && { tradeId: trade._id }),
+        trades: 1,
+        profitLoss,
+        balance,
+      });
+    }
+  });
+
+  return points.map((point) => {
+    peak = Math.max(peak, point.balance);
+    const drawdown = round(peak - point.balance);
+    return {
+      ...point,
+      profitLoss: round(point.profitLoss),
+      balance: round(point.balance),
+      peak: round(peak),
+      drawdown,
+      // A drawdown from a balance of zero or less has no meaningful percentage
+      drawdownPercent: peak > 0 ? round((drawdown / peak) * 100) : null,
+    };
+  });
+};
+
+/**
+ * Find the drawdown periods of an equity curve. A period starts at the first point below the peak, bottoms
+ * out at its trough and ends at the point the balance gets back to the peak. Periods not recovered yet last
+ * until the last point.
+ * @param {Array} points - Result of buildEquityCurve
+ * @returns {Array} { start, trough, recovery, peakBalance, troughBalance, drawdown, drawdownPercent, durationDays }
+ */
+const findDrawdownPeriods = (points) => {
+  const periods = [];
+  let current = null;
+
+  points.forEach((point) => {
+    if (point.drawdown > 0) {
+      if (!current) {
+        current = { start: point.date, recovery: null, peakBalance: point.peak, troughBalance: Infinity };
+        periods.push(current);
+      }
+      if (point.balance < current.troughBalance) {
+        Object.assign(current, {
+          trough: point.date,
+          troughBalance: point.balance,
+          drawdown: point.drawdown,
+          drawdownPercent: point.drawdownPercent,
+        });
+      }
+    } else if (current) {
+      current.recovery = point.date;
+      current = null;
+    }
+  });
+
+  const lastDate = points.length > 0 ? points[points.length - 1].date : null;
+  return periods.map((period) => ({
+    start: period.start,
+    trough: period.trough,
+    recovery: period.recovery,
+    peakBalance: period.peakBalance,
+    troughBalance: period.troughBalance,
+    drawdown: period.drawdown,
+    drawdownPercent: period.drawdownPercent,
+    durationDays: round((new Date(period.recovery || lastDate) - new Date(period.start)) / DAY_MS),
+  }));
+};
+
+/**
+ * Get the equity curve of a user: the balance of their accounts, from their starting balance, after the
+ * net profit/loss of each closed trade, in the reporting currency. Trades closed before the range still
+ * make the balance and peak the curve opens with.
+ * @param {ObjectId} userId
+ * @param {Object} [filter]
+ * @param {string} [filter.granularity] - TRADE, DAY or WEEK, days and weeks being in the time zone of the user
+ * @param {Date} [filter.startDate] - Exit times range
+ * @param {Date} [filter.endDate]
+ * @param {ObjectId} [filter.accountId] - Account of the curve, all accounts when not set
+ * @param {string} [filter.currency] - Reporting currency, the one of the accounts when not set
+ * @returns {Promise<Object>}
+ */
+const getEquityCurve = async (userId, filter = {}) => {
+  const { granularity = EquityCurveGranularity.TRADE, startDate, endDate, accountId = null, currency } = filter;
+  logger.info('Service: Getting equity curve for user:', userId, 'Granularity:', granularity, 'Account:', accountId);
+
+  const query = { userId };
+  if (endDate) {
+    query.exitTime = { $lte: new Date(endDate) };
+  }
+  const [recordedTrades, accounts, reportingCurrency, timeZone] = await Promise.all([
+    Trade.find(query).inAccount(accountId).closed().sort({ exitTime: 1, _id: 1 }).lean(),
+    Account.find(accountId ? { _id: accountId, userId } : { userId }).lean(),
+    fxRateService.getReportingCurrency(userId, accountId, currency),
+    User.getTimeZone(userId),
+  ]);
+  logger.info('Service: Found trades for equity curve:', recordedTrades.length);
+
+  const { trades, unconvertedTrades } = await fxRateService.convertTrades(userId, recordedTrades, reportingCurrency);
+  // Starting balances are converted at the rate of the day the account was opened, those without a rate left out
+  const convert = await fxRateService.createConverter(
+    accounts.map((account) => account.currency),
+    reportingCurrency
+  );
+  const unconvertedAccounts = [];
+  const startingBalance = round(
+    accounts.reduce((sum, account) => {
+      const balance = convert(account.startingBalance, account.currency, account.createdAt);
+      if (balance == null) {
+        unconvertedAccounts.push({ accountId: account._id, currency: account.currency });
+        return sum;
+      }
+      return sum + balance;
+    }, 0)
+  );
+
+  const rangeStart = startDate ? new Date(startDate) : null;
+  const opening = { balance: startingBalance, peak: startingBalance };
+  const rangeTrades = trades.filter((trade) => {
+    if (rangeStart && trade.exitTime < rangeStart) {
+      opening.balance += getNetProfitLoss(trade);
+      opening.peak = Math.max(opening.peak, opening.balance);
+      return false;
+    }
+    return true;
+  });
+
+  const points = buildEquityCurve(rangeTrades, opening, granularity, timeZone);
+  const lastPoint = points[points.length - 1];
+  const deepestPoint = points.reduce((deepest, point) => (point.drawdown > deepest.drawdown ? point : deepest), {
+    drawdown: 0,
+    drawdownPercent: null,
+  });
+
+  return {
+    currency: reportingCurrency,
+    granularity,
+    timezone: timeZone,
+    startingBalance,
+    openingBalance: round(opening.balance),
+    closingBalance: lastPoint ? lastPoint.balance : round(opening.balance),
+    maxDrawdown: deepestPoint.drawdown,
+    maxDrawdownPercent: deepestPoint.drawdownPercent,
+    points,
+    drawdownPeriods: findDrawdownPeriods(points),
+    unconvertedTrades,
+    unconvertedAccounts,
+  };
+};
+
+module.exports = {
+  buildEquityCurve,
+  findDrawdownPeriods,
+  getEquityCurve,
+};
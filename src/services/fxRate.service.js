@@ -0,0 +1,274 @@
+const httpStatus = require('http-status');
+const moment = require('moment');
+const { FxRate, Account, Dashboard } = require('../models');
+const { parseCsv } = require('../utils/csv');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+
+// Reporting currency of users whose accounts are in several currencies, or who have no account
+const DEFAULT_REPORTING_CURRENCY = 'USD';
+
+const csvColumns = ['date', 'base', 'quote', 'rate'];
+
+/**
+ * Get the UTC day a rate applies to
+ * @param {Date|string} date
+ * @returns {Date}
+ */
+const toRateDate = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Mark every materialized dashboard as stale: any of them may convert amounts with the rates that changed
+ * @returns {Promise<void>}
+ */
+const invalidateConvertedDashboards = async () => {
+  const result = await Dashboard.updateMany({ stale: false }, { $set: { stale: true } });
+  logger.info('Service: Invalidated dashboards after FX rates changed, count:', result.nModified);
+};
+
+/**
+ * Create or replace the rate of a currency pair on a day
+ * @param {Object} rateBody - { baseCurrency, quoteCurrency, date, rate }
+ * @returns {Promise<FxRate>}
+ */
+const setFxRate = async ({ baseCurrency, quoteCurrency, date, rate }) => {
+  logger.info('Service: Setting FX rate:', baseCurrency, quoteCurrency, 'on', date);
+  if (baseCurrency.toUpperCase() === quoteCurrency.toUpperCase()) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Base and quote currencies must differ');
+  }
+  const fxRate = await FxRate.findOneAndUpdate(
+    { baseCurrency: baseCurrency.toUpperCase(), quoteCurrency: quoteCurrency.toUpperCase(), date: toRateDate(date) },
+    { rate },
+    { upsert: true, new: true, runValidators: true }
+  );
+  await invalidateConvertedDashboards();
+  return fxRate;
+};
+
+/**
+ * Query for FX rates
+ * @param {Object} filter - Base and quote currencies, date range
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryFxRates = async (filter, options) => {
+  const { baseCurrency, quoteCurrency, startDate, endDate } = filter;
+  const query = {};
+  if (baseCurrency) query.baseCurrency = baseCurrency.toUpperCase();
+  if (quoteCurrency) query.quoteCurrency = quoteCurrency.toUpperCase();
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+  return FxRate.paginate(query, { sortBy: 'date:desc', ...options });
+};
+
+/**
+ * Delete an FX rate
+ * @param {ObjectId} fxRateId
+ * @returns {Promise<FxRate>}
+ */
+const deleteFxRateById = async (fxRateId) => {
+  logger.info('Service: Deleting FX rate:', fxRateId);
+  const fxRate = await FxRate.findById(fxRateId);
+  if (!fxRate) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'FX rate not found');
+  }
+  await fxRate.remove();
+  await invalidateConvertedDashboards();
+  return fxRate;
+};
+
+/**
+ * Import FX rates from CSV. The header names the date, base, quote and rate columns, in any order; dates are
+ * ISO 8601 days. Rates already in the table for a pair and day are replaced.
+ * @param {string} csv
+ * @returns {Promise<Object>} { totalRows, imported, errors }
+ */
+const importFxRatesCsv = async (csv) => {
+  const [header, ...rows] = parseCsv(csv);
+  if (!header) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'CSV file is empty');
+  }
+  const columns = header.map((column) => column.trim().toLowerCase());
+  const missingColumns = csvColumns.filter((column) => !columns.includes(column));
+  if (missingColumns.length > 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `CSV is missing columns: ${missingColumns.join(', ')}`);
+  }
+
+  const operations = [];
+  const errors = [];
+  rows.forEach((cells, index) => {
+    const [date, base, quote, rate] = csvColumns.map((column) => (cells[columns.indexOf(column)] || '').trim());
+    const messages = [];
+    const day = moment.utc(date, 'YYYY-MM-DD', true);
+    if (!day.isValid()) messages.push('"date" must be a day in the YYYY-MM-DD format');
+    if (!/^[A-Z]{3}$/i.test(base)) messages.push('"base" must be a 3 letter currency code');
+    if (!/^[A-Z]{3}$/i.test(quote)) messages.push('"quote" must be a 3 letter currency code');
+    if (base.toUpperCase() === quote.toUpperCase()) messages.push('"base" and "quote" must differ');
+    if (rate === '' || !(Number(rate) > 0)) messages.push('"rate" must be a positive number');
+    if (messages.length > 0) {
+      // Row 1 is the header
+      errors.push({ row: index + 2, messages });
+      return;
+    }
+    operations.push({
+      updateOne: {
+        filter: { baseCurrency: base.toUpperCase(), quoteCurrency: quote.toUpperCase(), date: day.toDate() },
+        update: { $set: { rate: Number(rate) } },
+        upsert: true,
+      },
+    });
+  });
+
+  if (operations.length > 0) {
+    await FxRate.bulkWrite(operations);
+    await invalidateConvertedDashboards();
+  }
+  logger.info('Service: FX rates imported:', operations.length, 'Invalid rows:', errors.length);
+  return { totalRows: rows.length, imported: operations.length, errors };
+};
+
+/**
+ * Resolve the currency the stats of a user are reported in
+ * @param {ObjectId} userId
+ * @param {ObjectId} [accountId] - Account the stats are scoped to, all accounts when not set
+ * @param {string} [currency] - Requested currency
+ * @returns {Promise<string>} The requested currency, otherwise the currency of the account, or the one all
+ *   the accounts of the user share
+ */
+const getReportingCurrency = async (userId, accountId, currency) => {
+  if (currency) {
+    return currency.toUpperCase();
+  }
+  const currencies = await Account.distinct('currency', accountId ? { _id: accountId, userId } : { userId });
+  return currencies.length === 1 ? currencies[0] : DEFAULT_REPORTING_CURRENCY;
+};
+
+/**
+ * Find the latest rate on or before a day, by binary search
+ * @param {Array<Object>} rates - { date, rate } sorted by date
+ * @param {Date} day
+ * @returns {Object|null}
+ */
+const findRateOn = (rates, day) => {
+  let low = 0;
+  let high = rates.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (rates[middle].date <= day) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low > 0 ? rates[low - 1] : null;
+};
+
+/**
+ * Create a function converting amounts of the given currencies into the reporting currency, with the latest
+ * rate of the pair, or of the inverse pair, on or before the day of each amount
+ * @param {Array<string>} currencies
+ * @param {string} reportingCurrency
+ * @returns {Promise<Function>} (amount, currency, date) => converted amount, null when no rate converts it
+ */
+const createConverter = async (currencies, reportingCurrency) => {
+  const foreignCurrencies = [...new Set(currencies)].filter((currency) => currency !== reportingCurrency);
+  const ratesByCurrency = new Map(foreignCurrencies.map((currency) => [currency, []]));
+  if (foreignCurrencies.length > 0) {
+    const fxRates = await FxRate.find({
+      $or: [
+        { baseCurrency: { $in: foreignCurrencies }, quoteCurrency: reportingCurrency },
+        { baseCurrency: reportingCurrency, quoteCurrency: { $in: foreignCurrencies } },
+      ],
+    })
+      .sort({ date: 1 })
+      .lean();
+    fxRates.forEach((fxRate) => {
+      const inverse = fxRate.baseCurrency === reportingCurrency;
+      ratesByCurrency
+        .get(inverse ? fxRate.quoteCurrency : fxRate.baseCurrency)
+        .push({ date: fxRate.date, rate: inverse ? 1 / fxRate.rate : fxRate.rate });
+    });
+  }
+
+  return (amount, currency, date) => {
+    if (amount == null || currency === reportingCurrency) {
+      return amount;
+    }
+    const fxRate = findRateOn(ratesByCurrency.get(currency), toRateDate(date));
+    if (!fxRate) {
+      return null;
+    }
+    return Math.round(amount * fxRate.rate * 100) / 100;
+  };
+};
+
+/**
+ * Convert the profit/loss and fees of trades into the reporting currency, at the rate of the day each amount
+ * was realised. Trades without a currency are in the currency of their account, or in the reporting
+ * currency when they have no account either. Trades with an amount no rate converts are left out and reported,
+ * so a missing rate does not fail the stats of the other trades.
+ * @param {ObjectId} userId
+ * @param {Array} trades - Lean trades
+ * @param {string} reportingCurrency
+ * @returns {Promise<Object>} { trades, unconvertedTrades }: copies of the trades in the reporting currency, and
+ *   the { tradeId, currency } of the trades left out
+ */
+const convertTrades = async (userId, trades, reportingCurrency) => {
+  const accounts = await Account.find({ userId }).select('currency').lean();
+  const accountCurrencies = new Map(accounts.map((account) => [account._id.toString(), account.currency]));
+  const getCurrency = (trade) =>
+    trade.currency || (trade.accountId && accountCurrencies.get(trade.accountId.toString())) || reportingCurrency;
+
+  const convert = await createConverter(trades.map(getCurrency), reportingCurrency);
+  const convertedTrades = [];
+  const unconvertedTrades = [];
+  trades.forEach((trade) => {
+    const currency = getCurrency(trade);
+    const realisedAt = trade.exitTime || trade.entryTime;
+    const amounts = [
+      [trade.profitLoss, realisedAt],
+      [trade.commission, realisedAt],
+      [trade.swap, realisedAt],
+      ...(trade.exits || []).map((exit) => [exit.profitLoss, exit.exitTime]),
+    ];
+    const converted = amounts.map(([amount, date]) => convert(amount, currency, date));
+    if (converted.some((value, index) => value == null && amounts[index][0] != null)) {
+      unconvertedTrades.push({ tradeId: trade._id, currency });
+      return;
+    }
+    const [profitLoss, commission, swap, ...exitProfitLosses] = converted;
+    convertedTrades.push({
+      ...trade,
+      currency: reportingCurrency,
+      profitLoss,
+      commission,
+      swap,
+      exits: trade.exits && trade.exits.map((exit, index) => ({ ...exit, profitLoss: exitProfitLosses[index] })),
+    });
+  });
+
+  if (unconvertedTrades.length > 0) {
+    logger.warn('Service: Trades without FX rate into', reportingCurrency, 'left out:', unconvertedTrades.length);
+  }
+  return { trades: convertedTrades, unconvertedTrades };
+};
+
+module.exports = {
+  setFxRate,
+  queryFxRates,
+  deleteFxRateById,
+  importFxRatesCsv,
+  getReportingCurrency,
+  createConverter,
+  convertTrades,
+};
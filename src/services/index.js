@@ -2,7 +2,22 @@ module.exports.authService = require('./auth.service');
 module.exports.emailService = require('./email.service');
 module.exports.tokenService = require('./token.service');
 module.exports.userService = require('./user.service');
+module.exports.accountService = require('./account.service');
+module.exports.fxRateService = require('./fxRate.service');
+module.exports.tradingPlanVersionService = require('./tradingPlanVersion.service');
 module.exports.tradingPlanService = require('./tradingPlan.service');
+module.exports.planAdherenceService = require('./planAdherence.service');
+module.exports.setupService = require('./setup.service');
+module.exports.mistakeCatalogueService = require('./mistakeCatalogue.service');
+module.exports.sessionCatalogueService = require('./sessionCatalogue.service');
 module.exports.tradeService = require('./trade.service');
+module.exports.checkInService = require('./checkIn.service');
+module.exports.tradeImportService = require('./tradeImport.service');
+module.exports.tradeExportService = require('./tradeExport.service');
+module.exports.stateRuleService = require('./stateRule.service');
 module.exports.analysisService = require('./analysis.service');
 module.exports.dashboardService = require('./dashboard.service');
+module.exports.snapshotService = require('./snapshot.service');
+module.exports.equityCurveService = require('./equityCurve.service');
+module.exports.metricsService = require('./metrics.service');
+module.exports.jobLockService = require('./jobLock.service');
@@ -0,0 +1,55 @@
+const os = require('os');
+const { JobLock } = require('../models');
+const logger = require('../config/logger');
+
+// Identifies this process among the instances sharing the database
+const instanceId = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Acquire the lock of a job run. Only one instance can hold a lock at a time, and a run key
+ * that already completed is not run again.
+ * @param {string} name - Job name
+ * @param {string} runKey - Key of the run, e.g. the period being processed
+ * @param {number} ttlMs - How long the lock is held if it is never released
+ * @returns {Promise<boolean>} Whether the lock was acquired
+ */
+const acquireJobLock = async (name, runKey, ttlMs) => {
+  const now = new Date();
+  try {
+    await JobLock.findOneAndUpdate(
+      { name, lastRunKey: { $ne: runKey }, lockedUntil: { $lte: now } },
+      { $set: { lockedBy: instanceId, lockedUntil: new Date(now.getTime() + ttlMs) } },
+      { upsert: true }
+    );
+    logger.info('Service: Acquired job lock:', name, 'Run:', runKey);
+    return true;
+  } catch (error) {
+    // The upsert conflicts with the existing lock when it is held or the run already completed
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Release the lock of a job run
+ * @param {string} name - Job name
+ * @param {string} [completedRunKey] - Key of the run that completed, omit if the run failed so it is retried
+ * @returns {Promise<void>}
+ */
+const releaseJobLock = async (name, completedRunKey) => {
+  const now = new Date();
+  const update = { lockedUntil: now };
+  if (completedRunKey) {
+    update.lastRunKey = completedRunKey;
+    update.lastRunAt = now;
+  }
+  await JobLock.updateOne({ name, lockedBy: instanceId }, { $set: update });
+  logger.info('Service: Released job lock:', name);
+};
+
+module.exports = {
+  acquireJobLock,
+  releaseJobLock,
+};
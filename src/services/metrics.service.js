@@ -0,0 +1,265 @@
+const { Trade, User } = require('../models');
+const { EquityCurveGranularity, TradeDirection } = require('../models/enums');
+const { getNetProfitLoss } = require('../utils/profitLoss');
+const { getZonedDay } = require('../utils/timezone');
+const analysisService = require('./analysis.service');
+const equityCurveService = require('./equityCurve.service');
+const fxRateService = require('./fxRate.service');
+const sessionCatalogueService = require('./sessionCatalogue.service');
+const logger = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRADING_DAYS_PER_YEAR = 252;
+// Van Tharp caps the trade count of the SQN so large samples do not inflate it
+const SQN_MAX_TRADES = 100;
+
+const round = (value) => (value == null ? null : Math.round(value * 100) / 100);
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const sampleStdDev = (values) => {
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+};
+
+/**
+ * Get the R multiple of a closed trade: its result in units of the risk it was taken with. Trades with their
+ * prices are measured from them. Otherwise the typed R:R, which only measures gains, is used for winners and
+ * a loss counts as the full risk.
+ * @param {Object} trade
+ * @returns {number|null} Null for a winner with neither its prices nor its R:R
+ */
+const getRMultiple = (trade) => {
+  const { direction, entryPrice, exitPrice, stopLossPrice } = trade;
+  if (direction && entryPrice != null && exitPrice != null && stopLossPrice != null) {
+    const sign = direction === TradeDirection.LONG ? 1 : -1;
+    const risk = sign * (entryPrice - stopLossPrice);
+    if (risk > 0) {
+      return (sign * (exitPrice - entryPrice)) / risk;
+    }
+  }
+  const profitLoss = getNetProfitLoss(trade);
+  if (profitLoss > 0) {
+    return trade.riskRewardAchieved == null ? null : trade.riskRewardAchieved;
+  }
+  return profitLoss < 0 ? -1 : 0;
+};
+
+/**
+ * Get the longest runs of consecutive winners and losers, a breakeven trade ending both
+ * @param {Array<number>} profitLosses - In the order the trades were closed
+ * @returns {Object} { maxConsecutiveWins, maxConsecutiveLosses }
+ */
+const getStreaks = (profitLosses) => {
+  const streaks = { maxConsecutiveWins: 0, maxConsecutiveLosses: 0 };
+  let wins = 0;
+  let losses = 0;
+  profitLosses.forEach((profitLoss) => {
+    wins = profitLoss > 0 ? wins + 1 : 0;
+    losses = profitLoss < 0 ? losses + 1 : 0;
+    streaks.maxConsecutiveWins = Math.max(streaks.maxConsecutiveWins, wins);
+    streaks.maxConsecutiveLosses = Math.max(streaks.maxConsecutiveLosses, losses);
+  });
+  return streaks;
+};
+
+/**
+ * Get the returns of the trading days from firstDay to lastDay: every weekday, a day without trades returning
+ * nothing, and the weekend days trades were closed on
+ * @param {Array} days - Points of the daily equity curve
+ * @param {string} firstDay - YYYY-MM-DD
+ * @param {string} lastDay - YYYY-MM-DD
+ * @returns {Array<number>}
+ */
+const getDailyReturns = (days, firstDay, lastDay) => {
+  const returnsByDay = new Map(days.map((day) => [day.date, day.profitLoss / (day.balance - day.profitLoss)]));
+  const returns = [];
+  for (let time = Date.parse(firstDay); time <= Date.parse(lastDay); time += DAY_MS) {
+    const date = new Date(time);
+    const day = date.toISOString().split('T')[0];
+    if (returnsByDay.has(day)) {
+      returns.push(returnsByDay.get(day));
+    } else if (date.getUTCDay() % 6 !== 0) {
+      returns.push(0);
+    }
+  }
+  return returns;
+};
+
+/**
+ * Calculate the performance metrics of closed trades from their net profit/loss. Sharpe and Sortino ratios are
+ * annualised over 252 trading days from the returns of every weekday of the period, days without trades
+ * returning nothing; they need a positive opening balance, as do the percentages of the balance. Ratios that
+ * cannot be calculated from the trades, such as a profit factor without losing trades, are null.
+ * @param {Array} trades - Closed trades, in any order
+ * @param {Object} [options]
+ * @param {number} [options.openingBalance] - Balance before the first trade
+ * @param {Date} [options.startDate] - Start of the period, the day of the first trade when not set
+ * @param {Date} [options.endDate] - End of the period, the day of the last trade when not set
+ * @param {string} [options.timeZone] - Time zone of the days returns are calculated over
+ * @returns {Object}
+ */
+const calculatePerformanceMetrics = (trades, { openingBalance = 0, startDate, endDate, timeZone = 'UTC' } = {}) => {
+  const sortedTrades = [...trades].sort((a, b) => a.exitTime - b.exitTime);
+  const profitLosses = sortedTrades.map(getNetProfitLoss);
+  const wins = profitLosses.filter((profitLoss) => profitLoss > 0);
+  const losses = profitLosses.filter((profitLoss) => profitLoss < 0);
+  const grossProfit = wins.reduce((sum, profitLoss) => sum + profitLoss, 0);
+  const grossLoss = -losses.reduce((sum, profitLoss) => sum + profitLoss, 0);
+  const netProfitLoss = grossProfit - grossLoss;
+
+  const averageWin = wins.length > 0 ? grossProfit / wins.length : null;
+  const averageLoss = losses.length > 0 ? -grossLoss / losses.length : null;
+  const payoffRatio = averageWin != null && averageLoss != null ? averageWin / -averageLoss : null;
+  const winRate = trades.length > 0 ? wins.length / trades.length : 0;
+
+  const rMultiples = sortedTrades.map(getRMultiple).filter((rMultiple) => rMultiple != null);
+  const rStdDev = rMultiples.length > 1 ? sampleStdDev(rMultiples) : 0;
+
+  const opening = { balance: openingBalance, peak: openingBalance };
+  const points = equityCurveService.buildEquityCurve(sortedTrades, opening);
+  const deepestPoint = points.reduce((deepest, point) => (point.drawdown > deepest.drawdown ? point : deepest), {
+    drawdown: 0,
+    drawdownPercent: null,
+  });
+
+  // Returns are only meaningful while there is a balance to return on
+  const days = equityCurveService.buildEquityCurve(sortedTrades, opening, EquityCurveGranularity.DAY, timeZone);
+  const lastTradeDay = days.length > 0 ? days[days.length - 1].date : undefined;
+  const firstDay = startDate ? getZonedDay(startDate, timeZone) : days.length > 0 && days[0].date;
+  // Trades entered in the period may be closed after it
+  const lastDay = [endDate && getZonedDay(endDate, timeZone), lastTradeDay].filter(Boolean).sort().pop();
+  const dailyReturns = days.every((day) => day.balance - day.profitLoss > 0) ? getDailyReturns(days, firstDay, lastDay) : [];
+  const returnStdDev = dailyReturns.length > 1 ? sampleStdDev(dailyReturns) : 0;
+  const downsideDeviation =
+    dailyReturns.length > 1 ? Math.sqrt(mean(dailyReturns.map((dailyReturn) => Math.min(dailyReturn, 0) ** 2))) : 0;
+  const annualisation = Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+  const closingBalance = openingBalance + netProfitLoss;
+  const periodDays = startDate && endDate ? (endDate - startDate) / DAY_MS : null;
+  const maxDrawdownPercent = openingBalance > 0 ? deepestPoint.drawdownPercent : null;
+  const annualReturnPercent =
+    periodDays > 0 && openingBalance > 0 && closingBalance > 0
+      ? ((closingBalance / openingBalance) ** (365 / periodDays) - 1) * 100
+      : null;
+
+  return {
+    trades: trades.length,
+    winRate: round(winRate * 100),
+    netProfitLoss: round(netProfitLoss),
+    averageWin: round(averageWin),
+    averageLoss: round(averageLoss),
+    largestWin: round(wins.length > 0 ? Math.max(...wins) : null),
+    largestLoss: round(losses.length > 0 ? Math.min(...losses) : null),
+    ...getStreaks(profitLosses),
+    expectancy: round(trades.length > 0 ? netProfitLoss / trades.length : null),
+    expectancyR: round(rMultiples.length > 0 ? mean(rMultiples) : null),
+    profitFactor: round(grossLoss > 0 ? grossProfit / grossLoss : null),
+    payoffRatio: round(payoffRatio),
+    maxDrawdown: deepestPoint.drawdown,
+    maxDrawdownPercent,
+    recoveryFactor: round(deepestPoint.drawdown > 0 ? netProfitLoss / deepestPoint.drawdown : null),
+    sharpeRatio: round(returnStdDev > 0 ? (mean(dailyReturns) / returnStdDev) * annualisation : null),
+    sortinoRatio: round(downsideDeviation > 0 ? (mean(dailyReturns) / downsideDeviation) * annualisation : null),
+    calmarRatio: round(
+      annualReturnPercent != null && maxDrawdownPercent > 0 ? annualReturnPercent / maxDrawdownPercent : null
+    ),
+    sqn: round(rStdDev > 0 ? (Math.sqrt(Math.min(rMultiples.length, SQN_MAX_TRADES)) * mean(rMultiples)) / rStdDev : null),
+    // Share of the balance to risk per trade, negative when the trades have no edge
+    kellyFraction: round(payoffRatio ? winRate - (1 - winRate) / payoffRatio : null),
+  };
+};
+
+/**
+ * Calculate the performance metrics of trades, overall and per session. Sessions have no balance of their own,
+ * so their metrics are measured without the opening balance: their return ratios and percentages are null.
+ * @param {Array} trades - Closed trades
+ * @param {Array} sessions - Trading sessions of the user, which label their trades
+ * @param {Object} [options] - Options of calculatePerformanceMetrics
+ * @returns {Object}
+ */
+const calculateMetrics = (trades, sessions, options = {}) => {
+  const tradesBySession = {};
+  trades.forEach((trade) => {
+    if (!tradesBySession[trade.session]) {
+      tradesBySession[trade.session] = [];
+    }
+    tradesBySession[trade.session].push(trade);
+  });
+
+  const sessionLabels = new Map(sessions.map((session) => [session.code, session.label]));
+
+  return {
+    ...calculatePerformanceMetrics(trades, options),
+    sessions: Object.entries(tradesBySession).map(([session, sessionTrades]) => ({
+      session,
+      // Sessions no longer in the catalogue are shown by their code
+      label: sessionLabels.get(session) || session,
+      ...calculatePerformanceMetrics(sessionTrades, { ...options, openingBalance: 0 }),
+    })),
+  };
+};
+
+/**
+ * Get the balance of the accounts of a user at a date, from their starting balance and the trades closed before
+ * @param {ObjectId} userId
+ * @param {Date} date
+ * @param {ObjectId} [accountId] - Account of the balance, all accounts when not set
+ * @param {string} [currency] - Reporting currency
+ * @returns {Promise<number>}
+ */
+const getBalanceAt = async (userId, date, accountId = null, currency = undefined) => {
+  const equityCurve = await equityCurveService.getEquityCurve(userId, { endDate: date, accountId, currency });
+  return equityCurve.closingBalance;
+};
+
+/**
+ * Get the performance metrics of the trades of a period, overall and per session, in a reporting currency
+ * @param {ObjectId} userId
+ * @param {string} period
+ * @param {ObjectId} [accountId] - Account of the metrics, all accounts when not set
+ * @param {string} [currency] - Reporting currency, the one of the accounts when not set
+ * @returns {Promise<Object>}
+ */
+const getPerformanceMetrics = async (userId, period = 'MONTH', accountId = null, currency = undefined) => {
+  logger.info('Service: Getting performance metrics for user:', userId, 'Period:', period, 'Account:', accountId);
+
+  const dateRange = analysisService.getDateRange(period);
+  const reportingCurrency = await fxRateService.getReportingCurrency(userId, accountId, currency);
+  const [recordedTrades, sessions, timeZone, openingBalance] = await Promise.all([
+    Trade.find({
+      userId,
+      entryTime: { $gte: dateRange.start, $lte: dateRange.end },
+    })
+      .inAccount(accountId)
+      .closed()
+      .lean(),
+    sessionCatalogueService.getSessions(userId),
+    User.getTimeZone(userId),
+    getBalanceAt(userId, dateRange.start, accountId, reportingCurrency),
+  ]);
+
+  logger.info('Service: Found period trades for metrics:', recordedTrades.length);
+  const { trades, unconvertedTrades } = await fxRateService.convertTrades(userId, recordedTrades, reportingCurrency);
+
+  return {
+    period,
+    currency: reportingCurrency,
+    openingBalance,
+    unconvertedTrades,
+    ...calculateMetrics(trades, sessions, {
+      openingBalance,
+      startDate: dateRange.start,
+      endDate: dateRange.end,
+      timeZone,
+    }),
+  };
+};
+
+module.exports = {
+  getRMultiple,
+  calculatePerformanceMetrics,
+  calculateMetrics,
+  getBalanceAt,
+  getPerformanceMetrics,
+};
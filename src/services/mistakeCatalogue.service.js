@@ -0,0 +1,67 @@
+const httpStatus = require('http-status');
+const { MistakeCatalogue } = require('../models');
+const { defaultMistakes } = require('../config/mistakes');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+
+/**
+ * Get the mistakes trades of a user are reviewed against: their own catalogue, else the default one
+ * @param {ObjectId} userId
+ * @returns {Promise<Array>} { code, label }
+ */
+const getMistakes = async (userId) => {
+  const catalogue = await MistakeCatalogue.findOne({ userId }).lean();
+  return catalogue ? catalogue.mistakes : defaultMistakes;
+};
+
+/**
+ * Replace the mistake catalogue of a user. Trades keep the codes they were reviewed with, and
+ * materialized dashboards show the new labels once recomputed.
+ * @param {ObjectId} userId
+ * @param {Array} mistakes - { code, label }
+ * @returns {Promise<Array>} The saved mistakes
+ */
+const saveMistakes = async (userId, mistakes) => {
+  logger.info('Service: Saving mistake catalogue for user:', userId, 'Mistakes:', mistakes.length);
+  const catalogue = await MistakeCatalogue.findOneAndUpdate(
+    { userId },
+    { mistakes },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+  return catalogue.mistakes;
+};
+
+/**
+ * Drop the mistake catalogue of a user, going back to the default one
+ * @param {ObjectId} userId
+ * @returns {Promise<Array>} The default mistakes
+ */
+const resetMistakes = async (userId) => {
+  logger.info('Service: Resetting mistake catalogue for user:', userId);
+  await MistakeCatalogue.deleteOne({ userId });
+  return defaultMistakes;
+};
+
+/**
+ * Check that mistakes are in the catalogue of a user
+ * @param {ObjectId} userId
+ * @param {Array<string>} codes
+ * @returns {Promise<void>}
+ */
+const assertMistakesExist = async (userId, codes) => {
+  if (codes.length === 0) {
+    return;
+  }
+  const mistakes = await getMistakes(userId);
+  const unknownCodes = codes.filter((code) => !mistakes.some((mistake) => mistake.code === code));
+  if (unknownCodes.length > 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Unknown mistakes: ${unknownCodes.join(', ')}`);
+  }
+};
+
+module.exports = {
+  getMistakes,
+  saveMistakes,
+  resetMistakes,
+  assertMistakesExist,
+};
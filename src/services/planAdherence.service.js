@@ -0,0 +1,238 @@
+const { Trade, TradingPlanVersion, User } = require('../models');
+const { PlanViolation, StopLossDisciplines, TradeStatus } = require('../models/enums');
+const { getTradingPlanVersions, getPlanVersionAt } = require('./tradingPlanVersion.service');
+const { getZonedDay, getZonedDayBounds } = require('../utils/timezone');
+const { chunk, mapInBatches } = require('../utils/batch');
+const logger = require('../config/logger');
+
+// Trading days scored by one query when all trades of a user are scored again
+const TRADING_DAYS_BATCH_SIZE = 50;
+
+// Every violated rule costs the same share of the score
+const VIOLATION_PENALTY = 100 / Object.keys(PlanViolation).length;
+
+/**
+ * Evaluate a trade against a trading plan
+ * @param {Object} trade
+ * @param {Object} tradingPlan
+ * @param {number} tradeNumberOfDay - Position of the trade among the trades of its day, starting at 1
+ * @returns {Object} { score, violations }
+ */
+const evaluateTrade = (trade, tradingPlan, tradeNumberOfDay) => {
+  const violations = [];
+
+  if (trade.riskPercentUsed > tradingPlan.riskPercentPerTrade) {
+    violations.push({
+      rule: PlanViolation.RISK_ABOVE_PLAN,
+      message: `Risked ${trade.riskPercentUsed}% against a planned ${tradingPlan.riskPercentPerTrade}%`,
+    });
+  }
+
+  // A trade closed at its stop loss followed the plan, whatever R:R it achieved, and one imported without
+  // the prices to measure its R:R is not held against it
+  if (
+    !trade.stopLossHit &&
+    trade.riskRewardAchieved != null &&
+    trade.riskRewardAchieved < tradingPlan.targetRiskRewardRatio
+  ) {
+    violations.push({
+      rule: PlanViolation.RISK_REWARD_BELOW_TARGET,
+      message: `Closed at ${trade.riskRewardAchieved}R against a target of ${tradingPlan.targetRiskRewardRatio}R`,
+    });
+  }
+
+  if (tradingPlan.preferredSessions.length > 0 && !tradingPlan.preferredSessions.includes(trade.session)) {
+    violations.push({
+      rule: PlanViolation.SESSION_NOT_PREFERRED,
+      message: `Traded the ${trade.session} session outside the preferred ${tradingPlan.preferredSessions.join(', ')}`,
+    });
+  }
+
+  if (tradeNumberOfDay > tradingPlan.maxTradesPerDay) {
+    violations.push({
+      rule: PlanViolation.MAX_TRADES_EXCEEDED,
+      message: `Trade ${tradeNumberOfDay} of the day against a maximum of ${tradingPlan.maxTradesPerDay}`,
+    });
+  }
+
+  // A loss that was neither stopped out nor cut early means the stop loss was moved or missing
+  if (
+    tradingPlan.stopLossDiscipline === StopLossDisciplines.ALWAYS &&
+    trade.profitLoss < 0 &&
+    !trade.stopLossHit &&
+    !trade.exitedEarly
+  ) {
+    violations.push({
+      rule: PlanViolation.STOP_LOSS_NOT_HONOURED,
+      message: 'Losing trade was not closed at its stop loss',
+    });
+  }
+
+  return {
+    score: Math.round(100 - violations.length * VIOLATION_PENALTY),
+    violations,
+  };
+};
+
+/**
+ * Score every trade of the days containing the given dates against the trading plan version in force
+ * at its entry time: the plan of its account, or the plan without an account when the account has none.
+ * Whole days, in the time zone of the user, are rescored because the daily trade limit depends on the other
+ * trades of the day in the account.
+ * @param {ObjectId} userId
+ * @param {Array<Date>} dates
+ * @returns {Promise<number>} Number of trades scored
+ */
+const scoreTradingDays = async (userId, dates) => {
+  if (dates.length === 0) {
+    return 0;
+  }
+  const [tradingPlanVersions, accountPlans, timeZone] = await Promise.all([
+    getTradingPlanVersions(userId),
+    TradingPlanVersion.distinct('accountId', { userId, accountId: { $ne: null } }),
+    User.getTimeZone(userId),
+  ]);
+  if (tradingPlanVersions.length === 0 && accountPlans.length === 0) {
+    return 0;
+  }
+
+  const days = new Map(
+    dates.map((date) => {
+      const { start, end } = getZonedDayBounds(date, timeZone);
+      return [start.getTime(), { entryTime: { $gte: start, $lt: end } }];
+    })
+  );
+
+  const trades = await Trade.find({ userId, $or: [...days.values()] })
+    .sort({ entryTime: 1, _id: 1 })
+    .lean();
+
+  const versionsByAccount = new Map(
+    await Promise.all(
+      accountPlans.map(async (accountId) => [accountId.toString(), await getTradingPlanVersions(userId, accountId)])
+    )
+  );
+
+  const evaluatedAt = new Date();
+  const tradesPerDay = {};
+  const operations = trades.map((trade) => {
+    const day = `${trade.accountId || ''}:${getZonedDay(trade.entryTime, timeZone)}`;
+    tradesPerDay[day] = (tradesPerDay[day] || 0) + 1;
+
+    const accountVersions = trade.accountId && versionsByAccount.get(trade.accountId.toString());
+    const tradingPlanVersion = getPlanVersionAt(accountVersions || tradingPlanVersions, trade.entryTime);
+    // Open trades count towards the trades of their day, they are scored once closed
+    if (!tradingPlanVersion || trade.status === TradeStatus.OPEN) {
+      return { updateOne: { filter: { _id: trade._id }, update: { $unset: { planAdherence: '' } } } };
+    }
+
+    return {
+      updateOne: {
+        filter: { _id: trade._id },
+        update: {
+          $set: {
+            planAdherence: {
+              ...evaluateTrade(trade, tradingPlanVersion, tradesPerDay[day]),
+              tradingPlanVersion: tradingPlanVersion._id,
+              evaluatedAt,
+            },
+          },
+        },
+      },
+    };
+  });
+
+  if (operations.length > 0) {
+    await Trade.bulkWrite(operations);
+  }
+
+  logger.info('Service: Scored plan adherence of trades:', operations.length);
+  return operations.length;
+};
+
+/**
+ * Score every trade of a user again, e.g. after their time zone moved trades to other days. Days are scored
+ * a batch at a time so the query of each batch stays bounded.
+ * @param {ObjectId} userId
+ * @returns {Promise<number>} Number of trades scored
+ */
+const scoreAllTradingDays = async (userId) => {
+  const [entryTimes, timeZone] = await Promise.all([Trade.distinct('entryTime', { userId }), User.getTimeZone(userId)]);
+  // One entry time per trading day is enough to score the whole day
+  const days = [...new Map(entryTimes.map((entryTime) => [getZonedDay(entryTime, timeZone), entryTime])).values()];
+
+  const counts = await mapInBatches(chunk(days, TRADING_DAYS_BATCH_SIZE), 1, (batch) => scoreTradingDays(userId, batch));
+  return counts.reduce((sum, count) => sum + count, 0);
+};
+
+/**
+ * Aggregate the plan adherence of scored trades
+ * @param {Array} trades
+ * @returns {Object} { score, scoredTrades, compliantTrades, violations }, score is null when no trade is scored
+ */
+const calculatePlanAdherence = (trades) => {
+  const scoredTrades = trades.filter((t) => t.planAdherence && typeof t.planAdherence.score === 'number');
+
+  const violations = {};
+  Object.values(PlanViolation).forEach((rule) => {
+    violations[rule] = 0;
+  });
+  scoredTrades.forEach((t) => {
+    t.planAdherence.violations.forEach((violation) => {
+      violations[violation.rule] += 1;
+    });
+  });
+
+  const totalScore = scoredTrades.reduce((sum, t) => sum + t.planAdherence.score, 0);
+
+  return {
+    score: scoredTrades.length > 0 ? Math.round((totalScore / scoredTrades.length) * 100) / 100 : null,
+    scoredTrades: scoredTrades.length,
+    compliantTrades: scoredTrades.filter((t) => t.planAdherence.violations.length === 0).length,
+    violations,
+  };
+};
+
+/**
+ * Get the plan adherence of a user, overall and per session
+ * @param {ObjectId} userId
+ * @param {Object} filter - Entry time range and account
+ * @returns {Promise<Object>}
+ */
+const getPlanAdherence = async (userId, filter = {}) => {
+  logger.info('Service: Getting plan adherence for user:', userId, 'Filter:', filter);
+
+  const { startDate, endDate, accountId } = filter;
+  const query = { userId };
+  if (startDate || endDate) {
+    query.entryTime = {};
+    if (startDate) query.entryTime.$gte = new Date(startDate);
+    if (endDate) query.entryTime.$lte = new Date(endDate);
+  }
+
+  const trades = await Trade.find(query).inAccount(accountId).lean();
+
+  const tradesBySession = {};
+  trades.forEach((trade) => {
+    if (!tradesBySession[trade.session]) {
+      tradesBySession[trade.session] = [];
+    }
+    tradesBySession[trade.session].push(trade);
+  });
+
+  return {
+    ...calculatePlanAdherence(trades),
+    sessions: Object.entries(tradesBySession).map(([session, sessionTrades]) => ({
+      session,
+      ...calculatePlanAdherence(sessionTrades),
+    })),
+  };
+};
+
+module.exports = {
+  evaluateTrade,
+  scoreTradingDays,
+  scoreAllTradingDays,
+  calculatePlanAdherence,
+  getPlanAdherence,
+};
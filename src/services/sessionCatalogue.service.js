@@ -0,0 +1,94 @@
+const httpStatus = require('http-status');
+const { SessionCatalogue } = require('../models');
+const { defaultSessions } = require('../config/sessions');
+const { getSessionAt } = require('../utils/tradingSession');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+
+/**
+ * Get the trading sessions of a user: their own catalogue, else the default sessions
+ * @param {ObjectId} userId
+ * @returns {Promise<Array>} { code, label, timeZone, start, end }
+ */
+const getSessions = async (userId) => {
+  const catalogue = await SessionCatalogue.findOne({ userId }).lean();
+  return catalogue ? catalogue.sessions : defaultSessions;
+};
+
+/**
+ * Replace the session catalogue of a user. Trades, trading plans and forecasts keep the codes they were
+ * recorded with, and materialized dashboards show the new labels once recomputed.
+ * @param {ObjectId} userId
+ * @param {Array} sessions - { code, label, timeZone, start, end }
+ * @returns {Promise<Array>} The saved sessions
+ */
+const saveSessions = async (userId, sessions) => {
+  logger.info('Service: Saving session catalogue for user:', userId, 'Sessions:', sessions.length);
+  const catalogue = await SessionCatalogue.findOneAndUpdate(
+    { userId },
+    { sessions },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+  return catalogue.sessions;
+};
+
+/**
+ * Drop the session catalogue of a user, going back to the default sessions
+ * @param {ObjectId} userId
+ * @returns {Promise<Array>} The default sessions
+ */
+const resetSessions = async (userId) => {
+  logger.info('Service: Resetting session catalogue for user:', userId);
+  await SessionCatalogue.deleteOne({ userId });
+  return defaultSessions;
+};
+
+/**
+ * Check that sessions are in a catalogue
+ * @param {Array} sessions
+ * @param {Array<string>} codes - Empty values are ignored
+ */
+const checkSessionsExist = (sessions, codes) => {
+  const unknownCodes = [...new Set(codes.filter(Boolean))].filter((code) => !sessions.some((s) => s.code === code));
+  if (unknownCodes.length > 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Unknown sessions: ${unknownCodes.join(', ')}`);
+  }
+};
+
+/**
+ * Check that sessions are in the catalogue of a user
+ * @param {ObjectId} userId
+ * @param {Array<string>} codes - Empty values are ignored
+ * @returns {Promise<void>}
+ */
+const assertSessionsExist = async (userId, codes) => {
+  if (codes.filter(Boolean).length === 0) {
+    return;
+  }
+  checkSessionsExist(await getSessions(userId), codes);
+};
+
+/**
+ * Assign trades to the sessions of a user: sessions given must be in their catalogue, the others are the
+ * sessions open at the entry times
+ * @param {ObjectId} userId
+ * @param {Array<Object>} tradesData - { entryTime, session }
+ * @returns {Promise<Array<Object>>} Copies of the trades, with their session
+ */
+const assignSessions = async (userId, tradesData) => {
+  const sessions = await getSessions(userId);
+  const givenSessions = tradesData.map((tradeData) => tradeData.session);
+  checkSessionsExist(sessions, givenSessions);
+  return tradesData.map((tradeData) => ({
+    ...tradeData,
+    session: tradeData.session || getSessionAt(tradeData.entryTime, sessions),
+  }));
+};
+
+module.exports = {
+  getSessions,
+  saveSessions,
+  resetSessions,
+  assertSessionsExist,
+  assignSessions,
+};
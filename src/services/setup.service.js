@@ -0,0 +1,108 @@
+const httpStatus = require('http-status');
+const { Setup, Trade } = require('../models');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+const dashboardService = require('./dashboard.service');
+
+/**
+ * Create a setup
+ * @param {ObjectId} userId
+ * @param {Object} setupBody
+ * @returns {Promise<Setup>}
+ */
+const createSetup = async (userId, setupBody) => {
+  logger.info('Service: Creating setup for user:', userId);
+  if (await Setup.isNameTaken(userId, setupBody.name)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Setup name already taken');
+  }
+  return Setup.create({ ...setupBody, userId });
+};
+
+/**
+ * Query for setups of a user
+ * @param {ObjectId} userId
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const querySetups = async (userId, options) => {
+  logger.info('Service: Querying setups for user:', userId);
+  return Setup.paginate({ userId }, options);
+};
+
+/**
+ * Get a setup of a user
+ * @param {ObjectId} setupId
+ * @param {ObjectId} userId
+ * @returns {Promise<Setup>}
+ */
+const getSetupById = async (setupId, userId) => {
+  const setup = await Setup.findOne({ _id: setupId, userId });
+  if (!setup) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Setup not found');
+  }
+  return setup;
+};
+
+/**
+ * Check that the setups trades refer to belong to the user
+ * @param {ObjectId} userId
+ * @param {Array<ObjectId>} setupIds - Empty values are ignored
+ * @returns {Promise<void>}
+ */
+const assertSetupsExist = async (userId, setupIds) => {
+  const uniqueIds = [...new Set(setupIds.filter(Boolean).map(String))];
+  if (uniqueIds.length === 0) {
+    return;
+  }
+  const count = await Setup.countDocuments({ _id: { $in: uniqueIds }, userId });
+  if (count !== uniqueIds.length) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Setup not found');
+  }
+};
+
+/**
+ * Update a setup of a user. Dashboards show setup names, so they are invalidated.
+ * @param {ObjectId} setupId
+ * @param {ObjectId} userId
+ * @param {Object} updateBody
+ * @returns {Promise<Setup>}
+ */
+const updateSetupById = async (setupId, userId, updateBody) => {
+  logger.info('Service: Updating setup:', setupId);
+  const setup = await getSetupById(setupId, userId);
+  if (updateBody.name && (await Setup.isNameTaken(userId, updateBody.name, setupId))) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Setup name already taken');
+  }
+  Object.assign(setup, updateBody);
+  await setup.save();
+  await dashboardService.invalidateDashboards(userId);
+  return setup;
+};
+
+/**
+ * Delete a setup of a user. Its trades are kept, without a setup.
+ * @param {ObjectId} setupId
+ * @param {ObjectId} userId
+ * @returns {Promise<Setup>}
+ */
+const deleteSetupById = async (setupId, userId) => {
+  logger.info('Service: Deleting setup:', setupId);
+  const setup = await getSetupById(setupId, userId);
+  await setup.remove();
+  const result = await Trade.updateMany({ userId, setup: setup._id }, { $unset: { setup: '' } });
+  logger.info('Service: Trades detached from setup:', result.nModified);
+  await dashboardService.invalidateDashboards(userId);
+  return setup;
+};
+
+module.exports = {
+  createSetup,
+  querySetups,
+  getSetupById,
+  assertSetupsExist,
+  updateSetupById,
+  deleteSetupById,
+};
@@ -0,0 +1,247 @@
+const { User, Account, Trade, PerformanceSnapshot } = require('../models');
+const { PerformanceInsightType, SnapshotPeriod } = require('../models/enums');
+const { calculatePlanAdherence } = require('./planAdherence.service');
+const fxRateService = require('./fxRate.service');
+const { getNetProfitLoss } = require('../utils/profitLoss');
+const averageOf = require('../utils/average');
+const { mapInBatches } = require('../utils/batch');
+const { getZonedDay, getZonedWeek, zonedTimeToUtc } = require('../utils/timezone');
+const logger = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Snapshots written at once by the scheduled job, so it does not flood the database
+const SNAPSHOT_BATCH_SIZE = 20;
+
+/**
+ * Get the last completed period before a reference date, in days or weeks starting on Monday of a time zone
+ * @param {string} period - DAILY or WEEKLY
+ * @param {Date} [referenceDate]
+ * @param {string} [timeZone]
+ * @returns {Object} { periodStart, periodEnd } with periodEnd exclusive
+ */
+const getCompletedPeriod = (period, referenceDate = new Date(), timeZone = 'UTC') => {
+  const weekly = period === SnapshotPeriod.WEEKLY;
+  // Wall-clock midnight the current period started at, whose UTC fields hold the time
+  const currentStart = new Date(weekly ? getZonedWeek(referenceDate, timeZone) : getZonedDay(referenceDate, timeZone));
+
+  return {
+    periodStart: zonedTimeToUtc(new Date(currentStart.getTime() - (weekly ? 7 : 1) * DAY_MS), timeZone),
+    periodEnd: zonedTimeToUtc(currentStart, timeZone),
+  };
+};
+
+/**
+ * Calculate snapshot stats for the trades of a period, from their net profit/loss
+ * @param {Array} trades - Trades in the reporting currency
+ * @returns {Object}
+ */
+const calculateSnapshotStats = (trades) => {
+  if (trades.length === 0) {
+    return { tradeCount: 0, profitLoss: 0, winRate: 0, avgRiskReward: 0, planAdherence: null };
+  }
+
+  const winningTrades = trades.filter((t) => getNetProfitLoss(t) > 0).length;
+  const profitLoss = trades.reduce((sum, t) => sum + getNetProfitLoss(t), 0);
+  const avgRiskReward = averageOf(trades, 'riskRewardAchieved');
+
+  return {
+    tradeCount: trades.length,
+    profitLoss: Math.round(profitLoss * 100) / 100,
+    winRate: Math.round((winningTrades / trades.length) * 100 * 100) / 100,
+    // Null when none of the trades has an R:R
+    avgRiskReward: avgRiskReward == null ? null : Math.round(avgRiskReward * 100) / 100,
+    // Null without a trading plan to score the trades against
+    planAdherence: calculatePlanAdherence(trades).score,
+  };
+};
+
+/**
+ * Generate snapshot insights, comparing with the previous snapshot of the same period type
+ * @param {Object} stats
+ * @param {Object} [previousStats]
+ * @param {string} period
+ * @returns {Array}
+ */
+const generateSnapshotInsights = (stats, previousStats, period) => {
+  const insights = [];
+  if (stats.tradeCount === 0) {
+    return insights;
+  }
+
+  const periodLabel = period === SnapshotPeriod.WEEKLY ? 'week' : 'day';
+
+  // Plan adherence is only judged when trades of the period were scored against a trading plan
+  if (stats.planAdherence != null && stats.planAdherence >= 80) {
+    insights.push({
+      type: PerformanceInsightType.POSITIVE,
+      title: 'Following the plan',
+      description: `${stats.planAdherence}% of trades this ${periodLabel} followed your trading plan`,
+      metric: { label: 'Plan adherence', value: stats.planAdherence },
+    });
+  } else if (stats.planAdherence != null) {
+    insights.push({
+      type: PerformanceInsightType.CONSTRUCTIVE,
+      title: 'Drifting from the plan',
+      description: `Only ${stats.planAdherence}% of trades this ${periodLabel} followed your trading plan`,
+      metric: { label: 'Plan adherence', value: stats.planAdherence },
+    });
+  }
+
+  if (stats.avgRiskReward != null && stats.avgRiskReward < 1) {
+    insights.push({
+      type: PerformanceInsightType.CONSTRUCTIVE,
+      title: 'Low risk/reward',
+      description: `Average risk/reward of ${stats.avgRiskReward} - let winners reach their targets`,
+      metric: { label: 'Avg risk/reward', value: stats.avgRiskReward },
+    });
+  }
+
+  if (previousStats && previousStats.tradeCount > 0) {
+    const winRateChange = Math.round((stats.winRate - previousStats.winRate) * 100) / 100;
+    if (winRateChange !== 0) {
+      insights.push({
+        type: winRateChange > 0 ? PerformanceInsightType.POSITIVE : PerformanceInsightType.CONSTRUCTIVE,
+        title: winRateChange > 0 ? 'Win rate improving' : 'Win rate declining',
+        description: `Win rate ${winRateChange > 0 ? 'up' : 'down'} ${Math.abs(
+          winRateChange
+        )} points on the previous ${periodLabel}`,
+        metric: { label: 'Win rate change', value: winRateChange },
+      });
+    }
+  }
+
+  return insights;
+};
+
+/**
+ * Create or refresh the snapshot of a user for a period
+ * @param {ObjectId} userId
+ * @param {string} period - DAILY or WEEKLY
+ * @param {Date} periodStart
+ * @param {Date} periodEnd
+ * @param {ObjectId} [accountId] - Account of the snapshot, all accounts when not set
+ * @returns {Promise<PerformanceSnapshot>}
+ */
+const createPerformanceSnapshot = async (userId, period, periodStart, periodEnd, accountId = null) => {
+  const [recordedTrades, tradesThisWeek, previousSnapshot, currency] = await Promise.all([
+    Trade.find({ userId, entryTime: { $gte: periodStart, $lt: periodEnd } })
+      .inAccount(accountId)
+      .closed()
+      .lean(),
+    Trade.countDocuments({
+      userId,
+      entryTime: { $gte: new Date(periodEnd.getTime() - 7 * DAY_MS), $lt: periodEnd },
+    })
+      .inAccount(accountId)
+      .closed(),
+    PerformanceSnapshot.findOne({ userId, accountId, period, periodStart: { $lt: periodStart } })
+      .sort({ periodStart: -1 })
+      .lean(),
+    fxRateService.getReportingCurrency(userId, accountId),
+  ]);
+  const { trades, unconvertedTrades } = await fxRateService.convertTrades(userId, recordedTrades, currency);
+
+  const stats = { ...calculateSnapshotStats(trades), tradesThisWeek, unconvertedTrades: unconvertedTrades.length };
+  const insights = generateSnapshotInsights(stats, previousSnapshot && previousSnapshot.stats, period);
+
+  return PerformanceSnapshot.findOneAndUpdate(
+    { userId, accountId, period, periodStart },
+    { periodEnd, currency, stats, insights, timestamp: new Date() },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+/**
+ * Get the time zones users are in, those created before time zones existed being in UTC
+ * @returns {Promise<Array<string>>}
+ */
+const getUserTimeZones = async () => {
+  const timeZones = await User.distinct('timezone');
+  return [...new Set(timeZones.map((timeZone) => timeZone || 'UTC'))];
+};
+
+/**
+ * Generate the snapshots of every user in a time zone, and of every account of theirs, for the last period
+ * completed in that time zone
+ * @param {string} period - DAILY or WEEKLY
+ * @param {Date} [referenceDate]
+ * @param {string} [timeZone]
+ * @returns {Promise<number>} Number of snapshots written
+ */
+const generatePerformanceSnapshots = async (period, referenceDate = new Date(), timeZone = 'UTC') => {
+  const { periodStart, periodEnd } = getCompletedPeriod(period, referenceDate, timeZone);
+  logger.info('Service: Generating', period, 'performance snapshots in', timeZone, 'from', periodStart.toISOString());
+
+  const userFilter = timeZone === 'UTC' ? { timezone: { $in: ['UTC', null] } } : { timezone: timeZone };
+  const users = await User.find(userFilter).select('_id').lean();
+  const accounts = await Account.find({ userId: { $in: users.map((user) => user._id) } })
+    .select('userId')
+    .lean();
+  const scopes = [
+    ...users.map((user) => ({ userId: user._id, accountId: null })),
+    ...accounts.map((account) => ({ userId: account.userId, accountId: account._id })),
+  ];
+  await mapInBatches(scopes, SNAPSHOT_BATCH_SIZE, ({ userId, accountId }) =>
+    createPerformanceSnapshot(userId, period, periodStart, periodEnd, accountId)
+  );
+
+  const count = scopes.length;
+  logger.info('Service: Performance snapshots generated:', count);
+  return count;
+};
+
+/**
+ * Get the latest snapshot of a user, creating the one of the last completed day if the
+ * scheduled job has not written any yet
+ * @param {ObjectId} userId
+ * @param {ObjectId} [accountId] - Account of the snapshot, all accounts when not set
+ * @returns {Promise<PerformanceSnapshot>}
+ */
+const getLatestPerformanceSnapshot = async (userId, accountId = null) => {
+  const snapshot = await PerformanceSnapshot.findOne({ userId, accountId }).sort({ periodEnd: -1 });
+  if (snapshot) {
+    return snapshot;
+  }
+
+  const { periodStart, periodEnd } = getCompletedPeriod(SnapshotPeriod.DAILY, new Date(), await User.getTimeZone(userId));
+  return createPerformanceSnapshot(userId, SnapshotPeriod.DAILY, periodStart, periodEnd, accountId);
+};
+
+/**
+ * Query for performance snapshots of a user
+ * @param {ObjectId} userId
+ * @param {Object} filter - Period and period start range
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryPerformanceSnapshots = async (userId, filter = {}, options = {}) => {
+  logger.info('Service: Querying performance snapshots for user:', userId, 'Filter:', filter);
+
+  const { period, startDate, endDate, accountId = null } = filter;
+
+  const query = { userId, accountId };
+  if (period) {
+    query.period = period;
+  }
+  if (startDate || endDate) {
+    query.periodStart = {};
+    if (startDate) query.periodStart.$gte = new Date(startDate);
+    if (endDate) query.periodStart.$lte = new Date(endDate);
+  }
+
+  const result = await PerformanceSnapshot.paginate(query, { sortBy: 'periodStart:desc', ...options });
+  logger.info('Service: Performance snapshots found:', result.results.length);
+  return result;
+};
+
+module.exports = {
+  getCompletedPeriod,
+  createPerformanceSnapshot,
+  getUserTimeZones,
+  generatePerformanceSnapshots,
+  getLatestPerformanceSnapshot,
+  queryPerformanceSnapshots,
+};
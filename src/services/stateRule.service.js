@@ -0,0 +1,130 @@
+const httpStatus = require('http-status');
+const { StateRuleSet } = require('../models');
+const { defaultStateRules } = require('../config/stateRules');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+
+/**
+ * Create a rule set
+ * @param {Object} ruleSetBody
+ * @returns {Promise<StateRuleSet>}
+ */
+const createStateRuleSet = async (ruleSetBody) => {
+  logger.info('Service: Creating state rule set for user:', ruleSetBody.userId || 'global');
+  if (await StateRuleSet.isScopeTaken(ruleSetBody.userId)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Rule set already exists for this scope');
+  }
+  return StateRuleSet.create(ruleSetBody);
+};
+
+/**
+ * Query for rule sets
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryStateRuleSets = async (filter, options) => {
+  logger.info('Service: Querying state rule sets with filter:', filter);
+  const ruleSets = await StateRuleSet.paginate(filter, options);
+  return ruleSets;
+};
+
+/**
+ * Get rule set by id
+ * @param {ObjectId} id
+ * @returns {Promise<StateRuleSet>}
+ */
+const getStateRuleSetById = async (id) => {
+  return StateRuleSet.findById(id);
+};
+
+/**
+ * Update rule set by id
+ * @param {ObjectId} ruleSetId
+ * @param {Object} updateBody
+ * @returns {Promise<StateRuleSet>}
+ */
+const updateStateRuleSetById = async (ruleSetId, updateBody) => {
+  logger.info('Service: Updating state rule set:', ruleSetId);
+  const ruleSet = await getStateRuleSetById(ruleSetId);
+  if (!ruleSet) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Rule set not found');
+  }
+  if (updateBody.userId !== undefined && (await StateRuleSet.isScopeTaken(updateBody.userId, ruleSetId))) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Rule set already exists for this scope');
+  }
+  Object.assign(ruleSet, updateBody);
+  await ruleSet.save();
+  return ruleSet;
+};
+
+/**
+ * Delete rule set by id
+ * @param {ObjectId} ruleSetId
+ * @returns {Promise<StateRuleSet>}
+ */
+const deleteStateRuleSetById = async (ruleSetId) => {
+  logger.info('Service: Deleting state rule set:', ruleSetId);
+  const ruleSet = await getStateRuleSetById(ruleSetId);
+  if (!ruleSet) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Rule set not found');
+  }
+  await ruleSet.remove();
+  return ruleSet;
+};
+
+/**
+ * Get the rules that apply to a user: their own rule set, else the global one, else the built-in defaults
+ * @param {ObjectId} userId
+ * @returns {Promise<Object>} Rule set source, id and rules
+ */
+const getEffectiveStateRules = async (userId) => {
+  const ruleSets = await StateRuleSet.find({ userId: { $in: [userId, null] } }).lean();
+  const ruleSet =
+    ruleSets.find((r) => r.userId && r.userId.toString() === userId.toString()) || ruleSets.find((r) => !r.userId);
+
+  if (!ruleSet) {
+    return { source: 'DEFAULT', ruleSetId: null, rules: defaultStateRules };
+  }
+
+  return {
+    source: ruleSet.userId ? 'USER' : 'GLOBAL',
+    ruleSetId: ruleSet._id,
+    rules: ruleSet.rules,
+  };
+};
+
+/**
+ * Pick the rules for a dry run: inline rules, a stored rule set, or the rules currently applying to the user
+ * @param {ObjectId} userId
+ * @param {Object} dryRunBody
+ * @param {ObjectId} [dryRunBody.ruleSetId]
+ * @param {Array} [dryRunBody.rules]
+ * @returns {Promise<Object>} Rule set source, id and rules
+ */
+const resolveDryRunRules = async (userId, { ruleSetId, rules }) => {
+  if (rules) {
+    return { source: 'INLINE', ruleSetId: null, rules };
+  }
+  if (ruleSetId) {
+    const ruleSet = await StateRuleSet.findById(ruleSetId).lean();
+    if (!ruleSet) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Rule set not found');
+    }
+    return { source: ruleSet.userId ? 'USER' : 'GLOBAL', ruleSetId: ruleSet._id, rules: ruleSet.rules };
+  }
+  return getEffectiveStateRules(userId);
+};
+
+module.exports = {
+  createStateRuleSet,
+  queryStateRuleSets,
+  getStateRuleSetById,
+  updateStateRuleSetById,
+  deleteStateRuleSetById,
+  getEffectiveStateRules,
+  resolveDryRunRules,
+};
@@ -1,7 +1,231 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const httpStatus = require('http-status');
-const { Trade } = require('../models');
+const { Trade, CheckIn } = require('../models');
+const { TradeDirection, TradeStatus, ReviewState } = require('../models/enums');
 const ApiError = require('../utils/ApiError');
+const { getNetProfitLoss } = require('../utils/profitLoss');
 const logger = require('../config/logger');
+const analysisService = require('./analysis.service');
+const dashboardService = require('./dashboard.service');
+const planAdherenceService = require('./planAdherence.service');
+const setupService = require('./setup.service');
+const accountService = require('./account.service');
+const mistakeCatalogueService = require('./mistakeCatalogue.service');
+const sessionCatalogueService = require('./sessionCatalogue.service');
+
+/**
+ * Recompute the user's analysis after their trades changed: invalidate their dashboards, persist
+ * the psychological state of all their accounts and of each account a trade changed in, and re-resolve
+ * session forecasts from the earliest affected trade on
+ * @param {ObjectId} userId
+ * @param {Array<Object>} trades - The trades that changed, before and after the change: { entryTime, accountId }
+ * @returns {Promise<void>}
+ */
+const refreshAnalysis = async (userId, trades) => {
+  try {
+    await dashboardService.invalidateDashboards(userId);
+    const accountIds = [...new Set(trades.filter((t) => t.accountId).map((t) => t.accountId.toString()))];
+    await Promise.all([null, ...accountIds].map((accountId) => analysisService.getCurrentState(userId, accountId)));
+    const since = new Date(Math.min(...trades.map((t) => new Date(t.entryTime).getTime())));
+    await analysisService.reconcileSessionForecasts(userId, since);
+  } catch (error) {
+    logger.error('Service: Failed to refresh analysis for user:', userId, error);
+  }
+};
+
+/**
+ * Derive the R:R and target achieved of a closed trade from its prices. Trades without a stop loss price
+ * keep the typed R:R, trades without a take profit price keep the typed target achieved.
+ * @param {Object} trade - Trade data, including the prices when known
+ * @returns {Object} The derived fields, empty when the prices are not given
+ */
+const deriveTradeMetrics = (trade) => {
+  const { direction, entryPrice, exitPrice, stopLossPrice, takeProfitPrice } = trade;
+  const derived = {};
+  // Open trades have no exit to measure yet
+  if (trade.status === TradeStatus.OPEN || (stopLossPrice == null && takeProfitPrice == null)) {
+    return derived;
+  }
+  if (!direction || entryPrice == null || exitPrice == null) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      'direction, entryPrice and exitPrice are required with stop loss or take profit prices'
+    );
+  }
+
+  const sign = direction === TradeDirection.LONG ? 1 : -1;
+  const [stopSide, targetSide] = direction === TradeDirection.LONG ? ['below', 'above'] : ['above', 'below'];
+  const move = sign * (exitPrice - entryPrice);
+
+  if (stopLossPrice != null) {
+    const risk = sign * (entryPrice - stopLossPrice);
+    if (risk <= 0) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `Stop loss must be ${stopSide} the entry price of a ${direction} trade`);
+    }
+    derived.riskRewardAchieved = Math.max(0, Math.round((move / risk) * 100) / 100);
+  }
+
+  if (takeProfitPrice != null) {
+    const reward = sign * (takeProfitPrice - entryPrice);
+    if (reward <= 0) {
+      throw new ApiError(
+        httpStatus.BAD_REQUEST,
+        `Take profit must be ${targetSide} the entry price of a ${direction} trade`
+      );
+    }
+    derived.targetPercentAchieved = Math.max(0, Math.round((move / reward) * 100 * 100) / 100);
+  }
+
+  return derived;
+};
+
+/**
+ * Get the size of a position still open after its exits
+ * @param {Object} trade
+ * @returns {number|null} null when the position size is not known
+ */
+const getRemainingSize = (trade) => {
+  if (trade.positionSize == null) {
+    return null;
+  }
+  const exitedSize = (trade.exits || []).reduce((sum, exit) => sum + exit.positionSize, 0);
+  return Math.round((trade.positionSize - exitedSize) * 1e8) / 1e8;
+};
+
+/**
+ * Check the exits of a trade and derive the exit time, price and profit/loss of a closed trade from them.
+ * Exits must come after the entry; they must leave part of an open position open and add up to a
+ * closed position, when its size is known.
+ * @param {Object} trade - Trade data, including its exits when scaled out of
+ * @returns {Object} The derived fields, empty for open trades and trades without exits
+ */
+const deriveExitFields = (trade) => {
+  const { exits } = trade;
+  if (!exits || exits.length === 0) {
+    return {};
+  }
+  if (exits.some((exit) => new Date(exit.exitTime) < new Date(trade.entryTime))) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Exits must be after the entry time');
+  }
+
+  const remainingSize = getRemainingSize(trade);
+  if (trade.status === TradeStatus.OPEN) {
+    if (remainingSize !== null && remainingSize <= 0) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Partial exits must leave part of the position open');
+    }
+    return {};
+  }
+  if (remainingSize !== null && remainingSize !== 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Exit sizes must add up to the position size');
+  }
+
+  const exitedSize = exits.reduce((sum, exit) => sum + exit.positionSize, 0);
+  const exitPrice = exits.every((exit) => exit.exitPrice != null)
+    ? exits.reduce((sum, exit) => sum + exit.exitPrice * exit.positionSize, 0) / exitedSize
+    : undefined;
+
+  return {
+    exitTime: new Date(Math.max(...exits.map((exit) => new Date(exit.exitTime).getTime()))),
+    // Size-weighted average of the exit prices
+    exitPrice: exitPrice === undefined ? undefined : Math.round(exitPrice * 1e8) / 1e8,
+    profitLoss: Math.round(exits.reduce((sum, exit) => sum + exit.profitLoss, 0) * 100) / 100,
+  };
+};
+
+/**
+ * Get the natural key of a trade: its times, net profit/loss, broker ticket id, account, symbol and direction.
+ * Together with the user it identifies a trade recorded twice.
+ * @param {Object} trade
+ * @returns {string}
+ */
+const getTradeFingerprint = (trade) =>
+  crypto
+    .createHash('sha1')
+    .update(
+      [
+        new Date(trade.entryTime).toISOString(),
+        // Open trades have no exit yet, their fingerprint changes when they are closed
+        trade.exitTime ? new Date(trade.exitTime).toISOString() : '',
+        // Net, so trades imported with their fees in the profit/loss keep their fingerprint
+        trade.profitLoss == null ? '' : getNetProfitLoss(trade),
+        trade.brokerTicketId || '',
+        // Left out without an account, so the trades recorded before accounts keep their fingerprint
+        ...(trade.accountId ? [trade.accountId.toString()] : []),
+        // Left out when not set, so the trades recorded before them keep their fingerprint
+        ...(trade.symbol ? [`symbol:${trade.symbol.trim().toUpperCase()}`] : []),
+        ...(trade.direction ? [`direction:${trade.direction}`] : []),
+      ].join('|')
+    )
+    .digest('hex');
+
+/**
+ * Get the key of a broker ticket: ticket ids are only unique within an account
+ * @param {Object} trade
+ * @returns {string}
+ */
+const getTicketKey = (trade) => `${trade.accountId || ''}|${trade.brokerTicketId}`;
+
+/**
+ * Sort trades to record into new ones, duplicates of recorded trades (same fingerprint) and conflicts
+ * (same broker ticket id in the same account, different fingerprint). Trades are also checked against the earlier ones of the batch.
+ * @param {ObjectId} userId
+ * @param {Array} tradesData
+ * @param {ObjectId} [excludeTradeId] - Trade being updated
+ * @returns {Promise<Object>} { fresh, skipped, conflicting }: indexes of the new trades, and { index, tradeId }
+ *   of the others, tradeId being the recorded trade they match
+ */
+const findDuplicateTrades = async (userId, tradesData, excludeTradeId) => {
+  const fingerprints = tradesData.map(getTradeFingerprint);
+  const brokerTicketIds = tradesData.map((trade) => trade.brokerTicketId).filter(Boolean);
+
+  const query = {
+    userId,
+    $or: [{ fingerprint: { $in: fingerprints } }, { brokerTicketId: { $in: brokerTicketIds } }],
+  };
+  if (excludeTradeId) {
+    query._id = { $ne: excludeTradeId };
+  }
+  const recordedTrades = await Trade.find(query).select('fingerprint brokerTicketId accountId').lean();
+
+  const tradeIdsByFingerprint = new Map();
+  const tradeIdsByTicket = new Map();
+  recordedTrades.forEach((trade) => {
+    if (trade.fingerprint) tradeIdsByFingerprint.set(trade.fingerprint, trade._id);
+    if (trade.brokerTicketId) tradeIdsByTicket.set(getTicketKey(trade), trade._id);
+  });
+
+  const result = { fresh: [], skipped: [], conflicting: [] };
+  tradesData.forEach((trade, index) => {
+    if (tradeIdsByFingerprint.has(fingerprints[index])) {
+      result.skipped.push({ index, tradeId: tradeIdsByFingerprint.get(fingerprints[index]) });
+    } else if (trade.brokerTicketId && tradeIdsByTicket.has(getTicketKey(trade))) {
+      result.conflicting.push({ index, tradeId: tradeIdsByTicket.get(getTicketKey(trade)) });
+    } else {
+      result.fresh.push(index);
+      tradeIdsByFingerprint.set(fingerprints[index], trade._id);
+      if (trade.brokerTicketId) tradeIdsByTicket.set(getTicketKey(trade), trade._id);
+    }
+  });
+  return result;
+};
+
+/**
+ * Throw if a trade was already recorded
+ * @param {ObjectId} userId
+ * @param {Object} trade
+ * @param {ObjectId} [excludeTradeId] - Trade being updated
+ * @returns {Promise<void>}
+ */
+const assertTradeNotRecorded = async (userId, trade, excludeTradeId) => {
+  const { skipped, conflicting } = await findDuplicateTrades(userId, [trade], excludeTradeId);
+  if (skipped.length > 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Trade already recorded');
+  }
+  if (conflicting.length > 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Broker ticket already recorded with other times or profit/loss');
+  }
+};
 
 /**
  * Create a trade
@@ -13,32 +237,98 @@ const createTrade = async (userId, tradeBody) => {
   logger.info('Service: Creating trade for user:', userId);
   logger.info('Service: Trade data:', tradeBody);
 
+  await setupService.assertSetupsExist(userId, [tradeBody.setup]);
+  await accountService.assertAccountsExist(userId, [tradeBody.accountId]);
+  const [tradeData] = await sessionCatalogueService.assignSessions(userId, [
+    { ...tradeBody, ...deriveExitFields(tradeBody) },
+  ]);
+  await assertTradeNotRecorded(userId, tradeData);
   const trade = new Trade({
     userId,
-    ...tradeBody,
+    ...tradeData,
+    ...deriveTradeMetrics(tradeData),
+    fingerprint: getTradeFingerprint(tradeData),
   });
   await trade.save();
-  return trade;
+  await planAdherenceService.scoreTradingDays(userId, [trade.entryTime]);
+  await refreshAnalysis(userId, [trade]);
+  return Trade.findById(trade._id);
 };
 
 /**
- * Create multiple trades
+ * Create multiple trades. Trades already recorded are skipped and trades whose broker ticket id is recorded
+ * with other times or profit/loss are left out as conflicting, so that a batch can safely be sent again.
  * @param {ObjectId} userId
  * @param {Array} tradesData
- * @returns {Promise<Array<Trade>>}
+ * @returns {Promise<Object>} { trades, skipped, conflicting }: the created trades, and { index, tradeId }
+ *   of the trades left out, tradeId being the recorded trade they match
  */
 const createBulkTrades = async (userId, tradesData) => {
   logger.info('Service: Creating bulk trades for user:', userId);
   logger.info('Service: Number of trades:', tradesData.length);
 
-  const trades = tradesData.map((tradeData) => ({
+  const setupIds = tradesData.map((tradeData) => tradeData.setup);
+  await setupService.assertSetupsExist(userId, setupIds);
+  const accountIds = tradesData.map((tradeData) => tradeData.accountId);
+  await accountService.assertAccountsExist(userId, accountIds);
+
+  const sessionTrades = await sessionCatalogueService.assignSessions(
+    userId,
+    tradesData.map((tradeData) => ({ ...tradeData, ...deriveExitFields(tradeData) }))
+  );
+  const trades = sessionTrades.map((tradeData) => ({
+    _id: mongoose.Types.ObjectId(),
     userId,
     ...tradeData,
+    ...deriveTradeMetrics(tradeData),
+    fingerprint: getTradeFingerprint(tradeData),
   }));
+  const { fresh, skipped, conflicting } = await findDuplicateTrades(userId, trades);
+  logger.info('Service: Bulk trades already recorded:', skipped.length, 'Conflicting:', conflicting.length);
 
-  const result = await Trade.insertMany(trades);
+  let result = [];
+  if (fresh.length > 0) {
+    // Unordered inserts drop invalid trades silently, so they are validated first
+    const documents = fresh.map((index) => new Trade(trades[index]));
+    await Promise.all(documents.map((document) => document.validate()));
+    try {
+      result = await Trade.insertMany(documents, { ordered: false });
+    } catch (error) {
+      // A concurrent request recorded some of the trades first
+      if (!error.writeErrors || error.writeErrors.some((writeError) => writeError.code !== 11000)) {
+        throw error;
+      }
+      result = error.insertedDocs;
+      const duplicates = error.writeErrors.map((writeError) => fresh[writeError.index]);
+      const recordedTrades = await Trade.find({
+        userId,
+        fingerprint: { $in: duplicates.map((index) => trades[index].fingerprint) },
+      }).lean();
+      duplicates.forEach((index) => {
+        const recordedTrade = recordedTrades.find((trade) => trade.fingerprint === trades[index].fingerprint);
+        skipped.push({ index, tradeId: recordedTrade && recordedTrade._id });
+      });
+      skipped.sort((a, b) => a.index - b.index);
+    }
+  }
   logger.info('Service: Bulk trades created successfully:', result.length);
-  return result;
+
+  if (result.length > 0) {
+    await planAdherenceService.scoreTradingDays(
+      userId,
+      result.map((trade) => trade.entryTime)
+    );
+    await refreshAnalysis(userId, result);
+  }
+
+  // Reload to include the plan adherence scores, keeping the order of the request
+  const scoredTrades = await Trade.find({ _id: { $in: result.map((trade) => trade._id) } });
+  const scoredTradesById = new Map(scoredTrades.map((trade) => [trade.id, trade]));
+  return {
+    trades: result.map((trade) => scoredTradesById.get(trade.id)),
+    skipped,
+    conflicting,
+  };
 };
 
 /**
@@ -59,6 +349,26 @@ const queryTrades = async (filter, options) => {
   return trades;
 };
 
+/**
+ * Query for the trades of a user waiting for a review, latest first
+ * @param {ObjectId} userId
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryReviewQueue = async (userId, options) => {
+  logger.info('Service: Querying review queue for user:', userId);
+  const trades = await Trade.paginate(
+    // Trades recorded before reviews existed have no review state
+    { userId, reviewState: { $in: [ReviewState.UNREVIEWED, null] } },
+    { sortBy: 'entryTime:desc', ...options }
+  );
+  logger.info('Service: Trades waiting for a review:', trades.totalResults);
+  return trades;
+};
+
 /**
  * Get trade by id
  * @param {ObjectId} tradeId
@@ -89,12 +399,145 @@ const updateTradeById = async (tradeId, userId, updateBody) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'Trade not found');
   }
 
+  const exitFields = ['exitTime', 'exitPrice', 'profitLoss'];
+  const outcomeFields = [...exitFields, 'riskRewardAchieved', 'targetPercentAchieved', 'stopLossHit', 'exitedEarly'];
+  if (trade.status === TradeStatus.OPEN && outcomeFields.some((field) => updateBody[field] !== undefined)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Close the trade to record its outcome');
+  }
+  const exits = updateBody.exits || trade.exits;
+  if (exits && exits.length > 0 && exitFields.some((field) => updateBody[field] !== undefined)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Exit time, price and profit/loss are computed from the exits');
+  }
+
+  await setupService.assertSetupsExist(userId, [updateBody.setup]);
+  await accountService.assertAccountsExist(userId, [updateBody.accountId]);
+  const previousTrade = { entryTime: trade.entryTime, accountId: trade.accountId };
   Object.assign(trade, updateBody);
+  // A trade moved to another time is in the session open then, unless one is given
+  if (updateBody.entryTime || updateBody.session) {
+    const [{ session }] = await sessionCatalogueService.assignSessions(userId, [
+      { entryTime: trade.entryTime, session: updateBody.session },
+    ]);
+    trade.session = session;
+  }
+  Object.assign(trade, deriveExitFields(trade));
+  Object.assign(trade, deriveTradeMetrics(trade));
+  await assertTradeNotRecorded(userId, trade, trade._id);
+  trade.fingerprint = getTradeFingerprint(trade);
   await trade.save();
   logger.info('Service: Trade updated successfully:', trade.id);
+  await planAdherenceService.scoreTradingDays(userId, [previousTrade.entryTime, trade.entryTime]);
+  await refreshAnalysis(userId, [previousTrade, trade]);
+  return getTradeById(tradeId, userId);
+};
+
+/**
+ * Review a trade. Mistakes must be in the user's mistake catalogue. Reviews feed the performance
+ * insights, so dashboards are invalidated.
+ * @param {ObjectId} tradeId
+ * @param {ObjectId} userId
+ * @param {Object} reviewBody - { reviewState, mistakes, grade, lesson }
+ * @returns {Promise<Trade>}
+ */
+const reviewTradeById = async (tradeId, userId, reviewBody) => {
+  logger.info('Service: Reviewing trade:', tradeId, 'for user:', userId, 'State:', reviewBody.reviewState);
+
+  const trade = await getTradeById(tradeId, userId);
+  if (!trade) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Trade not found');
+  }
+
+  await mistakeCatalogueService.assertMistakesExist(userId, reviewBody.mistakes || []);
+  // A null grade clears it, enum paths only accept undefined as no value
+  Object.assign(trade, { ...reviewBody, grade: reviewBody.grade || undefined });
+  trade.reviewedAt = reviewBody.reviewState === ReviewState.UNREVIEWED ? undefined : new Date();
+  await trade.save();
+  await dashboardService.invalidateDashboards(userId);
+  return trade;
+};
+
+/**
+ * Get an open trade of a user
+ * @param {ObjectId} tradeId
+ * @param {ObjectId} userId
+ * @returns {Promise<Trade>}
+ */
+const getOpenTradeById = async (tradeId, userId) => {
+  const trade = await getTradeById(tradeId, userId);
+  if (!trade) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Trade not found');
+  }
+  if (trade.status !== TradeStatus.OPEN) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Trade is already closed');
+  }
+  return trade;
+};
+
+/**
+ * Scale out of an open trade. Open trades are left out of the realised stats, but their exposure
+ * shows on the dashboards, so they are invalidated.
+ * @param {ObjectId} tradeId
+ * @param {ObjectId} userId
+ * @param {Object} exitBody - { exitTime, exitPrice, positionSize, profitLoss }
+ * @returns {Promise<Trade>}
+ */
+const addTradeExit = async (tradeId, userId, exitBody) => {
+  logger.info('Service: Adding exit to trade:', tradeId, 'for user:', userId);
+
+  const trade = await getOpenTradeById(tradeId, userId);
+  trade.exits = [...(trade.exits || []), exitBody];
+  deriveExitFields(trade);
+  await trade.save();
+  await dashboardService.invalidateDashboards(userId);
   return trade;
 };
 
+/**
+ * Close an open trade. The final exit is added to the exits of a trade scaled out of; without a final exit,
+ * the exits already taken close the whole position.
+ * @param {ObjectId} tradeId
+ * @param {ObjectId} userId
+ * @param {Object} closeBody - Final exit and outcome of the trade
+ * @returns {Promise<Trade>}
+ */
+const closeTradeById = async (tradeId, userId, closeBody) => {
+  logger.info('Service: Closing trade:', tradeId, 'for user:', userId);
+
+  const trade = await getOpenTradeById(tradeId, userId);
+  const { exitTime, exitPrice, positionSize, profitLoss, ...outcome } = closeBody;
+  const hasExits = trade.exits && trade.exits.length > 0;
+
+  if (exitTime && (hasExits || positionSize !== undefined)) {
+    const finalExitSize = positionSize !== undefined ? positionSize : getRemainingSize(trade);
+    if (finalExitSize === null) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'positionSize of the final exit is required without a position size');
+    }
+    trade.exits = [...(trade.exits || []), { exitTime, exitPrice, positionSize: finalExitSize, profitLoss }];
+  } else if (exitTime) {
+    Object.assign(trade, { exitTime, exitPrice, profitLoss });
+  } else if (!hasExits) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'exitTime and profitLoss are required to close a trade without exits');
+  }
+
+  trade.status = TradeStatus.CLOSED;
+  Object.assign(trade, outcome);
+  Object.assign(trade, deriveExitFields(trade));
+  Object.assign(trade, deriveTradeMetrics(trade));
+  if (trade.riskRewardAchieved == null || trade.targetPercentAchieved == null) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      'riskRewardAchieved and targetPercentAchieved are required without stop loss and take profit prices'
+    );
+  }
+  await assertTradeNotRecorded(userId, trade, trade._id);
+  trade.fingerprint = getTradeFingerprint(trade);
+  await trade.save();
+  logger.info('Service: Trade closed successfully:', trade.id);
+  await planAdherenceService.scoreTradingDays(userId, [trade.entryTime]);
+  await refreshAnalysis(userId, [trade]);
+  return getTradeById(tradeId, userId);
+};
+
 /**
  * Delete trade by id
  * @param {ObjectId} tradeId
@@ -112,13 +555,24 @@ const deleteTradeById = async (tradeId, userId) => {
 
   logger.info('Service: Deleting trade:', trade.id);
   await trade.remove();
+  // Check-ins recorded after the trade still count as self-reports
+  await CheckIn.updateMany({ userId, tradeId: trade._id }, { $unset: { tradeId: '' } });
+  await planAdherenceService.scoreTradingDays(userId, [trade.entryTime]);
+  await refreshAnalysis(userId, [trade]);
 };
 
 module.exports = {
+  deriveTradeMetrics,
+  getTradeFingerprint,
+  findDuplicateTrades,
   createTrade,
   createBulkTrades,
   queryTrades,
+  queryReviewQueue,
   getTradeById,
   updateTradeById,
+  reviewTradeById,
+  addTradeExit,
+  closeTradeById,
   deleteTradeById,
 };
@@ -0,0 +1,113 @@
+const { pipeline, Transform } = require('stream');
+const { Trade } = require('../models');
+const { formatCsvRow } = require('../utils/csv');
+const { createXlsxStream } = require('../utils/xlsx');
+const { getNetProfitLoss } = require('../utils/profitLoss');
+const logger = require('../config/logger');
+
+const exportColumns = [
+  { header: 'id', value: (trade) => trade.id },
+  { header: 'accountId', value: (trade) => trade.accountId && trade.accountId.toString() },
+  { header: 'status', value: (trade) => trade.status },
+  { header: 'symbol', value: (trade) => trade.symbol },
+  { header: 'direction', value: (trade) => trade.direction },
+  { header: 'entryTime', value: (trade) => trade.entryTime },
+  { header: 'exitTime', value: (trade) => trade.exitTime },
+  { header: 'session', value: (trade) => trade.session },
+  { header: 'entryPrice', value: (trade) => trade.entryPrice },
+  { header: 'exitPrice', value: (trade) => trade.exitPrice },
+  { header: 'stopLossPrice', value: (trade) => trade.stopLossPrice },
+  { header: 'takeProfitPrice', value: (trade) => trade.takeProfitPrice },
+  { header: 'positionSize', value: (trade) => trade.positionSize },
+  { header: 'riskPercentUsed', value: (trade) => trade.riskPercentUsed },
+  { header: 'profitLoss', value: (trade) => trade.profitLoss },
+  { header: 'commission', value: (trade) => trade.commission },
+  { header: 'swap', value: (trade) => trade.swap },
+  { header: 'netProfitLoss', value: getNetProfitLoss },
+  { header: 'currency', value: (trade) => trade.currency },
+  { header: 'riskRewardAchieved', value: (trade) => trade.riskRewardAchieved },
+  { header: 'targetPercentAchieved', value: (trade) => trade.targetPercentAchieved },
+  { header: 'stopLossHit', value: (trade) => trade.stopLossHit },
+  { header: 'exitedEarly', value: (trade) => trade.exitedEarly },
+  { header: 'exitCount', value: (trade) => trade.exits && trade.exits.length },
+  { header: 'planAdherenceScore', value: (trade) => trade.planAdherence && trade.planAdherence.score },
+  { header: 'brokerTicketId', value: (trade) => trade.brokerTicketId },
+  { header: 'setup', value: (trade) => trade.setup && trade.setup.toString() },
+  { header: 'tags', value: (trade) => trade.tags && trade.tags.join(', ') },
+  { header: 'preTradeEmotion', value: (trade) => trade.preTradeEmotion },
+  { header: 'postTradeEmotion', value: (trade) => trade.postTradeEmotion },
+  { header: 'reviewState', value: (trade) => trade.reviewState },
+  { header: 'mistakes', value: (trade) => trade.mistakes && trade.mistakes.join(', ') },
+  { header: 'grade', value: (trade) => trade.grade },
+  { header: 'lesson', value: (trade) => trade.lesson },
+  { header: 'notes', value: (trade) => trade.notes },
+];
+
+const toRow = (trade) => exportColumns.map((column) => column.value(trade));
+
+/**
+ * Create the streams turning trade documents into an export format
+ * @param {string} format - csv, json or xlsx
+ * @returns {Array<Transform>} Writable with trade documents, readable as the exported file once piped together
+ */
+const createFormatStreams = (format) => {
+  if (format === 'json') {
+    let first = true;
+    const json = new Transform({
+      writableObjectMode: true,
+      transform(trade, encoding, callback) {
+        const separator = first ? '' : ',';
+        first = false;
+        callback(null, `${separator}${JSON.stringify(trade)}`);
+      },
+      flush(callback) {
+        callback(null, ']');
+      },
+    });
+    json.push('[');
+    return [json];
+  }
+
+  const header = exportColumns.map((column) => column.header);
+  const rows = new Transform({
+    objectMode: true,
+    transform(trade, encoding, callback) {
+      callback(null, toRow(trade));
+    },
+  });
+
+  if (format === 'xlsx') {
+    return [rows, createXlsxStream('Trades', header)];
+  }
+
+  const csv = new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      callback(null, formatCsvRow(row));
+    },
+  });
+  // The byte order mark tells spreadsheets the file is UTF-8
+  csv.push(`\ufeff${formatCsvRow(header)}`);
+  return [rows, csv];
+};
+
+/**
+ * Export the trades matching a filter, oldest first. Trades are streamed from the database, so exports of
+ * any size are never held in memory.
+ * @param {Object} filter - Mongo filter
+ * @param {string} format - csv, json or xlsx
+ * @returns {Readable} The exported file
+ */
+const exportTrades = (filter, format) => {
+  logger.info('Service: Exporting trades with filter:', filter, 'Format:', format);
+  const cursor = Trade.find(filter).sort({ entryTime: 1, _id: 1 }).cursor();
+  return pipeline(cursor, ...createFormatStreams(format), (error) => {
+    if (error) {
+      logger.error('Service: Failed to export trades:', error);
+    }
+  });
+};
+
+module.exports = {
+  exportTrades,
+};
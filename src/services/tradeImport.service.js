@@ -0,0 +1,379 @@
+const httpStatus = require('http-status');
+const moment = require('moment');
+const { ImportProfile } = require('../models');
+const { TradeDirection } = require('../models/enums');
+const {
+  createTrade: createTradeValidation,
+  importStatementTrade: importStatementTradeValidation,
+} = require('../validations/trade.validation');
+const { parseCsv } = require('../utils/csv');
+const parseMetaTraderStatement = require('../utils/metaTrader');
+const { zonedTimeToUtc } = require('../utils/timezone');
+const { getSessionAt } = require('../utils/tradingSession');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+const tradeService = require('./trade.service');
+const accountService = require('./account.service');
+const tradingPlanVersionService = require('./tradingPlanVersion.service');
+const sessionCatalogueService = require('./sessionCatalogue.service');
+
+const dateFields = ['entryTime', 'exitTime'];
+const booleanFields = ['stopLossHit', 'exitedEarly'];
+const booleanValues = { true: true, yes: true, y: true, 1: true, false: false, no: false, n: false, 0: false };
+const statementTimeFormats = ['YYYY.MM.DD HH:mm:ss', 'YYYY.MM.DD HH:mm'];
+
+/**
+ * Create an import profile
+ * @param {ObjectId} userId
+ * @param {Object} profileBody
+ * @returns {Promise<ImportProfile>}
+ */
+const createImportProfile = async (userId, profileBody) => {
+  logger.info('Service: Creating import profile for user:', userId);
+  if (await ImportProfile.isNameTaken(userId, profileBody.name)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Import profile name already taken');
+  }
+  return ImportProfile.create({ ...profileBody, userId });
+};
+
+/**
+ * Query for import profiles of a user
+ * @param {ObjectId} userId
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryImportProfiles = async (userId, options) => {
+  logger.info('Service: Querying import profiles for user:', userId);
+  return ImportProfile.paginate({ userId }, options);
+};
+
+/**
+ * Get an import profile of a user
+ * @param {ObjectId} profileId
+ * @param {ObjectId} userId
+ * @returns {Promise<ImportProfile>}
+ */
+const getImportProfileById = async (profileId, userId) => {
+  const profile = await ImportProfile.findOne({ _id: profileId, userId });
+  if (!profile) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Import profile not found');
+  }
+  return profile;
+};
+
+/**
+ * Update an import profile of a user
+ * @param {ObjectId} profileId
+ * @param {ObjectId} userId
+ * @param {Object} updateBody
+ * @returns {Promise<ImportProfile>}
+ */
+const updateImportProfileById = async (profileId, userId, updateBody) => {
+  logger.info('Service: Updating import profile:', profileId);
+  const profile = await getImportProfileById(profileId, userId);
+  if (updateBody.name && (await ImportProfile.isNameTaken(userId, updateBody.name, profileId))) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Import profile name already taken');
+  }
+  Object.assign(profile, updateBody);
+  await profile.save();
+  return profile;
+};
+
+/**
+ * Delete an import profile of a user
+ * @param {ObjectId} profileId
+ * @param {ObjectId} userId
+ * @returns {Promise<ImportProfile>}
+ */
+const deleteImportProfileById = async (profileId, userId) => {
+  logger.info('Service: Deleting import profile:', profileId);
+  const profile = await getImportProfileById(profileId, userId);
+  await profile.remove();
+  return profile;
+};
+
+/**
+ * Parse a date cell. Dates with an explicit offset are taken as is, others are read in the time zone.
+ * @param {string} value
+ * @param {string} timezone
+ * @param {string} [dateFormat] - Moment.js format, ISO 8601 when not set
+ * @returns {Date|null} Null when the value does not match the format
+ */
+const parseDateCell = (value, timezone, dateFormat) => {
+  const parsed = moment.utc(value, dateFormat || moment.ISO_8601, true);
+  if (!parsed.isValid()) {
+    return null;
+  }
+  if (!dateFormat && /(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+    return parsed.toDate();
+  }
+  return zonedTimeToUtc(parsed.toDate(), timezone);
+};
+
+/**
+ * Map a CSV row to trade data using the column mapping
+ * @param {Array<string>} cells
+ * @param {Object} columnIndexes - Trade field to column index
+ * @param {Object} profile - { timezone, dateFormat }
+ * @returns {Object} { trade, errors }
+ */
+const mapRow = (cells, columnIndexes, { timezone, dateFormat }) => {
+  const trade = {};
+  const errors = [];
+  Object.entries(columnIndexes).forEach(([field, index]) => {
+    const value = (cells[index] || '').trim();
+    if (value === '') {
+      return;
+    }
+    if (dateFields.includes(field)) {
+      trade[field] = parseDateCell(value, timezone, dateFormat);
+      if (!trade[field]) {
+        errors.push(`"${field}" must be a date in the ${dateFormat || 'ISO 8601'} format`);
+      }
+    } else if (booleanFields.includes(field) && value.toLowerCase() in booleanValues) {
+      trade[field] = booleanValues[value.toLowerCase()];
+    } else if (field === 'session' || field === 'direction') {
+      trade[field] = value.toUpperCase();
+    } else {
+      trade[field] = value;
+    }
+  });
+  return { trade, errors };
+};
+
+/**
+ * Validate imported trade data like a trade created through the API and derive its session and metrics
+ * @param {Object} tradeData
+ * @param {Array} sessions - Trading sessions of the user
+ * @param {Object} [schema] - Joi schema of the trade, the one of trades created through the API by default
+ * @returns {Object} { trade } when valid, { messages } otherwise
+ */
+const validateTrade = (tradeData, sessions, schema = createTradeValidation.body) => {
+  const { value, error } = schema.validate(tradeData, {
+    abortEarly: false,
+    errors: { label: 'key' },
+  });
+  if (error) {
+    return { messages: error.details.map((details) => details.message) };
+  }
+  if (value.session && !sessions.some((session) => session.code === value.session)) {
+    return { messages: [`Unknown session: ${value.session}`] };
+  }
+  try {
+    const session = value.session || getSessionAt(value.entryTime, sessions);
+    return { trade: { ...value, session, ...tradeService.deriveTradeMetrics(value) } };
+  } catch (derivationError) {
+    return { messages: [derivationError.message] };
+  }
+};
+
+/**
+ * Report the outcome of an import, importing the valid trades unless it is a dry run. Trades already
+ * recorded are skipped and trades conflicting with a recorded broker ticket left out, so a file can be
+ * imported again safely.
+ * @param {ObjectId} userId
+ * @param {Array} trades - Valid trades
+ * @param {Array<Object>} origins - Where each valid trade comes from in the file, { row } or { ticket }
+ * @param {Array} errors - Invalid rows
+ * @param {Object} importDetails - { totalRows, dryRun, source, accountId }
+ * @returns {Promise<Object>}
+ */
+const completeImport = async (userId, validTrades, origins, errors, { totalRows, dryRun, source, accountId }) => {
+  const trades = accountId ? validTrades.map((trade) => ({ ...trade, accountId })) : validTrades;
+  const result = {
+    dryRun,
+    totalRows,
+    validRows: trades.length,
+    invalidRows: errors.length,
+    imported: 0,
+  };
+
+  const outcome = dryRun
+    ? await tradeService.findDuplicateTrades(userId, trades)
+    : await tradeService.createBulkTrades(userId, trades);
+  const locate = ({ index, tradeId }) => ({ ...origins[index], tradeId });
+  result.skipped = outcome.skipped.map(locate);
+  result.conflicting = outcome.conflicting.map(locate);
+  result.errors = errors;
+
+  if (dryRun) {
+    return { ...result, trades };
+  }
+
+  result.imported = outcome.trades.length;
+  logger.info('Service:', source, 'trades imported:', result.imported, 'Skipped:', result.skipped.length);
+  return result;
+};
+
+/**
+ * Import trades from CSV using an import profile. Every row is validated like a trade created through
+ * the API; a dry run only reports the outcome, otherwise the valid rows are imported.
+ * @param {ObjectId} userId
+ * @param {string} csv
+ * @param {Object} importOptions
+ * @param {ObjectId} importOptions.profileId
+ * @param {boolean} [importOptions.dryRun]
+ * @param {string} [importOptions.timezone] - Overrides the time zone of the profile
+ * @param {ObjectId} [importOptions.accountId] - Account the trades are imported into
+ * @returns {Promise<Object>} { dryRun, totalRows, validRows, invalidRows, imported, errors, trades }
+ */
+const importCsvTrades = async (userId, csv, { profileId, dryRun = false, timezone, accountId }) => {
+  logger.info('Service: Importing CSV trades for user:', userId, 'Profile:', profileId, 'Dry run:', dryRun);
+  const profile = await getImportProfileById(profileId, userId);
+  await accountService.assertAccountsExist(userId, [accountId]);
+  const sessions = await sessionCatalogueService.getSessions(userId);
+
+  const [header, ...rows] = parseCsv(csv, profile.delimiter);
+  if (!header) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'CSV file is empty');
+  }
+
+  const columns = header.map((column) => column.trim());
+  const mapping = profile.mapping.toObject();
+  const columnIndexes = {};
+  const missingColumns = [];
+  Object.entries(mapping).forEach(([field, column]) => {
+    if (!column) {
+      return;
+    }
+    const index = columns.indexOf(column);
+    if (index === -1) {
+      missingColumns.push(column);
+    } else {
+      columnIndexes[field] = index;
+    }
+  });
+  if (missingColumns.length > 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `CSV is missing mapped columns: ${missingColumns.join(', ')}`);
+  }
+
+  const settings = { timezone: timezone || profile.timezone, dateFormat: profile.dateFormat };
+  const trades = [];
+  const origins = [];
+  const errors = [];
+  rows.forEach((cells, index) => {
+    // Row 1 is the header
+    const row = index + 2;
+    const mapped = mapRow(cells, columnIndexes, settings);
+    if (mapped.errors.length > 0) {
+      errors.push({ row, messages: mapped.errors });
+      return;
+    }
+    const validated = validateTrade(mapped.trade, sessions);
+    if (validated.messages) {
+      errors.push({ row, messages: validated.messages });
+      return;
+    }
+    trades.push(validated.trade);
+    origins.push({ row });
+  });
+
+  return completeImport(userId, trades, origins, errors, { totalRows: rows.length, dryRun, source: 'CSV', accountId });
+};
+
+/**
+ * Import the closed positions of an MT4 Detailed Statement or an MT5 Trade History Report saved as HTML.
+ * The statement holds neither the risk taken nor the trading session, so every trade is given the same
+ * risk and the session of the user open at its entry time. R:R and target achieved are derived from the stop loss
+ * and take profit, and are 0 for positions closed without them or with a stop trailed past the entry.
+ * @param {ObjectId} userId
+ * @param {Buffer|string} statement
+ * @param {Object} importOptions
+ * @param {boolean} [importOptions.dryRun]
+ * @param {string} [importOptions.timezone] - Time zone of the broker server (default = UTC)
+ * @param {number} [importOptions.riskPercent] - Risk of every trade, the risk per trade of the trading plan when not set
+ * @param {ObjectId} [importOptions.accountId] - Account the trades are imported into, its trading plan gives the risk
+ * @returns {Promise<Object>} { dryRun, totalRows, validRows, invalidRows, imported, errors, trades }
+ */
+const importMetaTraderStatement = async (
+  userId,
+  statement,
+  { dryRun = false, timezone = 'UTC', riskPercent, accountId }
+) => {
+  logger.info('Service: Importing MetaTrader statement for user:', userId, 'Dry run:', dryRun);
+  await accountService.assertAccountsExist(userId, [accountId]);
+
+  let riskPercentUsed = riskPercent;
+  if (riskPercentUsed == null) {
+    const tradingPlan = await tradingPlanVersionService.getAccountTradingPlan(userId, accountId);
+    if (!tradingPlan) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'riskPercent is required when there is no trading plan');
+    }
+    riskPercentUsed = tradingPlan.riskPercentPerTrade;
+  }
+
+  const sessions = await sessionCatalogueService.getSessions(userId);
+  const positions = parseMetaTraderStatement(statement);
+  if (positions.length === 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'No closed positions found in the statement');
+  }
+
+  const trades = [];
+  const origins = [];
+  const errors = [];
+  positions.forEach((position) => {
+    const [entryTime, exitTime] = [position.openTime, position.closeTime].map((time) => {
+      const parsed = moment.utc(time, statementTimeFormats, true);
+      return parsed.isValid() ? zonedTimeToUtc(parsed.toDate(), timezone) : null;
+    });
+    if (!entryTime || !exitTime) {
+      errors.push({ ticket: position.ticket, messages: ['Open and close times must be in the YYYY.MM.DD HH:mm:ss format'] });
+      return;
+    }
+
+    const stopLossHit = position.stopLoss > 0 && position.closePrice === position.stopLoss;
+    const takeProfitHit = position.takeProfit > 0 && position.closePrice === position.takeProfit;
+    // The statement holds the final levels: a stop trailed past the entry no longer tells the risk taken
+    const sign = position.type === 'buy' ? 1 : -1;
+    const hasStopLoss = position.stopLoss > 0 && sign * (position.openPrice - position.stopLoss) > 0;
+    const hasTakeProfit = position.takeProfit > 0 && sign * (position.takeProfit - position.openPrice) > 0;
+    const validated = validateTrade(
+      {
+        symbol: position.symbol,
+        brokerTicketId: position.ticket,
+        direction: position.type === 'buy' ? TradeDirection.LONG : TradeDirection.SHORT,
+        entryTime,
+        exitTime,
+        entryPrice: position.openPrice,
+        exitPrice: position.closePrice,
+        stopLossPrice: hasStopLoss ? position.stopLoss : undefined,
+        takeProfitPrice: hasTakeProfit ? position.takeProfit : undefined,
+        positionSize: position.volume,
+        riskPercentUsed,
+        profitLoss: position.profit,
+        commission: Math.round((position.commission + position.taxes) * 100) / 100,
+        swap: position.swap,
+        stopLossHit,
+        exitedEarly: !stopLossHit && !takeProfitHit,
+      },
+      sessions,
+      importStatementTradeValidation.body
+    );
+    if (validated.messages) {
+      errors.push({ ticket: position.ticket, messages: validated.messages });
+      return;
+    }
+    trades.push(validated.trade);
+    origins.push({ ticket: position.ticket });
+  });
+
+  return completeImport(userId, trades, origins, errors, {
+    totalRows: positions.length,
+    dryRun,
+    source: 'MetaTrader',
+    accountId,
+  });
+};
+
+module.exports = {
+  createImportProfile,
+  queryImportProfiles,
+  getImportProfileById,
+  updateImportProfileById,
+  deleteImportProfileById,
+  importCsvTrades,
+  importMetaTraderStatement,
+};
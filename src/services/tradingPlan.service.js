@@ -1,44 +1,66 @@
 const httpStatus = require('http-status');
-const { TradingPlan } = require('../models');
+const { TradingPlan, Trade, User } = require('../models');
+const { PreTradeDecision, PreTradeCheckRule } = require('../models/enums');
+const { preTradeCheck } = require('../config/stateRules');
 const ApiError = require('../utils/ApiError');
+const { getZonedDayBounds } = require('../utils/timezone');
 const logger = require('../config/logger');
+const analysisService = require('./analysis.service');
+const dashboardService = require('./dashboard.service');
+const planAdherenceService = require('./planAdherence.service');
+const tradingPlanVersionService = require('./tradingPlanVersion.service');
+const sessionCatalogueService = require('./sessionCatalogue.service');
 
 /**
- * Create or update trading plan for user
+ * Create or update trading plan for user. Preferred sessions must be trading sessions of the user.
  * @param {ObjectId} userId
  * @param {Object} tradingPlanBody
+ * @param {ObjectId} [accountId] - Account of the plan, the plan without an account when not set
  * @returns {Promise<TradingPlan>}
  */
-const createOrUpdateTradingPlan = async (userId, tradingPlanBody) => {
-  logger.info('Service: Creating/updating trading plan for user:', userId);
+const createOrUpdateTradingPlan = async (userId, tradingPlanBody, accountId = null) => {
+  logger.info('Service: Creating/updating trading plan for user:', userId, 'Account:', accountId);
   logger.info('Service: Trading plan data:', tradingPlanBody);
+  await sessionCatalogueService.assertSessionsExist(userId, tradingPlanBody.preferredSessions || []);
 
-  // Check if trading plan already exists for this user
-  const tradingPlan = await TradingPlan.findOne({ userId });
+  // Check if trading plan already exists for this user and account
+  const tradingPlan = await TradingPlan.findOne({ userId, accountId });
 
   if (tradingPlan) {
     logger.info('Service: Updating existing trading plan:', tradingPlan.id);
+    // Make sure the rules being replaced are kept as a version
+    await tradingPlanVersionService.getTradingPlanVersions(userId, accountId);
     Object.assign(tradingPlan, tradingPlanBody);
     await tradingPlan.save();
+    await tradingPlanVersionService.recordTradingPlanVersion(tradingPlan);
+    await dashboardService.invalidateDashboards(userId);
     return tradingPlan;
   }
   logger.info('Service: Creating new trading plan');
   const newTradingPlan = new TradingPlan({
     userId,
+    accountId,
     ...tradingPlanBody,
   });
   await newTradingPlan.save();
+  const version = await tradingPlanVersionService.recordTradingPlanVersion(newTradingPlan);
+  // Trades placed before the first version are scored against it
+  if (version && version.version === 1) {
+    await planAdherenceService.scoreAllTradingDays(userId);
+  }
+  await dashboardService.invalidateDashboards(userId);
   return newTradingPlan;
 };
 
 /**
  * Get trading plan by user id
  * @param {ObjectId} userId
+ * @param {ObjectId} [accountId] - Account of the plan, the plan without an account when not set
  * @returns {Promise<TradingPlan>}
  */
-const getTradingPlanByUserId = async (userId) => {
-  logger.info('Service: Getting trading plan for user:', userId);
-  const tradingPlan = await TradingPlan.findOne({ userId });
+const getTradingPlanByUserId = async (userId, accountId = null) => {
+  logger.info('Service: Getting trading plan for user:', userId, 'Account:', accountId);
+  const tradingPlan = await TradingPlan.findOne({ userId, accountId });
   logger.info('Service: Trading plan found:', !!tradingPlan);
   return tradingPlan;
 };
@@ -46,21 +68,154 @@ const getTradingPlanByUserId = async (userId) => {
 /**
  * Delete trading plan by user id
  * @param {ObjectId} userId
+ * @param {ObjectId} [accountId] - Account of the plan, the plan without an account when not set
  * @returns {Promise<void>}
  */
-const deleteTradingPlanByUserId = async (userId) => {
-  logger.info('Service: Deleting trading plan for user:', userId);
-  const tradingPlan = await TradingPlan.findOne({ userId });
+const deleteTradingPlanByUserId = async (userId, accountId = null) => {
+  logger.info('Service: Deleting trading plan for user:', userId, 'Account:', accountId);
+  const tradingPlan = await TradingPlan.findOne({ userId, accountId });
   if (!tradingPlan) {
     logger.info('Service: No trading plan found to delete for user:', userId);
     throw new ApiError(httpStatus.NOT_FOUND, 'Trading plan not found');
   }
   logger.info('Service: Deleting trading plan:', tradingPlan.id);
+  await tradingPlanVersionService.getTradingPlanVersions(userId, accountId);
   await tradingPlan.remove();
+  await tradingPlanVersionService.closeTradingPlanVersion(userId, accountId);
+  await dashboardService.invalidateDashboards(userId);
+};
+
+/**
+ * Check a proposed trade against the trading plan in force, the trades already taken that day in the time
+ * zone of the user and the latest psychological state, in the account of the trade when it has one
+ * @param {ObjectId} userId
+ * @param {Object} proposedTrade - { session, riskPercent, riskReward, entryTime, accountId }, the session
+ *   defaults to the session of the user open at the entry time
+ * @param {Object} [settings]
+ * @returns {Promise<Object>} { decision, reasons, context }
+ */
+const checkProposedTrade = async (userId, proposedTrade, settings = preTradeCheck) => {
+  const entryTime = proposedTrade.entryTime ? new Date(proposedTrade.entryTime) : new Date();
+  logger.info('Service: Checking proposed trade for user:', userId, 'Trade:', proposedTrade);
+
+  const [{ session }] = await sessionCatalogueService.assignSessions(userId, [
+    { entryTime, session: proposedTrade.session },
+  ]);
+  const { start: dayStart } = getZonedDayBounds(entryTime, await User.getTimeZone(userId));
+
+  const accountId = proposedTrade.accountId || null;
+  const [tradingPlanVersions, dayTrades, latestState] = await Promise.all([
+    tradingPlanVersionService.getAccountTradingPlanVersions(userId, accountId),
+    Trade.find({ userId, entryTime: { $gte: dayStart, $lte: entryTime } })
+      .inAccount(accountId)
+      .lean(),
+    analysisService.getLatestState(userId, accountId),
+  ]);
+  const tradingPlan = tradingPlanVersionService.getPlanVersionAt(tradingPlanVersions, entryTime);
+
+  // Only trades closed before the proposed entry have realised their result
+  const closedTrades = dayTrades.filter((t) => new Date(t.exitTime) <= entryTime);
+  const realisedProfitLoss = closedTrades.reduce((sum, t) => sum + t.profitLoss, 0);
+  // A losing trade costs at most the risk taken on it
+  const lossPercent = closedTrades.filter((t) => t.profitLoss < 0).reduce((sum, t) => sum + t.riskPercentUsed, 0);
+  const realisedLossPercent = Math.round(lossPercent * 100) / 100;
+
+  const reasons = [];
+  const addReason = (rule, severity, message) => reasons.push({ rule, severity, message });
+  let dailyLossLimitPercent = null;
+
+  if (!tradingPlan) {
+    addReason(PreTradeCheckRule.NO_TRADING_PLAN, PreTradeDecision.WARN, 'No trading plan to check the trade against');
+  } else {
+    if (proposedTrade.riskPercent > tradingPlan.riskPercentPerTrade) {
+      addReason(
+        PreTradeCheckRule.RISK_ABOVE_PLAN,
+        PreTradeDecision.BLOCK,
+        `Risking ${proposedTrade.riskPercent}% against a planned ${tradingPlan.riskPercentPerTrade}%`
+      );
+    }
+
+    if (proposedTrade.riskReward < tradingPlan.targetRiskRewardRatio) {
+      addReason(
+        PreTradeCheckRule.RISK_REWARD_BELOW_TARGET,
+        PreTradeDecision.WARN,
+        `Planned ${proposedTrade.riskReward}R against a target of ${tradingPlan.targetRiskRewardRatio}R`
+      );
+    }
+
+    if (tradingPlan.preferredSessions.length > 0 && !tradingPlan.preferredSessions.includes(session)) {
+      addReason(
+        PreTradeCheckRule.SESSION_NOT_PREFERRED,
+        PreTradeDecision.WARN,
+        `The ${session} session is outside the preferred ${tradingPlan.preferredSessions.join(', ')}`
+      );
+    }
+
+    if (dayTrades.length >= tradingPlan.maxTradesPerDay) {
+      addReason(
+        PreTradeCheckRule.MAX_TRADES_REACHED,
+        PreTradeDecision.BLOCK,
+        `${dayTrades.length} trades taken today against a maximum of ${tradingPlan.maxTradesPerDay}`
+      );
+    }
+
+    dailyLossLimitPercent = Math.round(tradingPlan.riskPercentPerTrade * settings.dailyLossLimitRiskMultiple * 100) / 100;
+    if (realisedLossPercent >= dailyLossLimitPercent) {
+      addReason(
+        PreTradeCheckRule.DAILY_LOSS_LIMIT,
+        PreTradeDecision.BLOCK,
+        `Lost ${realisedLossPercent}% today, the daily loss limit is ${dailyLossLimitPercent}%`
+      );
+    } else if (realisedLossPercent + proposedTrade.riskPercent > dailyLossLimitPercent) {
+      addReason(
+        PreTradeCheckRule.DAILY_LOSS_LIMIT,
+        PreTradeDecision.WARN,
+        `Losing this trade would take today's losses past the daily loss limit of ${dailyLossLimitPercent}%`
+      );
+    }
+  }
+
+  if (settings.blockStates.includes(latestState.state)) {
+    addReason(
+      PreTradeCheckRule.PSYCHOLOGICAL_STATE,
+      PreTradeDecision.BLOCK,
+      `Current psychological state is ${latestState.state}`
+    );
+  } else if (settings.warnStates.includes(latestState.state)) {
+    addReason(
+      PreTradeCheckRule.PSYCHOLOGICAL_STATE,
+      PreTradeDecision.WARN,
+      `Current psychological state is ${latestState.state}`
+    );
+  }
+
+  let decision = PreTradeDecision.ALLOW;
+  if (reasons.some((reason) => reason.severity === PreTradeDecision.BLOCK)) {
+    decision = PreTradeDecision.BLOCK;
+  } else if (reasons.length > 0) {
+    decision = PreTradeDecision.WARN;
+  }
+  logger.info('Service: Proposed trade decision:', decision, 'Reasons:', reasons.length);
+
+  return {
+    decision,
+    reasons,
+    context: {
+      session,
+      tradingPlanVersion: tradingPlan ? tradingPlan.version : null,
+      tradesToday: dayTrades.length,
+      maxTradesPerDay: tradingPlan ? tradingPlan.maxTradesPerDay : null,
+      realisedProfitLoss: Math.round(realisedProfitLoss * 100) / 100,
+      realisedLossPercent,
+      dailyLossLimitPercent,
+      psychologicalState: latestState.state,
+    },
+  };
 };
 
 module.exports = {
   createOrUpdateTradingPlan,
   getTradingPlanByUserId,
   deleteTradingPlanByUserId,
+  checkProposedTrade,
 };
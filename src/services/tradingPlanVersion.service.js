@@ -0,0 +1,250 @@
+const httpStatus = require('http-status');
+const { TradingPlan, TradingPlanVersion } = require('../models');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+
+// Plan fields captured by each version, in the order they are diffed
+const planFields = [
+  'maxTradesPerDay',
+  'riskPercentPerTrade',
+  'targetRiskRewardRatio',
+  'preferredSessions',
+  'stopLossDiscipline',
+];
+
+/**
+ * Check whether a plan field holds the same value in two plans, ignoring the order of preferred sessions
+ * @param {string} field
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+const isSameValue = (field, a, b) => {
+  if (field === 'preferredSessions') {
+    const sessionsA = [...(a[field] || [])].sort();
+    const sessionsB = [...(b[field] || [])].sort();
+    return sessionsA.length === sessionsB.length && sessionsA.every((session, index) => session === sessionsB[index]);
+  }
+  return a[field] === b[field];
+};
+
+/**
+ * Copy the versioned fields of a trading plan
+ * @param {Object} tradingPlan
+ * @returns {Object}
+ */
+const pickPlanFields = (tradingPlan) =>
+  planFields.reduce((fields, field) => {
+    // eslint-disable-next-line no-param-reassign
+    fields[field] = field === 'preferredSessions' ? [...tradingPlan[field]] : tradingPlan[field];
+    return fields;
+  }, {});
+
+/**
+ * Get all versions of a user's trading plan, oldest first.
+ * A plan saved before versioning existed gets its first version, effective from the plan creation.
+ * @param {ObjectId} userId
+ * @param {ObjectId} [accountId] - Account of the plan, the plan without an account when not set
+ * @returns {Promise<Array>}
+ */
+const getTradingPlanVersions = async (userId, accountId = null) => {
+  const versions = await TradingPlanVersion.find({ userId, accountId }).sort({ version: 1 }).lean();
+  if (versions.length > 0) {
+    return versions;
+  }
+
+  const tradingPlan = await TradingPlan.findOne({ userId, accountId }).lean();
+  if (!tradingPlan) {
+    return versions;
+  }
+
+  logger.info('Service: Recording first version of existing trading plan:', tradingPlan._id);
+  try {
+    await TradingPlanVersion.create({
+      userId,
+      accountId,
+      tradingPlan: tradingPlan._id,
+      version: 1,
+      ...pickPlanFields(tradingPlan),
+      effectiveFrom: tradingPlan.createdAt || new Date(),
+    });
+  } catch (error) {
+    // Another request recorded it first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+  return TradingPlanVersion.find({ userId, accountId }).sort({ version: 1 }).lean();
+};
+
+/**
+ * Get the versions of the trading plan the trades of an account are held to: the plan of the account,
+ * or the plan without an account when the account never had one
+ * @param {ObjectId} userId
+ * @param {ObjectId} [accountId]
+ * @returns {Promise<Array>}
+ */
+const getAccountTradingPlanVersions = async (userId, accountId) => {
+  const versions = accountId ? await getTradingPlanVersions(userId, accountId) : [];
+  return versions.length > 0 ? versions : getTradingPlanVersions(userId);
+};
+
+/**
+ * Get the trading plan in force for an account: its own plan, or the plan without an account
+ * @param {ObjectId} userId
+ * @param {ObjectId} [accountId]
+ * @returns {Promise<Object|null>}
+ */
+const getAccountTradingPlan = async (userId, accountId) => {
+  const tradingPlans = await TradingPlan.find({ userId, accountId: { $in: [accountId || null, null] } }).lean();
+  return tradingPlans.find((tradingPlan) => tradingPlan.accountId) || tradingPlans[0] || null;
+};
+
+/**
+ * Find the plan version in force at a date. Trades older than the first version are held to it,
+ * trades placed while no plan existed have no version.
+ * @param {Array} versions - Result of getTradingPlanVersions
+ * @param {Date} date
+ * @returns {Object|null}
+ */
+const getPlanVersionAt = (versions, date) => {
+  if (versions.length === 0) {
+    return null;
+  }
+
+  const time = new Date(date).getTime();
+  if (time < new Date(versions[0].effectiveFrom).getTime()) {
+    return versions[0];
+  }
+
+  return (
+    versions.find(
+      (version) =>
+        new Date(version.effectiveFrom).getTime() <= time &&
+        (!version.effectiveTo || time < new Date(version.effectiveTo).getTime())
+    ) || null
+  );
+};
+
+/**
+ * Record a new version of a trading plan, closing the one in force.
+ * Nothing is recorded when the plan rules did not change.
+ * @param {TradingPlan} tradingPlan
+ * @returns {Promise<TradingPlanVersion|null>}
+ */
+const recordTradingPlanVersion = async (tradingPlan) => {
+  const { userId } = tradingPlan;
+  const accountId = tradingPlan.accountId || null;
+  const latestVersion = await TradingPlanVersion.findOne({ userId, accountId }).sort({ version: -1 });
+
+  if (
+    latestVersion &&
+    !latestVersion.effectiveTo &&
+    planFields.every((field) => isSameValue(field, latestVersion, tradingPlan))
+  ) {
+    return null;
+  }
+
+  const effectiveFrom = new Date();
+  if (latestVersion && !latestVersion.effectiveTo) {
+    latestVersion.effectiveTo = effectiveFrom;
+    await latestVersion.save();
+  }
+
+  const version = await TradingPlanVersion.create({
+    userId,
+    accountId,
+    tradingPlan: tradingPlan._id,
+    version: latestVersion ? latestVersion.version + 1 : 1,
+    ...pickPlanFields(tradingPlan),
+    effectiveFrom,
+  });
+  logger.info('Service: Recorded trading plan version:', version.version);
+  return version;
+};
+
+/**
+ * Close the version in force, when the plan is deleted
+ * @param {ObjectId} userId
+ * @param {ObjectId} [accountId] - Account of the plan
+ * @returns {Promise<void>}
+ */
+const closeTradingPlanVersion = async (userId, accountId = null) => {
+  await TradingPlanVersion.updateMany({ userId, accountId, effectiveTo: null }, { effectiveTo: new Date() });
+};
+
+/**
+ * Query for versions of a user's trading plan
+ * @param {ObjectId} userId
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @param {ObjectId} [accountId] - Account of the plan
+ * @returns {Promise<QueryResult>}
+ */
+const queryTradingPlanVersions = async (userId, options = {}, accountId = null) => {
+  logger.info('Service: Querying trading plan versions for user:', userId, 'Account:', accountId);
+  await getTradingPlanVersions(userId, accountId);
+  const result = await TradingPlanVersion.paginate({ userId, accountId }, { sortBy: 'version:desc', ...options });
+  logger.info('Service: Trading plan versions found:', result.results.length);
+  return result;
+};
+
+/**
+ * Get a version of a user's trading plan
+ * @param {ObjectId} userId
+ * @param {number} version
+ * @param {ObjectId} [accountId] - Account of the plan
+ * @returns {Promise<TradingPlanVersion>}
+ */
+const getTradingPlanVersion = async (userId, version, accountId = null) => {
+  logger.info('Service: Getting trading plan version', version, 'for user:', userId);
+  await getTradingPlanVersions(userId, accountId);
+  const tradingPlanVersion = await TradingPlanVersion.findOne({ userId, accountId, version });
+  if (!tradingPlanVersion) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Trading plan version not found');
+  }
+  return tradingPlanVersion;
+};
+
+/**
+ * Diff two versions of a user's trading plan
+ * @param {ObjectId} userId
+ * @param {number} from
+ * @param {number} to
+ * @param {ObjectId} [accountId] - Account of the plan
+ * @returns {Promise<Object>} { from, to, changes }
+ */
+const diffTradingPlanVersions = async (userId, from, to, accountId = null) => {
+  const [fromVersion, toVersion] = await Promise.all([
+    getTradingPlanVersion(userId, from, accountId),
+    getTradingPlanVersion(userId, to, accountId),
+  ]);
+
+  const summarizeVersion = (version) => ({
+    version: version.version,
+    effectiveFrom: version.effectiveFrom,
+    effectiveTo: version.effectiveTo,
+  });
+
+  return {
+    from: summarizeVersion(fromVersion),
+    to: summarizeVersion(toVersion),
+    changes: planFields
+      .filter((field) => !isSameValue(field, fromVersion, toVersion))
+      .map((field) => ({ field, from: fromVersion[field], to: toVersion[field] })),
+  };
+};
+
+module.exports = {
+  getTradingPlanVersions,
+  getAccountTradingPlanVersions,
+  getAccountTradingPlan,
+  getPlanVersionAt,
+  recordTradingPlanVersion,
+  closeTradingPlanVersion,
+  queryTradingPlanVersions,
+  getTradingPlanVersion,
+  diffTradingPlanVersions,
+};
@@ -1,6 +1,9 @@
 const httpStatus = require('http-status');
 const { User } = require('../models');
 const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+const planAdherenceService = require('./planAdherence.service');
+const dashboardService = require('./dashboard.service');
 
 /**
  * Create a user
@@ -60,8 +63,15 @@ const updateUserById = async (userId, updateBody) => {
   if (updateBody.email && (await User.isEmailTaken(updateBody.email, userId))) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Email already taken');
   }
+  const timeZoneChanged = updateBody.timezone !== undefined && updateBody.timezone !== user.timezone;
   Object.assign(user, updateBody);
   await user.save();
+  if (timeZoneChanged) {
+    // Trades fall into other days: the daily trade limits and the dashboards are computed again
+    logger.info('Service: Time zone of user changed:', userId, user.timezone);
+    await planAdherenceService.scoreAllTradingDays(user._id);
+    await dashboardService.invalidateDashboards(user._id);
+  }
   return user;
 };
 
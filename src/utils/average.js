@@ -0,0 +1,16 @@
+/**
+ * Average a field over the items it is set on, such as the R:R of trades, which is missing on trades imported
+ * without the prices to derive it from
+ * @param {Array<Object>} items
+ * @param {string} field
+ * @returns {number|null} Null when no item has the field set
+ */
+const averageOf = (items, field) => {
+  const values = items.map((item) => item[field]).filter((value) => value != null);
+  if (values.length === 0) {
+    return null;
+  }
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+};
+
+module.exports = averageOf;
@@ -0,0 +1,31 @@
+/**
+ * Split items into consecutive batches of at most batchSize items
+ * @param {Array} items
+ * @param {number} batchSize
+ * @returns {Array<Array>}
+ */
+const chunk = (items, batchSize) => {
+  const batches = [];
+  for (let i = 0; i < items.length; i += batchSize) {
+    batches.push(items.slice(i, i + batchSize));
+  }
+  return batches;
+};
+
+/**
+ * Map items with an async function a batch at a time, so that no more than batchSize calls run at once
+ * @param {Array} items
+ * @param {number} batchSize
+ * @param {Function} iteratee - (item) => Promise
+ * @returns {Promise<Array>} The results, in the order of the items
+ */
+const mapInBatches = (items, batchSize, iteratee) =>
+  chunk(items, batchSize).reduce(
+    async (previous, batch) => [...(await previous), ...(await Promise.all(batch.map(iteratee)))],
+    Promise.resolve([])
+  );
+
+module.exports = {
+  chunk,
+  mapInBatches,
+};
@@ -0,0 +1,82 @@
+/**
+ * Parse CSV text into rows of cells. Quoted cells may contain delimiters, line breaks and doubled quotes.
+ * Blank lines are skipped.
+ * @param {string} text
+ * @param {string} [delimiter]
+ * @returns {Array<Array<string>>}
+ */
+const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  // Spreadsheet exports often start with a byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Text starting with one of these is read as a formula by spreadsheets
+const formulaPrefix = /^[=+\-@\t\r]/;
+
+/**
+ * Format a row of values as a CSV line. Dates are written in ISO 8601, missing values as empty cells. Text that
+ * a spreadsheet would run as a formula is prefixed with a quote.
+ * @param {Array} values
+ * @param {string} [delimiter]
+ * @returns {string} The line, ending with CRLF
+ */
+const formatCsvRow = (values, delimiter = ',') =>
+  `${values
+    .map((value) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      let cell = value instanceof Date ? value.toISOString() : String(value);
+      if (typeof value === 'string' && formulaPrefix.test(cell)) {
+        cell = `'${cell}`;
+      }
+      return /["\r\n]/.test(cell) || cell.includes(delimiter) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    })
+    .join(delimiter)}\r\n`;
+
+module.exports = {
+  parseCsv,
+  formatCsvRow,
+};
@@ -0,0 +1,204 @@
+const htmlEntities = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Columns of the closed positions table, by report. Columns that appear twice (the open and close
+ * time and price of MT5 reports) are told apart by their occurrence.
+ */
+const statementLayouts = [
+  {
+    // MT4 Detailed Statement, Closed Transactions
+    ticket: ['ticket'],
+    openTime: ['open time'],
+    type: ['type'],
+    volume: ['size'],
+    symbol: ['item'],
+    openPrice: ['price', 1],
+    stopLoss: ['s / l'],
+    takeProfit: ['t / p'],
+    closeTime: ['close time'],
+    closePrice: ['price', 2],
+    commission: ['commission'],
+    taxes: ['taxes'],
+    swap: ['swap'],
+    profit: ['profit'],
+  },
+  {
+    // MT5 Trade History Report, Positions
+    ticket: ['position'],
+    openTime: ['time', 1],
+    type: ['type'],
+    volume: ['volume'],
+    symbol: ['symbol'],
+    openPrice: ['price', 1],
+    stopLoss: ['s / l'],
+    takeProfit: ['t / p'],
+    closeTime: ['time', 2],
+    closePrice: ['price', 2],
+    commission: ['commission'],
+    swap: ['swap'],
+    profit: ['profit'],
+  },
+];
+
+const numericColumns = [
+  'volume',
+  'openPrice',
+  'stopLoss',
+  'takeProfit',
+  'closePrice',
+  'commission',
+  'taxes',
+  'swap',
+  'profit',
+];
+
+/**
+ * Decode a statement file. MT5 saves its reports as UTF-16 with a byte order mark, MT4 as single byte text.
+ * @param {Buffer|string} statement
+ * @returns {string}
+ */
+const decodeStatement = (statement) => {
+  if (typeof statement === 'string') {
+    return statement;
+  }
+  if (statement[0] === 0xff && statement[1] === 0xfe) {
+    return statement.toString('utf16le', 2);
+  }
+  if (statement[0] === 0xef && statement[1] === 0xbb && statement[2] === 0xbf) {
+    return statement.toString('utf8', 3);
+  }
+  return statement.toString('utf8');
+};
+
+/**
+ * Get the text of an HTML fragment
+ * @param {string} html
+ * @returns {string}
+ */
+const toText = (html) =>
+  html
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        return String.fromCharCode(Number(name.slice(1)));
+      }
+      return htmlEntities[name.toLowerCase()] || entity;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Get the table rows of an HTML document as rows of cell texts. Spanned columns are repeated as empty
+ * cells so that cells line up with their header; hidden cells are left out.
+ * @param {string} html
+ * @returns {Array<Array<string>>}
+ */
+const parseHtmlRows = (html) => {
+  const rows = [];
+  const rowPattern = /<tr[^>]*>([\s\S]*?)<\/tr>/gi;
+  let rowMatch = rowPattern.exec(html);
+  while (rowMatch) {
+    const cells = [];
+    const cellPattern = /<t[dh]([^>]*)>([\s\S]*?)<\/t[dh]>/gi;
+    let cellMatch = cellPattern.exec(rowMatch[1]);
+    while (cellMatch) {
+      const [, attributes, content] = cellMatch;
+      if (!/class="?hidden/i.test(attributes)) {
+        const colspan = /colspan="?(\d+)/i.exec(attributes);
+        cells.push(toText(content));
+        for (let i = 1; i < (colspan ? Number(colspan[1]) : 1); i += 1) {
+          cells.push('');
+        }
+      }
+      cellMatch = cellPattern.exec(rowMatch[1]);
+    }
+    rows.push(cells);
+    rowMatch = rowPattern.exec(html);
+  }
+  return rows;
+};
+
+/**
+ * Resolve the column indexes of a header row against the statement layouts
+ * @param {Array<string>} header
+ * @returns {Object|null} Column name to index, null when the row is not the header of closed positions
+ */
+const resolveLayout = (header) => {
+  const names = header.map((cell) => cell.toLowerCase());
+  const findColumn = ([name, occurrence = 1]) => {
+    let seen = 0;
+    for (let i = 0; i < names.length; i += 1) {
+      if (names[i] === name) {
+        seen += 1;
+        if (seen === occurrence) {
+          return i;
+        }
+      }
+    }
+    return -1;
+  };
+
+  const layouts = statementLayouts.map((layout) =>
+    Object.entries(layout).reduce((columns, [column, spec]) => ({ ...columns, [column]: findColumn(spec) }), {})
+  );
+  return layouts.find((columns) => Object.values(columns).every((index) => index !== -1)) || null;
+};
+
+/**
+ * Parse a number as printed by MetaTrader, with spaces as thousands separators
+ * @param {string} value
+ * @returns {number}
+ */
+const parseStatementNumber = (value) => {
+  const number = Number(value.replace(/\s/g, ''));
+  return value.trim() === '' || Number.isNaN(number) ? 0 : number;
+};
+
+/**
+ * Parse the closed positions of an MT4 Detailed Statement or an MT5 Trade History Report saved as HTML.
+ * Balance operations, pending orders and positions still open are left out. Times are returned as
+ * printed, in the time zone of the broker server.
+ * @param {Buffer|string} statement
+ * @returns {Array<Object>} { ticket, symbol, type, volume, openTime, openPrice, stopLoss, takeProfit,
+ *   closeTime, closePrice, commission, taxes, swap, profit }
+ */
+const parseMetaTraderStatement = (statement) => {
+  const positions = [];
+  let columns = null;
+
+  parseHtmlRows(decodeStatement(statement)).forEach((cells) => {
+    // A row with a single cell titles the next section of the report
+    if (cells.filter((cell) => cell !== '').length <= 1) {
+      columns = null;
+      return;
+    }
+    const layout = resolveLayout(cells);
+    if (layout) {
+      columns = layout;
+      return;
+    }
+    if (!columns) {
+      return;
+    }
+
+    const type = (cells[columns.type] || '').toLowerCase();
+    if ((type !== 'buy' && type !== 'sell') || !cells[columns.closeTime]) {
+      return;
+    }
+
+    const position = { type };
+    Object.entries(columns).forEach(([column, index]) => {
+      if (column === 'type') {
+        return;
+      }
+      const value = cells[index] || '';
+      position[column] = numericColumns.includes(column) ? parseStatementNumber(value) : value;
+    });
+    position.taxes = position.taxes || 0;
+    positions.push(position);
+  });
+
+  return positions;
+};
+
+module.exports = parseMetaTraderStatement;
@@ -0,0 +1,30 @@
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the net profit/loss of a trade: its gross profit/loss plus its commission and swap, which are signed
+ * the way brokers report them (negative for a cost)
+ * @param {Object} trade
+ * @returns {number|null} Null while the trade has no profit/loss
+ */
+const getNetProfitLoss = (trade) => {
+  if (trade.profitLoss == null) {
+    return null;
+  }
+  return round(trade.profitLoss + (trade.commission || 0) + (trade.swap || 0));
+};
+
+/**
+ * Split the profit/loss of trades into gross, fees and net
+ * @param {Array} trades
+ * @returns {Object} { gross, fees, net }
+ */
+const summariseProfitLoss = (trades) => {
+  const gross = trades.reduce((sum, t) => sum + t.profitLoss, 0);
+  const fees = trades.reduce((sum, t) => sum + (t.commission || 0) + (t.swap || 0), 0);
+  return { gross: round(gross), fees: round(fees), net: round(gross + fees) };
+};
+
+module.exports = {
+  getNetProfitLoss,
+  summariseProfitLoss,
+};
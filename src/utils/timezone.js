@@ -0,0 +1,113 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a string is an IANA time zone known to the runtime
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the offset of a time zone from UTC at an instant
+ * @param {string} timeZone
+ * @param {Date} date
+ * @returns {number} Offset in minutes, positive east of UTC
+ */
+const getTimeZoneOffset = (timeZone, date) => {
+  const parts = Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+
+  const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+  return Math.round((wallClock - (date.getTime() - date.getUTCMilliseconds())) / 60000);
+};
+
+/**
+ * Convert a wall-clock time in a time zone to the instant it denotes
+ * @param {Date} wallClock - Date whose UTC fields hold the wall-clock time
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (wallClock, timeZone) => {
+  const guess = new Date(wallClock.getTime() - getTimeZoneOffset(timeZone, wallClock) * 60000);
+  // The offset at the guess is the right one, unless a daylight saving change lies in between
+  return new Date(wallClock.getTime() - getTimeZoneOffset(timeZone, guess) * 60000);
+};
+
+/**
+ * Get the wall-clock time of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {Date} Date whose UTC fields hold the wall-clock time
+ */
+const utcToZonedTime = (date, timeZone) => new Date(date.getTime() + getTimeZoneOffset(timeZone, date) * 60000);
+
+/**
+ * Get the calendar day of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string} YYYY-MM-DD
+ */
+const getZonedDay = (date, timeZone) => utcToZonedTime(new Date(date), timeZone).toISOString().split('T')[0];
+
+/**
+ * Get the first day of the calendar week, starting on Monday, of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string} YYYY-MM-DD
+ */
+const getZonedWeek = (date, timeZone) => {
+  const wallClock = utcToZonedTime(new Date(date), timeZone);
+  const daysSinceMonday = (wallClock.getUTCDay() + 6) % 7;
+  return new Date(wallClock.getTime() - daysSinceMonday * DAY_MS).toISOString().split('T')[0];
+};
+
+/**
+ * Get the instants a calendar day starts and ends at in a time zone, the day being the UTC date of a Date,
+ * such as the one a YYYY-MM-DD string parses to
+ * @param {Date} day
+ * @param {string} timeZone
+ * @returns {Object} { start, end } with end exclusive
+ */
+const getCalendarDayBounds = (day, timeZone) => {
+  const midnight = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+  return {
+    start: zonedTimeToUtc(new Date(midnight), timeZone),
+    end: zonedTimeToUtc(new Date(midnight + DAY_MS), timeZone),
+  };
+};
+
+/**
+ * Get the instants the calendar day of an instant starts and ends at in a time zone. Days with a daylight
+ * saving change last 23 or 25 hours.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {Object} { start, end } with end exclusive
+ */
+const getZonedDayBounds = (date, timeZone) => getCalendarDayBounds(utcToZonedTime(new Date(date), timeZone), timeZone);
+
+module.exports = {
+  isValidTimeZone,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  utcToZonedTime,
+  getZonedDay,
+  getZonedWeek,
+  getCalendarDayBounds,
+  getZonedDayBounds,
+};
@@ -0,0 +1,67 @@
+const { defaultSessions } = require('../config/sessions');
+const { utcToZonedTime, zonedTimeToUtc } = require('./timezone');
+
+/**
+ * Get an instant from a local time on the local day of another instant
+ * @param {Date} date
+ * @param {string} timeZone
+ * @param {string} time - HH:mm
+ * @param {number} dayOffset - Days after the local day of the date
+ * @returns {Date}
+ */
+const atLocalTime = (date, timeZone, time, dayOffset) => {
+  const wallClock = utcToZonedTime(date, timeZone);
+  const [hours, minutes] = time.split(':').map(Number);
+  return zonedTimeToUtc(
+    new Date(
+      Date.UTC(wallClock.getUTCFullYear(), wallClock.getUTCMonth(), wallClock.getUTCDate() + dayOffset, hours, minutes)
+    ),
+    timeZone
+  );
+};
+
+/**
+ * Get when a session last opened at or before an instant
+ * @param {Object} session - { timeZone, start }
+ * @param {Date} date
+ * @returns {Date}
+ */
+const getLastOpening = ({ timeZone, start }, date) => {
+  const opening = atLocalTime(date, timeZone, start, 0);
+  return opening <= date ? opening : atLocalTime(date, timeZone, start, -1);
+};
+
+/**
+ * Check whether a session opened at an instant is still open at another one. Sessions without an end run
+ * until another session opens, sessions ending before they start close the next day.
+ * @param {Object} session - { timeZone, start, end }
+ * @param {Date} openedAt
+ * @param {Date} date
+ * @returns {boolean}
+ */
+const isOpenAt = ({ timeZone, start, end }, openedAt, date) =>
+  !end || date < atLocalTime(openedAt, timeZone, end, end > start ? 0 : 1);
+
+/**
+ * Get the trading session a trade entered at a given time belongs to: of the sessions open then, the one
+ * opened last, so a session nested in another takes its trades. Outside every session, the trade belongs
+ * to the session opened last, as if sessions ran until the next one opens.
+ * @param {Date} date
+ * @param {Array<Object>} [sessions] - { code, timeZone, start, end }, the default sessions when not set
+ * @returns {string} Code of the session
+ */
+const getSessionAt = (date, sessions = defaultSessions) => {
+  const entryTime = new Date(date);
+  const openings = sessions.map((session) => {
+    const openedAt = getLastOpening(session, entryTime);
+    return { session, openedAt, open: isOpenAt(session, openedAt, entryTime) };
+  });
+  const openSessions = openings.filter((opening) => opening.open);
+  return (openSessions.length > 0 ? openSessions : openings).reduce((latest, opening) =>
+    opening.openedAt > latest.openedAt ? opening : latest
+  ).session.code;
+};
+
+module.exports = {
+  getSessionAt,
+};
@@ -0,0 +1,57 @@
+const ExcelJS = require('exceljs');
+const { Duplex, PassThrough } = require('stream');
+
+const dateFormat = 'yyyy-mm-dd hh:mm:ss';
+
+/**
+ * Create a stream writing an Excel workbook with a single sheet. Rows written to it as arrays of values are
+ * committed as they come, so the workbook is never held in memory. Dates are written in UTC.
+ * @param {string} sheetName
+ * @param {Array<string>} header - Column names, written as the first row
+ * @returns {Duplex} Writable in object mode, readable as the bytes of the .xlsx file
+ */
+const createXlsxStream = (sheetName, header) => {
+  const output = new PassThrough();
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  const addRow = (values) => {
+    const row = worksheet.addRow(values.map((value) => (value === null ? undefined : value)));
+    values.forEach((value, index) => {
+      if (value instanceof Date) {
+        row.getCell(index + 1).numFmt = dateFormat;
+      }
+    });
+    row.commit();
+  };
+
+  const stream = new Duplex({
+    writableObjectMode: true,
+    write(values, encoding, callback) {
+      addRow(values);
+      callback();
+    },
+    final(callback) {
+      worksheet.commit();
+      workbook.commit().then(() => callback(), callback);
+    },
+    read() {
+      output.resume();
+    },
+  });
+
+  output.on('data', (chunk) => {
+    if (!stream.push(chunk)) {
+      output.pause();
+    }
+  });
+  output.on('end', () => stream.push(null));
+  output.on('error', (error) => stream.destroy(error));
+
+  addRow(header);
+  return stream;
+};
+
+module.exports = {
+  createXlsxStream,
+};
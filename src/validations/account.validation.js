@@ -0,0 +1,54 @@
+const Joi = require('joi');
+const { objectId, currencyCode } = require('./custom.validation');
+
+const accountFields = {
+  name: Joi.string().trim().max(100),
+  broker: Joi.string().trim().allow(''),
+  type: Joi.string().valid('PROP_CHALLENGE', 'FUNDED', 'PERSONAL', 'DEMO'),
+  currency: Joi.string().uppercase().custom(currencyCode),
+  startingBalance: Joi.number().min(0),
+};
+
+const createAccount = {
+  body: Joi.object().keys({
+    ...accountFields,
+    name: accountFields.name.required(),
+    startingBalance: accountFields.startingBalance.required(),
+  }),
+};
+
+const getAccounts = {
+  query: Joi.object().keys({
+    type: Joi.string().valid('PROP_CHALLENGE', 'FUNDED', 'PERSONAL', 'DEMO'),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getAccount = {
+  params: Joi.object().keys({
+    accountId: Joi.string().custom(objectId),
+  }),
+};
+
+const updateAccount = {
+  params: Joi.object().keys({
+    accountId: Joi.required().custom(objectId),
+  }),
+  body: Joi.object().keys(accountFields).min(1),
+};
+
+const deleteAccount = {
+  params: Joi.object().keys({
+    accountId: Joi.string().custom(objectId),
+  }),
+};
+
+module.exports = {
+  createAccount,
+  getAccounts,
+  getAccount,
+  updateAccount,
+  deleteAccount,
+};
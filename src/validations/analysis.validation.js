@@ -1,32 +1,114 @@
 const Joi = require('joi');
+const { objectId, accountScope, currencyCode, sessionCode } = require('./custom.validation');
+const { PsychologicalState, SnapshotPeriod, EquityCurveGranularity } = require('../models/enums');
 
 const getState = {
-  // No query parameters needed for getting current state
+  query: Joi.object().keys({
+    accountId: Joi.string().custom(accountScope),
+  }),
 };
 
 const getForecast = {
   query: Joi.object().keys({
-    session: Joi.string().valid('LONDON', 'NY', 'ASIA').optional(),
+    session: Joi.string().custom(sessionCode),
+    accountId: Joi.string().custom(accountScope),
+  }),
+};
+
+const getForecastAccuracy = {
+  query: Joi.object().keys({
+    accountId: Joi.string().custom(accountScope),
+    session: Joi.string().custom(sessionCode),
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso(),
   }),
 };
 
 const getInsights = {
   query: Joi.object().keys({
     period: Joi.string().valid('WEEK', 'MONTH', 'QUARTER', 'YEAR').default('MONTH'),
+    accountId: Joi.string().custom(accountScope),
+    currency: Joi.string().uppercase().custom(currencyCode),
   }),
 };
 
 const getHistory = {
   query: Joi.object().keys({
+    accountId: Joi.string().custom(accountScope),
     startDate: Joi.date().iso().optional(),
     endDate: Joi.date().iso().optional(),
     limit: Joi.number().integer().min(1).max(100).default(50),
   }),
 };
 
+const getStateAnalyses = {
+  query: Joi.object().keys({
+    accountId: Joi.string().custom(accountScope),
+    state: Joi.string().valid(...Object.values(PsychologicalState)),
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getStateAnalysis = {
+  params: Joi.object().keys({
+    stateAnalysisId: Joi.string().custom(objectId),
+  }),
+};
+
+const getPlanAdherence = {
+  query: Joi.object().keys({
+    accountId: Joi.string().custom(accountScope),
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso(),
+  }),
+};
+
+const getSnapshots = {
+  query: Joi.object().keys({
+    accountId: Joi.string().custom(accountScope),
+    period: Joi.string().valid(...Object.values(SnapshotPeriod)),
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getEquityCurve = {
+  query: Joi.object().keys({
+    accountId: Joi.string().custom(accountScope),
+    granularity: Joi.string()
+      .valid(...Object.values(EquityCurveGranularity))
+      .default(EquityCurveGranularity.TRADE),
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso(),
+    currency: Joi.string().uppercase().custom(currencyCode),
+  }),
+};
+
+const getMetrics = {
+  query: Joi.object().keys({
+    period: Joi.string().valid('WEEK', 'MONTH', 'QUARTER', 'YEAR').default('MONTH'),
+    accountId: Joi.string().custom(accountScope),
+    currency: Joi.string().uppercase().custom(currencyCode),
+  }),
+};
+
 module.exports = {
   getState,
+  getStateAnalyses,
+  getStateAnalysis,
   getForecast,
+  getForecastAccuracy,
   getInsights,
   getHistory,
+  getPlanAdherence,
+  getSnapshots,
+  getEquityCurve,
+  getMetrics,
 };
@@ -1,11 +1,12 @@
 const Joi = require('joi');
-const { password } = require('./custom.validation');
+const { password, timeZone } = require('./custom.validation');
 
 const register = {
   body: Joi.object().keys({
     email: Joi.string().required().email(),
     password: Joi.string().required().custom(password),
     name: Joi.string().required(),
+    timezone: Joi.string().custom(timeZone),
   }),
 };
 
@@ -0,0 +1,72 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const { CheckInType } = require('../models/enums');
+
+const reading = Joi.number().integer().min(1).max(5);
+
+const readings = {
+  mood: reading,
+  stress: reading,
+  sleep: reading,
+  confidence: reading,
+};
+
+const createCheckIn = {
+  body: Joi.object()
+    .keys({
+      type: Joi.string()
+        .valid(...Object.values(CheckInType))
+        .required(),
+      // Only post-trade check-ins refer to a trade
+      tradeId: Joi.string().custom(objectId).when('type', { is: CheckInType.POST_TRADE, otherwise: Joi.forbidden() }),
+      ...readings,
+      notes: Joi.string().allow(''),
+      recordedAt: Joi.date(),
+    })
+    .or('mood', 'stress', 'sleep', 'confidence'),
+};
+
+const getCheckIns = {
+  query: Joi.object().keys({
+    type: Joi.string().valid(...Object.values(CheckInType)),
+    tradeId: Joi.string().custom(objectId),
+    startDate: Joi.date(),
+    endDate: Joi.date(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getCheckIn = {
+  params: Joi.object().keys({
+    checkInId: Joi.string().custom(objectId),
+  }),
+};
+
+const updateCheckIn = {
+  params: Joi.object().keys({
+    checkInId: Joi.required().custom(objectId),
+  }),
+  body: Joi.object()
+    .keys({
+      ...readings,
+      notes: Joi.string().allow(''),
+      recordedAt: Joi.date(),
+    })
+    .min(1),
+};
+
+const deleteCheckIn = {
+  params: Joi.object().keys({
+    checkInId: Joi.string().custom(objectId),
+  }),
+};
+
+module.exports = {
+  createCheckIn,
+  getCheckIns,
+  getCheckIn,
+  updateCheckIn,
+  deleteCheckIn,
+};
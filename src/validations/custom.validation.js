@@ -1,3 +1,6 @@
+const { isValidTimeZone } = require('../utils/timezone');
+const { sessionCodePattern } = require('../config/sessions');
+
 const objectId = (value, helpers) => {
   if (!value.match(/^[0-9a-fA-F]{24}$/)) {
     return helpers.message('"{{#label}}" must be a valid mongo id');
@@ -5,6 +8,29 @@ const objectId = (value, helpers) => {
   return value;
 };
 
+// Stats are scoped to an account of the user or to all of them
+const accountScope = (value, helpers) => {
+  if (value !== 'all' && !value.match(/^[0-9a-fA-F]{24}$/)) {
+    return helpers.message('"{{#label}}" must be a valid mongo id or all');
+  }
+  return value;
+};
+
+// ISO 4217 code, such as USD
+const currencyCode = (value, helpers) => {
+  if (!value.match(/^[A-Z]{3}$/)) {
+    return helpers.message('"{{#label}}" must be a 3 letter currency code');
+  }
+  return value;
+};
+
+const sessionCode = (value, helpers) => {
+  if (!value.match(sessionCodePattern)) {
+    return helpers.message('"{{#label}}" must be a session code of uppercase letters, digits and underscores');
+  }
+  return value;
+};
+
 const password = (value, helpers) => {
   if (value.length < 8) {
     return helpers.message('password must be at least 8 characters');
@@ -15,7 +41,18 @@ const password = (value, helpers) => {
   return value;
 };
 
+const timeZone = (value, helpers) => {
+  if (!isValidTimeZone(value)) {
+    return helpers.message('"{{#label}}" must be a valid IANA time zone');
+  }
+  return value;
+};
+
 module.exports = {
   objectId,
+  accountScope,
+  currencyCode,
+  sessionCode,
   password,
+  timeZone,
 };
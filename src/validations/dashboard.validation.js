@@ -1,14 +1,21 @@
 const Joi = require('joi');
+const { accountScope, currencyCode } = require('./custom.validation');
 
 const getDashboard = {
   query: Joi.object().keys({
     period: Joi.string().valid('WEEK', 'MONTH', 'QUARTER', 'YEAR').default('MONTH'),
+    fresh: Joi.boolean(),
+    accountId: Joi.string().custom(accountScope),
+    currency: Joi.string().uppercase().custom(currencyCode),
   }),
 };
 
 const getSummary = {
   query: Joi.object().keys({
     period: Joi.string().valid('WEEK', 'MONTH', 'QUARTER', 'YEAR').default('MONTH'),
+    fresh: Joi.boolean(),
+    accountId: Joi.string().custom(accountScope),
+    currency: Joi.string().uppercase().custom(currencyCode),
   }),
 };
 
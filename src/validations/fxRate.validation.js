@@ -0,0 +1,42 @@
+const Joi = require('joi');
+const { objectId, currencyCode } = require('./custom.validation');
+
+const currency = Joi.string().uppercase().custom(currencyCode);
+
+const setFxRate = {
+  body: Joi.object().keys({
+    baseCurrency: currency.required(),
+    quoteCurrency: currency.required(),
+    date: Joi.date().iso().required(),
+    rate: Joi.number().greater(0).required(),
+  }),
+};
+
+const getFxRates = {
+  query: Joi.object().keys({
+    baseCurrency: currency,
+    quoteCurrency: currency,
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const importFxRates = {
+  body: Joi.string().required(),
+};
+
+const deleteFxRate = {
+  params: Joi.object().keys({
+    fxRateId: Joi.string().custom(objectId),
+  }),
+};
+
+module.exports = {
+  setFxRate,
+  getFxRates,
+  importFxRates,
+  deleteFxRate,
+};
@@ -4,3 +4,11 @@ module.exports.tradingPlanValidation = require('./tradingPlan.validation');
 module.exports.tradeValidation = require('./trade.validation');
 module.exports.analysisValidation = require('./analysis.validation');
 module.exports.dashboardValidation = require('./dashboard.validation');
+module.exports.stateRuleValidation = require('./stateRule.validation');
+module.exports.tradeImportValidation = require('./tradeImport.validation');
+module.exports.setupValidation = require('./setup.validation');
+module.exports.mistakeCatalogueValidation = require('./mistakeCatalogue.validation');
+module.exports.sessionCatalogueValidation = require('./sessionCatalogue.validation');
+module.exports.checkInValidation = require('./checkIn.validation');
+module.exports.accountValidation = require('./account.validation');
+module.exports.fxRateValidation = require('./fxRate.validation');
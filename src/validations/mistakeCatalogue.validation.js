@@ -0,0 +1,24 @@
+const Joi = require('joi');
+
+const saveMistakes = {
+  body: Joi.object().keys({
+    mistakes: Joi.array()
+      .items(
+        Joi.object().keys({
+          code: Joi.string()
+            .trim()
+            .uppercase()
+            .pattern(/^[A-Z0-9_]+$/)
+            .max(50)
+            .required(),
+          label: Joi.string().trim().max(100).required(),
+        })
+      )
+      .unique('code')
+      .required(),
+  }),
+};
+
+module.exports = {
+  saveMistakes,
+};
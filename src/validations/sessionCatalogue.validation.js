@@ -0,0 +1,26 @@
+const Joi = require('joi');
+const { sessionCode, timeZone } = require('./custom.validation');
+
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/, 'HH:mm');
+
+const saveSessions = {
+  body: Joi.object().keys({
+    sessions: Joi.array()
+      .items(
+        Joi.object().keys({
+          code: Joi.string().trim().uppercase().max(50).custom(sessionCode).required(),
+          label: Joi.string().trim().max(100).required(),
+          timeZone: Joi.string().custom(timeZone).required(),
+          start: timeOfDay.required(),
+          end: timeOfDay,
+        })
+      )
+      .unique('code')
+      .min(1)
+      .required(),
+  }),
+};
+
+module.exports = {
+  saveSessions,
+};
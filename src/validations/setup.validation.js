@@ -0,0 +1,53 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+
+const rules = Joi.array().items(Joi.string().trim().max(200));
+
+const createSetup = {
+  body: Joi.object().keys({
+    name: Joi.string().trim().max(100).required(),
+    description: Joi.string().allow(''),
+    rules,
+  }),
+};
+
+const getSetups = {
+  query: Joi.object().keys({
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getSetup = {
+  params: Joi.object().keys({
+    setupId: Joi.string().custom(objectId),
+  }),
+};
+
+const updateSetup = {
+  params: Joi.object().keys({
+    setupId: Joi.required().custom(objectId),
+  }),
+  body: Joi.object()
+    .keys({
+      name: Joi.string().trim().max(100),
+      description: Joi.string().allow(''),
+      rules,
+    })
+    .min(1),
+};
+
+const deleteSetup = {
+  params: Joi.object().keys({
+    setupId: Joi.string().custom(objectId),
+  }),
+};
+
+module.exports = {
+  createSetup,
+  getSetups,
+  getSetup,
+  updateSetup,
+  deleteSetup,
+};
@@ -0,0 +1,96 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const { PsychologicalState, IndicatorSeverity, StateRuleMetrics, RuleOperators } = require('../models/enums');
+
+const stateRule = Joi.object().keys({
+  name: Joi.string().required(),
+  conditions: Joi.array()
+    .items(
+      Joi.object().keys({
+        metric: Joi.string()
+          .valid(...Object.values(StateRuleMetrics))
+          .required(),
+        operator: Joi.string()
+          .valid(...Object.values(RuleOperators))
+          .required(),
+        value: Joi.number().required(),
+      })
+    )
+    .min(1)
+    .required(),
+  state: Joi.string().valid(...Object.values(PsychologicalState)),
+  adjustments: Joi.object().keys({
+    confidence: Joi.number(),
+    riskTolerance: Joi.number(),
+    emotionalBalance: Joi.number(),
+  }),
+  indicator: Joi.object().keys({
+    category: Joi.string().required(),
+    message: Joi.string().required(),
+    severity: Joi.string()
+      .valid(...Object.values(IndicatorSeverity))
+      .required(),
+  }),
+  recommendation: Joi.string(),
+});
+
+const createStateRuleSet = {
+  body: Joi.object().keys({
+    userId: Joi.string().custom(objectId).allow(null),
+    name: Joi.string().required(),
+    rules: Joi.array().items(stateRule).required(),
+  }),
+};
+
+const getStateRuleSets = {
+  query: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getStateRuleSet = {
+  params: Joi.object().keys({
+    ruleSetId: Joi.string().custom(objectId),
+  }),
+};
+
+const updateStateRuleSet = {
+  params: Joi.object().keys({
+    ruleSetId: Joi.required().custom(objectId),
+  }),
+  body: Joi.object()
+    .keys({
+      userId: Joi.string().custom(objectId).allow(null),
+      name: Joi.string(),
+      rules: Joi.array().items(stateRule),
+    })
+    .min(1),
+};
+
+const deleteStateRuleSet = {
+  params: Joi.object().keys({
+    ruleSetId: Joi.string().custom(objectId),
+  }),
+};
+
+const dryRunStateRules = {
+  body: Joi.object()
+    .keys({
+      userId: Joi.string().custom(objectId).required(),
+      ruleSetId: Joi.string().custom(objectId),
+      rules: Joi.array().items(stateRule),
+    })
+    .oxor('ruleSetId', 'rules'),
+};
+
+module.exports = {
+  createStateRuleSet,
+  getStateRuleSets,
+  getStateRuleSet,
+  updateStateRuleSet,
+  deleteStateRuleSet,
+  dryRunStateRules,
+};
@@ -1,49 +1,122 @@
 const Joi = require('joi');
+const { objectId, currencyCode, sessionCode } = require('./custom.validation');
+const { TradeDirection, TradeStatus, ReviewState, ReviewGrade, Emotion } = require('../models/enums');
 
-const createTrade = {
-  body: Joi.object().keys({
+const tags = Joi.array().items(Joi.string().trim().lowercase().max(50)).unique();
+
+const emotion = Joi.string().valid(...Object.values(Emotion));
+
+const currency = Joi.string().uppercase().custom(currencyCode);
+
+// One of the trading sessions of the user
+const session = Joi.string().custom(sessionCode);
+
+// The exit price is also needed to derive R:R and target achieved, the trade service checks it once known
+const priceFields = ['direction', 'entryPrice'];
+
+const exitLeg = Joi.object().keys({
+  exitTime: Joi.date().required(),
+  exitPrice: Joi.number().min(0),
+  positionSize: Joi.number().greater(0).required(),
+  profitLoss: Joi.number().required(),
+});
+
+const exits = Joi.array().items(exitLeg).min(1);
+
+// The outcome of an open trade is only recorded when it is closed
+const whenClosed = (schema) => Joi.any().when('status', { is: TradeStatus.OPEN, then: Joi.forbidden(), otherwise: schema });
+
+// Exit time, price and profit/loss of a trade with exit legs are computed from them
+const unlessExits = (schema) =>
+  whenClosed(Joi.any().when('exits', { is: Joi.exist(), then: Joi.forbidden(), otherwise: schema }));
+
+// R:R and target achieved are only typed by hand when the prices to derive them from are missing
+const tradeBody = Joi.object()
+  .keys({
+    accountId: Joi.string().custom(objectId),
+    status: Joi.string().valid(...Object.values(TradeStatus)),
+    symbol: Joi.string().trim().uppercase(),
+    direction: Joi.string().valid(...Object.values(TradeDirection)),
     entryTime: Joi.date().required(),
-    exitTime: Joi.date().required(),
+    exitTime: unlessExits(Joi.date().required()),
+    entryPrice: Joi.number().min(0),
+    exitPrice: unlessExits(Joi.number().min(0)),
+    stopLossPrice: Joi.number().min(0),
+    takeProfitPrice: Joi.number().min(0),
+    positionSize: Joi.number().min(0),
     riskPercentUsed: Joi.number().min(0).required(),
-    profitLoss: Joi.number().required(),
-    riskRewardAchieved: Joi.number().min(0).required(),
-    session: Joi.string().valid('LONDON', 'NY', 'ASIA').required(),
-    stopLossHit: Joi.boolean().required(),
-    exitedEarly: Joi.boolean().required(),
-    targetPercentAchieved: Joi.number().min(0).required(),
+    profitLoss: unlessExits(Joi.number().required()),
+    commission: Joi.number(),
+    swap: Joi.number(),
+    currency,
+    riskRewardAchieved: whenClosed(Joi.number().min(0).when('stopLossPrice', { not: Joi.exist(), then: Joi.required() })),
+    // The session open at the entry time when not given
+    session,
+    stopLossHit: whenClosed(Joi.boolean().required()),
+    exitedEarly: whenClosed(Joi.boolean().required()),
+    targetPercentAchieved: whenClosed(
+      Joi.number().min(0).when('takeProfitPrice', { not: Joi.exist(), then: Joi.required() })
+    ),
+    exits,
     notes: Joi.string().allow('').optional(),
-  }),
+    brokerTicketId: Joi.string().trim(),
+    setup: Joi.string().custom(objectId),
+    tags,
+    preTradeEmotion: emotion,
+    postTradeEmotion: emotion,
+  })
+  .with('stopLossPrice', priceFields)
+  .with('takeProfitPrice', priceFields);
+
+const createTrade = {
+  body: tradeBody,
+};
+
+// Broker statements hold no R:R nor target achieved, trades without the prices to derive them go without
+const importStatementTrade = {
+  body: tradeBody.fork(['riskRewardAchieved', 'targetPercentAchieved'], () => whenClosed(Joi.number().min(0))),
 };
 
 const createBulkTrades = {
   body: Joi.object().keys({
-    trades: Joi.array()
-      .items(
-        Joi.object().keys({
-          entryTime: Joi.date().required(),
-          exitTime: Joi.date().required(),
-          riskPercentUsed: Joi.number().min(0).required(),
-          profitLoss: Joi.number().required(),
-          riskRewardAchieved: Joi.number().min(0).required(),
-          session: Joi.string().valid('LONDON', 'NY', 'ASIA').required(),
-          stopLossHit: Joi.boolean().required(),
-          exitedEarly: Joi.boolean().required(),
-          targetPercentAchieved: Joi.number().min(0).required(),
-          notes: Joi.string().allow('').optional(),
-        })
-      )
-      .min(1)
-      .required(),
+    trades: Joi.array().items(tradeBody).min(1).required(),
   }),
 };
 
+const tradeFilters = {
+  accountId: Joi.string().custom(objectId),
+  symbol: Joi.string().trim().uppercase(),
+  direction: Joi.string().valid(...Object.values(TradeDirection)),
+  session,
+  entryTime: Joi.date(),
+  exitTime: Joi.date(),
+  stopLossHit: Joi.boolean(),
+  exitedEarly: Joi.boolean(),
+  setup: Joi.string().custom(objectId),
+  status: Joi.string().valid(...Object.values(TradeStatus)),
+  tag: Joi.string().trim().lowercase(),
+  reviewState: Joi.string().valid(...Object.values(ReviewState)),
+  mistake: Joi.string().trim().uppercase(),
+};
+
 const getTrades = {
   query: Joi.object().keys({
-    session: Joi.string().valid('LONDON', 'NY', 'ASIA'),
-    entryTime: Joi.date(),
-    exitTime: Joi.date(),
-    stopLossHit: Joi.boolean(),
-    exitedEarly: Joi.boolean(),
+    ...tradeFilters,
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const exportTrades = {
+  query: Joi.object().keys({
+    ...tradeFilters,
+    format: Joi.string().valid('csv', 'json', 'xlsx').default('csv'),
+  }),
+};
+
+const getReviewQueue = {
+  query: Joi.object().keys({
     sortBy: Joi.string(),
     limit: Joi.number().integer(),
     page: Joi.number().integer(),
@@ -62,20 +135,84 @@ const updateTrade = {
   }),
   body: Joi.object()
     .keys({
+      accountId: Joi.string().custom(objectId).allow(null),
+      symbol: Joi.string().trim().uppercase(),
+      direction: Joi.string().valid(...Object.values(TradeDirection)),
       entryTime: Joi.date(),
       exitTime: Joi.date(),
+      entryPrice: Joi.number().min(0),
+      exitPrice: Joi.number().min(0),
+      stopLossPrice: Joi.number().min(0),
+      takeProfitPrice: Joi.number().min(0),
+      positionSize: Joi.number().min(0),
       riskPercentUsed: Joi.number().min(0),
       profitLoss: Joi.number(),
+      commission: Joi.number(),
+      swap: Joi.number(),
+      currency,
       riskRewardAchieved: Joi.number().min(0),
-      session: Joi.string().valid('LONDON', 'NY', 'ASIA'),
+      session,
       stopLossHit: Joi.boolean(),
       exitedEarly: Joi.boolean(),
       targetPercentAchieved: Joi.number().min(0),
+      exits,
       notes: Joi.string().allow(''),
+      brokerTicketId: Joi.string().trim(),
+      setup: Joi.string().custom(objectId).allow(null),
+      tags,
+      preTradeEmotion: emotion,
+      postTradeEmotion: emotion,
     })
     .min(1),
 };
 
+const reviewTrade = {
+  params: Joi.object().keys({
+    tradeId: Joi.string().required(),
+  }),
+  body: Joi.object().keys({
+    reviewState: Joi.string()
+      .valid(...Object.values(ReviewState))
+      .required(),
+    mistakes: Joi.array().items(Joi.string().trim().uppercase()).unique(),
+    grade: Joi.string()
+      .valid(...Object.values(ReviewGrade))
+      .allow(null),
+    lesson: Joi.string().allow(''),
+  }),
+};
+
+const addTradeExit = {
+  params: Joi.object().keys({
+    tradeId: Joi.string().required(),
+  }),
+  body: exitLeg,
+};
+
+// Without an exit, the exits already taken close the whole position
+const closeTrade = {
+  params: Joi.object().keys({
+    tradeId: Joi.string().required(),
+  }),
+  body: Joi.object()
+    .keys({
+      exitTime: Joi.date(),
+      exitPrice: Joi.number().min(0),
+      // Size of the final exit, the remaining size by default
+      positionSize: Joi.number().greater(0),
+      profitLoss: Joi.number(),
+      commission: Joi.number(),
+      swap: Joi.number(),
+      riskRewardAchieved: Joi.number().min(0),
+      stopLossHit: Joi.boolean().required(),
+      exitedEarly: Joi.boolean().required(),
+      targetPercentAchieved: Joi.number().min(0),
+    })
+    .and('exitTime', 'profitLoss')
+    .with('exitPrice', 'exitTime')
+    .with('positionSize', 'exitTime'),
+};
+
 const deleteTrade = {
   params: Joi.object().keys({
     tradeId: Joi.string().required(),
@@ -84,9 +221,15 @@ const deleteTrade = {
 
 module.exports = {
   createTrade,
+  importStatementTrade,
   createBulkTrades,
   getTrades,
+  exportTrades,
+  getReviewQueue,
   getTrade,
   updateTrade,
+  reviewTrade,
+  addTradeExit,
+  closeTrade,
   deleteTrade,
 };
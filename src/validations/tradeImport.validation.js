@@ -0,0 +1,103 @@
+const Joi = require('joi');
+const { objectId, timeZone } = require('./custom.validation');
+
+const mapping = Joi.object()
+  .keys({
+    symbol: Joi.string(),
+    direction: Joi.string(),
+    entryTime: Joi.string(),
+    exitTime: Joi.string(),
+    entryPrice: Joi.string(),
+    exitPrice: Joi.string(),
+    stopLossPrice: Joi.string(),
+    takeProfitPrice: Joi.string(),
+    positionSize: Joi.string(),
+    riskPercentUsed: Joi.string(),
+    profitLoss: Joi.string(),
+    commission: Joi.string(),
+    swap: Joi.string(),
+    currency: Joi.string(),
+    riskRewardAchieved: Joi.string(),
+    session: Joi.string(),
+    stopLossHit: Joi.string(),
+    exitedEarly: Joi.string(),
+    targetPercentAchieved: Joi.string(),
+    notes: Joi.string(),
+    brokerTicketId: Joi.string(),
+  })
+  .min(1);
+
+const createImportProfile = {
+  body: Joi.object().keys({
+    name: Joi.string().required(),
+    mapping: mapping.required(),
+    timezone: Joi.string().custom(timeZone),
+    dateFormat: Joi.string(),
+    delimiter: Joi.string().length(1),
+  }),
+};
+
+const getImportProfiles = {
+  query: Joi.object().keys({
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getImportProfile = {
+  params: Joi.object().keys({
+    profileId: Joi.string().custom(objectId),
+  }),
+};
+
+const updateImportProfile = {
+  params: Joi.object().keys({
+    profileId: Joi.required().custom(objectId),
+  }),
+  body: Joi.object()
+    .keys({
+      name: Joi.string(),
+      mapping,
+      timezone: Joi.string().custom(timeZone),
+      dateFormat: Joi.string().allow(''),
+      delimiter: Joi.string().length(1),
+    })
+    .min(1),
+};
+
+const deleteImportProfile = {
+  params: Joi.object().keys({
+    profileId: Joi.string().custom(objectId),
+  }),
+};
+
+const importCsv = {
+  query: Joi.object().keys({
+    profileId: Joi.string().custom(objectId).required(),
+    accountId: Joi.string().custom(objectId),
+    dryRun: Joi.boolean(),
+    timezone: Joi.string().custom(timeZone),
+  }),
+  body: Joi.string().required(),
+};
+
+const importMetaTrader = {
+  query: Joi.object().keys({
+    accountId: Joi.string().custom(objectId),
+    dryRun: Joi.boolean(),
+    timezone: Joi.string().custom(timeZone),
+    riskPercent: Joi.number().min(0).max(100),
+  }),
+  body: Joi.binary().required(),
+};
+
+module.exports = {
+  createImportProfile,
+  getImportProfiles,
+  getImportProfile,
+  updateImportProfile,
+  deleteImportProfile,
+  importCsv,
+  importMetaTrader,
+};
@@ -1,15 +1,70 @@
 const Joi = require('joi');
+const { objectId, sessionCode } = require('./custom.validation');
+
+// Trading plans without an account apply to the accounts without a plan of their own
+const accountQuery = Joi.object().keys({
+  accountId: Joi.string().custom(objectId),
+});
 
 const createTradingPlan = {
+  query: accountQuery,
   body: Joi.object().keys({
     maxTradesPerDay: Joi.number().integer().min(0).required(),
     riskPercentPerTrade: Joi.number().min(0).max(100).required(),
     targetRiskRewardRatio: Joi.number().min(0).required(),
-    preferredSessions: Joi.array().items(Joi.string().valid('LONDON', 'NY', 'ASIA')).required(),
+    preferredSessions: Joi.array().items(Joi.string().custom(sessionCode)).required(),
     stopLossDiscipline: Joi.string().valid('ALWAYS', 'FLEXIBLE').required(),
   }),
 };
 
+const getTradingPlan = {
+  query: accountQuery,
+};
+
+const deleteTradingPlan = {
+  query: accountQuery,
+};
+
+const checkTrade = {
+  body: Joi.object().keys({
+    session: Joi.string().custom(sessionCode),
+    riskPercent: Joi.number().min(0).max(100).required(),
+    riskReward: Joi.number().min(0).required(),
+    entryTime: Joi.date().iso(),
+    accountId: Joi.string().custom(objectId),
+  }),
+};
+
+const getTradingPlanVersions = {
+  query: Joi.object().keys({
+    accountId: Joi.string().custom(objectId),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getTradingPlanVersion = {
+  params: Joi.object().keys({
+    version: Joi.number().integer().min(1).required(),
+  }),
+  query: accountQuery,
+};
+
+const diffTradingPlanVersions = {
+  query: Joi.object().keys({
+    from: Joi.number().integer().min(1).required(),
+    to: Joi.number().integer().min(1).required(),
+    accountId: Joi.string().custom(objectId),
+  }),
+};
+
 module.exports = {
   createTradingPlan,
+  getTradingPlan,
+  deleteTradingPlan,
+  checkTrade,
+  getTradingPlanVersions,
+  getTradingPlanVersion,
+  diffTradingPlanVersions,
 };
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const Account = require('../../src/models/account.model');
+
+const accountOne = {
+  _id: mongoose.Types.ObjectId(),
+  userId: mongoose.Types.ObjectId(),
+  name: 'FTMO 100k challenge',
+  broker: 'FTMO',
+  type: 'PROP_CHALLENGE',
+  currency: 'USD',
+  startingBalance: 100000,
+};
+
+const accountTwo = {
+  _id: mongoose.Types.ObjectId(),
+  userId: mongoose.Types.ObjectId(),
+  name: 'Personal',
+  type: 'PERSONAL',
+  currency: 'EUR',
+  startingBalance: 5000,
+};
+
+const insertAccounts = async (accounts) => {
+  await Account.insertMany(accounts);
+};
+
+module.exports = {
+  accountOne,
+  accountTwo,
+  insertAccounts,
+};
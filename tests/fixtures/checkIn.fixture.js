@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const CheckIn = require('../../src/models/checkIn.model');
+
+const checkInOne = {
+  _id: mongoose.Types.ObjectId(),
+  userId: mongoose.Types.ObjectId(),
+  type: 'PRE_SESSION',
+  mood: 4,
+  stress: 2,
+  sleep: 3,
+  confidence: 4,
+  notes: 'Ready for London',
+  recordedAt: new Date('2023-01-01T07:30:00Z'),
+};
+
+const checkInTwo = {
+  _id: mongoose.Types.ObjectId(),
+  userId: mongoose.Types.ObjectId(),
+  type: 'POST_TRADE',
+  mood: 2,
+  stress: 4,
+  recordedAt: new Date('2023-01-01T11:00:00Z'),
+};
+
+const insertCheckIns = async (checkIns) => {
+  await CheckIn.insertMany(checkIns);
+};
+
+module.exports = {
+  checkInOne,
+  checkInTwo,
+  insertCheckIns,
+};
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const FxRate = require('../../src/models/fxRate.model');
+
+const eurUsdRate = {
+  _id: mongoose.Types.ObjectId(),
+  baseCurrency: 'EUR',
+  quoteCurrency: 'USD',
+  date: new Date('2023-01-01T00:00:00Z'),
+  rate: 1.1,
+};
+
+const gbpUsdRate = {
+  _id: mongoose.Types.ObjectId(),
+  baseCurrency: 'GBP',
+  quoteCurrency: 'USD',
+  date: new Date('2023-01-01T00:00:00Z'),
+  rate: 1.25,
+};
+
+const insertFxRates = async (fxRates) => {
+  await FxRate.insertMany(fxRates);
+};
+
+module.exports = {
+  eurUsdRate,
+  gbpUsdRate,
+  insertFxRates,
+};
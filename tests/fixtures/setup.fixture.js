@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const Setup = require('../../src/models/setup.model');
+
+const setupOne = {
+  _id: mongoose.Types.ObjectId(),
+  userId: mongoose.Types.ObjectId(),
+  name: 'London breakout',
+  description: 'Break of the Asian range in the first hour of London',
+  rules: ['Asian range under 30 pips', 'Candle close outside the range'],
+};
+
+const setupTwo = {
+  _id: mongoose.Types.ObjectId(),
+  userId: mongoose.Types.ObjectId(),
+  name: 'NY reversal',
+  rules: [],
+};
+
+const insertSetups = async (setups) => {
+  await Setup.insertMany(setups);
+};
+
+module.exports = {
+  setupOne,
+  setupTwo,
+  insertSetups,
+};
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Account, TradingPlan, Dashboard } = require('../../src/models');
+const { dashboardService } = require('../../src/services');
+const { userOne, insertUsers } = require('../fixtures/user.fixture');
+const { userOneAccessToken } = require('../fixtures/token.fixture');
+const { tradeOne, insertTrades } = require('../fixtures/trade.fixture');
+const { tradingPlanOne, insertTradingPlans } = require('../fixtures/tradingPlan.fixture');
+const { accountOne, accountTwo, insertAccounts } = require('../fixtures/account.fixture');
+
+setupTestDB();
+
+describe('Account routes', () => {
+  describe('POST /v1/accounts', () => {
+    const newAccount = {
+      name: 'FTMO 100k challenge',
+      broker: 'FTMO',
+      type: 'PROP_CHALLENGE',
+      currency: 'usd',
+      startingBalance: 100000,
+    };
+
+    test('should return 201 and create the account', async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post('/v1/accounts')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newAccount)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toEqual({
+        id: expect.anything(),
+        userId: userOne._id.toHexString(),
+        ...newAccount,
+        currency: 'USD',
+      });
+      await expect(Account.countDocuments({ userId: userOne._id })).resolves.toBe(1);
+    });
+
+    test('should default the type to PERSONAL and the currency to USD', async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post('/v1/accounts')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ name: 'Main', startingBalance: 1000 })
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toMatchObject({ type: 'PERSONAL', currency: 'USD' });
+    });
+
+    test('should return 400 error if the name is already taken', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([{ ...accountOne, userId: userOne._id }]);
+
+      await request(app)
+        .post('/v1/accounts')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newAccount)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if the starting balance is missing or the currency invalid', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post('/v1/accounts')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ name: 'Main' })
+        .expect(httpStatus.BAD_REQUEST);
+
+      await request(app)
+        .post('/v1/accounts')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ name: 'Main', startingBalance: 1000, currency: 'DOLLAR' })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app).post('/v1/accounts').send(newAccount).expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe('GET /v1/accounts', () => {
+    test('should return 200 and only the accounts of the user', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([{ ...accountOne, userId: userOne._id }, accountTwo]);
+
+      const res = await request(app)
+        .get('/v1/accounts')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.totalResults).toBe(1);
+      expect(res.body.results[0]).toMatchObject({ id: accountOne._id.toHexString(), name: accountOne.name });
+    });
+
+    test('should filter the accounts by type', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([
+        { ...accountOne, userId: userOne._id },
+        { ...accountTwo, userId: userOne._id },
+      ]);
+
+      const res = await request(app)
+        .get('/v1/accounts')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ type: 'PERSONAL' })
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.results.map((account) => account.id)).toEqual([accountTwo._id.toHexString()]);
+    });
+  });
+
+  describe('GET /v1/accounts/:accountId', () => {
+    test('should return 404 error for the account of another user', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([accountTwo]);
+
+      await request(app)
+        .get(`/v1/accounts/${accountTwo._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe('PATCH /v1/accounts/:accountId', () => {
+    test('should return 200 and update the account', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([{ ...accountOne, userId: userOne._id }]);
+
+      const res = await request(app)
+        .patch(`/v1/accounts/${accountOne._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ type: 'FUNDED', startingBalance: 100000 })
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ type: 'FUNDED', startingBalance: 100000 });
+    });
+
+    test('should mark the dashboards of the user stale', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([{ ...accountOne, userId: userOne._id }]);
+      await dashboardService.getCompleteDashboard(userOne._id, 'MONTH');
+
+      await request(app)
+        .patch(`/v1/accounts/${accountOne._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ currency: 'EUR' })
+        .expect(httpStatus.OK);
+
+      await expect(Dashboard.findOne({ userId: userOne._id, accountId: null })).resolves.toMatchObject({ stale: true });
+    });
+
+    test('should return 400 error if the body is empty', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([{ ...accountOne, userId: userOne._id }]);
+
+      await request(app)
+        .patch(`/v1/accounts/${accountOne._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({})
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('DELETE /v1/accounts/:accountId', () => {
+    test('should return 204 and delete the account with its trading plan', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([{ ...accountOne, userId: userOne._id }]);
+      await insertTradingPlans([
+        { ...tradingPlanOne, userId: userOne._id, accountId: accountOne._id },
+        { ...tradingPlanOne, _id: mongoose.Types.ObjectId(), userId: userOne._id },
+      ]);
+
+      await request(app)
+        .delete(`/v1/accounts/${accountOne._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.NO_CONTENT);
+
+      await expect(Account.findById(accountOne._id)).resolves.toBeNull();
+      await expect(TradingPlan.countDocuments({ userId: userOne._id })).resolves.toBe(1);
+    });
+
+    test('should return 400 error if the account has trades', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([{ ...accountOne, userId: userOne._id }]);
+      await insertTrades([{ ...tradeOne, userId: userOne._id, accountId: accountOne._id }]);
+
+      await request(app)
+        .delete(`/v1/accounts/${accountOne._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+
+      await expect(Account.findById(accountOne._id)).resolves.not.toBeNull();
+    });
+  });
+});
@@ -1,10 +1,15 @@
 const request = require('supertest');
 const httpStatus = require('http-status');
+const mongoose = require('mongoose');
 const app = require('../../src/app');
 const setupTestDB = require('../utils/setupTestDB');
+const { StateAnalysis, SessionForecast } = require('../../src/models');
+const { analysisService, snapshotService } = require('../../src/services');
 const { userOne, insertUsers } = require('../fixtures/user.fixture');
 const { userOneAccessToken } = require('../fixtures/token.fixture');
 const { tradeOne, tradeTwo, insertTrades } = require('../fixtures/trade.fixture');
+const { accountOne, accountTwo, insertAccounts } = require('../fixtures/account.fixture');
+const { eurUsdRate, insertFxRates } = require('../fixtures/fxRate.fixture');
 
 setupTestDB();
 
@@ -34,7 +39,41 @@ describe('Analysis routes', () => {
       await request(app).get('/v1/analysis/state').expect(httpStatus.UNAUTHORIZED);
     });
 
-    test('should return neutral state when no trades exist', async () => {
+    test('should return 200 for an account of the user and for all accounts', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([{ ...accountOne, userId: userOne._id }]);
+
+      await request(app)
+        .get('/v1/analysis/state')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ accountId: accountOne._id.toHexString() })
+        .expect(httpStatus.OK);
+
+      await request(app)
+        .get('/v1/analysis/state')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ accountId: 'all' })
+        .expect(httpStatus.OK);
+    });
+
+    test('should return 404 for the account of another user and 400 for an invalid account', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([accountTwo]);
+
+      await request(app)
+        .get('/v1/analysis/state')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ accountId: accountTwo._id.toHexString() })
+        .expect(httpStatus.NOT_FOUND);
+
+      await request(app)
+        .get('/v1/analysis/state')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ accountId: 'invalid' })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return stable state when no trades exist', async () => {
       await insertUsers([userOne]);
 
       const res = await request(app)
@@ -42,7 +81,7 @@ describe('Analysis routes', () => {
         .set('Authorization', `Bearer ${userOneAccessToken}`)
         .expect(httpStatus.OK);
 
-      expect(res.body.state).toBe('NEUTRAL');
+      expect(res.body.state).toBe('STABLE');
       expect(res.body.confidence).toBe(50);
       expect(res.body.riskTolerance).toBe(50);
       expect(res.body.emotionalBalance).toBe(50);
@@ -90,6 +129,93 @@ describe('Analysis routes', () => {
     });
   });
 
+  describe('GET /v1/analysis/state/analyses', () => {
+    test('should return 200 and the analyses recorded for the user', async () => {
+      await insertUsers([userOne]);
+      await insertTrades([{ ...tradeOne, userId: userOne._id }]);
+
+      await request(app)
+        .get('/v1/analysis/state')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.OK);
+
+      const res = await request(app)
+        .get('/v1/analysis/state/analyses')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ page: 1, limit: 10, totalPages: 1, totalResults: 1 });
+      expect(res.body.results[0]).toMatchObject({
+        userId: userOne._id.toHexString(),
+        analyzedTradeCount: 1,
+      });
+      expect(Array.isArray(res.body.results[0].indicators)).toBe(true);
+    });
+
+    test('should not return analyses of other users', async () => {
+      await insertUsers([userOne]);
+      await analysisService.getCurrentState(mongoose.Types.ObjectId());
+
+      const res = await request(app)
+        .get('/v1/analysis/state/analyses')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.OK);
+
+      expect(res.body.totalResults).toBe(0);
+    });
+
+    test('should return 400 if state filter is invalid', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .get('/v1/analysis/state/analyses')
+        .query({ state: 'INVALID' })
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 401 if access token is missing', async () => {
+      await request(app).get('/v1/analysis/state/analyses').expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe('GET /v1/analysis/state/analyses/:stateAnalysisId', () => {
+    test('should return 200 and the state analysis', async () => {
+      await insertUsers([userOne]);
+      await request(app)
+        .get('/v1/analysis/state')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.OK);
+      const stateAnalysis = await StateAnalysis.findOne({ userId: userOne._id });
+
+      const res = await request(app)
+        .get(`/v1/analysis/state/analyses/${stateAnalysis.id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.OK);
+
+      expect(res.body.id).toBe(stateAnalysis.id);
+      expect(res.body.state).toBe(stateAnalysis.state);
+    });
+
+    test('should return 404 if state analysis is not found', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .get(`/v1/analysis/state/analyses/${mongoose.Types.ObjectId()}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.NOT_FOUND);
+    });
+
+    test('should return 400 if state analysis id is not a valid mongo id', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .get('/v1/analysis/state/analyses/invalidId')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
   describe('GET /v1/analysis/forecast', () => {
     test('should return 200 and session forecast', async () => {
       await insertUsers([userOne]);
@@ -179,6 +305,71 @@ describe('Analysis routes', () => {
     });
   });
 
+  describe('GET /v1/analysis/forecast/accuracy', () => {
+    test('should return 200 and the accuracy of the resolved session forecasts', async () => {
+      await insertUsers([userOne]);
+      await SessionForecast.create({
+        userId: userOne._id,
+        session: 'LONDON',
+        sessionDate: new Date('2023-01-01T00:00:00Z'),
+        predictedBias: 'POSITIVE',
+        probability: 70,
+        riskLevel: 'LOW',
+        basedOnState: 'STABLE',
+      });
+      await insertTrades([{ ...tradeOne, userId: userOne._id }]);
+      await analysisService.reconcileSessionForecasts(userOne._id);
+
+      const res = await request(app)
+        .get('/v1/analysis/forecast/accuracy')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({
+        totalForecasts: 1,
+        resolvedForecasts: 1,
+        pendingForecasts: 0,
+        hits: 1,
+        hitRate: 100,
+        brierScore: 0.09,
+        calibration: [{ range: '70-80', forecasts: 1, predictedProbability: 70, observedFrequency: 100 }],
+      });
+      expect(res.body.sessions).toEqual([expect.objectContaining({ session: 'LONDON', hits: 1 })]);
+    });
+
+    test('should count the forecast made for today as pending', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .get('/v1/analysis/forecast')
+        .query({ session: 'LONDON' })
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.OK);
+
+      const res = await request(app)
+        .get('/v1/analysis/forecast/accuracy')
+        .query({ session: 'LONDON' })
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ totalForecasts: 1, pendingForecasts: 1, hitRate: null, brierScore: null });
+    });
+
+    test('should return 400 if session is invalid', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .get('/v1/analysis/forecast/accuracy')
+        .query({ session: 'SYDNEY' })
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 401 if access token is missing', async () => {
+      await request(app).get('/v1/analysis/forecast/accuracy').expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
   describe('GET /v1/analysis/insights', () => {
     test('should return 200 and performance insights', async () => {
       await insertUsers([userOne]);
@@ -194,6 +385,33 @@ describe('Analysis routes', () => {
       expect(Array.isArray(res.body.insights)).toBe(true);
     });
 
+    test('should return 200 and the gross and net profit/loss in the requested currency', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([{ ...accountTwo, userId: userOne._id }]);
+      await insertFxRates([eurUsdRate]);
+      const tradeTime = new Date(Date.now() - 60 * 1000);
+      await insertTrades([
+        {
+          ...tradeOne,
+          userId: userOne._id,
+          accountId: accountTwo._id,
+          entryTime: tradeTime,
+          exitTime: tradeTime,
+          profitLoss: 100,
+          commission: -10,
+        },
+      ]);
+
+      const res = await request(app)
+        .get('/v1/analysis/insights')
+        .query({ period: 'WEEK', currency: 'usd' })
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.OK);
+
+      expect(res.body.currency).toBe('USD');
+      expect(res.body.profitLoss).toEqual({ gross: 110, fees: -11, net: 99 });
+    });
+
     test('should return 400 if period parameter is missing', async () => {
       await insertUsers([userOne]);
 
@@ -317,4 +535,202 @@ describe('Analysis routes', () => {
       expect(Array.isArray(res.body.history)).toBe(true);
     });
   });
+
+  describe('GET /v1/analysis/plan-adherence', () => {
+    test('should return 200 and the plan adherence of the trades in range', async () => {
+      await insertUsers([userOne]);
+      await insertTrades([
+        { ...tradeOne, userId: userOne._id, planAdherence: { score: 100, violations: [] } },
+        {
+          ...tradeTwo,
+          userId: userOne._id,
+          planAdherence: {
+            score: 80,
+            violations: [{ rule: 'SESSION_NOT_PREFERRED', message: 'Outside preferred sessions' }],
+          },
+        },
+      ]);
+
+      const res = await request(app)
+        .get('/v1/analysis/plan-adherence')
+        .query({ startDate: '2023-01-02T00:00:00Z' })
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({
+        score: 80,
+        scoredTrades: 1,
+        compliantTrades: 0,
+        violations: { SESSION_NOT_PREFERRED: 1 },
+        sessions: [{ session: 'NY', score: 80 }],
+      });
+    });
+
+    test('should return 401 if access token is missing', async () => {
+      await request(app).get('/v1/analysis/plan-adherence').expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe('GET /v1/analysis/snapshots', () => {
+    test('should return 200 and the snapshots of the user, newest first', async () => {
+      await insertUsers([userOne]);
+      await snapshotService.createPerformanceSnapshot(
+        userOne._id,
+        'WEEKLY',
+        new Date('2022-12-26T00:00:00Z'),
+        new Date('2023-01-02T00:00:00Z')
+      );
+      await snapshotService.createPerformanceSnapshot(
+        userOne._id,
+        'WEEKLY',
+        new Date('2023-01-02T00:00:00Z'),
+        new Date('2023-01-09T00:00:00Z')
+      );
+      await snapshotService.createPerformanceSnapshot(
+        mongoose.Types.ObjectId(),
+        'WEEKLY',
+        new Date('2023-01-02T00:00:00Z'),
+        new Date('2023-01-09T00:00:00Z')
+      );
+
+      const res = await request(app)
+        .get('/v1/analysis/snapshots')
+        .query({ period: 'WEEKLY' })
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ page: 1, limit: 10, totalPages: 1, totalResults: 2 });
+      expect(res.body.results[0]).toMatchObject({
+        userId: userOne._id.toHexString(),
+        period: 'WEEKLY',
+        periodStart: '2023-01-02T00:00:00.000Z',
+        stats: { tradeCount: 0, tradesThisWeek: 0 },
+      });
+    });
+
+    test('should return 400 if period is invalid', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .get('/v1/analysis/snapshots')
+        .query({ period: 'MONTHLY' })
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 401 if access token is missing', async () => {
+      await request(app).get('/v1/analysis/snapshots').expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe('GET /v1/analysis/equity-curve', () => {
+    test('should return 200 and the daily equity curve of the account', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([{ ...accountOne, userId: userOne._id }]);
+      await insertTrades([
+        { ...tradeOne, userId: userOne._id, accountId: accountOne._id },
+        { ...tradeTwo, userId: userOne._id, accountId: accountOne._id, commission: -5 },
+        { ...tradeOne, _id: mongoose.Types.ObjectId(), userId: userOne._id, exitTime: new Date('2023-01-02T16:00:00Z') },
+      ]);
+
+      const res = await request(app)
+        .get('/v1/analysis/equity-curve')
+        .query({ accountId: accountOne._id.toHexString(), granularity: 'DAY' })
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({
+        currency: 'USD',
+        granularity: 'DAY',
+        timezone: 'UTC',
+        startingBalance: 100000,
+        openingBalance: 100000,
+        closingBalance: 100070,
+        maxDrawdown: 80,
+        maxDrawdownPercent: 0.08,
+      });
+      expect(res.body.points).toEqual([
+        { date: '2023-01-01', trades: 1, profitLoss: 150, balance: 100150, peak: 100150, drawdown: 0, drawdownPercent: 0 },
+        {
+          date: '2023-01-02',
+          trades: 1,
+          profitLoss: -80,
+          balance: 100070,
+          peak: 100150,
+          drawdown: 80,
+          drawdownPercent: 0.08,
+        },
+      ]);
+      expect(res.body.drawdownPeriods).toEqual([
+        {
+          start: '2023-01-02',
+          trough: '2023-01-02',
+          recovery: null,
+          peakBalance: 100150,
+          troughBalance: 100070,
+          drawdown: 80,
+          drawdownPercent: 0.08,
+          durationDays: 0,
+        },
+      ]);
+    });
+
+    test('should return 400 if granularity is invalid', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .get('/v1/analysis/equity-curve')
+        .query({ granularity: 'MONTH' })
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 401 if access token is missing', async () => {
+      await request(app).get('/v1/analysis/equity-curve').expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe('GET /v1/analysis/metrics', () => {
+    test('should return 200 and the metrics of the period, overall and per session', async () => {
+      await insertUsers([userOne]);
+      await insertTrades([
+        { ...tradeOne, userId: userOne._id, entryTime: new Date(), exitTime: new Date(), profitLoss: 150 },
+        { ...tradeTwo, userId: userOne._id, entryTime: new Date(), exitTime: new Date(), commission: -5 },
+      ]);
+
+      const res = await request(app)
+        .get('/v1/analysis/metrics')
+        .query({ period: 'WEEK' })
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({
+        period: 'WEEK',
+        currency: 'USD',
+        openingBalance: 0,
+        trades: 2,
+        winRate: 50,
+        netProfitLoss: 70,
+        averageWin: 150,
+        averageLoss: -80,
+        profitFactor: 1.88,
+        sharpeRatio: null,
+      });
+      expect(res.body.sessions).toHaveLength(2);
+    });
+
+    test('should return 400 if period is invalid', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .get('/v1/analysis/metrics')
+        .query({ period: 'DECADE' })
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 401 if access token is missing', async () => {
+      await request(app).get('/v1/analysis/metrics').expect(httpStatus.UNAUTHORIZED);
+    });
+  });
 });
@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { CheckIn, StateAnalysis } = require('../../src/models');
+const { userOne, userTwo, insertUsers } = require('../fixtures/user.fixture');
+const { userOneAccessToken } = require('../fixtures/token.fixture');
+const { tradeOne, tradeTwo, insertTrades } = require('../fixtures/trade.fixture');
+const { checkInOne, checkInTwo, insertCheckIns } = require('../fixtures/checkIn.fixture');
+
+setupTestDB();
+
+describe('Check-in routes', () => {
+  describe('POST /v1/check-ins', () => {
+    const newCheckIn = {
+      type: 'PRE_SESSION',
+      mood: 4,
+      stress: 2,
+      sleep: 3,
+      confidence: 4,
+      notes: 'Ready for London',
+    };
+
+    test('should return 201, create the check-in and refresh the psychological state', async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post('/v1/check-ins')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newCheckIn)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toEqual({
+        id: expect.anything(),
+        userId: userOne._id.toHexString(),
+        ...newCheckIn,
+        recordedAt: expect.any(String),
+      });
+      await expect(CheckIn.countDocuments({ userId: userOne._id })).resolves.toBe(1);
+
+      const stateAnalysis = await StateAnalysis.findOne({ userId: userOne._id }).lean();
+      expect(stateAnalysis.indicators.map((indicator) => indicator.category)).toEqual([
+        'Mood',
+        'Stress',
+        'Sleep',
+        'Self-confidence',
+      ]);
+    });
+
+    test('should return 201 and link a post-trade check-in to its trade', async () => {
+      await insertUsers([userOne]);
+      await insertTrades([{ ...tradeOne, userId: userOne._id }]);
+
+      const res = await request(app)
+        .post('/v1/check-ins')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ type: 'POST_TRADE', tradeId: tradeOne._id.toHexString(), mood: 2 })
+        .expect(httpStatus.CREATED);
+
+      expect(res.body.tradeId).toBe(tradeOne._id.toHexString());
+    });
+
+    test('should return 400 error if the trade belongs to another user', async () => {
+      await insertUsers([userOne, userTwo]);
+      await insertTrades([{ ...tradeTwo, userId: userTwo._id }]);
+
+      await request(app)
+        .post('/v1/check-ins')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ type: 'POST_TRADE', tradeId: tradeTwo._id.toHexString(), mood: 2 })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if a pre-session check-in refers to a trade', async () => {
+      await insertUsers([userOne]);
+      await insertTrades([{ ...tradeOne, userId: userOne._id }]);
+
+      await request(app)
+        .post('/v1/check-ins')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ ...newCheckIn, tradeId: tradeOne._id.toHexString() })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if no reading is given', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post('/v1/check-ins')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ type: 'PRE_SESSION', notes: 'Nothing to report' })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if a reading is out of the scale', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post('/v1/check-ins')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ ...newCheckIn, stress: 6 })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app).post('/v1/check-ins').send(newCheckIn).expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe('GET /v1/check-ins', () => {
+    test('should return 200 and the check-ins of the user, latest first', async () => {
+      await insertUsers([userOne]);
+      await insertCheckIns([
+        { ...checkInOne, userId: userOne._id },
+        { ...checkInTwo, userId: userOne._id },
+        { ...checkInOne, _id: mongoose.Types.ObjectId() },
+      ]);
+
+      const res = await request(app)
+        .get('/v1/check-ins')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.totalResults).toBe(2);
+      expect(res.body.results.map((checkIn) => checkIn.id)).toEqual([
+        checkInTwo._id.toHexString(),
+        checkInOne._id.toHexString(),
+      ]);
+    });
+
+    test('should filter check-ins by type', async () => {
+      await insertUsers([userOne]);
+      await insertCheckIns([
+        { ...checkInOne, userId: userOne._id },
+        { ...checkInTwo, userId: userOne._id },
+      ]);
+
+      const res = await request(app)
+        .get('/v1/check-ins')
+        .query({ type: 'PRE_SESSION' })
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.totalResults).toBe(1);
+      expect(res.body.results[0].id).toBe(checkInOne._id.toHexString());
+    });
+  });
+
+  describe('GET /v1/check-ins/:checkInId', () => {
+    test('should return 404 error for the check-in of another user', async () => {
+      await insertUsers([userOne]);
+      await insertCheckIns([checkInTwo]);
+
+      await request(app)
+        .get(`/v1/check-ins/${checkInTwo._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe('PATCH /v1/check-ins/:checkInId', () => {
+    test('should return 200 and update the check-in', async () => {
+      await insertUsers([userOne]);
+      await insertCheckIns([{ ...checkInOne, userId: userOne._id }]);
+
+      const res = await request(app)
+        .patch(`/v1/check-ins/${checkInOne._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ stress: 3, notes: '' })
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ stress: 3, notes: '' });
+    });
+
+    test('should return 400 error if the type is changed', async () => {
+      await insertUsers([userOne]);
+      await insertCheckIns([{ ...checkInOne, userId: userOne._id }]);
+
+      await request(app)
+        .patch(`/v1/check-ins/${checkInOne._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ type: 'POST_TRADE' })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('DELETE /v1/check-ins/:checkInId', () => {
+    test('should return 204 and delete the check-in', async () => {
+      await insertUsers([userOne]);
+      await insertCheckIns([{ ...checkInOne, userId: userOne._id }]);
+
+      await request(app)
+        .delete(`/v1/check-ins/${checkInOne._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.NO_CONTENT);
+
+      await expect(CheckIn.findById(checkInOne._id)).resolves.toBeNull();
+    });
+
+    test('should return 404 error if the check-in is not found', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .delete(`/v1/check-ins/${checkInOne._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+});
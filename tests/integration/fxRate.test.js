@@ -0,0 +1,186 @@
+const request = require('supertest');
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { FxRate } = require('../../src/models');
+const { userOne, admin, insertUsers } = require('../fixtures/user.fixture');
+const { userOneAccessToken, adminAccessToken } = require('../fixtures/token.fixture');
+const { eurUsdRate, gbpUsdRate, insertFxRates } = require('../fixtures/fxRate.fixture');
+
+setupTestDB();
+
+describe('FX rate routes', () => {
+  describe('POST /v1/fx-rates', () => {
+    let newFxRate;
+
+    beforeEach(() => {
+      newFxRate = { baseCurrency: 'eur', quoteCurrency: 'USD', date: '2023-01-02T15:00:00Z', rate: 1.07 };
+    });
+
+    test('should return 201 and set the rate of the day if data is ok', async () => {
+      await insertUsers([admin]);
+
+      const res = await request(app)
+        .post('/v1/fx-rates')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send(newFxRate)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toEqual({
+        id: expect.anything(),
+        baseCurrency: 'EUR',
+        quoteCurrency: 'USD',
+        date: '2023-01-02T00:00:00.000Z',
+        rate: 1.07,
+      });
+    });
+
+    test('should return 201 and replace the rate already set for the day', async () => {
+      await insertUsers([admin]);
+      await insertFxRates([{ ...eurUsdRate, date: new Date('2023-01-02T00:00:00Z') }]);
+
+      await request(app)
+        .post('/v1/fx-rates')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send(newFxRate)
+        .expect(httpStatus.CREATED);
+
+      const dbFxRates = await FxRate.find();
+      expect(dbFxRates).toHaveLength(1);
+      expect(dbFxRates[0].rate).toBe(1.07);
+    });
+
+    test('should return 400 error if the currencies are the same', async () => {
+      await insertUsers([admin]);
+      newFxRate.quoteCurrency = 'EUR';
+
+      await request(app)
+        .post('/v1/fx-rates')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send(newFxRate)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if a currency is not a 3 letter code', async () => {
+      await insertUsers([admin]);
+      newFxRate.baseCurrency = 'EURO';
+
+      await request(app)
+        .post('/v1/fx-rates')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send(newFxRate)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 403 error if logged in user is not admin', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post('/v1/fx-rates')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newFxRate)
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('GET /v1/fx-rates', () => {
+    test('should return 200 and the rates of a pair, latest first', async () => {
+      await insertUsers([userOne]);
+      await insertFxRates([
+        eurUsdRate,
+        { ...eurUsdRate, _id: mongoose.Types.ObjectId(), date: new Date('2023-01-02T00:00:00Z'), rate: 1.07 },
+        gbpUsdRate,
+      ]);
+
+      const res = await request(app)
+        .get('/v1/fx-rates')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ baseCurrency: 'EUR' })
+        .expect(httpStatus.OK);
+
+      expect(res.body.totalResults).toBe(2);
+      expect(res.body.results.map((fxRate) => fxRate.rate)).toEqual([1.07, eurUsdRate.rate]);
+    });
+  });
+
+  describe('POST /v1/fx-rates/import', () => {
+    test('should return 201, import the valid rows and report the invalid ones', async () => {
+      await insertUsers([admin]);
+      const csv = [
+        'Rate,Date,Base,Quote',
+        '1.07,2023-01-02,eur,usd',
+        '1.25,2023-01-02,GBP,USD',
+        'x,02/01/2023,GBP,GBP',
+      ].join('\n');
+
+      const res = await request(app)
+        .post('/v1/fx-rates/import')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toEqual({
+        totalRows: 3,
+        imported: 2,
+        errors: [
+          {
+            row: 4,
+            messages: [
+              '"date" must be a day in the YYYY-MM-DD format',
+              '"base" and "quote" must differ',
+              '"rate" must be a positive number',
+            ],
+          },
+        ],
+      });
+      await expect(FxRate.countDocuments({ date: new Date('2023-01-02T00:00:00Z') })).resolves.toBe(2);
+    });
+
+    test('should return 400 error if a column is missing', async () => {
+      await insertUsers([admin]);
+
+      await request(app)
+        .post('/v1/fx-rates/import')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .set('Content-Type', 'text/csv')
+        .send('date,base,quote\n2023-01-02,EUR,USD')
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 403 error if logged in user is not admin', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post('/v1/fx-rates/import')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .set('Content-Type', 'text/csv')
+        .send('date,base,quote,rate\n2023-01-02,EUR,USD,1.07')
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('DELETE /v1/fx-rates/:fxRateId', () => {
+    test('should return 204 and delete the rate', async () => {
+      await insertUsers([admin]);
+      await insertFxRates([eurUsdRate]);
+
+      await request(app)
+        .delete(`/v1/fx-rates/${eurUsdRate._id}`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .expect(httpStatus.NO_CONTENT);
+
+      await expect(FxRate.findById(eurUsdRate._id)).resolves.toBeNull();
+    });
+
+    test('should return 404 error if the rate is not found', async () => {
+      await insertUsers([admin]);
+
+      await request(app)
+        .delete(`/v1/fx-rates/${eurUsdRate._id}`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { MistakeCatalogue, Dashboard } = require('../../src/models');
+const { dashboardService } = require('../../src/services');
+const { defaultMistakes } = require('../../src/config/mistakes');
+const { userOne, insertUsers } = require('../fixtures/user.fixture');
+const { userOneAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Mistake catalogue routes', () => {
+  const mistakes = [
+    { code: 'moved_stop', label: 'Moved stop' },
+    { code: 'REVENGE_TRADE', label: 'Revenge trade' },
+  ];
+
+  describe('GET /v1/mistakes', () => {
+    test('should return 200 and the default catalogue when the user has none', async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .get('/v1/mistakes')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body).toEqual({ mistakes: defaultMistakes });
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app).get('/v1/mistakes').send().expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe('PUT /v1/mistakes', () => {
+    test('should return 200 and replace the catalogue of the user', async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .put('/v1/mistakes')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ mistakes })
+        .expect(httpStatus.OK);
+
+      const expected = [
+        { code: 'MOVED_STOP', label: 'Moved stop' },
+        { code: 'REVENGE_TRADE', label: 'Revenge trade' },
+      ];
+      expect(res.body).toEqual({ mistakes: expected });
+
+      const saved = await request(app)
+        .get('/v1/mistakes')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+      expect(saved.body).toEqual({ mistakes: expected });
+    });
+
+    test('should mark the dashboards of the user stale', async () => {
+      await insertUsers([userOne]);
+      await dashboardService.getCompleteDashboard(userOne._id, 'MONTH');
+
+      await request(app)
+        .put('/v1/mistakes')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ mistakes })
+        .expect(httpStatus.OK);
+
+      await expect(Dashboard.findOne({ userId: userOne._id, accountId: null })).resolves.toMatchObject({ stale: true });
+    });
+
+    test('should return 400 error if a code is repeated', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .put('/v1/mistakes')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ mistakes: [...mistakes, { code: 'MOVED_STOP', label: 'Stop moved' }] })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if a code has invalid characters', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .put('/v1/mistakes')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ mistakes: [{ code: 'Moved stop', label: 'Moved stop' }] })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('DELETE /v1/mistakes', () => {
+    test('should return 200 and go back to the default catalogue', async () => {
+      await insertUsers([userOne]);
+      await MistakeCatalogue.create({ userId: userOne._id, mistakes });
+
+      const res = await request(app)
+        .delete('/v1/mistakes')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body).toEqual({ mistakes: defaultMistakes });
+      await expect(MistakeCatalogue.countDocuments({ userId: userOne._id })).resolves.toBe(0);
+    });
+
+    test('should mark the dashboards of the user stale', async () => {
+      await insertUsers([userOne]);
+      await MistakeCatalogue.create({ userId: userOne._id, mistakes });
+      await dashboardService.getCompleteDashboard(userOne._id, 'MONTH');
+
+      await request(app)
+        .delete('/v1/mistakes')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      await expect(Dashboard.findOne({ userId: userOne._id, accountId: null })).resolves.toMatchObject({ stale: true });
+    });
+  });
+});
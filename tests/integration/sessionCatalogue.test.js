@@ -0,0 +1,141 @@
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { SessionCatalogue, Dashboard } = require('../../src/models');
+const { dashboardService } = require('../../src/services');
+const { defaultSessions } = require('../../src/config/sessions');
+const { userOne, insertUsers } = require('../fixtures/user.fixture');
+const { userOneAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Session catalogue routes', () => {
+  const sessions = [
+    { code: 'sydney', label: 'Sydney', timeZone: 'Australia/Sydney', start: '07:00' },
+    { code: 'NY_OPEN', label: 'NY open 9:30-11:00', timeZone: 'America/New_York', start: '09:30', end: '11:00' },
+  ];
+
+  describe('GET /v1/trading-sessions', () => {
+    test('should return 200 and the default sessions when the user has none', async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .get('/v1/trading-sessions')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body).toEqual({ sessions: defaultSessions });
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app).get('/v1/trading-sessions').send().expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe('PUT /v1/trading-sessions', () => {
+    test('should return 200 and replace the sessions of the user', async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .put('/v1/trading-sessions')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ sessions })
+        .expect(httpStatus.OK);
+
+      const expected = [{ ...sessions[0], code: 'SYDNEY' }, sessions[1]];
+      expect(res.body).toEqual({ sessions: expected });
+
+      const saved = await request(app)
+        .get('/v1/trading-sessions')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+      expect(saved.body).toEqual({ sessions: expected });
+    });
+
+    test('should mark the dashboards of the user stale', async () => {
+      await insertUsers([userOne]);
+      await dashboardService.getCompleteDashboard(userOne._id, 'MONTH');
+
+      await request(app)
+        .put('/v1/trading-sessions')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ sessions })
+        .expect(httpStatus.OK);
+
+      await expect(Dashboard.findOne({ userId: userOne._id, accountId: null })).resolves.toMatchObject({ stale: true });
+    });
+
+    test('should return 400 error if a code is repeated', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .put('/v1/trading-sessions')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ sessions: [...sessions, { code: 'SYDNEY', label: 'Sydney open', timeZone: 'UTC', start: '21:00' }] })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if there is no session', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .put('/v1/trading-sessions')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ sessions: [] })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if a time is not in the HH:mm format', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .put('/v1/trading-sessions')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ sessions: [{ ...sessions[1], end: '24:00' }] })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if the time zone is invalid', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .put('/v1/trading-sessions')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ sessions: [{ ...sessions[0], timeZone: 'Mars/Olympus' }] })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('DELETE /v1/trading-sessions', () => {
+    test('should return 200 and go back to the default sessions', async () => {
+      await insertUsers([userOne]);
+      await SessionCatalogue.create({ userId: userOne._id, sessions });
+
+      const res = await request(app)
+        .delete('/v1/trading-sessions')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body).toEqual({ sessions: defaultSessions });
+      await expect(SessionCatalogue.countDocuments({ userId: userOne._id })).resolves.toBe(0);
+    });
+
+    test('should mark the dashboards of the user stale', async () => {
+      await insertUsers([userOne]);
+      await SessionCatalogue.create({ userId: userOne._id, sessions });
+      await dashboardService.getCompleteDashboard(userOne._id, 'MONTH');
+
+      await request(app)
+        .delete('/v1/trading-sessions')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      await expect(Dashboard.findOne({ userId: userOne._id, accountId: null })).resolves.toMatchObject({ stale: true });
+    });
+  });
+});
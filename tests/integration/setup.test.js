@@ -0,0 +1,142 @@
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Setup, Trade } = require('../../src/models');
+const { userOne, insertUsers } = require('../fixtures/user.fixture');
+const { userOneAccessToken } = require('../fixtures/token.fixture');
+const { tradeOne, insertTrades } = require('../fixtures/trade.fixture');
+const { setupOne, setupTwo, insertSetups } = require('../fixtures/setup.fixture');
+
+setupTestDB();
+
+describe('Setup routes', () => {
+  describe('POST /v1/setups', () => {
+    const newSetup = {
+      name: 'London breakout',
+      description: 'Break of the Asian range',
+      rules: ['Asian range under 30 pips'],
+    };
+
+    test('should return 201 and create the setup', async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post('/v1/setups')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newSetup)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toEqual({ id: expect.anything(), userId: userOne._id.toHexString(), ...newSetup });
+      await expect(Setup.countDocuments({ userId: userOne._id })).resolves.toBe(1);
+    });
+
+    test('should return 400 error if the name is already taken', async () => {
+      await insertUsers([userOne]);
+      await insertSetups([{ ...setupOne, userId: userOne._id }]);
+
+      await request(app)
+        .post('/v1/setups')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ name: setupOne.name })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if the name is missing', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post('/v1/setups')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ rules: [] })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app).post('/v1/setups').send(newSetup).expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe('GET /v1/setups', () => {
+    test('should return 200 and only the setups of the user', async () => {
+      await insertUsers([userOne]);
+      await insertSetups([{ ...setupOne, userId: userOne._id }, setupTwo]);
+
+      const res = await request(app)
+        .get('/v1/setups')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.totalResults).toBe(1);
+      expect(res.body.results[0]).toMatchObject({ id: setupOne._id.toHexString(), name: setupOne.name });
+    });
+  });
+
+  describe('GET /v1/setups/:setupId', () => {
+    test('should return 404 error for the setup of another user', async () => {
+      await insertUsers([userOne]);
+      await insertSetups([setupTwo]);
+
+      await request(app)
+        .get(`/v1/setups/${setupTwo._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe('PATCH /v1/setups/:setupId', () => {
+    test('should return 200 and update the setup', async () => {
+      await insertUsers([userOne]);
+      await insertSetups([{ ...setupOne, userId: userOne._id }]);
+
+      const res = await request(app)
+        .patch(`/v1/setups/${setupOne._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ name: 'London range breakout', rules: [] })
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ name: 'London range breakout', rules: [] });
+    });
+
+    test('should return 400 error if the body is empty', async () => {
+      await insertUsers([userOne]);
+      await insertSetups([{ ...setupOne, userId: userOne._id }]);
+
+      await request(app)
+        .patch(`/v1/setups/${setupOne._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({})
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('DELETE /v1/setups/:setupId', () => {
+    test('should return 204, delete the setup and keep its trades', async () => {
+      await insertUsers([userOne]);
+      await insertSetups([{ ...setupOne, userId: userOne._id }]);
+      await insertTrades([{ ...tradeOne, userId: userOne._id, setup: setupOne._id }]);
+
+      await request(app)
+        .delete(`/v1/setups/${setupOne._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.NO_CONTENT);
+
+      await expect(Setup.findById(setupOne._id)).resolves.toBeNull();
+      const trade = await Trade.findById(tradeOne._id);
+      expect(trade.setup).toBeUndefined();
+    });
+
+    test('should return 404 error if the setup is not found', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .delete(`/v1/setups/${setupOne._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+});
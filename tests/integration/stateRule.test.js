@@ -0,0 +1,174 @@
+const request = require('supertest');
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { StateRuleSet } = require('../../src/models');
+const { userOne, admin, insertUsers } = require('../fixtures/user.fixture');
+const { userOneAccessToken, adminAccessToken } = require('../fixtures/token.fixture');
+const { tradeOne, insertTrades } = require('../fixtures/trade.fixture');
+
+setupTestDB();
+
+describe('State rule routes', () => {
+  let newRuleSet;
+
+  beforeEach(() => {
+    newRuleSet = {
+      name: 'Swing trader thresholds',
+      rules: [
+        {
+          name: 'High risk per trade',
+          conditions: [{ metric: 'avgRiskUsed', operator: 'gt', value: 1.5 }],
+          state: 'AGGRESSIVE',
+          adjustments: { riskTolerance: 20 },
+          indicator: { category: 'Risk Management', message: 'Average risk per trade above 1.5%', severity: 'warning' },
+          recommendation: 'Reduce risk per trade',
+        },
+      ],
+    };
+  });
+
+  describe('POST /v1/state-rules', () => {
+    test('should return 201 and create the global rule set if data is ok', async () => {
+      await insertUsers([admin]);
+
+      const res = await request(app)
+        .post('/v1/state-rules')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send(newRuleSet)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toMatchObject({ id: expect.anything(), userId: null, name: newRuleSet.name });
+      expect(res.body.rules).toHaveLength(1);
+
+      const dbRuleSet = await StateRuleSet.findById(res.body.id);
+      expect(dbRuleSet).toBeDefined();
+      expect(dbRuleSet.rules[0].conditions[0].metric).toBe('avgRiskUsed');
+    });
+
+    test('should return 400 error if the scope already has a rule set', async () => {
+      await insertUsers([admin, userOne]);
+      await StateRuleSet.create({ ...newRuleSet, userId: userOne._id });
+
+      await request(app)
+        .post('/v1/state-rules')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ ...newRuleSet, userId: userOne._id.toHexString() })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if a rule metric is invalid', async () => {
+      await insertUsers([admin]);
+      newRuleSet.rules[0].conditions[0].metric = 'luck';
+
+      await request(app)
+        .post('/v1/state-rules')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send(newRuleSet)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 403 error if logged in user is not admin', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post('/v1/state-rules')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newRuleSet)
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('PATCH /v1/state-rules/:ruleSetId', () => {
+    test('should return 200 and update the rules', async () => {
+      await insertUsers([admin]);
+      const ruleSet = await StateRuleSet.create(newRuleSet);
+      newRuleSet.rules[0].conditions[0].value = 2.5;
+
+      const res = await request(app)
+        .patch(`/v1/state-rules/${ruleSet.id}`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ rules: newRuleSet.rules })
+        .expect(httpStatus.OK);
+
+      expect(res.body.rules[0].conditions[0].value).toBe(2.5);
+    });
+
+    test('should return 404 if rule set is not found', async () => {
+      await insertUsers([admin]);
+
+      await request(app)
+        .patch(`/v1/state-rules/${mongoose.Types.ObjectId()}`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ name: 'Renamed' })
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe('DELETE /v1/state-rules/:ruleSetId', () => {
+    test('should return 204 and delete the rule set', async () => {
+      await insertUsers([admin]);
+      const ruleSet = await StateRuleSet.create(newRuleSet);
+
+      await request(app)
+        .delete(`/v1/state-rules/${ruleSet.id}`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .expect(httpStatus.NO_CONTENT);
+
+      await expect(StateRuleSet.findById(ruleSet.id)).resolves.toBeNull();
+    });
+  });
+
+  describe('POST /v1/state-rules/dry-run', () => {
+    test('should return 200 and evaluate inline rules against the user trades', async () => {
+      await insertUsers([admin, userOne]);
+      await insertTrades([{ ...tradeOne, userId: userOne._id, riskPercentUsed: 2.0 }]);
+
+      const res = await request(app)
+        .post('/v1/state-rules/dry-run')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ userId: userOne._id.toHexString(), rules: newRuleSet.rules })
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({
+        source: 'INLINE',
+        analyzedTradeCount: 1,
+        matchedRules: ['High risk per trade'],
+        result: { state: 'AGGRESSIVE' },
+      });
+    });
+
+    test('should return 200 and evaluate the default rules if no rule set is stored', async () => {
+      await insertUsers([admin, userOne]);
+
+      const res = await request(app)
+        .post('/v1/state-rules/dry-run')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ userId: userOne._id.toHexString() })
+        .expect(httpStatus.OK);
+
+      expect(res.body.source).toBe('DEFAULT');
+    });
+
+    test('should return 400 error if both ruleSetId and rules are given', async () => {
+      await insertUsers([admin]);
+
+      await request(app)
+        .post('/v1/state-rules/dry-run')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ userId: userOne._id.toHexString(), ruleSetId: mongoose.Types.ObjectId().toHexString(), rules: [] })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 403 error if logged in user is not admin', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post('/v1/state-rules/dry-run')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ userId: userOne._id.toHexString() })
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+});
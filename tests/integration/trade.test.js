@@ -2,10 +2,14 @@ const request = require('supertest');
 const httpStatus = require('http-status');
 const app = require('../../src/app');
 const setupTestDB = require('../utils/setupTestDB');
-const { Trade } = require('../../src/models');
+const { Trade, SessionCatalogue } = require('../../src/models');
+const { parseCsv } = require('../../src/utils/csv');
 const { userOne, insertUsers } = require('../fixtures/user.fixture');
 const { userOneAccessToken } = require('../fixtures/token.fixture');
-const { tradeOne, tradeTwo, insertTrades } = require('../fixtures/trade.fixture');
+const { tradeOne, tradeTwo, tradeThree, insertTrades } = require('../fixtures/trade.fixture');
+const { tradingPlanOne, insertTradingPlans } = require('../fixtures/tradingPlan.fixture');
+const { setupOne, setupTwo, insertSetups } = require('../fixtures/setup.fixture');
+const { accountOne, accountTwo, insertAccounts } = require('../fixtures/account.fixture');
 
 setupTestDB();
 
@@ -52,6 +56,8 @@ describe('Trade routes', () => {
         exitedEarly: newTrade.exitedEarly,
         targetPercentAchieved: newTrade.targetPercentAchieved,
         notes: newTrade.notes,
+        status: 'CLOSED',
+        reviewState: 'UNREVIEWED',
       });
 
       const dbTrade = await Trade.findById(res.body.id);
@@ -69,6 +75,202 @@ describe('Trade routes', () => {
       expect(dbTrade.notes).toBe(newTrade.notes);
     });
 
+    test('should derive the session from the entry time when not given', async () => {
+      await insertUsers([userOne]);
+      delete newTrade.session;
+      newTrade.entryTime = new Date('2023-01-02T14:00:00Z');
+      newTrade.exitTime = new Date('2023-01-02T15:00:00Z');
+
+      const res = await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newTrade)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body.session).toBe('NY');
+    });
+
+    test('should assign the trade to the custom sessions of the user', async () => {
+      await insertUsers([userOne]);
+      await SessionCatalogue.create({
+        userId: userOne._id,
+        sessions: [
+          { code: 'LONDON', label: 'London', timeZone: 'Europe/London', start: '08:00' },
+          { code: 'NY_OPEN', label: 'NY open', timeZone: 'America/New_York', start: '09:30', end: '11:00' },
+        ],
+      });
+      delete newTrade.session;
+      newTrade.entryTime = new Date('2023-01-02T15:00:00Z');
+      newTrade.exitTime = new Date('2023-01-02T15:30:00Z');
+
+      const res = await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newTrade)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body.session).toBe('NY_OPEN');
+    });
+
+    test('should return 400 error if the session is not a session of the user', async () => {
+      await insertUsers([userOne]);
+      newTrade.session = 'NY_OPEN';
+
+      await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newTrade)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should score the trade against the trading plan', async () => {
+      await insertUsers([userOne]);
+      await insertTradingPlans([{ ...tradingPlanOne, userId: userOne._id }]);
+      newTrade.riskPercentUsed = 3.0;
+
+      const res = await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newTrade)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body.planAdherence).toEqual({
+        score: 80,
+        violations: [{ rule: 'RISK_ABOVE_PLAN', message: 'Risked 3% against a planned 2%' }],
+        tradingPlanVersion: expect.any(String),
+        evaluatedAt: expect.any(String),
+      });
+    });
+
+    test('should derive risk/reward and target achieved when prices are given', async () => {
+      await insertUsers([userOne]);
+      delete newTrade.riskRewardAchieved;
+      delete newTrade.targetPercentAchieved;
+      Object.assign(newTrade, {
+        symbol: 'eurusd',
+        direction: 'LONG',
+        entryPrice: 1.07,
+        exitPrice: 1.073,
+        stopLossPrice: 1.068,
+        takeProfitPrice: 1.073,
+        positionSize: 2,
+      });
+
+      const res = await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newTrade)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toMatchObject({
+        symbol: 'EURUSD',
+        direction: 'LONG',
+        positionSize: 2,
+        riskRewardAchieved: 1.5,
+        targetPercentAchieved: 100,
+      });
+    });
+
+    test('should return 201 and create an open trade without its outcome', async () => {
+      await insertUsers([userOne]);
+      const { exitTime, profitLoss, riskRewardAchieved, stopLossHit, exitedEarly, targetPercentAchieved, ...openTrade } =
+        newTrade;
+
+      const res = await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ ...openTrade, status: 'OPEN' })
+        .expect(httpStatus.CREATED);
+
+      expect(res.body.status).toBe('OPEN');
+      expect(res.body.exitTime).toBeUndefined();
+      expect(res.body.planAdherence).toBeUndefined();
+    });
+
+    test('should return 400 error if an open trade is given an outcome', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ ...newTrade, status: 'OPEN' })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 201 and compute the exit time, price and profit/loss from the exits', async () => {
+      await insertUsers([userOne]);
+      const { exitTime, profitLoss, ...scaledTrade } = newTrade;
+      Object.assign(scaledTrade, {
+        positionSize: 2,
+        exits: [
+          { exitTime: new Date('2023-01-01T10:00:00Z'), exitPrice: 1.072, positionSize: 1, profitLoss: 100 },
+          { exitTime: new Date('2023-01-01T11:00:00Z'), exitPrice: 1.075, positionSize: 1, profitLoss: 250 },
+        ],
+      });
+
+      const res = await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(scaledTrade)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toMatchObject({
+        status: 'CLOSED',
+        exitTime: '2023-01-01T11:00:00.000Z',
+        exitPrice: 1.0735,
+        profitLoss: 350,
+      });
+      expect(res.body.exits).toHaveLength(2);
+    });
+
+    test('should return 400 error if the exit sizes do not add up to the position size', async () => {
+      await insertUsers([userOne]);
+      const { exitTime, profitLoss, ...scaledTrade } = newTrade;
+      Object.assign(scaledTrade, {
+        positionSize: 2,
+        exits: [{ exitTime: new Date('2023-01-01T10:00:00Z'), positionSize: 1, profitLoss: 100 }],
+      });
+
+      await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(scaledTrade)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if risk/reward is neither typed nor derivable', async () => {
+      await insertUsers([userOne]);
+      delete newTrade.riskRewardAchieved;
+
+      await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newTrade)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if a stop loss price is given without the entry and exit prices', async () => {
+      await insertUsers([userOne]);
+      newTrade.stopLossPrice = 1.068;
+
+      await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newTrade)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if the stop loss is on the wrong side of the entry', async () => {
+      await insertUsers([userOne]);
+      Object.assign(newTrade, { direction: 'SHORT', entryPrice: 1.07, exitPrice: 1.06, stopLossPrice: 1.05 });
+
+      await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newTrade)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
     test('should return 401 error if access token is missing', async () => {
       await request(app).post('/v1/trades').send(newTrade).expect(httpStatus.UNAUTHORIZED);
     });
@@ -105,6 +307,108 @@ describe('Trade routes', () => {
         .send(newTrade)
         .expect(httpStatus.BAD_REQUEST);
     });
+
+    test('should return 201 and attach the setup and tags', async () => {
+      await insertUsers([userOne]);
+      await insertSetups([{ ...setupOne, userId: userOne._id }]);
+      Object.assign(newTrade, { setup: setupOne._id.toHexString(), tags: [' News ', 'A-plus'] });
+
+      const res = await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newTrade)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toMatchObject({ setup: setupOne._id.toHexString(), tags: ['news', 'a-plus'] });
+    });
+
+    test('should return 400 error if the setup belongs to another user', async () => {
+      await insertUsers([userOne]);
+      await insertSetups([setupTwo]);
+      newTrade.setup = setupTwo._id.toHexString();
+
+      await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newTrade)
+        .expect(httpStatus.BAD_REQUEST);
+      await expect(Trade.countDocuments()).resolves.toBe(0);
+    });
+
+    test('should return 201 and attach the trade to an account of the user', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([{ ...accountOne, userId: userOne._id }]);
+      newTrade.accountId = accountOne._id.toHexString();
+
+      const res = await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newTrade)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body.accountId).toBe(accountOne._id.toHexString());
+    });
+
+    test('should return 201 and record the fees and currency of the trade', async () => {
+      await insertUsers([userOne]);
+      Object.assign(newTrade, { commission: -7, swap: -1.5, currency: 'eur' });
+
+      const res = await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newTrade)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toMatchObject({ profitLoss: newTrade.profitLoss, commission: -7, swap: -1.5, currency: 'EUR' });
+    });
+
+    test('should return 400 error if the currency is not a 3 letter code', async () => {
+      await insertUsers([userOne]);
+      newTrade.currency = 'EURO';
+
+      await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newTrade)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if the account belongs to another user', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([accountTwo]);
+      newTrade.accountId = accountTwo._id.toHexString();
+
+      await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newTrade)
+        .expect(httpStatus.BAD_REQUEST);
+      await expect(Trade.countDocuments()).resolves.toBe(0);
+    });
+
+    test('should return 201 and record the emotions of the trade', async () => {
+      await insertUsers([userOne]);
+      Object.assign(newTrade, { preTradeEmotion: 'CALM', postTradeEmotion: 'FRUSTRATED' });
+
+      const res = await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newTrade)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toMatchObject({ preTradeEmotion: 'CALM', postTradeEmotion: 'FRUSTRATED' });
+    });
+
+    test('should return 400 error if an emotion is unknown', async () => {
+      await insertUsers([userOne]);
+      newTrade.preTradeEmotion = 'SLEEPY';
+
+      await request(app)
+        .post('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newTrade)
+        .expect(httpStatus.BAD_REQUEST);
+    });
   });
 
   describe('POST /v1/trades/bulk', () => {
@@ -158,6 +462,32 @@ describe('Trade routes', () => {
       expect(dbTrades).toHaveLength(2);
     });
 
+    test('should return 201 and skip the trades already recorded when the batch is sent again', async () => {
+      await insertUsers([userOne]);
+      const first = await request(app)
+        .post('/v1/trades/bulk')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(bulkTrades)
+        .expect(httpStatus.CREATED);
+
+      const res = await request(app)
+        .post('/v1/trades/bulk')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(bulkTrades)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toEqual({
+        trades: [],
+        count: 0,
+        skipped: [
+          { index: 0, tradeId: first.body.trades[0].id },
+          { index: 1, tradeId: first.body.trades[1].id },
+        ],
+        conflicting: [],
+      });
+      await expect(Trade.countDocuments({ userId: userOne._id })).resolves.toBe(2);
+    });
+
     test('should return 401 error if access token is missing', async () => {
       await request(app).post('/v1/trades/bulk').send(bulkTrades).expect(httpStatus.UNAUTHORIZED);
     });
@@ -220,6 +550,43 @@ describe('Trade routes', () => {
       expect(res.body.results[0].session).toBe('LONDON');
     });
 
+    test('should correctly apply filter on status field', async () => {
+      await insertUsers([userOne]);
+      await insertTrades([
+        { ...tradeOne, userId: userOne._id },
+        { ...tradeTwo, userId: userOne._id, status: 'OPEN', exitTime: undefined, profitLoss: undefined },
+      ]);
+
+      const res = await request(app)
+        .get('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ status: 'CLOSED' })
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.results).toHaveLength(1);
+      expect(res.body.results[0].id).toBe(tradeOne._id.toHexString());
+    });
+
+    test('should correctly apply filter on symbol and direction fields', async () => {
+      await insertUsers([userOne]);
+      await insertTrades([
+        { ...tradeOne, userId: userOne._id, symbol: 'EURUSD', direction: 'LONG' },
+        { ...tradeTwo, userId: userOne._id, symbol: 'EURUSD', direction: 'SHORT' },
+        { ...tradeThree, userId: userOne._id, symbol: 'XAUUSD', direction: 'LONG' },
+      ]);
+
+      const res = await request(app)
+        .get('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ symbol: 'eurusd', direction: 'LONG' })
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.results).toHaveLength(1);
+      expect(res.body.results[0]).toMatchObject({ id: tradeOne._id.toHexString(), symbol: 'EURUSD', direction: 'LONG' });
+    });
+
     test('should correctly apply filter on stopLossHit field', async () => {
       await insertUsers([userOne]);
       await insertTrades([
@@ -237,6 +604,193 @@ describe('Trade routes', () => {
       expect(res.body.results).toHaveLength(1);
       expect(res.body.results[0].stopLossHit).toBe(true);
     });
+
+    test('should correctly apply filter on setup and tag', async () => {
+      await insertUsers([userOne]);
+      await insertTrades([
+        { ...tradeOne, userId: userOne._id, setup: setupOne._id, tags: ['news'] },
+        { ...tradeTwo, userId: userOne._id, setup: setupOne._id, tags: ['a-plus'] },
+        { ...tradeThree, userId: userOne._id, tags: ['news'] },
+      ]);
+
+      const res = await request(app)
+        .get('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ setup: setupOne._id.toHexString(), tag: 'NEWS' })
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.results).toHaveLength(1);
+      expect(res.body.results[0].id).toBe(tradeOne._id.toHexString());
+    });
+
+    test('should correctly apply filter on review state and mistake', async () => {
+      await insertUsers([userOne]);
+      await insertTrades([
+        { ...tradeOne, userId: userOne._id, reviewState: 'FLAGGED', mistakes: ['MOVED_STOP'] },
+        { ...tradeTwo, userId: userOne._id, reviewState: 'REVIEWED', mistakes: ['MOVED_STOP'] },
+        { ...tradeThree, userId: userOne._id, reviewState: 'FLAGGED', mistakes: ['EARLY_EXIT'] },
+      ]);
+
+      const res = await request(app)
+        .get('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ reviewState: 'FLAGGED', mistake: 'moved_stop' })
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.results).toHaveLength(1);
+      expect(res.body.results[0].id).toBe(tradeOne._id.toHexString());
+    });
+
+    test('should filter the trades by account', async () => {
+      await insertUsers([userOne]);
+      await insertTrades([
+        { ...tradeOne, userId: userOne._id, accountId: accountOne._id },
+        { ...tradeTwo, userId: userOne._id },
+      ]);
+
+      const res = await request(app)
+        .get('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ accountId: accountOne._id.toHexString() })
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.results.map((trade) => trade.id)).toEqual([tradeOne._id.toHexString()]);
+    });
+
+    test('should return 400 error if the setup filter is not a valid id', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .get('/v1/trades')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ setup: 'invalid' })
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('GET /v1/trades/export', () => {
+    const binaryParser = (res, callback) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    beforeEach(async () => {
+      await insertUsers([userOne]);
+      await insertTrades([
+        { ...tradeTwo, userId: userOne._id, symbol: 'GBPUSD', notes: 'Stopped, then "revenge"' },
+        { ...tradeOne, userId: userOne._id, symbol: 'EURUSD' },
+        { ...tradeThree, userId: tradeThree.userId },
+      ]);
+    });
+
+    test('should return 200 and the trades of the user as CSV, oldest first', async () => {
+      const res = await request(app)
+        .get('/v1/trades/export')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.headers['content-type']).toContain('text/csv');
+      expect(res.headers['content-disposition']).toMatch(/^attachment; filename="trades-\d{4}-\d{2}-\d{2}\.csv"$/);
+      const [header, ...rows] = parseCsv(res.text);
+      expect(rows).toHaveLength(2);
+      const trades = rows.map((row) => Object.fromEntries(header.map((column, i) => [column, row[i]])));
+      expect(trades[0]).toMatchObject({
+        id: tradeOne._id.toHexString(),
+        symbol: 'EURUSD',
+        entryTime: '2023-01-01T09:00:00.000Z',
+        profitLoss: '150',
+        stopLossHit: 'false',
+        stopLossPrice: '',
+      });
+      expect(trades[1]).toMatchObject({ id: tradeTwo._id.toHexString(), notes: 'Stopped, then "revenge"' });
+    });
+
+    test('should apply the filters of the trade list', async () => {
+      const res = await request(app)
+        .get('/v1/trades/export')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ format: 'json', symbol: 'gbpusd' })
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.headers['content-type']).toContain('application/json');
+      expect(res.body).toHaveLength(1);
+      expect(res.body[0]).toMatchObject({ id: tradeTwo._id.toHexString(), symbol: 'GBPUSD', profitLoss: -75 });
+      expect(res.body[0]).not.toHaveProperty('fingerprint');
+    });
+
+    test('should return an empty JSON array when no trade matches', async () => {
+      const res = await request(app)
+        .get('/v1/trades/export')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ format: 'json', session: 'ASIA' })
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body).toEqual([]);
+    });
+
+    test('should return 200 and an Excel workbook', async () => {
+      const res = await request(app)
+        .get('/v1/trades/export')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ format: 'xlsx' })
+        .buffer(true)
+        .parse(binaryParser)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      expect(res.body.slice(0, 4)).toEqual(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+    });
+
+    test('should return 400 error if the format is unknown', async () => {
+      await request(app)
+        .get('/v1/trades/export')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ format: 'pdf' })
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app).get('/v1/trades/export').send().expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe('GET /v1/trades/review-queue', () => {
+    test('should return 200 and the unreviewed trades of the user, latest first', async () => {
+      await insertUsers([userOne]);
+      await insertTrades([
+        { ...tradeOne, userId: userOne._id },
+        { ...tradeTwo, userId: userOne._id, reviewState: 'REVIEWED' },
+        { ...tradeThree, userId: tradeThree.userId },
+      ]);
+      // Recorded before reviews existed
+      const { _id, ...legacyTrade } = tradeTwo;
+      await Trade.collection.insertOne({ ...legacyTrade, userId: userOne._id, entryTime: new Date('2023-01-05T09:00:00Z') });
+
+      const res = await request(app)
+        .get('/v1/trades/review-queue')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.totalResults).toBe(2);
+      expect(res.body.results.map((trade) => trade.reviewState)).toEqual(['UNREVIEWED', 'UNREVIEWED']);
+      expect(res.body.results[0].entryTime).toBe('2023-01-05T09:00:00.000Z');
+      expect(res.body.results[1].id).toBe(tradeOne._id.toHexString());
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app).get('/v1/trades/review-queue').send().expect(httpStatus.UNAUTHORIZED);
+    });
   });
 
   describe('GET /v1/trades/:tradeId', () => {
@@ -263,6 +817,8 @@ describe('Trade routes', () => {
         exitedEarly: tradeOne.exitedEarly,
         targetPercentAchieved: tradeOne.targetPercentAchieved,
         notes: tradeOne.notes,
+        status: 'CLOSED',
+        reviewState: 'UNREVIEWED',
       });
     });
 
@@ -312,6 +868,8 @@ describe('Trade routes', () => {
         exitedEarly: tradeOne.exitedEarly,
         targetPercentAchieved: tradeOne.targetPercentAchieved,
         notes: updateBody.notes,
+        status: 'CLOSED',
+        reviewState: 'UNREVIEWED',
       });
 
       const dbTrade = await Trade.findById(tradeOne._id);
@@ -338,6 +896,238 @@ describe('Trade routes', () => {
         .send(updateBody)
         .expect(httpStatus.NOT_FOUND);
     });
+
+    test('should return 200 and detach the trade from its setup', async () => {
+      await insertUsers([userOne]);
+      await insertTrades([{ ...tradeOne, userId: userOne._id, setup: setupOne._id }]);
+
+      const res = await request(app)
+        .put(`/v1/trades/${tradeOne._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ setup: null })
+        .expect(httpStatus.OK);
+
+      expect(res.body.setup).toBeNull();
+    });
+  });
+
+  describe('PUT /v1/trades/:tradeId/review', () => {
+    const review = {
+      reviewState: 'REVIEWED',
+      mistakes: ['fomo_entry', 'OVERSIZED'],
+      grade: 'C',
+      lesson: 'Wait for the candle close',
+    };
+
+    test('should return 200 and record the review', async () => {
+      await insertUsers([userOne]);
+      await insertTrades([{ ...tradeOne, userId: userOne._id }]);
+
+      const res = await request(app)
+        .put(`/v1/trades/${tradeOne._id}/review`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(review)
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ ...review, mistakes: ['FOMO_ENTRY', 'OVERSIZED'], reviewedAt: expect.any(String) });
+
+      const queue = await request(app)
+        .get('/v1/trades/review-queue')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+      expect(queue.body.totalResults).toBe(0);
+    });
+
+    test('should return the trade to the review queue when set back to unreviewed', async () => {
+      await insertUsers([userOne]);
+      await insertTrades([{ ...tradeOne, userId: userOne._id, reviewState: 'FLAGGED', reviewedAt: new Date() }]);
+
+      const res = await request(app)
+        .put(`/v1/trades/${tradeOne._id}/review`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ reviewState: 'UNREVIEWED' })
+        .expect(httpStatus.OK);
+
+      expect(res.body.reviewState).toBe('UNREVIEWED');
+      expect(res.body.reviewedAt).toBeUndefined();
+    });
+
+    test('should clear the grade when it is null', async () => {
+      await insertUsers([userOne]);
+      await insertTrades([{ ...tradeOne, userId: userOne._id, reviewState: 'REVIEWED', grade: 'B' }]);
+
+      const res = await request(app)
+        .put(`/v1/trades/${tradeOne._id}/review`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ reviewState: 'REVIEWED', grade: null })
+        .expect(httpStatus.OK);
+
+      expect(res.body.grade).toBeUndefined();
+    });
+
+    test('should return 400 error if a mistake is not in the catalogue', async () => {
+      await insertUsers([userOne]);
+      await insertTrades([{ ...tradeOne, userId: userOne._id }]);
+
+      await request(app)
+        .put(`/v1/trades/${tradeOne._id}/review`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ ...review, mistakes: ['REVENGE_TRADE'] })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if the review state is missing', async () => {
+      await insertUsers([userOne]);
+      await insertTrades([{ ...tradeOne, userId: userOne._id }]);
+
+      await request(app)
+        .put(`/v1/trades/${tradeOne._id}/review`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ grade: 'A' })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 404 error if trade is not found', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .put(`/v1/trades/${tradeOne._id}/review`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(review)
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe('open trades', () => {
+    let openTrade;
+
+    beforeEach(async () => {
+      openTrade = {
+        _id: tradeOne._id,
+        userId: userOne._id,
+        status: 'OPEN',
+        symbol: 'EURUSD',
+        direction: 'LONG',
+        entryTime: tradeOne.entryTime,
+        entryPrice: 1.07,
+        stopLossPrice: 1.068,
+        takeProfitPrice: 1.074,
+        positionSize: 1,
+        riskPercentUsed: 1,
+        session: 'LONDON',
+      };
+      await insertUsers([userOne]);
+    });
+
+    const partialExit = { exitTime: new Date('2023-01-01T10:00:00Z'), exitPrice: 1.072, positionSize: 0.5, profitLoss: 100 };
+
+    describe('POST /v1/trades/:tradeId/exits', () => {
+      test('should return 200 and record the partial exit', async () => {
+        await insertTrades([openTrade]);
+
+        const res = await request(app)
+          .post(`/v1/trades/${tradeOne._id}/exits`)
+          .set('Authorization', `Bearer ${userOneAccessToken}`)
+          .send(partialExit)
+          .expect(httpStatus.OK);
+
+        expect(res.body.status).toBe('OPEN');
+        expect(res.body.exits).toEqual([{ ...partialExit, exitTime: partialExit.exitTime.toISOString() }]);
+      });
+
+      test('should return 400 error if the exit closes the whole position', async () => {
+        await insertTrades([openTrade]);
+
+        await request(app)
+          .post(`/v1/trades/${tradeOne._id}/exits`)
+          .set('Authorization', `Bearer ${userOneAccessToken}`)
+          .send({ ...partialExit, positionSize: 1 })
+          .expect(httpStatus.BAD_REQUEST);
+      });
+
+      test('should return 400 error if the trade is closed', async () => {
+        await insertTrades([{ ...tradeOne, userId: userOne._id }]);
+
+        await request(app)
+          .post(`/v1/trades/${tradeOne._id}/exits`)
+          .set('Authorization', `Bearer ${userOneAccessToken}`)
+          .send(partialExit)
+          .expect(httpStatus.BAD_REQUEST);
+      });
+    });
+
+    describe('POST /v1/trades/:tradeId/close', () => {
+      const finalExit = {
+        exitTime: new Date('2023-01-01T11:00:00Z'),
+        exitPrice: 1.074,
+        profitLoss: 200,
+        stopLossHit: false,
+        exitedEarly: false,
+      };
+
+      test('should return 200 and close the rest of the position', async () => {
+        await insertTrades([{ ...openTrade, exits: [partialExit] }]);
+
+        const res = await request(app)
+          .post(`/v1/trades/${tradeOne._id}/close`)
+          .set('Authorization', `Bearer ${userOneAccessToken}`)
+          .send(finalExit)
+          .expect(httpStatus.OK);
+
+        expect(res.body).toMatchObject({
+          status: 'CLOSED',
+          exitTime: finalExit.exitTime.toISOString(),
+          exitPrice: 1.073,
+          profitLoss: 300,
+          riskRewardAchieved: 1.5,
+          targetPercentAchieved: 75,
+        });
+        expect(res.body.exits[1]).toMatchObject({ positionSize: 0.5, profitLoss: 200 });
+      });
+
+      test('should return 200 and close a trade never scaled out of', async () => {
+        await insertTrades([openTrade]);
+
+        const res = await request(app)
+          .post(`/v1/trades/${tradeOne._id}/close`)
+          .set('Authorization', `Bearer ${userOneAccessToken}`)
+          .send(finalExit)
+          .expect(httpStatus.OK);
+
+        expect(res.body).toMatchObject({ status: 'CLOSED', exitPrice: 1.074, profitLoss: 200, riskRewardAchieved: 2 });
+        expect(res.body.exits).toBeUndefined();
+      });
+
+      test('should return 400 error if the outcome cannot be derived', async () => {
+        const { stopLossPrice, takeProfitPrice, ...unpricedTrade } = openTrade;
+        await insertTrades([unpricedTrade]);
+
+        await request(app)
+          .post(`/v1/trades/${tradeOne._id}/close`)
+          .set('Authorization', `Bearer ${userOneAccessToken}`)
+          .send(finalExit)
+          .expect(httpStatus.BAD_REQUEST);
+      });
+
+      test('should return 400 error if the trade is closed', async () => {
+        await insertTrades([{ ...tradeOne, userId: userOne._id }]);
+
+        await request(app)
+          .post(`/v1/trades/${tradeOne._id}/close`)
+          .set('Authorization', `Bearer ${userOneAccessToken}`)
+          .send(finalExit)
+          .expect(httpStatus.BAD_REQUEST);
+      });
+
+      test('should return 404 error if trade is not found', async () => {
+        await request(app)
+          .post(`/v1/trades/${tradeOne._id}/close`)
+          .set('Authorization', `Bearer ${userOneAccessToken}`)
+          .send(finalExit)
+          .expect(httpStatus.NOT_FOUND);
+      });
+    });
   });
 
   describe('DELETE /v1/trades/:tradeId', () => {
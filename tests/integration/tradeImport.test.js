@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Trade, ImportProfile } = require('../../src/models');
+const { userOne, insertUsers } = require('../fixtures/user.fixture');
+const { userOneAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Trade import routes', () => {
+  const newProfile = {
+    name: 'Journal',
+    mapping: {
+      entryTime: 'Opened',
+      exitTime: 'Closed',
+      riskPercentUsed: 'Risk',
+      profitLoss: 'PnL',
+      riskRewardAchieved: 'R',
+      session: 'Session',
+      stopLossHit: 'SL',
+      exitedEarly: 'Early',
+      targetPercentAchieved: 'Target',
+    },
+    timezone: 'America/New_York',
+  };
+
+  describe('POST /v1/trades/import/profiles', () => {
+    test('should return 201 and create the profile', async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post('/v1/trades/import/profiles')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newProfile)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toMatchObject({ name: 'Journal', timezone: 'America/New_York', delimiter: ',' });
+      expect(res.body.mapping).toEqual(newProfile.mapping);
+      const dbProfile = await ImportProfile.findById(res.body.id);
+      expect(dbProfile.userId.toString()).toBe(userOne._id.toHexString());
+    });
+
+    test('should return 400 error if the time zone is unknown', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post('/v1/trades/import/profiles')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ ...newProfile, timezone: 'Mars/Olympus' })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if the mapping names an unknown field', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post('/v1/trades/import/profiles')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ ...newProfile, mapping: { ...newProfile.mapping, broker: 'Broker' } })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app).post('/v1/trades/import/profiles').send(newProfile).expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe('PATCH /v1/trades/import/profiles/:profileId', () => {
+    test('should return 200 and update the profile', async () => {
+      await insertUsers([userOne]);
+      const profile = await ImportProfile.create({ ...newProfile, userId: userOne._id });
+
+      const res = await request(app)
+        .patch(`/v1/trades/import/profiles/${profile._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ timezone: 'UTC' })
+        .expect(httpStatus.OK);
+
+      expect(res.body.timezone).toBe('UTC');
+    });
+  });
+
+  describe('DELETE /v1/trades/import/profiles/:profileId', () => {
+    test('should return 204 and delete the profile', async () => {
+      await insertUsers([userOne]);
+      const profile = await ImportProfile.create({ ...newProfile, userId: userOne._id });
+
+      await request(app)
+        .delete(`/v1/trades/import/profiles/${profile._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.NO_CONTENT);
+
+      await expect(ImportProfile.findById(profile._id)).resolves.toBeNull();
+    });
+  });
+
+  describe('POST /v1/trades/import/csv', () => {
+    const csv = [
+      'Opened,Closed,Risk,PnL,R,Session,SL,Early,Target',
+      '2023-01-03T09:00,2023-01-03T10:00,1,120,2,NY,false,false,100',
+      '2023-01-03T11:00,2023-01-03T11:30,1,-60,0,NY,true,false,0',
+    ].join('\n');
+
+    test('should return 200 and the outcome on a dry run', async () => {
+      await insertUsers([userOne]);
+      const profile = await ImportProfile.create({ ...newProfile, userId: userOne._id });
+
+      const res = await request(app)
+        .post('/v1/trades/import/csv')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .set('Content-Type', 'text/csv')
+        .query({ profileId: profile.id, dryRun: true })
+        .send(csv)
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ dryRun: true, totalRows: 2, validRows: 2, invalidRows: 0, imported: 0 });
+      expect(res.body.trades[0].entryTime).toBe('2023-01-03T14:00:00.000Z');
+      await expect(Trade.countDocuments({ userId: userOne._id })).resolves.toBe(0);
+    });
+
+    test('should return 201 and import the trades', async () => {
+      await insertUsers([userOne]);
+      const profile = await ImportProfile.create({ ...newProfile, userId: userOne._id });
+
+      const res = await request(app)
+        .post('/v1/trades/import/csv')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .set('Content-Type', 'text/csv')
+        .query({ profileId: profile.id })
+        .send(csv)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toMatchObject({ dryRun: false, imported: 2, errors: [] });
+      await expect(Trade.countDocuments({ userId: userOne._id })).resolves.toBe(2);
+    });
+
+    test('should return 400 error if profileId is missing', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post('/v1/trades/import/csv')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 404 error if the profile belongs to another user', async () => {
+      await insertUsers([userOne]);
+      const profile = await ImportProfile.create({ ...newProfile, userId: mongoose.Types.ObjectId() });
+
+      await request(app)
+        .post('/v1/trades/import/csv')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .set('Content-Type', 'text/csv')
+        .query({ profileId: profile.id })
+        .send(csv)
+        .expect(httpStatus.NOT_FOUND);
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app)
+        .post('/v1/trades/import/csv')
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe('POST /v1/trades/import/metatrader', () => {
+    const row = (cells) => `<tr>${cells.map((cell) => `<td>${cell}</td>`).join('')}</tr>`;
+    const statement = [
+      '<html><body><table>',
+      row(['Positions']),
+      row(
+        ['Time', 'Position', 'Symbol', 'Type', 'Volume', 'Price', 'S / L', 'T / P', 'Time', 'Price'].concat([
+          'Commission',
+          'Swap',
+          'Profit',
+        ])
+      ),
+      row(
+        ['2023.07.03 09:30:00', '5001', 'XAUUSD', 'sell', '0.10', '1 925.50', '1 930.50', '1 915.50'].concat([
+          '2023.07.03 11:00:00',
+          '1 915.50',
+          '-0.70',
+          '0.00',
+          '100.00',
+        ])
+      ),
+      '</table></body></html>',
+    ].join('');
+
+    test('should return 200 and the outcome on a dry run', async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post('/v1/trades/import/metatrader')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .set('Content-Type', 'text/html')
+        .query({ dryRun: true, riskPercent: 1 })
+        .send(statement)
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ dryRun: true, totalRows: 1, validRows: 1, imported: 0 });
+      expect(res.body.trades[0]).toMatchObject({
+        symbol: 'XAUUSD',
+        direction: 'SHORT',
+        session: 'LONDON',
+        profitLoss: 100,
+        commission: -0.7,
+        riskRewardAchieved: 2,
+        targetPercentAchieved: 100,
+        stopLossHit: false,
+        exitedEarly: false,
+      });
+    });
+
+    test('should return 201 and import a UTF-16 report', async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post('/v1/trades/import/metatrader')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .set('Content-Type', 'application/octet-stream')
+        .query({ riskPercent: 1 })
+        .send(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(statement, 'utf16le')]))
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toMatchObject({ dryRun: false, imported: 1 });
+      await expect(Trade.countDocuments({ userId: userOne._id, symbol: 'XAUUSD' })).resolves.toBe(1);
+    });
+
+    test('should return 400 error if the statement is missing', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post('/v1/trades/import/metatrader')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ riskPercent: 1 })
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app)
+        .post('/v1/trades/import/metatrader')
+        .set('Content-Type', 'text/html')
+        .send(statement)
+        .expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+});
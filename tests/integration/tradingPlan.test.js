@@ -2,10 +2,11 @@ const request = require('supertest');
 const httpStatus = require('http-status');
 const app = require('../../src/app');
 const setupTestDB = require('../utils/setupTestDB');
-const { TradingPlan } = require('../../src/models');
+const { TradingPlan, SessionCatalogue } = require('../../src/models');
 const { userOne, insertUsers } = require('../fixtures/user.fixture');
 const { userOneAccessToken } = require('../fixtures/token.fixture');
 const { tradingPlanOne, insertTradingPlans } = require('../fixtures/tradingPlan.fixture');
+const { accountOne, accountTwo, insertAccounts } = require('../fixtures/account.fixture');
 
 setupTestDB();
 
@@ -37,6 +38,7 @@ describe('Trading Plan routes', () => {
       expect(res.body).toEqual({
         id: expect.anything(),
         userId: userOne._id.toHexString(),
+        accountId: null,
         maxTradesPerDay: newTradingPlan.maxTradesPerDay,
         riskPercentPerTrade: newTradingPlan.riskPercentPerTrade,
         targetRiskRewardRatio: newTradingPlan.targetRiskRewardRatio,
@@ -76,6 +78,7 @@ describe('Trading Plan routes', () => {
       expect(res.body).toEqual({
         id: expect.anything(),
         userId: userOne._id.toHexString(),
+        accountId: null,
         maxTradesPerDay: updateData.maxTradesPerDay,
         riskPercentPerTrade: updateData.riskPercentPerTrade,
         targetRiskRewardRatio: updateData.targetRiskRewardRatio,
@@ -94,6 +97,36 @@ describe('Trading Plan routes', () => {
       expect(dbTradingPlan.id).toBeDefined();
     });
 
+    test('should return 201 and keep the plan of an account apart from the general plan', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([{ ...accountOne, userId: userOne._id }]);
+      await insertTradingPlans([{ ...tradingPlanOne, userId: userOne._id }]);
+
+      const res = await request(app)
+        .post('/v1/trading-plan')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ accountId: accountOne._id.toHexString() })
+        .send(newTradingPlan)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body.accountId).toBe(accountOne._id.toHexString());
+      await expect(TradingPlan.countDocuments({ userId: userOne._id })).resolves.toBe(2);
+      const generalPlan = await TradingPlan.findById(tradingPlanOne._id);
+      expect(generalPlan.maxTradesPerDay).toBe(tradingPlanOne.maxTradesPerDay);
+    });
+
+    test('should return 404 error if the account belongs to another user', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([accountTwo]);
+
+      await request(app)
+        .post('/v1/trading-plan')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ accountId: accountTwo._id.toHexString() })
+        .send(newTradingPlan)
+        .expect(httpStatus.NOT_FOUND);
+    });
+
     test('should return 401 error if access token is missing', async () => {
       await request(app).post('/v1/trading-plan').send(newTradingPlan).expect(httpStatus.UNAUTHORIZED);
     });
@@ -131,6 +164,23 @@ describe('Trading Plan routes', () => {
         .expect(httpStatus.BAD_REQUEST);
     });
 
+    test('should return 201 and accept the custom sessions of the user as preferred sessions', async () => {
+      await insertUsers([userOne]);
+      await SessionCatalogue.create({
+        userId: userOne._id,
+        sessions: [{ code: 'NY_OPEN', label: 'NY open', timeZone: 'America/New_York', start: '09:30', end: '11:00' }],
+      });
+      newTradingPlan.preferredSessions = ['NY_OPEN'];
+
+      const res = await request(app)
+        .post('/v1/trading-plan')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newTradingPlan)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body.preferredSessions).toEqual(['NY_OPEN']);
+    });
+
     test('should return 400 error if preferredSessions contains invalid session', async () => {
       await insertUsers([userOne]);
       newTradingPlan.preferredSessions = ['INVALID'];
@@ -179,6 +229,7 @@ describe('Trading Plan routes', () => {
       expect(res.body).toEqual({
         id: expect.anything(),
         userId: userOne._id.toHexString(),
+        accountId: null,
         maxTradesPerDay: tradingPlanOne.maxTradesPerDay,
         riskPercentPerTrade: tradingPlanOne.riskPercentPerTrade,
         targetRiskRewardRatio: tradingPlanOne.targetRiskRewardRatio,
@@ -231,4 +282,197 @@ describe('Trading Plan routes', () => {
         .expect(httpStatus.NOT_FOUND);
     });
   });
+
+  describe('POST /v1/trading-plan/check', () => {
+    let proposedTrade;
+
+    beforeEach(() => {
+      proposedTrade = { session: 'LONDON', riskPercent: 1.5, riskReward: 2 };
+    });
+
+    test('should return 200 and allow a trade within the plan', async () => {
+      await insertUsers([userOne]);
+      await insertTradingPlans([{ ...tradingPlanOne, userId: userOne._id }]);
+
+      const res = await request(app)
+        .post('/v1/trading-plan/check')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(proposedTrade)
+        .expect(httpStatus.OK);
+
+      expect(res.body.decision).toBe('ALLOW');
+      expect(res.body.reasons).toEqual([]);
+      expect(res.body.context).toMatchObject({ tradingPlanVersion: 1, tradesToday: 0, psychologicalState: 'STABLE' });
+    });
+
+    test('should return 200 and block a trade risking more than the plan', async () => {
+      await insertUsers([userOne]);
+      await insertTradingPlans([{ ...tradingPlanOne, userId: userOne._id }]);
+      proposedTrade.riskPercent = 5;
+
+      const res = await request(app)
+        .post('/v1/trading-plan/check')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(proposedTrade)
+        .expect(httpStatus.OK);
+
+      expect(res.body.decision).toBe('BLOCK');
+      expect(res.body.reasons[0]).toEqual({
+        rule: 'RISK_ABOVE_PLAN',
+        severity: 'BLOCK',
+        message: 'Risking 5% against a planned 2%',
+      });
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app).post('/v1/trading-plan/check').send(proposedTrade).expect(httpStatus.UNAUTHORIZED);
+    });
+
+    test('should return 400 error if riskPercent is missing', async () => {
+      await insertUsers([userOne]);
+      delete proposedTrade.riskPercent;
+
+      await request(app)
+        .post('/v1/trading-plan/check')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(proposedTrade)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if session is invalid', async () => {
+      await insertUsers([userOne]);
+      proposedTrade.session = 'SYDNEY';
+
+      await request(app)
+        .post('/v1/trading-plan/check')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(proposedTrade)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('GET /v1/trading-plan/versions', () => {
+    test('should return 200 and the versions, newest first', async () => {
+      await insertUsers([userOne]);
+      await insertTradingPlans([{ ...tradingPlanOne, userId: userOne._id }]);
+
+      await request(app)
+        .post('/v1/trading-plan')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({
+          maxTradesPerDay: 3,
+          riskPercentPerTrade: 1.0,
+          targetRiskRewardRatio: 2.0,
+          preferredSessions: ['LONDON'],
+          stopLossDiscipline: 'ALWAYS',
+        })
+        .expect(httpStatus.CREATED);
+
+      const res = await request(app)
+        .get('/v1/trading-plan/versions')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ page: 1, limit: 10, totalPages: 1, totalResults: 2 });
+      expect(res.body.results[0]).toMatchObject({ version: 2, maxTradesPerDay: 3, effectiveTo: null });
+      expect(res.body.results[1]).toMatchObject({ version: 1, maxTradesPerDay: tradingPlanOne.maxTradesPerDay });
+      expect(res.body.results[1].effectiveTo).toBe(res.body.results[0].effectiveFrom);
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app).get('/v1/trading-plan/versions').send().expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe('GET /v1/trading-plan/versions/:version', () => {
+    test('should return 200 and the version', async () => {
+      await insertUsers([userOne]);
+      await insertTradingPlans([{ ...tradingPlanOne, userId: userOne._id }]);
+
+      const res = await request(app)
+        .get('/v1/trading-plan/versions/1')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({
+        version: 1,
+        tradingPlan: tradingPlanOne._id.toHexString(),
+        riskPercentPerTrade: tradingPlanOne.riskPercentPerTrade,
+      });
+    });
+
+    test('should return 404 error if the version does not exist', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .get('/v1/trading-plan/versions/1')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.NOT_FOUND);
+    });
+
+    test('should return 400 error if version is not a positive integer', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .get('/v1/trading-plan/versions/0')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('GET /v1/trading-plan/versions/diff', () => {
+    test('should return 200 and the changed rules', async () => {
+      await insertUsers([userOne]);
+      await insertTradingPlans([{ ...tradingPlanOne, userId: userOne._id }]);
+      await request(app)
+        .post('/v1/trading-plan')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({
+          maxTradesPerDay: tradingPlanOne.maxTradesPerDay,
+          riskPercentPerTrade: 1.0,
+          targetRiskRewardRatio: tradingPlanOne.targetRiskRewardRatio,
+          preferredSessions: tradingPlanOne.preferredSessions,
+          stopLossDiscipline: tradingPlanOne.stopLossDiscipline,
+        })
+        .expect(httpStatus.CREATED);
+
+      const res = await request(app)
+        .get('/v1/trading-plan/versions/diff')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ from: 1, to: 2 })
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.from.version).toBe(1);
+      expect(res.body.to.version).toBe(2);
+      expect(res.body.changes).toEqual([{ field: 'riskPercentPerTrade', from: tradingPlanOne.riskPercentPerTrade, to: 1 }]);
+    });
+
+    test('should return 400 error if from or to is missing', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .get('/v1/trading-plan/versions/diff')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ from: 1 })
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 404 error if a version does not exist', async () => {
+      await insertUsers([userOne]);
+      await insertTradingPlans([{ ...tradingPlanOne, userId: userOne._id }]);
+
+      await request(app)
+        .get('/v1/trading-plan/versions/diff')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .query({ from: 1, to: 2 })
+        .send()
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
 });
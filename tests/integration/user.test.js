@@ -3,7 +3,8 @@ const faker = require('faker');
 const httpStatus = require('http-status');
 const app = require('../../src/app');
 const setupTestDB = require('../utils/setupTestDB');
-const { User } = require('../../src/models');
+const { User, Dashboard } = require('../../src/models');
+const { dashboardService } = require('../../src/services');
 const { userOne, userTwo, admin, insertUsers } = require('../fixtures/user.fixture');
 const { userOneAccessToken, adminAccessToken } = require('../fixtures/token.fixture');
 
@@ -38,6 +39,7 @@ describe('User routes', () => {
         email: newUser.email,
         role: newUser.role,
         isEmailVerified: false,
+        timezone: 'UTC',
       });
 
       const dbUser = await User.findById(res.body.id);
@@ -164,6 +166,7 @@ describe('User routes', () => {
         email: userOne.email,
         role: userOne.role,
         isEmailVerified: userOne.isEmailVerified,
+        timezone: 'UTC',
       });
     });
 
@@ -367,6 +370,7 @@ describe('User routes', () => {
         name: userOne.name,
         role: userOne.role,
         isEmailVerified: userOne.isEmailVerified,
+        timezone: 'UTC',
       });
     });
 
@@ -500,6 +504,7 @@ describe('User routes', () => {
         email: updateBody.email,
         role: 'user',
         isEmailVerified: false,
+        timezone: 'UTC',
       });
 
       const dbUser = await User.findById(userOne._id);
@@ -508,6 +513,30 @@ describe('User routes', () => {
       expect(dbUser).toMatchObject({ name: updateBody.name, email: updateBody.email, role: 'user' });
     });
 
+    test('should return 200 and set the time zone, invalidating the dashboards', async () => {
+      await insertUsers([userOne]);
+      await dashboardService.getCompleteDashboard(userOne._id, 'MONTH');
+
+      const res = await request(app)
+        .patch(`/v1/users/${userOne._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ timezone: 'America/New_York' })
+        .expect(httpStatus.OK);
+
+      expect(res.body.timezone).toBe('America/New_York');
+      await expect(Dashboard.findOne({ userId: userOne._id })).resolves.toMatchObject({ stale: true });
+    });
+
+    test('should return 400 if time zone is invalid', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .patch(`/v1/users/${userOne._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ timezone: 'Mars/Olympus' })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
     test('should return 401 error if access token is missing', async () => {
       await insertUsers([userOne]);
       const updateBody = { name: faker.name.findName() };
@@ -0,0 +1,67 @@
+const runSnapshotJob = require('../../../src/jobs/snapshot.job');
+const { jobLockService } = require('../../../src/services');
+const { PerformanceSnapshot, JobLock } = require('../../../src/models');
+const { userOne, userTwo, insertUsers } = require('../../fixtures/user.fixture');
+const setupTestDB = require('../../utils/setupTestDB');
+
+setupTestDB();
+
+describe('Snapshot job', () => {
+  const now = new Date('2023-01-04T10:00:00Z');
+
+  beforeEach(async () => {
+    await JobLock.init();
+    await insertUsers([userOne]);
+  });
+
+  test('should write the daily and weekly snapshots of the last completed periods', async () => {
+    await expect(runSnapshotJob(now)).resolves.toEqual({ daily: true, weekly: true });
+
+    const snapshots = await PerformanceSnapshot.find({ userId: userOne._id }).sort({ period: 1 });
+    expect(snapshots).toHaveLength(2);
+    expect(snapshots[0]).toMatchObject({ period: 'DAILY', periodStart: new Date('2023-01-03T00:00:00Z') });
+    expect(snapshots[1]).toMatchObject({ period: 'WEEKLY', periodStart: new Date('2022-12-26T00:00:00Z') });
+  });
+
+  test('should not process a period twice', async () => {
+    await runSnapshotJob(now);
+
+    await expect(runSnapshotJob(new Date('2023-01-04T11:00:00Z'))).resolves.toEqual({ daily: false, weekly: false });
+    await expect(runSnapshotJob(new Date('2023-01-05T01:00:00Z'))).resolves.toEqual({ daily: true, weekly: false });
+  });
+
+  test('should write the snapshots of a time zone once the period is over there', async () => {
+    await insertUsers([{ ...userTwo, timezone: 'America/New_York' }]);
+    await runSnapshotJob(new Date('2023-01-04T01:00:00Z'));
+
+    await expect(runSnapshotJob(new Date('2023-01-04T06:00:00Z'))).resolves.toEqual({ daily: true, weekly: false });
+
+    const snapshots = await PerformanceSnapshot.find({ userId: userTwo._id, period: 'DAILY' }).sort({ periodStart: 1 });
+    expect(snapshots.map((snapshot) => snapshot.periodStart)).toEqual([
+      new Date('2023-01-02T05:00:00Z'),
+      new Date('2023-01-03T05:00:00Z'),
+    ]);
+    await expect(PerformanceSnapshot.countDocuments({ userId: userOne._id, period: 'DAILY' })).resolves.toBe(1);
+  });
+
+  test('should skip a period while another instance holds its lock', async () => {
+    await JobLock.create({
+      name: 'performanceSnapshots:DAILY:UTC',
+      lockedBy: 'other-instance',
+      lockedUntil: new Date(Date.now() + 60000),
+    });
+
+    await expect(runSnapshotJob(now)).resolves.toEqual({ daily: false, weekly: true });
+    await expect(PerformanceSnapshot.countDocuments({ period: 'DAILY' })).resolves.toBe(0);
+  });
+
+  test('should take over a lock that expired', async () => {
+    await JobLock.create({
+      name: 'performanceSnapshots:DAILY',
+      lockedBy: 'crashed-instance',
+      lockedUntil: new Date(Date.now() - 1000),
+    });
+
+    await expect(jobLockService.acquireJobLock('performanceSnapshots:DAILY', 'run', 60000)).resolves.toBe(true);
+  });
+});
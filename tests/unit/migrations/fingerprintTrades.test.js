@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { Trade } = require('../../../src/models');
+const { up } = require('../../../src/migrations/fingerprintTrades');
+const { getTradeFingerprint } = require('../../../src/services/trade.service');
+const { tradeOne, tradeTwo, insertTrades } = require('../../fixtures/trade.fixture');
+const setupTestDB = require('../../utils/setupTestDB');
+
+setupTestDB();
+
+describe('fingerprintTrades migration', () => {
+  test('should fingerprint trades and report the ones recorded twice without removing them', async () => {
+    const userId = mongoose.Types.ObjectId();
+    const otherUserId = mongoose.Types.ObjectId();
+    const duplicateId = mongoose.Types.ObjectId();
+    await insertTrades([
+      { ...tradeOne, userId },
+      { ...tradeTwo, userId },
+      { ...tradeOne, _id: duplicateId, userId },
+      { ...tradeOne, _id: mongoose.Types.ObjectId(), userId: otherUserId },
+    ]);
+
+    const result = await up();
+
+    expect(result.fingerprinted).toBe(3);
+    expect(result.collisions).toHaveLength(1);
+    expect(result.collisions[0].tradeId.toString()).toBe(duplicateId.toString());
+    expect(result.collisions[0].duplicateOf.toString()).toBe(tradeOne._id.toString());
+    await expect(Trade.countDocuments({ userId })).resolves.toBe(3);
+    await expect(Trade.countDocuments({ userId: otherUserId })).resolves.toBe(1);
+    await expect(Trade.findById(duplicateId)).resolves.not.toBeNull();
+  });
+
+  test('should tell apart trades on different symbols or in different directions', async () => {
+    const userId = mongoose.Types.ObjectId();
+    await insertTrades([
+      { ...tradeOne, userId, symbol: 'EURUSD', direction: 'LONG' },
+      { ...tradeOne, _id: mongoose.Types.ObjectId(), userId, symbol: 'GBPUSD', direction: 'LONG' },
+      { ...tradeOne, _id: mongoose.Types.ObjectId(), userId, symbol: 'EURUSD', direction: 'SHORT' },
+    ]);
+
+    await expect(up()).resolves.toEqual({ fingerprinted: 3, collisions: [] });
+  });
+
+  test('should fingerprint again the trades fingerprinted without their symbol', async () => {
+    const userId = mongoose.Types.ObjectId();
+    const trade = { ...tradeOne, userId, symbol: 'EURUSD' };
+    const { symbol, ...tradeWithoutSymbol } = trade;
+    await insertTrades([{ ...trade, fingerprint: getTradeFingerprint(tradeWithoutSymbol) }]);
+
+    await expect(up()).resolves.toEqual({ fingerprinted: 1, collisions: [] });
+
+    const { fingerprint } = await Trade.findById(tradeOne._id).lean();
+    expect(fingerprint).toBe(getTradeFingerprint(trade));
+  });
+});
@@ -0,0 +1,26 @@
+const { TradingPlanVersion, Dashboard } = require('../../../src/models');
+const { up } = require('../../../src/migrations/scopeByAccount');
+const setupTestDB = require('../../utils/setupTestDB');
+
+setupTestDB();
+
+const getIndexNames = async (model) => (await model.collection.indexes()).map((index) => index.name);
+
+describe('scopeByAccount migration', () => {
+  test('should replace the unique indexes of a user by the ones of an account', async () => {
+    await Promise.all([TradingPlanVersion.init(), Dashboard.init()]);
+    await TradingPlanVersion.collection.dropIndex('userId_1_accountId_1_version_1');
+    await TradingPlanVersion.collection.createIndex({ userId: 1, version: 1 }, { unique: true });
+    await Dashboard.collection.dropIndex('userId_1_accountId_1_period_1');
+    await Dashboard.collection.createIndex({ userId: 1, period: 1 }, { unique: true });
+
+    await expect(up()).resolves.toEqual({ droppedIndexes: 2 });
+
+    const versionIndexes = await getIndexNames(TradingPlanVersion);
+    expect(versionIndexes).toContain('userId_1_accountId_1_version_1');
+    expect(versionIndexes).not.toContain('userId_1_version_1');
+    const dashboardIndexes = await getIndexNames(Dashboard);
+    expect(dashboardIndexes).toContain('userId_1_accountId_1_period_1');
+    expect(dashboardIndexes).not.toContain('userId_1_period_1');
+  });
+});
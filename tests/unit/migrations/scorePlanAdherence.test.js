@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { Trade } = require('../../../src/models');
+const { up } = require('../../../src/migrations/scorePlanAdherence');
+const { tradeOne, tradeTwo, insertTrades } = require('../../fixtures/trade.fixture');
+const { tradingPlanOne, insertTradingPlans } = require('../../fixtures/tradingPlan.fixture');
+const { userOne, insertUsers } = require('../../fixtures/user.fixture');
+const setupTestDB = require('../../utils/setupTestDB');
+
+setupTestDB();
+
+describe('scorePlanAdherence migration', () => {
+  test('should score unscored trades of users with a trading plan', async () => {
+    const userId = mongoose.Types.ObjectId();
+    const userWithoutPlanId = mongoose.Types.ObjectId();
+    await insertTradingPlans([{ ...tradingPlanOne, userId }]);
+    await insertTrades([
+      { ...tradeOne, userId },
+      { ...tradeTwo, userId },
+      { ...tradeOne, _id: mongoose.Types.ObjectId(), userId: userWithoutPlanId },
+    ]);
+
+    await expect(up()).resolves.toBe(2);
+
+    await expect(Trade.countDocuments({ userId, 'planAdherence.score': 100 })).resolves.toBe(2);
+    await expect(
+      Trade.countDocuments({ userId: userWithoutPlanId, 'planAdherence.score': { $exists: true } })
+    ).resolves.toBe(0);
+  });
+
+  test('should score the trades by the days of the time zone of the user', async () => {
+    await insertUsers([{ ...userOne, timezone: 'America/New_York' }]);
+    await insertTradingPlans([{ ...tradingPlanOne, userId: userOne._id, maxTradesPerDay: 1 }]);
+    // Two UTC days, but the evening of 1 January in New York
+    const trades = [
+      { ...tradeOne, userId: userOne._id, entryTime: new Date('2023-01-01T23:00:00Z') },
+      { ...tradeOne, _id: mongoose.Types.ObjectId(), userId: userOne._id, entryTime: new Date('2023-01-02T01:00:00Z') },
+    ];
+    await insertTrades(trades);
+
+    await expect(up()).resolves.toBe(2);
+
+    const second = await Trade.findById(trades[1]._id);
+    expect(second.planAdherence.violations[0].rule).toBe('MAX_TRADES_EXCEEDED');
+  });
+});
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { StateAnalysis, SessionForecast } = require('../../../src/models');
+const { up } = require('../../../src/migrations/unifyPsychologicalStates');
+const setupTestDB = require('../../utils/setupTestDB');
+
+setupTestDB();
+
+describe('unifyPsychologicalStates migration', () => {
+  test('should rewrite legacy state labels to canonical states', async () => {
+    const stateAnalysisId = mongoose.Types.ObjectId();
+    const sessionForecastId = mongoose.Types.ObjectId();
+    await StateAnalysis.collection.insertOne({ _id: stateAnalysisId, userId: mongoose.Types.ObjectId(), state: 'GREEDY' });
+    await SessionForecast.collection.insertOne({
+      _id: sessionForecastId,
+      userId: mongoose.Types.ObjectId(),
+      basedOnState: 'NEUTRAL',
+    });
+
+    const updated = await up();
+
+    expect(updated).toBe(2);
+    await expect(StateAnalysis.collection.findOne({ _id: stateAnalysisId })).resolves.toMatchObject({ state: 'AGGRESSIVE' });
+    await expect(SessionForecast.collection.findOne({ _id: sessionForecastId })).resolves.toMatchObject({
+      basedOnState: 'STABLE',
+    });
+  });
+
+  test('should leave canonical states untouched', async () => {
+    await StateAnalysis.collection.insertOne({ userId: mongoose.Types.ObjectId(), state: 'STABLE' });
+
+    await expect(up()).resolves.toBe(0);
+  });
+});
@@ -16,7 +16,7 @@ describe('Dashboard model', () => {
         name: 'John Doe',
       },
       brainHero: {
-        state: PsychologicalState.CONFIDENT,
+        state: PsychologicalState.STABLE,
         stateAnalysis: mongoose.Types.ObjectId(),
       },
       sessionForecast: mongoose.Types.ObjectId(),
@@ -103,7 +103,7 @@ describe('Dashboard model', () => {
   test('should allow all psychological states', async () => {
     Object.values(PsychologicalState).forEach(async (state) => {
       dashboardData.brainHero.state = state;
-      const dashboard = new Dashboard(dashboardData);
+      const dashboard = new Dashboard({ ...dashboardData, userId: mongoose.Types.ObjectId() });
       const savedDashboard = await dashboard.save();
 
       expect(savedDashboard.brainHero.state).toBe(state);
@@ -159,6 +159,31 @@ describe('Dashboard model', () => {
     expect(json.id).toBe(savedDashboard._id.toString());
   });
 
+  test('should default period to MONTH and computedAt to now', async () => {
+    const dashboard = new Dashboard(dashboardData);
+    const savedDashboard = await dashboard.save();
+
+    expect(savedDashboard.period).toBe('MONTH');
+    expect(savedDashboard.computedAt).toBeInstanceOf(Date);
+    expect(savedDashboard.stale).toBe(false);
+    expect(savedDashboard.tradingPlan).toBeNull();
+  });
+
+  test('should validate period enum values', async () => {
+    dashboardData.period = 'DECADE';
+    const dashboard = new Dashboard(dashboardData);
+
+    await expect(dashboard.save()).rejects.toThrow();
+  });
+
+  test('should allow one dashboard per user and period', async () => {
+    await Dashboard.init();
+    await new Dashboard({ ...dashboardData, period: 'WEEK' }).save();
+    await new Dashboard({ ...dashboardData, period: 'MONTH' }).save();
+
+    await expect(new Dashboard({ ...dashboardData, period: 'WEEK' }).save()).rejects.toThrow();
+  });
+
   test('should have proper indexes', async () => {
     const indexes = Dashboard.collection.getIndexes();
     expect(indexes).toHaveProperty('userId_1');
@@ -180,14 +205,14 @@ describe('Dashboard model', () => {
 
   test('should handle complex nested brainHero object', async () => {
     dashboardData.brainHero = {
-      state: PsychologicalState.ANXIOUS,
+      state: PsychologicalState.HESITANT,
       stateAnalysis: mongoose.Types.ObjectId(),
     };
 
     const dashboard = new Dashboard(dashboardData);
     const savedDashboard = await dashboard.save();
 
-    expect(savedDashboard.brainHero.state).toBe(PsychologicalState.ANXIOUS);
+    expect(savedDashboard.brainHero.state).toBe(PsychologicalState.HESITANT);
     expect(savedDashboard.brainHero.stateAnalysis.toString()).toBe(dashboardData.brainHero.stateAnalysis.toString());
   });
 
@@ -11,7 +11,7 @@ describe('StateAnalysis model', () => {
   beforeEach(() => {
     stateAnalysisData = {
       userId: mongoose.Types.ObjectId(),
-      state: PsychologicalState.CONFIDENT,
+      state: PsychologicalState.STABLE,
       confidence: 75,
       indicators: [
         {
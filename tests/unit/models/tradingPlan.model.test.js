@@ -1,6 +1,6 @@
 const mongoose = require('mongoose');
 const { TradingPlan } = require('../../../src/models');
-const { TradingSessions, StopLossDisciplines } = require('../../../src/models/enums');
+const { StopLossDisciplines } = require('../../../src/models/enums');
 const setupTestDB = require('../../utils/setupTestDB');
 
 setupTestDB();
@@ -14,7 +14,7 @@ describe('TradingPlan model', () => {
       maxTradesPerDay: 5,
       riskPercentPerTrade: 2.0,
       targetRiskRewardRatio: 2.0,
-      preferredSessions: [TradingSessions.LONDON, TradingSessions.NY],
+      preferredSessions: ['LONDON', 'NY'],
       stopLossDiscipline: StopLossDisciplines.STRICT,
     };
   });
@@ -90,8 +90,8 @@ describe('TradingPlan model', () => {
     await expect(tradingPlan.save()).rejects.toThrow();
   });
 
-  test('should validate preferredSessions enum values', async () => {
-    tradingPlanData.preferredSessions = ['INVALID_SESSION'];
+  test('should validate preferredSessions are session codes', async () => {
+    tradingPlanData.preferredSessions = ['London open'];
     const tradingPlan = new TradingPlan(tradingPlanData);
 
     await expect(tradingPlan.save()).rejects.toThrow();
@@ -113,19 +113,19 @@ describe('TradingPlan model', () => {
   });
 
   test('should allow single preferred session', async () => {
-    tradingPlanData.preferredSessions = [TradingSessions.LONDON];
+    tradingPlanData.preferredSessions = ['LONDON'];
     const tradingPlan = new TradingPlan(tradingPlanData);
     const savedTradingPlan = await tradingPlan.save();
 
-    expect(savedTradingPlan.preferredSessions).toEqual([TradingSessions.LONDON]);
+    expect(savedTradingPlan.preferredSessions).toEqual(['LONDON']);
   });
 
   test('should allow all trading sessions', async () => {
-    tradingPlanData.preferredSessions = Object.values(TradingSessions);
+    tradingPlanData.preferredSessions = ['LONDON', 'NY', 'ASIA'];
     const tradingPlan = new TradingPlan(tradingPlanData);
     const savedTradingPlan = await tradingPlan.save();
 
-    expect(savedTradingPlan.preferredSessions).toEqual(Object.values(TradingSessions));
+    expect(savedTradingPlan.preferredSessions).toEqual(['LONDON', 'NY', 'ASIA']);
   });
 
   test('should allow all stop loss disciplines', async () => {
@@ -37,6 +37,11 @@ describe('User model', () => {
       await expect(new User(newUser).validate()).rejects.toThrow();
     });
 
+    test('should throw a validation error if time zone is unknown', async () => {
+      newUser.timezone = 'Mars/Olympus';
+      await expect(new User(newUser).validate()).rejects.toThrow();
+    });
+
     test('should throw a validation error if role is unknown', async () => {
       newUser.role = 'invalid';
       await expect(new User(newUser).validate()).rejects.toThrow();
@@ -1,25 +1,31 @@
 const mongoose = require('mongoose');
 const { analysisService } = require('../../../src/services');
-const { StateAnalysis } = require('../../../src/models');
-const { tradeOne, tradeTwo, insertTrades } = require('../../fixtures/trade.fixture');
+const { StateAnalysis, StateRuleSet, SessionForecast, MistakeCatalogue } = require('../../../src/models');
+const { tradeOne, tradeTwo, tradeThree, insertTrades } = require('../../fixtures/trade.fixture');
+const { tradingPlanOne, insertTradingPlans } = require('../../fixtures/tradingPlan.fixture');
+const { checkInOne, insertCheckIns } = require('../../fixtures/checkIn.fixture');
+const { userOne, insertUsers } = require('../../fixtures/user.fixture');
+const { accountOne, accountTwo, insertAccounts } = require('../../fixtures/account.fixture');
+const { eurUsdRate, insertFxRates } = require('../../fixtures/fxRate.fixture');
 const setupTestDB = require('../../utils/setupTestDB');
 
 setupTestDB();
 
 describe('Analysis service', () => {
   describe('getCurrentState', () => {
-    test('should return neutral state when no trades exist', async () => {
+    test('should return stable state when no trades exist', async () => {
       const userId = mongoose.Types.ObjectId();
 
       const result = await analysisService.getCurrentState(userId);
 
       expect(result).toEqual({
-        state: 'NEUTRAL',
+        state: 'STABLE',
         confidence: 50,
         riskTolerance: 50,
         emotionalBalance: 50,
         lastUpdated: expect.any(String),
         recommendations: ['Start trading to build psychological profile'],
+        indicators: [],
       });
     });
 
@@ -59,7 +65,7 @@ describe('Analysis service', () => {
       expect(Array.isArray(result.recommendations)).toBe(true);
     });
 
-    test('should identify confident state with high win rate', async () => {
+    test('should identify overextended state with high win rate', async () => {
       const userId = mongoose.Types.ObjectId();
       const winningTrades = Array.from({ length: 8 }, () => ({
         ...tradeOne,
@@ -87,12 +93,12 @@ describe('Analysis service', () => {
 
       const result = await analysisService.getCurrentState(userId);
 
-      expect(result.state).toBe('CONFIDENT');
+      expect(result.state).toBe('OVEREXTENDED');
       expect(result.confidence).toBeGreaterThan(50);
       expect(result.riskTolerance).toBeGreaterThan(50);
     });
 
-    test('should identify frustrated state with low win rate', async () => {
+    test('should identify hesitant state with low win rate', async () => {
       const userId = mongoose.Types.ObjectId();
       const winningTrades = Array.from({ length: 2 }, () => ({
         ...tradeOne,
@@ -120,12 +126,12 @@ describe('Analysis service', () => {
 
       const result = await analysisService.getCurrentState(userId);
 
-      expect(result.state).toBe('FRUSTRATED');
+      expect(result.state).toBe('HESITANT');
       expect(result.confidence).toBeLessThan(50);
       expect(result.riskTolerance).toBeLessThan(50);
     });
 
-    test('should identify greedy state with high risk usage', async () => {
+    test('should identify aggressive state with high risk usage', async () => {
       const userId = mongoose.Types.ObjectId();
       const highRiskTrades = Array.from({ length: 5 }, () => ({
         ...tradeOne,
@@ -142,12 +148,12 @@ describe('Analysis service', () => {
 
       const result = await analysisService.getCurrentState(userId);
 
-      expect(result.state).toBe('GREEDY');
+      expect(result.state).toBe('AGGRESSIVE');
       expect(result.riskTolerance).toBeGreaterThan(50);
       expect(result.recommendations).toContain('Reduce risk per trade');
     });
 
-    test('should identify fearful state with low risk usage', async () => {
+    test('should identify hesitant state with low risk usage', async () => {
       const userId = mongoose.Types.ObjectId();
       const lowRiskTrades = Array.from({ length: 5 }, () => ({
         ...tradeOne,
@@ -164,12 +170,263 @@ describe('Analysis service', () => {
 
       const result = await analysisService.getCurrentState(userId);
 
-      expect(result.state).toBe('FEARFUL');
+      expect(result.state).toBe('HESITANT');
       expect(result.riskTolerance).toBeLessThan(50);
       expect(result.recommendations).toContain('Consider increasing position size gradually');
     });
   });
 
+  describe('state rules', () => {
+    const scalperRuleSet = (userId) => ({
+      userId,
+      name: 'Scalper thresholds',
+      rules: [
+        {
+          name: 'High risk per trade',
+          conditions: [{ metric: 'avgRiskUsed', operator: 'gt', value: 1 }],
+          state: 'AGGRESSIVE',
+          adjustments: { riskTolerance: 30 },
+          indicator: { category: 'Risk Management', message: 'Average risk per trade above 1%', severity: 'critical' },
+          recommendation: 'Scalp with at most 1% risk',
+        },
+      ],
+    });
+
+    test('should apply the user rule set instead of the built-in rules', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await StateRuleSet.create(scalperRuleSet(userId));
+      await insertTrades([{ ...tradeOne, userId, riskPercentUsed: 2.0 }]);
+
+      const result = await analysisService.getCurrentState(userId);
+
+      expect(result.state).toBe('AGGRESSIVE');
+      expect(result.riskTolerance).toBe(80);
+      expect(result.recommendations).toEqual(['Scalp with at most 1% risk']);
+      expect(result.indicators).toEqual([
+        {
+          category: 'Risk Management',
+          message: 'Average risk per trade above 1%',
+          severity: 'critical',
+          value: 2,
+          source: 'trades',
+        },
+      ]);
+    });
+
+    test('should fall back to the global rule set', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await StateRuleSet.create(scalperRuleSet(null));
+      await insertTrades([{ ...tradeOne, userId, riskPercentUsed: 2.0 }]);
+
+      const result = await analysisService.getCurrentState(userId);
+
+      expect(result.state).toBe('AGGRESSIVE');
+    });
+
+    test('should dry-run rules without saving a state analysis', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTrades([{ ...tradeOne, userId, riskPercentUsed: 2.0 }]);
+      const { rules } = scalperRuleSet(userId);
+
+      const result = await analysisService.dryRunStateRules(userId, { source: 'INLINE', ruleSetId: null, rules });
+
+      expect(result).toMatchObject({
+        source: 'INLINE',
+        analyzedTradeCount: 1,
+        matchedRules: ['High risk per trade'],
+        result: { state: 'AGGRESSIVE' },
+      });
+      expect(result.metrics.avgRiskUsed).toBe(2);
+      await expect(StateAnalysis.countDocuments({ userId })).resolves.toBe(0);
+    });
+
+    test('should average R:R over the trades that have one and match no condition when none has', async () => {
+      const userId = mongoose.Types.ObjectId();
+      const imported = { ...tradeOne, userId, riskRewardAchieved: undefined, targetPercentAchieved: undefined };
+      await insertTrades([imported]);
+      const rules = [{ name: 'Low R:R', conditions: [{ metric: 'avgRiskReward', operator: 'lt', value: 1 }] }];
+
+      const result = await analysisService.dryRunStateRules(userId, { source: 'INLINE', ruleSetId: null, rules });
+
+      expect(result.metrics).toMatchObject({ tradeCount: 1, avgRiskReward: null, avgTargetAchieved: null });
+      expect(result.matchedRules).toEqual([]);
+
+      await insertTrades([{ ...tradeOne, _id: mongoose.Types.ObjectId(), userId, riskRewardAchieved: 0.5 }]);
+      const withRiskReward = await analysisService.dryRunStateRules(userId, { source: 'INLINE', ruleSetId: null, rules });
+
+      expect(withRiskReward.metrics.avgRiskReward).toBe(0.5);
+      expect(withRiskReward.matchedRules).toEqual(['Low R:R']);
+    });
+  });
+
+  describe('tilt detection', () => {
+    const sequenceTrade = (userId, entryTime, profitLoss, riskPercentUsed) => ({
+      ...tradeOne,
+      _id: mongoose.Types.ObjectId(),
+      userId,
+      entryTime: new Date(entryTime),
+      exitTime: new Date(new Date(entryTime).getTime() + 20 * 60 * 1000),
+      profitLoss,
+      riskPercentUsed,
+    });
+
+    test('should flag a trade opened shortly after a loss as revenge trading', async () => {
+      const userId = mongoose.Types.ObjectId();
+      const revengeTrade = sequenceTrade(userId, '2023-01-02T09:30:00Z', 50.0, 2.0);
+      await insertTrades([sequenceTrade(userId, '2023-01-02T09:00:00Z', -50.0, 2.0), revengeTrade]);
+
+      const result = await analysisService.getCurrentState(userId);
+
+      expect(result.indicators).toContainEqual({
+        category: 'Revenge Trading',
+        message: 'Trade opened 10 minutes after a loss',
+        severity: 'critical',
+        value: 10,
+        occurredAt: revengeTrade.entryTime,
+        tradeId: revengeTrade._id,
+        source: 'trades',
+      });
+    });
+
+    test('should flag risk increasing after consecutive losses', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTrades([
+        sequenceTrade(userId, '2023-01-02T09:00:00Z', -50.0, 1.0),
+        sequenceTrade(userId, '2023-01-02T12:00:00Z', -50.0, 1.0),
+        sequenceTrade(userId, '2023-01-02T15:00:00Z', 100.0, 2.5),
+      ]);
+
+      const result = await analysisService.getCurrentState(userId);
+
+      const escalation = result.indicators.find((indicator) => indicator.category === 'Risk Escalation');
+      expect(escalation).toMatchObject({ severity: 'critical', value: 2.5 });
+    });
+
+    test('should flag days exceeding the trading plan max trades per day', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTradingPlans([{ ...tradingPlanOne, userId, maxTradesPerDay: 1 }]);
+      await insertTrades([
+        sequenceTrade(userId, '2023-01-02T09:00:00Z', 50.0, 1.0),
+        sequenceTrade(userId, '2023-01-02T15:00:00Z', 50.0, 1.0),
+      ]);
+
+      await analysisService.getCurrentState(userId);
+
+      const stateAnalysis = await StateAnalysis.findOne({ userId });
+      const overtrading = stateAnalysis.indicators.find((indicator) => indicator.category === 'Overtrading');
+      expect(overtrading.severity).toBe('critical');
+      expect(overtrading.occurredAt.toISOString()).toBe('2023-01-02T15:00:00.000Z');
+    });
+
+    test('should not flag tilt for spaced out winning trades', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTrades([
+        sequenceTrade(userId, '2023-01-02T09:00:00Z', 50.0, 1.0),
+        sequenceTrade(userId, '2023-01-03T09:00:00Z', 50.0, 1.0),
+      ]);
+
+      const result = await analysisService.getCurrentState(userId);
+
+      expect(result.indicators.filter((indicator) => indicator.severity === 'critical')).toHaveLength(0);
+    });
+  });
+
+  describe('self-reported data', () => {
+    test('should combine recent check-ins with the behavioural metrics', async () => {
+      const baselineUserId = mongoose.Types.ObjectId();
+      const userId = mongoose.Types.ObjectId();
+      const recordedAt = new Date(Date.now() - 60 * 60 * 1000);
+      await insertTrades([
+        { ...tradeOne, userId: baselineUserId },
+        { ...tradeOne, _id: mongoose.Types.ObjectId(), userId },
+      ]);
+      await insertCheckIns([{ ...checkInOne, userId, mood: 2, stress: 5, sleep: 1, confidence: undefined, recordedAt }]);
+
+      const baseline = await analysisService.getCurrentState(baselineUserId);
+      const result = await analysisService.getCurrentState(userId);
+
+      expect(result.state).toBe(baseline.state);
+      expect(result.confidence).toBe(baseline.confidence);
+      expect(result.emotionalBalance).toBeLessThan(baseline.emotionalBalance);
+      expect(result.indicators).toContainEqual({
+        category: 'Stress',
+        message: 'Reported stress of 5/5',
+        severity: 'warning',
+        value: 5,
+        occurredAt: recordedAt,
+        source: 'check-ins',
+      });
+      expect(result.indicators.filter((indicator) => indicator.source === 'check-ins')).toHaveLength(3);
+      expect(result.recommendations).toContain('High stress or poor sleep reported - trade smaller or sit the session out');
+
+      const stateAnalysis = await StateAnalysis.findOne({ userId }).lean();
+      expect(stateAnalysis.indicators.map((indicator) => indicator.source)).toContain('check-ins');
+    });
+
+    test('should ignore check-ins older than the lookback', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTrades([{ ...tradeOne, userId }]);
+      await insertCheckIns([{ ...checkInOne, userId, recordedAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000) }]);
+
+      const result = await analysisService.getCurrentState(userId);
+
+      expect(result.indicators.filter((indicator) => indicator.source === 'check-ins')).toEqual([]);
+    });
+
+    test('should flag trades entered or closed in an unsettled state', async () => {
+      const userId = mongoose.Types.ObjectId();
+      const greedyTrade = { ...tradeTwo, userId, preTradeEmotion: 'GREEDY', postTradeEmotion: 'EUPHORIC' };
+      await insertTrades([{ ...tradeOne, userId, preTradeEmotion: 'CALM', postTradeEmotion: 'CALM' }, greedyTrade]);
+
+      const result = await analysisService.getCurrentState(userId);
+
+      expect(result.indicators).toContainEqual({
+        category: 'Trade Emotions',
+        message: '1 of 2 trades entered or closed in an unsettled state',
+        severity: 'warning',
+        value: 50,
+        occurredAt: greedyTrade.entryTime,
+        tradeId: greedyTrade._id,
+        source: 'trade-emotions',
+      });
+    });
+  });
+
+  describe('state analysis persistence', () => {
+    test('should save a state analysis every time the state is computed', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTrades([
+        { ...tradeOne, userId },
+        { ...tradeTwo, userId },
+      ]);
+
+      const result = await analysisService.getCurrentState(userId);
+
+      const stateAnalyses = await StateAnalysis.find({ userId });
+      expect(stateAnalyses).toHaveLength(1);
+      expect(stateAnalyses[0].confidence).toBe(result.confidence);
+      expect(stateAnalyses[0].recommendations).toEqual(result.recommendations);
+      expect(stateAnalyses[0].analyzedTradeCount).toBe(2);
+      expect(stateAnalyses[0].dateRange.from.toISOString()).toBe(tradeOne.entryTime.toISOString());
+      expect(stateAnalyses[0].dateRange.to.toISOString()).toBe(tradeTwo.entryTime.toISOString());
+      expect(stateAnalyses[0].indicators.length).toBeGreaterThan(0);
+    });
+
+    test('should only return analyses belonging to the user', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await analysisService.getCurrentState(userId);
+      await analysisService.getCurrentState(mongoose.Types.ObjectId());
+
+      const result = await analysisService.queryStateAnalyses(userId);
+
+      expect(result.totalResults).toBe(1);
+      expect(result.results[0].userId.toString()).toBe(userId.toString());
+      await expect(
+        analysisService.getStateAnalysisById(result.results[0]._id, mongoose.Types.ObjectId())
+      ).resolves.toBeNull();
+    });
+  });
+
   describe('getSessionForecast', () => {
     test('should return neutral forecast when no trades exist for session', async () => {
       const userId = mongoose.Types.ObjectId();
@@ -256,6 +513,224 @@ describe('Analysis service', () => {
     });
   });
 
+  describe('session forecast accuracy', () => {
+    const sessionDate = new Date('2023-01-02T00:00:00Z');
+
+    const insertForecast = (userId, overrides = {}) =>
+      SessionForecast.create({
+        userId,
+        session: 'LONDON',
+        sessionDate,
+        predictedBias: 'POSITIVE',
+        probability: 80,
+        riskLevel: 'LOW',
+        basedOnState: 'STABLE',
+        ...overrides,
+      });
+
+    test('should persist the first forecast of the day', async () => {
+      const userId = mongoose.Types.ObjectId();
+
+      await analysisService.getSessionForecast(userId, 'LONDON');
+      await insertTrades([{ ...tradeOne, userId, session: 'LONDON', profitLoss: 150.0 }]);
+      await analysisService.getSessionForecast(userId, 'LONDON');
+
+      const forecasts = await SessionForecast.find({ userId });
+      expect(forecasts).toHaveLength(1);
+      expect(forecasts[0]).toMatchObject({
+        session: 'LONDON',
+        predictedBias: 'NEUTRAL',
+        probability: 50,
+        riskLevel: 'MEDIUM',
+        basedOnState: 'STABLE',
+        status: 'PENDING',
+      });
+    });
+
+    test('should resolve forecasts against the trades taken in the session', async () => {
+      const userId = mongoose.Types.ObjectId();
+      const hit = await insertForecast(userId);
+      const miss = await insertForecast(userId, { session: 'NY', predictedBias: 'NEGATIVE', probability: 30 });
+      const noTrades = await insertForecast(userId, { session: 'ASIA' });
+      await insertTrades([
+        { ...tradeOne, userId, session: 'LONDON', entryTime: new Date('2023-01-02T09:00:00Z'), profitLoss: 150.0 },
+        { ...tradeTwo, userId, session: 'NY', entryTime: new Date('2023-01-02T14:00:00Z'), profitLoss: 80.0 },
+        {
+          ...tradeOne,
+          _id: mongoose.Types.ObjectId(),
+          userId,
+          session: 'ASIA',
+          entryTime: new Date('2023-01-03T01:00:00Z'),
+        },
+      ]);
+
+      await expect(analysisService.reconcileSessionForecasts(userId)).resolves.toBe(3);
+
+      await expect(SessionForecast.findById(hit._id)).resolves.toMatchObject({
+        status: 'RESOLVED',
+        outcome: { tradeCount: 1, profitLoss: 150, actualBias: 'POSITIVE', hit: true },
+      });
+      await expect(SessionForecast.findById(miss._id)).resolves.toMatchObject({
+        status: 'RESOLVED',
+        outcome: { tradeCount: 1, actualBias: 'POSITIVE', hit: false },
+      });
+      await expect(SessionForecast.findById(noTrades._id)).resolves.toMatchObject({
+        status: 'NO_TRADES',
+        outcome: { tradeCount: 0 },
+      });
+    });
+
+    test('should resolve forecasts on the net profit/loss of the trades converted into the reporting currency', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertAccounts([
+        { ...accountOne, userId },
+        { ...accountTwo, userId },
+      ]);
+      await insertFxRates([eurUsdRate]);
+      const forecast = await insertForecast(userId);
+      const entryTime = new Date('2023-01-02T09:00:00Z');
+      await insertTrades([
+        { ...tradeOne, userId, accountId: accountOne._id, session: 'LONDON', entryTime, profitLoss: 100.0 },
+        {
+          ...tradeTwo,
+          userId,
+          accountId: accountTwo._id,
+          session: 'LONDON',
+          entryTime,
+          profitLoss: -90.0,
+          commission: -5.0,
+        },
+      ]);
+
+      await analysisService.reconcileSessionForecasts(userId);
+
+      // 100 USD against -95 EUR, worth -104.50 USD
+      await expect(SessionForecast.findById(forecast._id)).resolves.toMatchObject({
+        status: 'RESOLVED',
+        outcome: { tradeCount: 2, profitLoss: -4.5, currency: 'USD', actualBias: 'NEGATIVE', hit: false },
+      });
+    });
+
+    test('should not resolve the forecast for today', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await analysisService.getSessionForecast(userId, 'LONDON');
+
+      await expect(analysisService.reconcileSessionForecasts(userId)).resolves.toBe(0);
+    });
+
+    test('should resolve forecasts against the trades of the day in the time zone of the user', async () => {
+      await insertUsers([{ ...userOne, timezone: 'Asia/Tokyo' }]);
+      // Midnight of 2 January in Tokyo
+      const forecast = await insertForecast(userOne._id, { sessionDate: new Date('2023-01-01T15:00:00Z') });
+      await insertTrades([
+        {
+          ...tradeOne,
+          userId: userOne._id,
+          session: 'LONDON',
+          entryTime: new Date('2023-01-01T20:00:00Z'),
+          profitLoss: 150.0,
+        },
+        {
+          ...tradeTwo,
+          userId: userOne._id,
+          session: 'LONDON',
+          entryTime: new Date('2023-01-02T16:00:00Z'),
+          profitLoss: -80.0,
+        },
+      ]);
+
+      await analysisService.reconcileSessionForecasts(userOne._id);
+
+      await expect(SessionForecast.findById(forecast._id)).resolves.toMatchObject({
+        status: 'RESOLVED',
+        outcome: { tradeCount: 1, profitLoss: 150, hit: true },
+      });
+    });
+
+    test('should re-resolve forecasts from the given day on', async () => {
+      const userId = mongoose.Types.ObjectId();
+      const forecast = await insertForecast(userId);
+      await analysisService.reconcileSessionForecasts(userId);
+      await insertTrades([
+        { ...tradeOne, userId, session: 'LONDON', entryTime: new Date('2023-01-02T09:00:00Z'), profitLoss: -40.0 },
+      ]);
+
+      await expect(analysisService.reconcileSessionForecasts(userId)).resolves.toBe(0);
+      await analysisService.reconcileSessionForecasts(userId, new Date('2023-01-02T09:00:00Z'));
+
+      await expect(SessionForecast.findById(forecast._id)).resolves.toMatchObject({
+        status: 'RESOLVED',
+        outcome: { actualBias: 'NEGATIVE', hit: false },
+      });
+    });
+
+    test('should calculate hit rate, Brier score and calibration', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertForecast(userId);
+      await insertForecast(userId, { session: 'NY', predictedBias: 'NEGATIVE', probability: 30 });
+      await insertTrades([
+        { ...tradeOne, userId, session: 'LONDON', entryTime: new Date('2023-01-02T09:00:00Z'), profitLoss: 150.0 },
+        { ...tradeTwo, userId, session: 'NY', entryTime: new Date('2023-01-02T14:00:00Z'), profitLoss: 80.0 },
+      ]);
+      await analysisService.reconcileSessionForecasts(userId);
+
+      const result = await analysisService.getForecastAccuracy(userId);
+
+      expect(result).toMatchObject({
+        totalForecasts: 2,
+        resolvedForecasts: 2,
+        pendingForecasts: 0,
+        hits: 1,
+        hitRate: 50,
+        brierScore: 0.265,
+        calibration: [
+          { range: '30-40', forecasts: 1, predictedProbability: 30, observedFrequency: 100 },
+          { range: '80-90', forecasts: 1, predictedProbability: 80, observedFrequency: 100 },
+        ],
+      });
+      expect(result.sessions).toHaveLength(2);
+      expect(result.sessions.find((s) => s.session === 'LONDON')).toMatchObject({ hits: 1, hitRate: 100, brierScore: 0.04 });
+    });
+
+    test('should not resolve forecasts when reading their accuracy', async () => {
+      const userId = mongoose.Types.ObjectId();
+      const forecast = await insertForecast(userId);
+
+      const result = await analysisService.getForecastAccuracy(userId);
+
+      expect(result).toMatchObject({ totalForecasts: 1, pendingForecasts: 1 });
+      await expect(SessionForecast.findById(forecast._id)).resolves.toMatchObject({ status: 'PENDING' });
+    });
+
+    test('should filter forecast accuracy by the days of the time zone of the user', async () => {
+      await insertUsers([{ ...userOne, timezone: 'America/New_York' }]);
+      // Midnight of 1, 2 and 3 January in New York
+      await insertForecast(userOne._id, { sessionDate: new Date('2023-01-01T05:00:00Z') });
+      await insertForecast(userOne._id, { sessionDate: new Date('2023-01-02T05:00:00Z') });
+      await insertForecast(userOne._id, { sessionDate: new Date('2023-01-03T05:00:00Z') });
+
+      const result = await analysisService.getForecastAccuracy(userOne._id, {
+        startDate: new Date('2023-01-02'),
+        endDate: new Date('2023-01-02'),
+      });
+
+      expect(result.totalForecasts).toBe(1);
+    });
+
+    test('should filter forecast accuracy by session', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertForecast(userId);
+      await insertForecast(userId, { session: 'NY' });
+
+      const result = await analysisService.getForecastAccuracy(userId, { session: 'NY' });
+
+      expect(result.totalForecasts).toBe(1);
+      expect(result.hitRate).toBeNull();
+      expect(result.brierScore).toBeNull();
+      expect(result.sessions).toEqual([expect.objectContaining({ session: 'NY' })]);
+    });
+  });
+
   describe('getPerformanceInsights', () => {
     test('should return performance insights for specified period', async () => {
       const userId = mongoose.Types.ObjectId();
@@ -288,6 +763,39 @@ describe('Analysis service', () => {
       expect(result.insights.length).toBeGreaterThan(0);
     });
 
+    test('should report mistakes logged on reviewed trades as constructive insights', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await MistakeCatalogue.create({ userId, mistakes: [{ code: 'FOMO_ENTRY', label: 'Chased the move' }] });
+      const reviewedTrade = { userId, entryTime: new Date(), exitTime: new Date(), reviewState: 'REVIEWED' };
+      await insertTrades([
+        { ...tradeOne, ...reviewedTrade, profitLoss: -50, mistakes: ['FOMO_ENTRY', 'OVERSIZED'] },
+        { ...tradeTwo, ...reviewedTrade, profitLoss: -75, mistakes: ['FOMO_ENTRY'] },
+        { ...tradeThree, ...reviewedTrade, profitLoss: 100, mistakes: [] },
+        { ...tradeOne, _id: mongoose.Types.ObjectId(), userId, entryTime: new Date(), mistakes: ['FOMO_ENTRY'] },
+      ]);
+
+      const result = await analysisService.getPerformanceInsights(userId, 'MONTH');
+
+      const mistakeInsights = result.insights.filter((insight) => insight.type === 'CONSTRUCTIVE');
+      expect(mistakeInsights).toEqual([
+        {
+          type: 'CONSTRUCTIVE',
+          description: 'Chased the move on 2 of 3 reviewed trades, for a profit/loss of -125',
+          confidence: 67,
+          impact: 'HIGH',
+          mistake: 'FOMO_ENTRY',
+        },
+        {
+          type: 'CONSTRUCTIVE',
+          description: 'OVERSIZED on 1 of 3 reviewed trades, for a profit/loss of -50',
+          confidence: 33,
+          impact: 'HIGH',
+          mistake: 'OVERSIZED',
+        },
+      ]);
+      expect(result.recommendations).toContain('Add a check against your most frequent mistake to your pre-trade routine');
+    });
+
     test('should return empty insights when no trades exist', async () => {
       const userId = mongoose.Types.ObjectId();
 
@@ -308,7 +816,7 @@ describe('Analysis service', () => {
       // Create some state analysis records
       const stateAnalysis = new StateAnalysis({
         userId,
-        state: 'CONFIDENT',
+        state: 'OVEREXTENDED',
         confidence: 75,
         riskTolerance: 70,
         emotionalBalance: 80,
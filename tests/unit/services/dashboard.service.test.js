@@ -0,0 +1,312 @@
+const mongoose = require('mongoose');
+const { Dashboard } = require('../../../src/models');
+const { dashboardService, analysisService, tradeService, tradingPlanService } = require('../../../src/services');
+const { userOne, insertUsers } = require('../../fixtures/user.fixture');
+const { tradeOne, insertTrades } = require('../../fixtures/trade.fixture');
+const { tradingPlanOne } = require('../../fixtures/tradingPlan.fixture');
+const { setupOne, setupTwo, insertSetups } = require('../../fixtures/setup.fixture');
+const { accountOne, accountTwo, insertAccounts } = require('../../fixtures/account.fixture');
+const { eurUsdRate, insertFxRates } = require('../../fixtures/fxRate.fixture');
+const setupTestDB = require('../../utils/setupTestDB');
+
+setupTestDB();
+
+describe('Dashboard service', () => {
+  const recentTrade = () => ({ ...tradeOne, userId: userOne._id, entryTime: new Date(), exitTime: new Date() });
+
+  beforeEach(async () => {
+    await insertUsers([userOne]);
+  });
+
+  describe('getCompleteDashboard', () => {
+    test('should materialize the dashboard of the period', async () => {
+      await insertTrades([recentTrade()]);
+
+      const result = await dashboardService.getCompleteDashboard(userOne._id, 'WEEK');
+
+      expect(result.period).toBe('WEEK');
+      expect(result.summary.totalTrades).toBe(1);
+      expect(result.computedAt).toBeInstanceOf(Date);
+
+      const dashboard = await Dashboard.findOne({ userId: userOne._id, period: 'WEEK' });
+      expect(dashboard).toMatchObject({ user: { name: userOne.name }, stale: false, tradingPlan: null });
+      expect(dashboard.brainHero.stateAnalysis).toBeDefined();
+      expect(dashboard.sessionForecast).toBeDefined();
+      expect(dashboard.performanceSnapshot).toBeDefined();
+      expect(dashboard.recentTrades).toHaveLength(1);
+    });
+
+    test('should store a null session forecast when none was saved', async () => {
+      jest.spyOn(analysisService, 'getSessionForecast').mockResolvedValue({});
+
+      await dashboardService.getCompleteDashboard(userOne._id, 'WEEK');
+
+      const dashboard = await Dashboard.findOne({ userId: userOne._id, period: 'WEEK' });
+      expect(dashboard.sessionForecast).toBeNull();
+      expect(dashboard.brainHero.stateAnalysis).not.toBeNull();
+    });
+
+    test('should serve the stored dashboard until it is invalidated', async () => {
+      const first = await dashboardService.getCompleteDashboard(userOne._id, 'MONTH');
+      await insertTrades([recentTrade()]);
+
+      const cached = await dashboardService.getCompleteDashboard(userOne._id, 'MONTH');
+      expect(cached.computedAt).toEqual(first.computedAt);
+      expect(cached.summary.totalTrades).toBe(0);
+
+      await dashboardService.invalidateDashboards(userOne._id);
+
+      const recomputed = await dashboardService.getCompleteDashboard(userOne._id, 'MONTH');
+      expect(recomputed.summary.totalTrades).toBe(1);
+    });
+
+    test('should recompute when a fresh dashboard is requested', async () => {
+      await dashboardService.getCompleteDashboard(userOne._id, 'MONTH');
+      await insertTrades([recentTrade()]);
+
+      const result = await dashboardService.getCompleteDashboard(userOne._id, 'MONTH', { fresh: true });
+
+      expect(result.summary.totalTrades).toBe(1);
+      await expect(Dashboard.countDocuments({ userId: userOne._id })).resolves.toBe(1);
+    });
+
+    test('should recompute a dashboard computed before today', async () => {
+      await dashboardService.getCompleteDashboard(userOne._id, 'MONTH');
+      await Dashboard.updateOne({ userId: userOne._id }, { computedAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) });
+      await insertTrades([recentTrade()]);
+
+      const result = await dashboardService.getCompleteDashboard(userOne._id, 'MONTH');
+
+      expect(result.summary.totalTrades).toBe(1);
+    });
+  });
+
+  describe('setup performance', () => {
+    test('should break down the trades of each setup, best expectancy first', async () => {
+      await insertSetups([
+        { ...setupOne, userId: userOne._id },
+        { ...setupTwo, userId: userOne._id },
+      ]);
+      await insertTrades([
+        { ...recentTrade(), _id: mongoose.Types.ObjectId(), setup: setupOne._id, profitLoss: 150, riskRewardAchieved: 1.5 },
+        { ...recentTrade(), _id: mongoose.Types.ObjectId(), setup: setupOne._id, profitLoss: -75, riskRewardAchieved: 0 },
+        { ...recentTrade(), _id: mongoose.Types.ObjectId(), setup: setupTwo._id, profitLoss: 300, riskRewardAchieved: 3 },
+        { ...recentTrade(), _id: mongoose.Types.ObjectId(), profitLoss: 50 },
+      ]);
+
+      const result = await dashboardService.getCompleteDashboard(userOne._id, 'WEEK');
+
+      expect(result.performance.setupPerformance).toEqual([
+        {
+          setup: setupTwo._id.toString(),
+          name: setupTwo.name,
+          trades: 1,
+          profitLoss: 300,
+          winRate: 100,
+          expectancy: 300,
+          expectancyR: 3,
+        },
+        {
+          setup: setupOne._id.toString(),
+          name: setupOne.name,
+          trades: 2,
+          profitLoss: 75,
+          winRate: 50,
+          expectancy: 37.5,
+          expectancyR: 0.25,
+        },
+      ]);
+    });
+  });
+
+  describe('metrics', () => {
+    test('should calculate the metrics of the period from the balance at its start, overall and per session', async () => {
+      await insertAccounts([{ ...accountOne, userId: userOne._id }]);
+      const longAgo = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000);
+      await insertTrades([
+        {
+          ...tradeOne,
+          userId: userOne._id,
+          accountId: accountOne._id,
+          entryTime: longAgo,
+          exitTime: longAgo,
+          profitLoss: 900,
+        },
+        {
+          ...recentTrade(),
+          _id: mongoose.Types.ObjectId(),
+          accountId: accountOne._id,
+          profitLoss: 300,
+          riskRewardAchieved: 3,
+        },
+        { ...recentTrade(), _id: mongoose.Types.ObjectId(), accountId: accountOne._id, profitLoss: -100, session: 'NY' },
+      ]);
+
+      const result = await dashboardService.getCompleteDashboard(userOne._id, 'MONTH');
+
+      expect(result.metrics).toMatchObject({
+        trades: 2,
+        winRate: 50,
+        netProfitLoss: 200,
+        expectancy: 100,
+        profitFactor: 3,
+        payoffRatio: 3,
+        kellyFraction: 0.33,
+      });
+      expect(result.metrics.sessions).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ session: 'LONDON', label: 'London', trades: 1, expectancyR: 3 }),
+          expect.objectContaining({ session: 'NY', label: 'New York', trades: 1, expectancyR: -1 }),
+        ])
+      );
+    });
+  });
+
+  describe('open exposure', () => {
+    test('should leave open trades out of the stats and show the risk left on them', async () => {
+      const { exitTime, profitLoss, riskRewardAchieved, ...openTrade } = recentTrade();
+      await insertTrades([
+        recentTrade(),
+        {
+          ...openTrade,
+          _id: mongoose.Types.ObjectId(),
+          status: 'OPEN',
+          symbol: 'EURUSD',
+          positionSize: 2,
+          riskPercentUsed: 2,
+          exits: [{ exitTime: new Date(), positionSize: 0.5, profitLoss: 40 }],
+        },
+      ]);
+
+      const result = await dashboardService.getCompleteDashboard(userOne._id, 'WEEK');
+
+      expect(result.summary.totalTrades).toBe(1);
+      expect(result.openExposure).toMatchObject({ openTrades: 1, riskPercent: 1.5, realisedProfitLoss: 40 });
+      expect(result.openExposure.positions[0]).toMatchObject({ symbol: 'EURUSD', remainingSize: 1.5, riskPercent: 1.5 });
+    });
+  });
+
+  describe('account scope', () => {
+    test('should keep a dashboard per account next to the one of all accounts', async () => {
+      await insertAccounts([
+        { ...accountOne, userId: userOne._id },
+        { ...accountTwo, userId: userOne._id },
+      ]);
+      await insertFxRates([eurUsdRate]);
+      await insertTrades([
+        { ...recentTrade(), accountId: accountOne._id },
+        { ...recentTrade(), _id: mongoose.Types.ObjectId(), accountId: accountTwo._id },
+        { ...recentTrade(), _id: mongoose.Types.ObjectId(), accountId: accountTwo._id },
+      ]);
+
+      const accountDashboard = await dashboardService.getCompleteDashboard(userOne._id, 'WEEK', {
+        accountId: accountOne._id,
+      });
+      const allDashboard = await dashboardService.getCompleteDashboard(userOne._id, 'WEEK');
+
+      expect(accountDashboard.summary.totalTrades).toBe(1);
+      expect(allDashboard.summary.totalTrades).toBe(3);
+      await expect(Dashboard.countDocuments({ userId: userOne._id, period: 'WEEK' })).resolves.toBe(2);
+    });
+  });
+
+  describe('reporting currency', () => {
+    beforeEach(async () => {
+      await insertAccounts([
+        { ...accountOne, userId: userOne._id },
+        { ...accountTwo, userId: userOne._id },
+      ]);
+    });
+
+    test('should report gross and net profit/loss converted at the rate of the day', async () => {
+      const today = new Date();
+      today.setUTCHours(0, 0, 0, 0);
+      await insertFxRates([eurUsdRate, { ...eurUsdRate, _id: mongoose.Types.ObjectId(), date: today, rate: 1.2 }]);
+      await insertTrades([
+        { ...recentTrade(), accountId: accountOne._id, profitLoss: 100, commission: -5 },
+        { ...recentTrade(), _id: mongoose.Types.ObjectId(), accountId: accountTwo._id, profitLoss: 100, swap: -10 },
+      ]);
+
+      const result = await dashboardService.getCompleteDashboard(userOne._id, 'WEEK');
+
+      expect(result.currency).toBe('USD');
+      expect(result.summary).toMatchObject({ totalProfitLoss: 220, fees: -17, netProfitLoss: 203 });
+      const summary = await dashboardService.getDashboardSummary(userOne._id, 'WEEK');
+      expect(summary.quickStats).toMatchObject({ totalPnL: 220, netPnL: 203 });
+    });
+
+    test('should convert with the inverse rate into the requested currency', async () => {
+      await insertFxRates([eurUsdRate]);
+      await insertTrades([{ ...recentTrade(), accountId: accountOne._id, profitLoss: 110, commission: -11 }]);
+
+      const result = await dashboardService.getCompleteDashboard(userOne._id, 'WEEK', { currency: 'EUR' });
+
+      expect(result.currency).toBe('EUR');
+      expect(result.summary).toMatchObject({ totalProfitLoss: 100, fees: -10, netProfitLoss: 90 });
+      expect(result.recentTrades[0]).toMatchObject({ profitLoss: 100, netProfitLoss: 90 });
+    });
+
+    test('should default to the currency of the account', async () => {
+      await insertTrades([{ ...recentTrade(), accountId: accountTwo._id }]);
+
+      const result = await dashboardService.getCompleteDashboard(userOne._id, 'WEEK', { accountId: accountTwo._id });
+
+      expect(result.currency).toBe('EUR');
+      expect(result.summary.totalProfitLoss).toBe(tradeOne.profitLoss);
+    });
+
+    test('should recompute the stored dashboard in another currency', async () => {
+      await dashboardService.getCompleteDashboard(userOne._id, 'WEEK');
+
+      const result = await dashboardService.getCompleteDashboard(userOne._id, 'WEEK', { currency: 'EUR' });
+
+      expect(result.currency).toBe('EUR');
+      await expect(Dashboard.findOne({ userId: userOne._id, period: 'WEEK' })).resolves.toMatchObject({ currency: 'EUR' });
+    });
+
+    test('should leave out and report the trades without a rate into the reporting currency', async () => {
+      const eurTrade = { ...recentTrade(), accountId: accountTwo._id };
+      await insertTrades([eurTrade, { ...recentTrade(), _id: mongoose.Types.ObjectId() }]);
+
+      const result = await dashboardService.getCompleteDashboard(userOne._id, 'WEEK');
+
+      expect(result.summary.totalTrades).toBe(1);
+      expect(result.unconvertedTrades).toEqual([{ tradeId: eurTrade._id, currency: 'EUR' }]);
+    });
+  });
+
+  describe('getDashboardSummary', () => {
+    test('should be served from the same stored dashboard', async () => {
+      const dashboard = await dashboardService.getCompleteDashboard(userOne._id, 'MONTH');
+
+      const summary = await dashboardService.getDashboardSummary(userOne._id, 'MONTH');
+
+      expect(summary.computedAt).toEqual(dashboard.computedAt);
+      expect(summary.quickStats).toMatchObject({ totalTrades: 0, currentState: 'STABLE' });
+    });
+  });
+
+  describe('invalidation', () => {
+    test('should invalidate dashboards when trades change', async () => {
+      await dashboardService.getCompleteDashboard(userOne._id, 'WEEK');
+      await dashboardService.getCompleteDashboard(userOne._id, 'MONTH');
+
+      const { _id, userId, ...tradeBody } = recentTrade();
+      await tradeService.createTrade(userOne._id, tradeBody);
+
+      await expect(Dashboard.countDocuments({ userId: userOne._id, stale: true })).resolves.toBe(2);
+    });
+
+    test('should invalidate dashboards when the trading plan changes', async () => {
+      await dashboardService.getCompleteDashboard(userOne._id, 'MONTH');
+
+      const { _id, userId, ...tradingPlanBody } = tradingPlanOne;
+      await tradingPlanService.createOrUpdateTradingPlan(userOne._id, tradingPlanBody);
+
+      await expect(Dashboard.findOne({ userId: userOne._id })).resolves.toMatchObject({ stale: true });
+      const result = await dashboardService.getCompleteDashboard(userOne._id, 'MONTH');
+      expect(result.computedAt).toBeInstanceOf(Date);
+      await expect(Dashboard.findOne({ userId: userOne._id })).resolves.toMatchObject({ stale: false });
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const { equityCurveService } = require('../../../src/services');
+const { userOne, insertUsers } = require('../../fixtures/user.fixture');
+const { tradeOne, insertTrades } = require('../../fixtures/trade.fixture');
+const { accountOne, accountTwo, insertAccounts } = require('../../fixtures/account.fixture');
+const { eurUsdRate, insertFxRates } = require('../../fixtures/fxRate.fixture');
+const setupTestDB = require('../../utils/setupTestDB');
+
+setupTestDB();
+
+const trade = (exitTime, profitLoss, fees = {}) => ({
+  _id: mongoose.Types.ObjectId(),
+  exitTime: new Date(exitTime),
+  profitLoss,
+  ...fees,
+});
+
+describe('Equity curve service', () => {
+  describe('buildEquityCurve', () => {
+    const trades = [
+      trade('2023-01-02T09:00:00Z', 200, { commission: -10 }),
+      trade('2023-01-02T15:00:00Z', -300),
+      trade('2023-01-04T10:00:00Z', 50),
+      trade('2023-01-10T10:00:00Z', 300, { swap: -5 }),
+    ];
+
+    test('should return the balance, peak and drawdown after each trade', () => {
+      const points = equityCurveService.buildEquityCurve(trades, { balance: 1000, peak: 1000 });
+
+      expect(points).toHaveLength(4);
+      expect(points[0]).toEqual({
+        date: trades[0].exitTime,
+        tradeId: trades[0]._id,
+        trades: 1,
+        profitLoss: 190,
+        balance: 1190,
+        peak: 1190,
+        drawdown: 0,
+        drawdownPercent: 0,
+      });
+      expect(points[1]).toMatchObject({ balance: 890, peak: 1190, drawdown: 300, drawdownPercent: 25.21 });
+      expect(points[2]).toMatchObject({ balance: 940, peak: 1190, drawdown: 250 });
+      expect(points[3]).toMatchObject({ balance: 1235, peak: 1235, drawdown: 0 });
+    });
+
+    test('should keep the balance at the end of each day', () => {
+      const points = equityCurveService.buildEquityCurve(trades, { balance: 1000, peak: 1000 }, 'DAY');
+
+      expect(points.map((point) => point.date)).toEqual(['2023-01-02', '2023-01-04', '2023-01-10']);
+      expect(points[0]).toEqual({
+        date: '2023-01-02',
+        trades: 2,
+        profitLoss: -110,
+        balance: 890,
+        peak: 1000,
+        drawdown: 110,
+        drawdownPercent: 11,
+      });
+    });
+
+    test('should group weeks from Monday in the time zone', () => {
+      const points = equityCurveService.buildEquityCurve(trades, { balance: 1000, peak: 1000 }, 'WEEK', 'Asia/Tokyo');
+
+      expect(points.map((point) => [point.date, point.trades])).toEqual([
+        ['2023-01-02', 3],
+        ['2023-01-09', 1],
+      ]);
+      expect(points[1]).toMatchObject({ balance: 1235, peak: 1235, drawdown: 0 });
+    });
+
+    test('should open at the given peak', () => {
+      const points = equityCurveService.buildEquityCurve([trades[2]], { balance: 900, peak: 1200 });
+
+      expect(points[0]).toMatchObject({ balance: 950, peak: 1200, drawdown: 250 });
+    });
+
+    test('should not return a drawdown percentage while the peak is not positive', () => {
+      const points = equityCurveService.buildEquityCurve([trade('2023-01-02T09:00:00Z', -50)], { balance: 0, peak: 0 });
+
+      expect(points[0]).toMatchObject({ balance: -50, peak: 0, drawdown: 50, drawdownPercent: null });
+    });
+  });
+
+  describe('findDrawdownPeriods', () => {
+    test('should return the start, trough and recovery of each drawdown', () => {
+      const points = equityCurveService.buildEquityCurve(
+        [
+          trade('2023-01-02T09:00:00Z', 100),
+          trade('2023-01-03T09:00:00Z', -50),
+          trade('2023-01-04T09:00:00Z', -100),
+          trade('2023-01-05T09:00:00Z', 50),
+          trade('2023-01-07T09:00:00Z', 150),
+          trade('2023-01-08T09:00:00Z', -20),
+        ],
+        { balance: 1000, peak: 1000 },
+        'DAY'
+      );
+
+      expect(equityCurveService.findDrawdownPeriods(points)).toEqual([
+        {
+          start: '2023-01-03',
+          trough: '2023-01-04',
+          recovery: '2023-01-07',
+          peakBalance: 1100,
+          troughBalance: 950,
+          drawdown: 150,
+          drawdownPercent: 13.64,
+          durationDays: 4,
+        },
+        {
+          start: '2023-01-08',
+          trough: '2023-01-08',
+          recovery: null,
+          peakBalance: 1150,
+          troughBalance: 1130,
+          drawdown: 20,
+          drawdownPercent: 1.74,
+          durationDays: 0,
+        },
+      ]);
+    });
+
+    test('should return an empty array without drawdown', () => {
+      const points = equityCurveService.buildEquityCurve([trade('2023-01-02T09:00:00Z', 100)], { balance: 0, peak: 0 });
+
+      expect(equityCurveService.findDrawdownPeriods(points)).toEqual([]);
+    });
+  });
+
+  describe('getEquityCurve', () => {
+    test('should start from the starting balance of the account and open the range after earlier trades', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([{ ...accountOne, userId: userOne._id }]);
+      await insertTrades([
+        { ...tradeOne, _id: mongoose.Types.ObjectId(), userId: userOne._id, accountId: accountOne._id, profitLoss: 500 },
+        {
+          ...tradeOne,
+          _id: mongoose.Types.ObjectId(),
+          userId: userOne._id,
+          accountId: accountOne._id,
+          entryTime: new Date('2023-01-03T09:00:00Z'),
+          exitTime: new Date('2023-01-03T10:00:00Z'),
+          profitLoss: -1000,
+          commission: -20,
+        },
+      ]);
+
+      const curve = await equityCurveService.getEquityCurve(userOne._id, { startDate: new Date('2023-01-02T00:00:00Z') });
+
+      expect(curve).toMatchObject({
+        currency: 'USD',
+        granularity: 'TRADE',
+        startingBalance: 100000,
+        openingBalance: 100500,
+        closingBalance: 99480,
+        maxDrawdown: 1020,
+        maxDrawdownPercent: 1.01,
+      });
+      expect(curve.points).toHaveLength(1);
+      expect(curve.drawdownPeriods).toHaveLength(1);
+    });
+
+    test('should convert the starting balances into the reporting currency', async () => {
+      await insertUsers([userOne]);
+      await insertFxRates([eurUsdRate]);
+      await insertAccounts([
+        { ...accountOne, userId: userOne._id },
+        { ...accountTwo, userId: userOne._id },
+      ]);
+
+      const curve = await equityCurveService.getEquityCurve(userOne._id);
+
+      expect(curve.currency).toBe('USD');
+      expect(curve.startingBalance).toBe(100000 + Math.round(5000 * eurUsdRate.rate * 100) / 100);
+      expect(curve.points).toEqual([]);
+      expect(curve.closingBalance).toBe(curve.startingBalance);
+    });
+
+    test('should leave out and report the starting balances and trades without a rate', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([
+        { ...accountOne, userId: userOne._id },
+        { ...accountTwo, userId: userOne._id },
+      ]);
+      await insertTrades([{ ...tradeOne, userId: userOne._id, accountId: accountTwo._id }]);
+
+      const curve = await equityCurveService.getEquityCurve(userOne._id);
+
+      expect(curve).toMatchObject({ currency: 'USD', startingBalance: 100000, closingBalance: 100000, points: [] });
+      expect(curve.unconvertedTrades).toEqual([{ tradeId: tradeOne._id, currency: 'EUR' }]);
+      expect(curve.unconvertedAccounts).toEqual([{ accountId: accountTwo._id, currency: 'EUR' }]);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const { fxRateService } = require('../../../src/services');
+const { tradeOne } = require('../../fixtures/trade.fixture');
+const { accountOne, accountTwo, insertAccounts } = require('../../fixtures/account.fixture');
+const { eurUsdRate, gbpUsdRate, insertFxRates } = require('../../fixtures/fxRate.fixture');
+const setupTestDB = require('../../utils/setupTestDB');
+
+setupTestDB();
+
+describe('FX rate service', () => {
+  const userId = mongoose.Types.ObjectId();
+
+  beforeEach(async () => {
+    await insertAccounts([
+      { ...accountOne, userId },
+      { ...accountTwo, userId },
+    ]);
+  });
+
+  describe('getReportingCurrency', () => {
+    test('should use the requested currency', async () => {
+      await expect(fxRateService.getReportingCurrency(userId, accountOne._id, 'gbp')).resolves.toBe('GBP');
+    });
+
+    test('should use the currency of the account', async () => {
+      await expect(fxRateService.getReportingCurrency(userId, accountTwo._id)).resolves.toBe('EUR');
+    });
+
+    test('should fall back to USD when the accounts have several currencies', async () => {
+      await expect(fxRateService.getReportingCurrency(userId, null)).resolves.toBe('USD');
+    });
+  });
+
+  describe('convertTrades', () => {
+    const trade = { ...tradeOne, userId, accountId: accountTwo._id, profitLoss: 100, commission: -5 };
+
+    test('should convert with the latest rate on or before the day of the trade', async () => {
+      await insertFxRates([
+        eurUsdRate,
+        { ...eurUsdRate, _id: mongoose.Types.ObjectId(), date: new Date('2023-01-02T00:00:00Z'), rate: 1.3 },
+      ]);
+
+      const {
+        trades: [converted],
+      } = await fxRateService.convertTrades(userId, [trade], 'USD');
+
+      expect(converted).toMatchObject({ currency: 'USD', profitLoss: 110, commission: -5.5 });
+      expect(converted.swap).toBeUndefined();
+    });
+
+    test('should find the rate of each day in a long rate history', async () => {
+      const days = Array.from({ length: 30 }, (value, index) => index);
+      await insertFxRates(
+        days
+          .filter((day) => day !== 20)
+          .map((day) => ({
+            ...eurUsdRate,
+            _id: mongoose.Types.ObjectId(),
+            date: new Date(Date.UTC(2023, 0, 1 + day)),
+            rate: 1 + day / 100,
+          }))
+      );
+      const trades = [10, 20, 45].map((day) => ({
+        ...trade,
+        _id: mongoose.Types.ObjectId(),
+        exitTime: new Date(Date.UTC(2023, 0, 1 + day, 15)),
+        commission: 0,
+      }));
+
+      const result = await fxRateService.convertTrades(userId, trades, 'USD');
+
+      expect(result.trades.map((converted) => converted.profitLoss)).toEqual([110, 119, 129]);
+    });
+
+    test('should convert with the inverse rate and prefer the currency of the trade', async () => {
+      await insertFxRates([gbpUsdRate]);
+
+      const {
+        trades: [converted],
+      } = await fxRateService.convertTrades(userId, [{ ...trade, currency: 'USD' }], 'GBP');
+
+      expect(converted).toMatchObject({ currency: 'GBP', profitLoss: 80, commission: -4 });
+    });
+
+    test('should convert each exit at the rate of its day', async () => {
+      await insertFxRates([
+        eurUsdRate,
+        { ...eurUsdRate, _id: mongoose.Types.ObjectId(), date: new Date('2023-01-02T00:00:00Z'), rate: 1.3 },
+      ]);
+      const exits = [
+        { exitTime: new Date('2023-01-01T10:00:00Z'), positionSize: 1, profitLoss: 50 },
+        { exitTime: new Date('2023-01-02T10:00:00Z'), positionSize: 1, profitLoss: 50 },
+      ];
+
+      const {
+        trades: [converted],
+      } = await fxRateService.convertTrades(userId, [{ ...trade, exits }], 'USD');
+
+      expect(converted.exits.map((exit) => exit.profitLoss)).toEqual([55, 65]);
+    });
+
+    test('should leave out and report the trades no rate on or before their day converts', async () => {
+      await insertFxRates([{ ...eurUsdRate, date: new Date('2023-01-02T00:00:00Z') }]);
+      const usdTrade = { ...trade, _id: mongoose.Types.ObjectId(), accountId: accountOne._id };
+
+      const result = await fxRateService.convertTrades(userId, [trade, usdTrade], 'USD');
+
+      expect(result.trades).toEqual([expect.objectContaining({ _id: usdTrade._id, profitLoss: 100 })]);
+      expect(result.unconvertedTrades).toEqual([{ tradeId: trade._id, currency: 'EUR' }]);
+    });
+
+    test('should leave trades in the reporting currency untouched', async () => {
+      const {
+        trades: [converted],
+      } = await fxRateService.convertTrades(userId, [{ ...trade, accountId: accountOne._id }], 'USD');
+
+      expect(converted).toMatchObject({ profitLoss: 100, commission: -5 });
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const { metricsService } = require('../../../src/services');
+const { userOne, insertUsers } = require('../../fixtures/user.fixture');
+const { tradeOne, insertTrades } = require('../../fixtures/trade.fixture');
+const { accountOne, insertAccounts } = require('../../fixtures/account.fixture');
+const setupTestDB = require('../../utils/setupTestDB');
+
+setupTestDB();
+
+const trade = (exitTime, profitLoss, fields = {}) => ({
+  exitTime: new Date(exitTime),
+  profitLoss,
+  riskRewardAchieved: profitLoss > 0 ? 2 : 0,
+  session: 'LONDON',
+  ...fields,
+});
+
+describe('Metrics service', () => {
+  describe('getRMultiple', () => {
+    test('should measure the R multiple from the prices of the trade', () => {
+      const shortTrade = { direction: 'SHORT', entryPrice: 100, exitPrice: 101, stopLossPrice: 102 };
+
+      expect(metricsService.getRMultiple(trade('2023-01-02T09:00:00Z', -50, shortTrade))).toBe(-0.5);
+    });
+
+    test('should use the R:R of a winner and count a loss without prices as the full risk', () => {
+      expect(metricsService.getRMultiple(trade('2023-01-02T09:00:00Z', 100))).toBe(2);
+      expect(metricsService.getRMultiple(trade('2023-01-02T09:00:00Z', -100))).toBe(-1);
+      expect(metricsService.getRMultiple(trade('2023-01-02T09:00:00Z', 0))).toBe(0);
+    });
+  });
+
+  describe('calculatePerformanceMetrics', () => {
+    const trades = [
+      trade('2023-01-02T09:00:00Z', 200),
+      trade('2023-01-03T09:00:00Z', -100),
+      trade('2023-01-03T12:00:00Z', -100),
+      trade('2023-01-04T09:00:00Z', 300, { commission: -10 }),
+      trade('2023-01-05T09:00:00Z', 0),
+      trade('2023-01-06T09:00:00Z', -50, { direction: 'LONG', entryPrice: 100, exitPrice: 99.5, stopLossPrice: 99 }),
+    ];
+    const month = { startDate: new Date('2023-01-01T00:00:00Z'), endDate: new Date('2023-01-31T00:00:00Z') };
+
+    test('should calculate the metrics from the net profit/loss of the trades', () => {
+      const metrics = metricsService.calculatePerformanceMetrics(trades, { openingBalance: 10000, ...month });
+
+      expect(metrics).toMatchObject({
+        trades: 6,
+        winRate: 33.33,
+        netProfitLoss: 240,
+        averageWin: 245,
+        averageLoss: -83.33,
+        largestWin: 290,
+        largestLoss: -100,
+        maxConsecutiveWins: 1,
+        maxConsecutiveLosses: 2,
+        expectancy: 40,
+        profitFactor: 1.96,
+        payoffRatio: 2.94,
+        maxDrawdown: 200,
+        maxDrawdownPercent: 1.96,
+        recoveryFactor: 1.2,
+        kellyFraction: 0.11,
+      });
+      expect(metrics.sharpeRatio).toBeGreaterThan(0);
+      expect(metrics.sortinoRatio).toBeGreaterThan(metrics.sharpeRatio);
+      expect(metrics.calmarRatio).toBeGreaterThan(0);
+    });
+
+    test('should count the weekdays of the period without trades as days without return', () => {
+      const overTradeDays = metricsService.calculatePerformanceMetrics(trades, { openingBalance: 10000 });
+      const overMonth = metricsService.calculatePerformanceMetrics(trades, { openingBalance: 10000, ...month });
+
+      expect(overTradeDays).toMatchObject({ sharpeRatio: 3.98, sortinoRatio: 8.62 });
+      expect(overMonth).toMatchObject({ sharpeRatio: 2.01, sortinoRatio: 4.11 });
+    });
+
+    test('should measure R multiples from prices, otherwise count a loss as the full risk', () => {
+      const metrics = metricsService.calculatePerformanceMetrics(trades);
+
+      // 2, -1, -1, 2, 0 and -0.5
+      expect(metrics.expectancyR).toBe(0.25);
+      expect(metrics.sqn).toBe(0.44);
+    });
+
+    test('should leave out the return ratios without a positive balance', () => {
+      const metrics = metricsService.calculatePerformanceMetrics(trades);
+
+      expect(metrics).toMatchObject({
+        sharpeRatio: null,
+        sortinoRatio: null,
+        calmarRatio: null,
+        maxDrawdownPercent: null,
+      });
+    });
+
+    test('should return null ratios without trades', () => {
+      expect(metricsService.calculatePerformanceMetrics([])).toMatchObject({
+        trades: 0,
+        winRate: 0,
+        netProfitLoss: 0,
+        expectancy: null,
+        profitFactor: null,
+        payoffRatio: null,
+        maxDrawdown: 0,
+        sqn: null,
+        kellyFraction: null,
+      });
+    });
+  });
+
+  describe('calculateMetrics', () => {
+    test('should break the metrics down per session', () => {
+      const metrics = metricsService.calculateMetrics(
+        [
+          trade('2023-01-02T09:00:00Z', 200),
+          trade('2023-01-03T09:00:00Z', -100),
+          trade('2023-01-03T12:00:00Z', -100, { session: 'NY_OPEN' }),
+        ],
+        [{ code: 'LONDON', label: 'London' }]
+      );
+
+      expect(metrics.trades).toBe(3);
+      expect(metrics.sessions).toEqual([
+        expect.objectContaining({ session: 'LONDON', label: 'London', trades: 2, profitFactor: 2 }),
+        expect.objectContaining({ session: 'NY_OPEN', label: 'NY_OPEN', trades: 1, profitFactor: 0 }),
+      ]);
+    });
+
+    test('should measure the sessions without the balance of the account', () => {
+      const metrics = metricsService.calculateMetrics(
+        [trade('2023-01-02T09:00:00Z', 200), trade('2023-01-03T09:00:00Z', -100), trade('2023-01-04T09:00:00Z', 150)],
+        [{ code: 'LONDON', label: 'London' }],
+        { openingBalance: 10000 }
+      );
+
+      expect(metrics.sharpeRatio).not.toBeNull();
+      expect(metrics.sessions[0]).toMatchObject({
+        maxDrawdown: 100,
+        maxDrawdownPercent: null,
+        sharpeRatio: null,
+        sortinoRatio: null,
+      });
+    });
+  });
+
+  describe('getPerformanceMetrics', () => {
+    test('should measure the period from the balance of the account at its start', async () => {
+      await insertUsers([userOne]);
+      await insertAccounts([{ ...accountOne, userId: userOne._id }]);
+      const longAgo = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000);
+      await insertTrades([
+        {
+          ...tradeOne,
+          userId: userOne._id,
+          accountId: accountOne._id,
+          entryTime: longAgo,
+          exitTime: longAgo,
+          profitLoss: 500,
+        },
+      ]);
+
+      const metrics = await metricsService.getPerformanceMetrics(userOne._id, 'MONTH', accountOne._id);
+
+      expect(metrics).toMatchObject({ period: 'MONTH', currency: 'USD', openingBalance: 100500, trades: 0, sessions: [] });
+    });
+  });
+});
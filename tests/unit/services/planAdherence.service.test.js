@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const { planAdherenceService } = require('../../../src/services');
+const { Trade, TradingPlanVersion } = require('../../../src/models');
+const { tradeOne, tradeTwo, insertTrades } = require('../../fixtures/trade.fixture');
+const { tradingPlanOne, insertTradingPlans } = require('../../fixtures/tradingPlan.fixture');
+const { userOne, insertUsers } = require('../../fixtures/user.fixture');
+const setupTestDB = require('../../utils/setupTestDB');
+
+setupTestDB();
+
+describe('Plan adherence service', () => {
+  describe('evaluateTrade', () => {
+    test('should score a trade that followed the plan 100', () => {
+      expect(planAdherenceService.evaluateTrade(tradeOne, tradingPlanOne, 1)).toEqual({ score: 100, violations: [] });
+    });
+
+    test('should report every broken rule', () => {
+      const trade = {
+        ...tradeOne,
+        riskPercentUsed: 3.0,
+        riskRewardAchieved: 0.5,
+        profitLoss: -40.0,
+        session: 'ASIA',
+        stopLossHit: false,
+        exitedEarly: false,
+      };
+
+      const result = planAdherenceService.evaluateTrade(trade, tradingPlanOne, 6);
+
+      expect(result.score).toBe(0);
+      expect(result.violations.map((v) => v.rule)).toEqual([
+        'RISK_ABOVE_PLAN',
+        'RISK_REWARD_BELOW_TARGET',
+        'SESSION_NOT_PREFERRED',
+        'MAX_TRADES_EXCEEDED',
+        'STOP_LOSS_NOT_HONOURED',
+      ]);
+    });
+
+    test('should not hold the target R:R against a trade closed at its stop loss', () => {
+      const result = planAdherenceService.evaluateTrade(tradeTwo, tradingPlanOne, 1);
+
+      expect(result).toEqual({ score: 100, violations: [] });
+    });
+
+    test('should not hold the target R:R against a trade imported without one', () => {
+      const { riskRewardAchieved, ...trade } = tradeOne;
+      const tradingPlan = { ...tradingPlanOne, targetRiskRewardRatio: 3 };
+
+      expect(planAdherenceService.evaluateTrade(trade, tradingPlan, 1)).toEqual({ score: 100, violations: [] });
+    });
+
+    test('should only require stop losses to be honoured when the plan says ALWAYS', () => {
+      const trade = { ...tradeTwo, stopLossHit: false, exitedEarly: false, riskRewardAchieved: 2.0 };
+
+      expect(planAdherenceService.evaluateTrade(trade, tradingPlanOne, 1).score).toBe(80);
+      expect(planAdherenceService.evaluateTrade(trade, { ...tradingPlanOne, stopLossDiscipline: 'FLEXIBLE' }, 1).score).toBe(
+        100
+      );
+    });
+  });
+
+  describe('scoreTradingDays', () => {
+    test('should store the evaluation on every trade of the day', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTradingPlans([{ ...tradingPlanOne, userId, maxTradesPerDay: 1 }]);
+      const trades = [
+        { ...tradeOne, userId, entryTime: new Date('2023-01-01T09:00:00Z') },
+        { ...tradeOne, _id: mongoose.Types.ObjectId(), userId, entryTime: new Date('2023-01-01T11:00:00Z') },
+        { ...tradeTwo, userId, entryTime: new Date('2023-01-02T14:00:00Z') },
+      ];
+      await insertTrades(trades);
+
+      await expect(planAdherenceService.scoreTradingDays(userId, [new Date('2023-01-01T11:00:00Z')])).resolves.toBe(2);
+
+      const first = await Trade.findById(trades[0]._id);
+      expect(first.planAdherence.score).toBe(100);
+      const [version] = await TradingPlanVersion.find({ userId });
+      expect(version.version).toBe(1);
+      expect(first.planAdherence.tradingPlanVersion.toString()).toBe(version._id.toString());
+      const second = await Trade.findById(trades[1]._id);
+      expect(second.planAdherence.score).toBe(80);
+      expect(second.planAdherence.violations[0].rule).toBe('MAX_TRADES_EXCEEDED');
+      const otherDay = await Trade.findById(trades[2]._id);
+      expect(otherDay.planAdherence.score).toBeUndefined();
+    });
+
+    test('should evaluate each trade against the plan version in force at its entry time', async () => {
+      const userId = mongoose.Types.ObjectId();
+      const versions = await TradingPlanVersion.create([
+        {
+          ...tradingPlanOne,
+          _id: mongoose.Types.ObjectId(),
+          userId,
+          tradingPlan: tradingPlanOne._id,
+          version: 1,
+          effectiveFrom: new Date('2023-01-01T00:00:00Z'),
+          effectiveTo: new Date('2023-01-02T00:00:00Z'),
+        },
+        {
+          ...tradingPlanOne,
+          _id: mongoose.Types.ObjectId(),
+          userId,
+          tradingPlan: tradingPlanOne._id,
+          version: 2,
+          riskPercentPerTrade: 1,
+          effectiveFrom: new Date('2023-01-02T00:00:00Z'),
+        },
+      ]);
+      const trades = [
+        { ...tradeOne, userId, entryTime: new Date('2023-01-01T09:00:00Z') },
+        { ...tradeOne, _id: mongoose.Types.ObjectId(), userId, entryTime: new Date('2023-01-02T09:00:00Z') },
+      ];
+      await insertTrades(trades);
+
+      await planAdherenceService.scoreTradingDays(userId, [trades[0].entryTime, trades[1].entryTime]);
+
+      const before = await Trade.findById(trades[0]._id);
+      expect(before.planAdherence.score).toBe(100);
+      expect(before.planAdherence.tradingPlanVersion.toString()).toBe(versions[0]._id.toString());
+      const after = await Trade.findById(trades[1]._id);
+      expect(after.planAdherence.violations[0].rule).toBe('RISK_ABOVE_PLAN');
+      expect(after.planAdherence.tradingPlanVersion.toString()).toBe(versions[1]._id.toString());
+    });
+
+    test('should use the plan of the account of a trade, and count the trades of the day per account', async () => {
+      const userId = mongoose.Types.ObjectId();
+      const accountId = mongoose.Types.ObjectId();
+      await insertTradingPlans([{ ...tradingPlanOne, userId, maxTradesPerDay: 1 }]);
+      await TradingPlanVersion.create({
+        ...tradingPlanOne,
+        _id: mongoose.Types.ObjectId(),
+        userId,
+        accountId,
+        tradingPlan: mongoose.Types.ObjectId(),
+        version: 1,
+        maxTradesPerDay: 1,
+        riskPercentPerTrade: 1,
+        effectiveFrom: new Date('2022-01-01T00:00:00Z'),
+      });
+      const trades = [
+        { ...tradeOne, userId, entryTime: new Date('2023-01-01T09:00:00Z') },
+        { ...tradeOne, _id: mongoose.Types.ObjectId(), userId, accountId, entryTime: new Date('2023-01-01T10:00:00Z') },
+      ];
+      await insertTrades(trades);
+
+      await planAdherenceService.scoreTradingDays(userId, [trades[0].entryTime]);
+
+      const general = await Trade.findById(trades[0]._id);
+      expect(general.planAdherence.score).toBe(100);
+      const account = await Trade.findById(trades[1]._id);
+      expect(account.planAdherence.violations.map((violation) => violation.rule)).toEqual(['RISK_ABOVE_PLAN']);
+    });
+
+    test('should not score trades when the user has no trading plan', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTrades([{ ...tradeOne, userId }]);
+
+      await expect(planAdherenceService.scoreTradingDays(userId, [tradeOne.entryTime])).resolves.toBe(0);
+    });
+  });
+
+  describe('scoreAllTradingDays', () => {
+    test('should score every trade by the days of the time zone of the user', async () => {
+      await insertUsers([{ ...userOne, timezone: 'America/New_York' }]);
+      await insertTradingPlans([{ ...tradingPlanOne, userId: userOne._id, maxTradesPerDay: 1 }]);
+      // Two UTC days, but the evening of 1 January in New York
+      const trades = [
+        { ...tradeOne, userId: userOne._id, entryTime: new Date('2023-01-01T23:00:00Z') },
+        { ...tradeOne, _id: mongoose.Types.ObjectId(), userId: userOne._id, entryTime: new Date('2023-01-02T01:00:00Z') },
+        { ...tradeTwo, userId: userOne._id, entryTime: new Date('2023-01-05T14:00:00Z') },
+      ];
+      await insertTrades(trades);
+
+      await expect(planAdherenceService.scoreAllTradingDays(userOne._id)).resolves.toBe(3);
+
+      const second = await Trade.findById(trades[1]._id);
+      expect(second.planAdherence.violations[0].rule).toBe('MAX_TRADES_EXCEEDED');
+      const otherDay = await Trade.findById(trades[2]._id);
+      expect(otherDay.planAdherence.score).toBe(100);
+    });
+  });
+
+  describe('getPlanAdherence', () => {
+    test('should aggregate scored trades overall and per session', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTrades([
+        { ...tradeOne, userId, planAdherence: { score: 100, violations: [] } },
+        {
+          ...tradeTwo,
+          userId,
+          planAdherence: { score: 60, violations: [{ rule: 'RISK_ABOVE_PLAN', message: 'Risk above plan' }] },
+        },
+        { ...tradeOne, _id: mongoose.Types.ObjectId(), userId },
+      ]);
+
+      const result = await planAdherenceService.getPlanAdherence(userId);
+
+      expect(result).toMatchObject({
+        score: 80,
+        scoredTrades: 2,
+        compliantTrades: 1,
+        violations: { RISK_ABOVE_PLAN: 1, MAX_TRADES_EXCEEDED: 0 },
+      });
+      expect(result.sessions).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ session: 'LONDON', score: 100, scoredTrades: 1 }),
+          expect.objectContaining({ session: 'NY', score: 60, scoredTrades: 1 }),
+        ])
+      );
+    });
+
+    test('should return a null score when no trade is scored', async () => {
+      const result = await planAdherenceService.getPlanAdherence(mongoose.Types.ObjectId());
+
+      expect(result).toMatchObject({ score: null, scoredTrades: 0, sessions: [] });
+    });
+  });
+});
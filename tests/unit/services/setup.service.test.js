@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const { Trade, Dashboard } = require('../../../src/models');
+const { setupService } = require('../../../src/services');
+const { tradeOne, tradeTwo, insertTrades } = require('../../fixtures/trade.fixture');
+const setupTestDB = require('../../utils/setupTestDB');
+
+setupTestDB();
+
+describe('Setup service', () => {
+  let userId;
+  let setup;
+
+  beforeEach(async () => {
+    userId = mongoose.Types.ObjectId();
+    setup = await setupService.createSetup(userId, { name: 'London breakout', rules: ['Asian range under 30 pips'] });
+  });
+
+  test('should reject a second setup with the same name', async () => {
+    await expect(setupService.createSetup(userId, { name: 'London breakout' })).rejects.toMatchObject({
+      statusCode: httpStatus.BAD_REQUEST,
+    });
+  });
+
+  test('should not return the setup of another user', async () => {
+    await expect(setupService.getSetupById(setup._id, mongoose.Types.ObjectId())).rejects.toMatchObject({
+      statusCode: httpStatus.NOT_FOUND,
+    });
+  });
+
+  describe('assertSetupsExist', () => {
+    test('should accept the setups of the user and empty values', async () => {
+      await expect(setupService.assertSetupsExist(userId, [setup._id, setup.id, undefined, null])).resolves.toBeUndefined();
+    });
+
+    test('should reject a setup of another user', async () => {
+      const otherSetup = await setupService.createSetup(mongoose.Types.ObjectId(), { name: 'NY reversal' });
+
+      await expect(setupService.assertSetupsExist(userId, [setup._id, otherSetup._id])).rejects.toMatchObject({
+        statusCode: httpStatus.BAD_REQUEST,
+      });
+    });
+  });
+
+  describe('deleteSetupById', () => {
+    test('should keep the trades of the setup without it and invalidate dashboards', async () => {
+      await insertTrades([
+        { ...tradeOne, userId, setup: setup._id },
+        { ...tradeTwo, userId, setup: setup._id },
+      ]);
+      await Dashboard.collection.insertOne({ userId, period: 'MONTH', stale: false });
+
+      await setupService.deleteSetupById(setup._id, userId);
+
+      const trades = await Trade.find({ userId }).lean();
+      expect(trades).toHaveLength(2);
+      trades.forEach((trade) => expect(trade.setup).toBeUndefined());
+      await expect(Dashboard.findOne({ userId })).resolves.toMatchObject({ stale: true });
+    });
+  });
+});
@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const { snapshotService } = require('../../../src/services');
+const { PerformanceSnapshot, User } = require('../../../src/models');
+const { userOne, userTwo, insertUsers } = require('../../fixtures/user.fixture');
+const { tradeOne, tradeTwo, insertTrades } = require('../../fixtures/trade.fixture');
+const { accountTwo, insertAccounts } = require('../../fixtures/account.fixture');
+const { eurUsdRate, insertFxRates } = require('../../fixtures/fxRate.fixture');
+const setupTestDB = require('../../utils/setupTestDB');
+
+setupTestDB();
+
+describe('Snapshot service', () => {
+  describe('getCompletedPeriod', () => {
+    test('should return the previous day for daily snapshots', () => {
+      const { periodStart, periodEnd } = snapshotService.getCompletedPeriod('DAILY', new Date('2023-01-04T10:00:00Z'));
+
+      expect(periodStart).toEqual(new Date('2023-01-03T00:00:00Z'));
+      expect(periodEnd).toEqual(new Date('2023-01-04T00:00:00Z'));
+    });
+
+    test('should return the previous Monday to Monday week for weekly snapshots', () => {
+      const { periodStart, periodEnd } = snapshotService.getCompletedPeriod('WEEKLY', new Date('2023-01-04T10:00:00Z'));
+
+      expect(periodStart).toEqual(new Date('2022-12-26T00:00:00Z'));
+      expect(periodEnd).toEqual(new Date('2023-01-02T00:00:00Z'));
+    });
+
+    test('should return the periods of a time zone', () => {
+      const referenceDate = new Date('2023-01-02T03:00:00Z');
+
+      expect(snapshotService.getCompletedPeriod('DAILY', referenceDate, 'America/New_York')).toEqual({
+        periodStart: new Date('2022-12-31T05:00:00Z'),
+        periodEnd: new Date('2023-01-01T05:00:00Z'),
+      });
+      expect(snapshotService.getCompletedPeriod('WEEKLY', referenceDate, 'America/New_York')).toEqual({
+        periodStart: new Date('2022-12-19T05:00:00Z'),
+        periodEnd: new Date('2022-12-26T05:00:00Z'),
+      });
+    });
+
+    test('should return periods that span a daylight saving change', () => {
+      const { periodStart, periodEnd } = snapshotService.getCompletedPeriod(
+        'DAILY',
+        new Date('2023-03-27T12:00:00Z'),
+        'Europe/London'
+      );
+
+      expect(periodStart).toEqual(new Date('2023-03-26T00:00:00Z'));
+      expect(periodEnd).toEqual(new Date('2023-03-26T23:00:00Z'));
+    });
+  });
+
+  describe('createPerformanceSnapshot', () => {
+    const periodStart = new Date('2023-01-02T00:00:00Z');
+    const periodEnd = new Date('2023-01-03T00:00:00Z');
+
+    test('should calculate stats and plan adherence from the trades of the period', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTrades([
+        {
+          ...tradeOne,
+          userId,
+          entryTime: new Date('2023-01-02T09:00:00Z'),
+          profitLoss: 150.0,
+          riskRewardAchieved: 2.0,
+          planAdherence: {
+            score: 80,
+            violations: [{ rule: 'SESSION_NOT_PREFERRED', message: 'Outside preferred sessions' }],
+          },
+        },
+        {
+          ...tradeTwo,
+          userId,
+          entryTime: new Date('2023-01-02T14:00:00Z'),
+          riskRewardAchieved: 0,
+          planAdherence: {
+            score: 20,
+            violations: [
+              { rule: 'RISK_ABOVE_PLAN', message: 'Risk above plan' },
+              { rule: 'RISK_REWARD_BELOW_TARGET', message: 'R:R below target' },
+              { rule: 'SESSION_NOT_PREFERRED', message: 'Outside preferred sessions' },
+              { rule: 'MAX_TRADES_EXCEEDED', message: 'Too many trades' },
+            ],
+          },
+        },
+        { ...tradeOne, _id: mongoose.Types.ObjectId(), userId, entryTime: new Date('2023-01-01T09:00:00Z') },
+      ]);
+
+      const snapshot = await snapshotService.createPerformanceSnapshot(userId, 'DAILY', periodStart, periodEnd);
+
+      expect(snapshot).toMatchObject({
+        period: 'DAILY',
+        periodStart,
+        periodEnd,
+        stats: {
+          tradeCount: 2,
+          profitLoss: 75,
+          winRate: 50,
+          avgRiskReward: 1,
+          planAdherence: 50,
+          tradesThisWeek: 3,
+        },
+      });
+      expect(snapshot.insights).toEqual(
+        expect.arrayContaining([expect.objectContaining({ type: 'CONSTRUCTIVE', title: 'Drifting from the plan' })])
+      );
+    });
+
+    test('should leave out plan adherence when no trade of the period was scored', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTrades([{ ...tradeOne, userId, entryTime: new Date('2023-01-02T09:00:00Z') }]);
+
+      const snapshot = await snapshotService.createPerformanceSnapshot(userId, 'DAILY', periodStart, periodEnd);
+
+      expect(snapshot.stats.planAdherence).toBeNull();
+      expect(snapshot.insights).not.toEqual(
+        expect.arrayContaining([expect.objectContaining({ metric: expect.objectContaining({ label: 'Plan adherence' }) })])
+      );
+    });
+
+    test('should report the net profit/loss in the currency of the account', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertAccounts([{ ...accountTwo, userId }]);
+      await insertTrades([
+        { ...tradeOne, userId, accountId: accountTwo._id, entryTime: new Date('2023-01-02T09:00:00Z'), commission: -10 },
+        { ...tradeTwo, userId, currency: 'USD', entryTime: new Date('2023-01-02T14:00:00Z'), profitLoss: 110 },
+      ]);
+      await insertFxRates([eurUsdRate]);
+
+      const snapshot = await snapshotService.createPerformanceSnapshot(userId, 'DAILY', periodStart, periodEnd);
+
+      expect(snapshot.currency).toBe('EUR');
+      expect(snapshot.stats).toMatchObject({ tradeCount: 2, profitLoss: 240, winRate: 100, unconvertedTrades: 0 });
+    });
+
+    test('should leave out the trades without a rate into the reporting currency', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTrades([
+        { ...tradeOne, userId, entryTime: new Date('2023-01-02T09:00:00Z') },
+        { ...tradeTwo, userId, currency: 'JPY', entryTime: new Date('2023-01-02T14:00:00Z') },
+      ]);
+
+      const snapshot = await snapshotService.createPerformanceSnapshot(userId, 'DAILY', periodStart, periodEnd);
+
+      expect(snapshot.stats).toMatchObject({ tradeCount: 1, profitLoss: 150, unconvertedTrades: 1 });
+    });
+
+    test('should leave open trades out of the trades of the week', async () => {
+      const userId = mongoose.Types.ObjectId();
+      const { exitTime, profitLoss, riskRewardAchieved, ...openTrade } = tradeOne;
+      await insertTrades([
+        { ...tradeOne, userId, entryTime: new Date('2023-01-02T09:00:00Z') },
+        {
+          ...openTrade,
+          _id: mongoose.Types.ObjectId(),
+          userId,
+          status: 'OPEN',
+          entryTime: new Date('2023-01-02T10:00:00Z'),
+        },
+      ]);
+
+      const snapshot = await snapshotService.createPerformanceSnapshot(userId, 'DAILY', periodStart, periodEnd);
+
+      expect(snapshot.stats).toMatchObject({ tradeCount: 1, tradesThisWeek: 1 });
+    });
+
+    test('should compare with the previous snapshot of the same period', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTrades([
+        { ...tradeOne, userId, entryTime: new Date('2023-01-01T09:00:00Z'), profitLoss: -50.0 },
+        { ...tradeTwo, userId, entryTime: new Date('2023-01-02T14:00:00Z'), profitLoss: 80.0 },
+      ]);
+      await snapshotService.createPerformanceSnapshot(
+        userId,
+        'DAILY',
+        new Date('2023-01-01T00:00:00Z'),
+        new Date('2023-01-02T00:00:00Z')
+      );
+
+      const snapshot = await snapshotService.createPerformanceSnapshot(userId, 'DAILY', periodStart, periodEnd);
+
+      expect(snapshot.insights).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({
+            type: 'POSITIVE',
+            title: 'Win rate improving',
+            metric: { label: 'Win rate change', value: 100 },
+          }),
+        ])
+      );
+    });
+
+    test('should overwrite the snapshot when the period is generated again', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await snapshotService.createPerformanceSnapshot(userId, 'DAILY', periodStart, periodEnd);
+      await insertTrades([{ ...tradeOne, userId, entryTime: new Date('2023-01-02T09:00:00Z') }]);
+
+      await snapshotService.createPerformanceSnapshot(userId, 'DAILY', periodStart, periodEnd);
+
+      const snapshots = await PerformanceSnapshot.find({ userId });
+      expect(snapshots).toHaveLength(1);
+      expect(snapshots[0].stats.tradeCount).toBe(1);
+    });
+  });
+
+  describe('generatePerformanceSnapshots', () => {
+    test('should write a snapshot for every user', async () => {
+      await insertUsers([userOne, userTwo]);
+
+      const count = await snapshotService.generatePerformanceSnapshots('WEEKLY', new Date('2023-01-04T10:00:00Z'));
+
+      expect(count).toBe(2);
+      const snapshots = await PerformanceSnapshot.find({ period: 'WEEKLY' });
+      expect(snapshots).toHaveLength(2);
+      expect(snapshots[0].periodStart).toEqual(new Date('2022-12-26T00:00:00Z'));
+    });
+
+    test('should write the snapshots of the users of a time zone for the period completed there', async () => {
+      await insertUsers([{ ...userOne, timezone: 'Asia/Tokyo' }, userTwo]);
+
+      const count = await snapshotService.generatePerformanceSnapshots(
+        'DAILY',
+        new Date('2023-01-04T10:00:00Z'),
+        'Asia/Tokyo'
+      );
+
+      expect(count).toBe(1);
+      await expect(PerformanceSnapshot.findOne({ userId: userOne._id, period: 'DAILY' })).resolves.toMatchObject({
+        periodStart: new Date('2023-01-02T15:00:00Z'),
+        periodEnd: new Date('2023-01-03T15:00:00Z'),
+      });
+      await expect(PerformanceSnapshot.countDocuments({ userId: userTwo._id })).resolves.toBe(0);
+    });
+  });
+
+  describe('getUserTimeZones', () => {
+    test('should return the time zones of the users, UTC for users without one', async () => {
+      await insertUsers([{ ...userOne, timezone: 'Asia/Tokyo' }, userTwo]);
+      await User.updateOne({ _id: userTwo._id }, { $unset: { timezone: '' } });
+
+      await expect(snapshotService.getUserTimeZones()).resolves.toEqual(expect.arrayContaining(['Asia/Tokyo', 'UTC']));
+    });
+  });
+
+  describe('queryPerformanceSnapshots', () => {
+    test('should filter snapshots by period, newest first', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await snapshotService.createPerformanceSnapshot(
+        userId,
+        'DAILY',
+        new Date('2023-01-01T00:00:00Z'),
+        new Date('2023-01-02T00:00:00Z')
+      );
+      await snapshotService.createPerformanceSnapshot(
+        userId,
+        'DAILY',
+        new Date('2023-01-02T00:00:00Z'),
+        new Date('2023-01-03T00:00:00Z')
+      );
+      await snapshotService.createPerformanceSnapshot(
+        userId,
+        'WEEKLY',
+        new Date('2022-12-26T00:00:00Z'),
+        new Date('2023-01-02T00:00:00Z')
+      );
+
+      const result = await snapshotService.queryPerformanceSnapshots(userId, { period: 'DAILY' }, {});
+
+      expect(result.totalResults).toBe(2);
+      expect(result.results[0].periodStart).toEqual(new Date('2023-01-02T00:00:00Z'));
+    });
+  });
+});
@@ -1,8 +1,9 @@
 const mongoose = require('mongoose');
-const { Trade } = require('../../../src/models');
+const { Trade, StateAnalysis } = require('../../../src/models');
 const { tradeService } = require('../../../src/services');
 const ApiError = require('../../../src/utils/ApiError');
 const { tradeOne, tradeTwo, insertTrades } = require('../../fixtures/trade.fixture');
+const { accountOne, insertAccounts } = require('../../fixtures/account.fixture');
 const setupTestDB = require('../../utils/setupTestDB');
 
 setupTestDB();
@@ -59,6 +60,88 @@ describe('Trade service', () => {
       expect(dbTrade.targetPercentAchieved).toBe(newTrade.targetPercentAchieved);
       expect(dbTrade.notes).toBe(newTrade.notes);
     });
+
+    test('should refresh the state of the account of the trade and of all accounts', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertAccounts([{ ...accountOne, userId }]);
+
+      await tradeService.createTrade(userId, { ...newTrade, accountId: accountOne._id });
+
+      await expect(StateAnalysis.countDocuments({ userId, accountId: accountOne._id })).resolves.toBe(1);
+      await expect(StateAnalysis.countDocuments({ userId, accountId: null })).resolves.toBe(1);
+    });
+
+    test('should throw ApiError if the trade is already recorded', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await tradeService.createTrade(userId, newTrade);
+
+      await expect(tradeService.createTrade(userId, { ...newTrade, notes: 'Typed again' })).rejects.toThrow(
+        'Trade already recorded'
+      );
+      await expect(Trade.countDocuments({ userId })).resolves.toBe(1);
+    });
+
+    test('should throw ApiError if the broker ticket is recorded with other times or profit/loss', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await tradeService.createTrade(userId, { ...newTrade, brokerTicketId: '1001' });
+
+      await expect(
+        tradeService.createTrade(userId, { ...newTrade, brokerTicketId: '1001', profitLoss: 140 })
+      ).rejects.toThrow('Broker ticket already recorded with other times or profit/loss');
+    });
+
+    test('should derive risk/reward and target achieved from the prices', async () => {
+      const userId = mongoose.Types.ObjectId();
+      const { riskRewardAchieved, targetPercentAchieved, ...tradeWithoutMetrics } = newTrade;
+
+      const result = await tradeService.createTrade(userId, {
+        ...tradeWithoutMetrics,
+        symbol: 'EURUSD',
+        direction: 'LONG',
+        entryPrice: 1.07,
+        exitPrice: 1.073,
+        stopLossPrice: 1.068,
+        takeProfitPrice: 1.076,
+        positionSize: 1,
+      });
+
+      expect(result).toMatchObject({
+        symbol: 'EURUSD',
+        direction: 'LONG',
+        riskRewardAchieved: 1.5,
+        targetPercentAchieved: 50,
+      });
+    });
+  });
+
+  describe('deriveTradeMetrics', () => {
+    test('should return nothing when no stop loss or take profit price is given', () => {
+      expect(tradeService.deriveTradeMetrics({ direction: 'LONG', entryPrice: 1.07, exitPrice: 1.08 })).toEqual({});
+    });
+
+    test('should derive the metrics of a short trade', () => {
+      const trade = { direction: 'SHORT', entryPrice: 100, exitPrice: 90, stopLossPrice: 105, takeProfitPrice: 80 };
+
+      expect(tradeService.deriveTradeMetrics(trade)).toEqual({ riskRewardAchieved: 2, targetPercentAchieved: 50 });
+    });
+
+    test('should not derive negative metrics for a losing trade', () => {
+      const trade = { direction: 'LONG', entryPrice: 100, exitPrice: 95, stopLossPrice: 95, takeProfitPrice: 110 };
+
+      expect(tradeService.deriveTradeMetrics(trade)).toEqual({ riskRewardAchieved: 0, targetPercentAchieved: 0 });
+    });
+
+    test('should throw ApiError if the stop loss is on the wrong side of the entry', () => {
+      const trade = { direction: 'LONG', entryPrice: 100, exitPrice: 105, stopLossPrice: 101 };
+
+      expect(() => tradeService.deriveTradeMetrics(trade)).toThrow(
+        'Stop loss must be below the entry price of a LONG trade'
+      );
+    });
+
+    test('should throw ApiError if the prices to derive from are missing', () => {
+      expect(() => tradeService.deriveTradeMetrics({ stopLossPrice: 95 })).toThrow(ApiError);
+    });
   });
 
   describe('createBulkTrades', () => {
@@ -99,13 +182,65 @@ describe('Trade service', () => {
       const result = await tradeService.createBulkTrades(userId, bulkTrades);
 
       expect(result).toBeDefined();
-      expect(result).toHaveLength(2);
-      expect(result[0].userId.toString()).toBe(userId.toString());
-      expect(result[1].userId.toString()).toBe(userId.toString());
+      expect(result.trades).toHaveLength(2);
+      expect(result.trades[0].userId.toString()).toBe(userId.toString());
+      expect(result.trades[1].userId.toString()).toBe(userId.toString());
+      expect(result).toMatchObject({ skipped: [], conflicting: [] });
 
       const dbTrades = await Trade.find({ userId });
       expect(dbTrades).toHaveLength(2);
     });
+
+    test('should skip the trades already recorded when a batch is sent again', async () => {
+      const userId = mongoose.Types.ObjectId();
+      const { trades } = await tradeService.createBulkTrades(userId, bulkTrades);
+
+      const result = await tradeService.createBulkTrades(userId, bulkTrades);
+
+      expect(result.trades).toHaveLength(0);
+      expect(result.skipped).toEqual([
+        { index: 0, tradeId: trades[0]._id },
+        { index: 1, tradeId: trades[1]._id },
+      ]);
+      await expect(Trade.countDocuments({ userId })).resolves.toBe(2);
+    });
+
+    test('should skip a trade repeated within the batch', async () => {
+      const userId = mongoose.Types.ObjectId();
+
+      const result = await tradeService.createBulkTrades(userId, [...bulkTrades, bulkTrades[0]]);
+
+      expect(result.trades).toHaveLength(2);
+      expect(result.skipped).toEqual([{ index: 2, tradeId: result.trades[0]._id }]);
+      await expect(Trade.countDocuments({ userId })).resolves.toBe(2);
+    });
+
+    test('should record trades with the same times and profit/loss on other symbols or in other directions', async () => {
+      const userId = mongoose.Types.ObjectId();
+
+      const result = await tradeService.createBulkTrades(userId, [
+        { ...bulkTrades[0], symbol: 'EURUSD', direction: 'LONG' },
+        { ...bulkTrades[0], symbol: 'GBPUSD', direction: 'LONG' },
+        { ...bulkTrades[0], symbol: 'EURUSD', direction: 'SHORT' },
+      ]);
+
+      expect(result.trades).toHaveLength(3);
+      expect(result.skipped).toEqual([]);
+    });
+
+    test('should leave out trades whose broker ticket is recorded with other times or profit/loss', async () => {
+      const userId = mongoose.Types.ObjectId();
+      const { trades } = await tradeService.createBulkTrades(userId, [{ ...bulkTrades[0], brokerTicketId: '1001' }]);
+
+      const result = await tradeService.createBulkTrades(userId, [
+        { ...bulkTrades[0], brokerTicketId: '1001', profitLoss: 140 },
+        bulkTrades[1],
+      ]);
+
+      expect(result.trades).toHaveLength(1);
+      expect(result.conflicting).toEqual([{ index: 0, tradeId: trades[0]._id }]);
+      await expect(Trade.countDocuments({ userId, brokerTicketId: '1001' })).resolves.toBe(1);
+    });
   });
 
   describe('queryTrades', () => {
@@ -198,6 +333,31 @@ describe('Trade service', () => {
       expect(dbTrade.notes).toBe(updateData.notes);
     });
 
+    test('should derive the metrics again when a price changes', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTrades([
+        { ...tradeOne, userId, direction: 'LONG', entryPrice: 100, exitPrice: 103, stopLossPrice: 98, takeProfitPrice: 106 },
+      ]);
+
+      const result = await tradeService.updateTradeById(tradeOne._id, userId, { exitPrice: 106 });
+
+      expect(result).toMatchObject({ riskRewardAchieved: 3, targetPercentAchieved: 100 });
+    });
+
+    test('should throw ApiError if the update makes the trade a duplicate of another', async () => {
+      const userId = mongoose.Types.ObjectId();
+      const toTradeData = ({ _id, userId: ownerId, ...tradeData }) => tradeData;
+      const { trades } = await tradeService.createBulkTrades(userId, [toTradeData(tradeOne), toTradeData(tradeTwo)]);
+
+      await expect(
+        tradeService.updateTradeById(trades[1]._id, userId, {
+          entryTime: tradeOne.entryTime,
+          exitTime: tradeOne.exitTime,
+          profitLoss: tradeOne.profitLoss,
+        })
+      ).rejects.toThrow('Trade already recorded');
+    });
+
     test('should throw ApiError if trade not found', async () => {
       const userId = mongoose.Types.ObjectId();
       const updateData = { profitLoss: 200.0 };
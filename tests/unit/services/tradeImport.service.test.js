@@ -0,0 +1,289 @@
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const { Trade, ImportProfile, TradingPlan } = require('../../../src/models');
+const { tradeImportService } = require('../../../src/services');
+const setupTestDB = require('../../utils/setupTestDB');
+
+setupTestDB();
+
+describe('Trade import service', () => {
+  const mapping = {
+    symbol: 'Pair',
+    entryTime: 'Opened',
+    exitTime: 'Closed',
+    riskPercentUsed: 'Risk %',
+    profitLoss: 'P&L',
+    riskRewardAchieved: 'R',
+    session: 'Session',
+    stopLossHit: 'Stopped out',
+    exitedEarly: 'Closed early',
+    targetPercentAchieved: 'Target %',
+  };
+  const header = 'Pair,Opened,Closed,Risk %,P&L,R,Session,Stopped out,Closed early,Target %';
+
+  let userId;
+  let profile;
+
+  beforeEach(async () => {
+    userId = mongoose.Types.ObjectId();
+    profile = await tradeImportService.createImportProfile(userId, {
+      name: 'Journal',
+      mapping,
+      timezone: 'Europe/London',
+      dateFormat: 'DD/MM/YYYY HH:mm',
+    });
+  });
+
+  describe('import profiles', () => {
+    test('should reject a second profile with the same name', async () => {
+      await expect(tradeImportService.createImportProfile(userId, { name: 'Journal', mapping })).rejects.toMatchObject({
+        statusCode: httpStatus.BAD_REQUEST,
+      });
+    });
+
+    test('should not return the profile of another user', async () => {
+      await expect(tradeImportService.getImportProfileById(profile._id, mongoose.Types.ObjectId())).rejects.toMatchObject({
+        statusCode: httpStatus.NOT_FOUND,
+      });
+    });
+  });
+
+  describe('importCsvTrades', () => {
+    test('should report every row on a dry run without importing', async () => {
+      const csv = [
+        header,
+        'eurusd,01/07/2023 09:00,01/07/2023 10:30,1,150,1.5,london,no,no,100',
+        'GBPUSD,2023-07-01,01/07/2023 12:00,1,abc,0,NY,yes,no,0',
+      ].join('\n');
+
+      const result = await tradeImportService.importCsvTrades(userId, csv, { profileId: profile._id, dryRun: true });
+
+      expect(result).toMatchObject({ dryRun: true, totalRows: 2, validRows: 1, invalidRows: 1, imported: 0 });
+      expect(result.trades[0]).toMatchObject({
+        symbol: 'EURUSD',
+        session: 'LONDON',
+        stopLossHit: false,
+        profitLoss: 150,
+        entryTime: new Date('2023-07-01T08:00:00Z'),
+      });
+      expect(result.errors).toEqual([{ row: 3, messages: ['"entryTime" must be a date in the DD/MM/YYYY HH:mm format'] }]);
+      await expect(Trade.countDocuments({ userId })).resolves.toBe(0);
+    });
+
+    test('should import the valid rows and report the invalid ones', async () => {
+      const csv = [
+        header,
+        'EURUSD,01/07/2023 09:00,01/07/2023 10:30,1,150,1.5,LONDON,no,no,100',
+        'GBPUSD,01/07/2023 11:00,01/07/2023 12:00,1,abc,0,NY,yes,no,0',
+      ].join('\r\n');
+
+      const result = await tradeImportService.importCsvTrades(userId, csv, { profileId: profile._id });
+
+      expect(result).toMatchObject({ dryRun: false, validRows: 1, invalidRows: 1, imported: 1 });
+      expect(result.errors[0]).toEqual({ row: 3, messages: ['"profitLoss" must be a number'] });
+      const [trade] = await Trade.find({ userId });
+      expect(trade).toMatchObject({ symbol: 'EURUSD', profitLoss: 150 });
+    });
+
+    test('should skip the rows already imported when the file is imported again', async () => {
+      const csv = [
+        header,
+        'EURUSD,01/07/2023 09:00,01/07/2023 10:30,1,150,1.5,LONDON,no,no,100',
+        'GBPUSD,01/07/2023 11:00,01/07/2023 12:00,1,-50,0,NY,yes,no,0',
+      ].join('\n');
+      await tradeImportService.importCsvTrades(userId, csv, { profileId: profile._id });
+      const [trade] = await Trade.find({ userId, symbol: 'EURUSD' });
+
+      const result = await tradeImportService.importCsvTrades(userId, csv, { profileId: profile._id, dryRun: true });
+
+      expect(result.skipped).toHaveLength(2);
+      expect(result.skipped[0]).toEqual({ row: 2, tradeId: trade._id });
+
+      const imported = await tradeImportService.importCsvTrades(userId, csv, { profileId: profile._id });
+
+      expect(imported).toMatchObject({ imported: 0, conflicting: [] });
+      expect(imported.skipped).toHaveLength(2);
+      await expect(Trade.countDocuments({ userId })).resolves.toBe(2);
+    });
+
+    test('should let the request override the time zone of the profile', async () => {
+      const csv = [header, 'EURUSD,01/07/2023 09:00,01/07/2023 10:30,1,150,1.5,LONDON,no,no,100'].join('\n');
+
+      const result = await tradeImportService.importCsvTrades(userId, csv, {
+        profileId: profile._id,
+        dryRun: true,
+        timezone: 'UTC',
+      });
+
+      expect(result.trades[0].entryTime).toEqual(new Date('2023-07-01T09:00:00Z'));
+    });
+
+    test('should throw 400 when a mapped column is missing', async () => {
+      const csv = ['Pair,Opened', 'EURUSD,01/07/2023 09:00'].join('\n');
+
+      await expect(tradeImportService.importCsvTrades(userId, csv, { profileId: profile._id })).rejects.toMatchObject({
+        statusCode: httpStatus.BAD_REQUEST,
+      });
+    });
+
+    test('should throw 404 when the profile does not exist', async () => {
+      await ImportProfile.deleteMany({});
+
+      await expect(tradeImportService.importCsvTrades(userId, header, { profileId: profile._id })).rejects.toMatchObject({
+        statusCode: httpStatus.NOT_FOUND,
+      });
+    });
+  });
+
+  describe('importMetaTraderStatement', () => {
+    const row = (cells) => `<tr>${cells.map((cell) => `<td>${cell}</td>`).join('')}</tr>`;
+    const statement = [
+      '<table>',
+      row(['Closed Transactions:']),
+      row(
+        ['Ticket', 'Open Time', 'Type', 'Size', 'Item', 'Price', 'S / L', 'T / P', 'Close Time', 'Price'].concat([
+          'Commission',
+          'Taxes',
+          'Swap',
+          'Profit',
+        ])
+      ),
+      row(
+        ['1001', '2023.07.03 11:15:00', 'buy', '1.00', 'eurusd', '1.09000', '1.08800', '1.09400'].concat([
+          '2023.07.03 13:02:00',
+          '1.08800',
+          '-7.00',
+          '0.00',
+          '-1.50',
+          '-200.00',
+        ])
+      ),
+      row(
+        ['1002', '2023.07.03 16:00:00', 'sell', '1.00', 'gbpusd', '1.27000', '1.27100', '1.26600'].concat([
+          '2023.07.03 17:00:00',
+          '1.26800',
+          '-7.00',
+          '0.00',
+          '0.00',
+          '200.00',
+        ])
+      ),
+      row(
+        ['1003', '2023.07.03 18:00:00', 'buy', '1.00', 'usdjpy', '144.000', '144.100', '0.000'].concat([
+          '2023.07.03 18:30:00',
+          '144.100',
+          '0.00',
+          '0.00',
+          '0.00',
+          '70.00',
+        ])
+      ),
+      row(
+        ['1004', '03/07/2023 19:00', 'buy', '1.00', 'usdjpy', '144.000', '0.000', '0.000'].concat([
+          '2023.07.03 19:30:00',
+          '144.100',
+          '0.00',
+          '0.00',
+          '0.00',
+          '70.00',
+        ])
+      ),
+      '</table>',
+    ].join('\n');
+
+    test('should map the closed positions to trades', async () => {
+      const result = await tradeImportService.importMetaTraderStatement(userId, statement, {
+        dryRun: true,
+        timezone: 'Europe/Athens',
+        riskPercent: 1,
+      });
+
+      expect(result).toMatchObject({ dryRun: true, totalRows: 4, validRows: 3, invalidRows: 1, imported: 0 });
+      expect(result.errors).toEqual([
+        { ticket: '1004', messages: ['Open and close times must be in the YYYY.MM.DD HH:mm:ss format'] },
+      ]);
+      expect(result.trades[0]).toEqual({
+        symbol: 'EURUSD',
+        direction: 'LONG',
+        entryTime: new Date('2023-07-03T08:15:00Z'),
+        exitTime: new Date('2023-07-03T10:02:00Z'),
+        entryPrice: 1.09,
+        exitPrice: 1.088,
+        stopLossPrice: 1.088,
+        takeProfitPrice: 1.094,
+        positionSize: 1,
+        riskPercentUsed: 1,
+        profitLoss: -200,
+        commission: -7,
+        swap: -1.5,
+        riskRewardAchieved: 0,
+        session: 'LONDON',
+        stopLossHit: true,
+        exitedEarly: false,
+        targetPercentAchieved: 0,
+      });
+      expect(result.trades[1]).toMatchObject({
+        direction: 'SHORT',
+        session: 'NY',
+        profitLoss: 200,
+        commission: -7,
+        riskRewardAchieved: 2,
+        targetPercentAchieved: 50,
+        stopLossHit: false,
+        exitedEarly: true,
+      });
+    });
+
+    test('should report the positions whose ticket is recorded with another profit/loss', async () => {
+      await tradeImportService.importMetaTraderStatement(userId, statement, { riskPercent: 1 });
+      const amended = statement.replace('-200.00', '-190.00');
+
+      const result = await tradeImportService.importMetaTraderStatement(userId, amended, { riskPercent: 1 });
+
+      expect(result).toMatchObject({ imported: 0 });
+      expect(result.skipped.map((duplicate) => duplicate.ticket)).toEqual(['1002', '1003']);
+      expect(result.conflicting).toEqual([{ ticket: '1001', tradeId: expect.anything() }]);
+    });
+
+    test('should keep a stop trailed past the entry out of the R:R and leave it unset', async () => {
+      const result = await tradeImportService.importMetaTraderStatement(userId, statement, {
+        dryRun: true,
+        riskPercent: 1,
+      });
+
+      expect(result.trades[2]).toMatchObject({ stopLossHit: true });
+      expect(result.trades[2].stopLossPrice).toBeUndefined();
+      expect(result.trades[2].riskRewardAchieved).toBeUndefined();
+      expect(result.trades[2].targetPercentAchieved).toBeUndefined();
+    });
+
+    test('should use the risk per trade of the trading plan and import the trades', async () => {
+      await TradingPlan.create({
+        userId,
+        maxTradesPerDay: 5,
+        riskPercentPerTrade: 1.5,
+        targetRiskRewardRatio: 2,
+        preferredSessions: ['LONDON'],
+        stopLossDiscipline: 'ALWAYS',
+      });
+
+      const result = await tradeImportService.importMetaTraderStatement(userId, statement, {});
+
+      expect(result).toMatchObject({ dryRun: false, imported: 3 });
+      const trades = await Trade.find({ userId });
+      expect(trades.map((trade) => trade.riskPercentUsed)).toEqual([1.5, 1.5, 1.5]);
+    });
+
+    test('should throw 400 when there is neither a risk nor a trading plan', async () => {
+      await expect(tradeImportService.importMetaTraderStatement(userId, statement, {})).rejects.toMatchObject({
+        statusCode: httpStatus.BAD_REQUEST,
+      });
+    });
+
+    test('should throw 400 when the statement has no closed positions', async () => {
+      await expect(
+        tradeImportService.importMetaTraderStatement(userId, '<html></html>', { riskPercent: 1 })
+      ).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST });
+    });
+  });
+});
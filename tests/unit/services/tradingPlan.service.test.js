@@ -1,8 +1,10 @@
 const mongoose = require('mongoose');
-const { TradingPlan } = require('../../../src/models');
+const { TradingPlan, StateAnalysis, Trade } = require('../../../src/models');
 const { tradingPlanService } = require('../../../src/services');
 const ApiError = require('../../../src/utils/ApiError');
 const { tradingPlanOne, insertTradingPlans } = require('../../fixtures/tradingPlan.fixture');
+const { tradeOne, tradeTwo, insertTrades } = require('../../fixtures/trade.fixture');
+const { userOne, insertUsers } = require('../../fixtures/user.fixture');
 const setupTestDB = require('../../utils/setupTestDB');
 
 setupTestDB();
@@ -45,6 +47,16 @@ describe('TradingPlan service', () => {
       expect(dbTradingPlan.stopLossDiscipline).toBe(newTradingPlan.stopLossDiscipline);
     });
 
+    test('should score the trades placed before the first plan against it', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTrades([{ ...tradeOne, userId }]);
+
+      await tradingPlanService.createOrUpdateTradingPlan(userId, { ...newTradingPlan, riskPercentPerTrade: 1 });
+
+      const trade = await Trade.findById(tradeOne._id).lean();
+      expect(trade.planAdherence).toMatchObject({ score: 80, violations: [{ rule: 'RISK_ABOVE_PLAN' }] });
+    });
+
     test('should update existing trading plan successfully', async () => {
       const userId = mongoose.Types.ObjectId();
       await insertTradingPlans([{ ...tradingPlanOne, userId }]);
@@ -123,4 +135,183 @@ describe('TradingPlan service', () => {
       await expect(tradingPlanService.deleteTradingPlanByUserId(userId)).rejects.toThrow('Trading plan not found');
     });
   });
+
+  describe('checkProposedTrade', () => {
+    const entryTime = new Date('2023-01-02T16:00:00Z');
+    let proposedTrade;
+
+    const recordState = (userId, state, timestamp = new Date('2023-01-02T12:00:00Z')) =>
+      StateAnalysis.create({
+        userId,
+        state,
+        confidence: 50,
+        analyzedTradeCount: 1,
+        dateRange: { from: timestamp, to: timestamp },
+        timestamp,
+      });
+
+    beforeEach(() => {
+      proposedTrade = { session: 'LONDON', riskPercent: 1.5, riskReward: 2, entryTime };
+    });
+
+    test('should allow a trade within the plan', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTradingPlans([{ ...tradingPlanOne, userId }]);
+
+      const result = await tradingPlanService.checkProposedTrade(userId, proposedTrade);
+
+      expect(result).toEqual({
+        decision: 'ALLOW',
+        reasons: [],
+        context: {
+          session: 'LONDON',
+          tradingPlanVersion: 1,
+          tradesToday: 0,
+          maxTradesPerDay: tradingPlanOne.maxTradesPerDay,
+          realisedProfitLoss: 0,
+          realisedLossPercent: 0,
+          dailyLossLimitPercent: 6,
+          psychologicalState: 'STABLE',
+        },
+      });
+    });
+
+    test('should warn when there is no trading plan', async () => {
+      const result = await tradingPlanService.checkProposedTrade(mongoose.Types.ObjectId(), proposedTrade);
+
+      expect(result.decision).toBe('WARN');
+      expect(result.reasons.map((reason) => reason.rule)).toEqual(['NO_TRADING_PLAN']);
+    });
+
+    test('should warn on a session outside the plan and a risk/reward below target', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTradingPlans([{ ...tradingPlanOne, userId }]);
+
+      const result = await tradingPlanService.checkProposedTrade(userId, {
+        ...proposedTrade,
+        session: 'ASIA',
+        riskReward: 1,
+      });
+
+      expect(result.decision).toBe('WARN');
+      expect(result.reasons.map((reason) => reason.rule)).toEqual(['RISK_REWARD_BELOW_TARGET', 'SESSION_NOT_PREFERRED']);
+    });
+
+    test('should check the session open at the entry time when none is given', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTradingPlans([{ ...tradingPlanOne, userId }]);
+      const { session, ...unsessionedTrade } = proposedTrade;
+
+      const result = await tradingPlanService.checkProposedTrade(userId, unsessionedTrade);
+
+      expect(result.context.session).toBe('NY');
+    });
+
+    test('should block a risk above the plan', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTradingPlans([{ ...tradingPlanOne, userId }]);
+
+      const result = await tradingPlanService.checkProposedTrade(userId, { ...proposedTrade, riskPercent: 3 });
+
+      expect(result.decision).toBe('BLOCK');
+      expect(result.reasons).toEqual([
+        { rule: 'RISK_ABOVE_PLAN', severity: 'BLOCK', message: 'Risking 3% against a planned 2%' },
+      ]);
+    });
+
+    test('should block once the maximum trades of the day are taken', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTradingPlans([{ ...tradingPlanOne, userId, maxTradesPerDay: 1 }]);
+      await insertTrades([{ ...tradeTwo, userId }]);
+      await recordState(userId, 'STABLE');
+
+      const result = await tradingPlanService.checkProposedTrade(userId, proposedTrade);
+
+      expect(result.decision).toBe('BLOCK');
+      expect(result.context).toMatchObject({ tradesToday: 1, realisedProfitLoss: -75, realisedLossPercent: 1.5 });
+      expect(result.reasons.map((reason) => reason.rule)).toEqual(['MAX_TRADES_REACHED']);
+    });
+
+    test('should ignore trades of other days', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTradingPlans([{ ...tradingPlanOne, userId, maxTradesPerDay: 1 }]);
+      await insertTrades([{ ...tradeOne, userId }]);
+      await recordState(userId, 'STABLE');
+
+      const result = await tradingPlanService.checkProposedTrade(userId, proposedTrade);
+
+      expect(result.context.tradesToday).toBe(0);
+      expect(result.decision).toBe('ALLOW');
+    });
+
+    test('should count the trades of the day in the time zone of the user', async () => {
+      await insertUsers([{ ...userOne, timezone: 'America/New_York' }]);
+      await insertTradingPlans([{ ...tradingPlanOne, userId: userOne._id, maxTradesPerDay: 1 }]);
+      await insertTrades([{ ...tradeTwo, userId: userOne._id }]);
+
+      // 22:00 in New York, on the day of the trade
+      const result = await tradingPlanService.checkProposedTrade(userOne._id, {
+        ...proposedTrade,
+        entryTime: new Date('2023-01-03T03:00:00Z'),
+      });
+
+      expect(result.context.tradesToday).toBe(1);
+    });
+
+    test('should block once the daily loss limit is reached', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTradingPlans([{ ...tradingPlanOne, userId, riskPercentPerTrade: 0.5 }]);
+      await insertTrades([{ ...tradeTwo, userId }]);
+      await recordState(userId, 'STABLE');
+
+      const result = await tradingPlanService.checkProposedTrade(userId, { ...proposedTrade, riskPercent: 0.5 });
+
+      expect(result.decision).toBe('BLOCK');
+      expect(result.reasons).toEqual([
+        { rule: 'DAILY_LOSS_LIMIT', severity: 'BLOCK', message: 'Lost 1.5% today, the daily loss limit is 1.5%' },
+      ]);
+    });
+
+    test('should warn when losing the trade would pass the daily loss limit', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTradingPlans([{ ...tradingPlanOne, userId, riskPercentPerTrade: 0.6 }]);
+      await insertTrades([{ ...tradeTwo, userId }]);
+      await recordState(userId, 'STABLE');
+
+      const result = await tradingPlanService.checkProposedTrade(userId, { ...proposedTrade, riskPercent: 0.5 });
+
+      expect(result.decision).toBe('WARN');
+      expect(result.context.dailyLossLimitPercent).toBe(1.8);
+      expect(result.reasons.map((reason) => reason.rule)).toEqual(['DAILY_LOSS_LIMIT']);
+    });
+
+    test('should only count losses realised before the entry time', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTradingPlans([{ ...tradingPlanOne, userId, riskPercentPerTrade: 0.5 }]);
+      await insertTrades([{ ...tradeTwo, userId }]);
+      await recordState(userId, 'STABLE');
+
+      const result = await tradingPlanService.checkProposedTrade(userId, {
+        ...proposedTrade,
+        riskPercent: 0.5,
+        entryTime: new Date('2023-01-02T15:00:00Z'),
+      });
+
+      expect(result.context).toMatchObject({ tradesToday: 1, realisedLossPercent: 0 });
+      expect(result.decision).toBe('ALLOW');
+    });
+
+    test('should reflect the latest psychological state', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTradingPlans([{ ...tradingPlanOne, userId }]);
+      await recordState(userId, 'HESITANT', new Date('2023-01-01T12:00:00Z'));
+      await recordState(userId, 'AGGRESSIVE');
+
+      const result = await tradingPlanService.checkProposedTrade(userId, proposedTrade);
+
+      expect(result.decision).toBe('BLOCK');
+      expect(result.context.psychologicalState).toBe('AGGRESSIVE');
+      expect(result.reasons.map((reason) => reason.rule)).toEqual(['PSYCHOLOGICAL_STATE']);
+    });
+  });
 });
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const { TradingPlanVersion } = require('../../../src/models');
+const { tradingPlanService, tradingPlanVersionService } = require('../../../src/services');
+const { tradingPlanOne, insertTradingPlans } = require('../../fixtures/tradingPlan.fixture');
+const setupTestDB = require('../../utils/setupTestDB');
+
+setupTestDB();
+
+describe('TradingPlanVersion service', () => {
+  let planBody;
+
+  beforeEach(() => {
+    planBody = {
+      maxTradesPerDay: 5,
+      riskPercentPerTrade: 2.0,
+      targetRiskRewardRatio: 1.5,
+      preferredSessions: ['LONDON', 'NY'],
+      stopLossDiscipline: 'ALWAYS',
+    };
+  });
+
+  describe('recording versions', () => {
+    test('should record a new version on every change and close the previous one', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await tradingPlanService.createOrUpdateTradingPlan(userId, planBody);
+      await tradingPlanService.createOrUpdateTradingPlan(userId, { ...planBody, riskPercentPerTrade: 1 });
+
+      const [first, second] = await TradingPlanVersion.find({ userId }).sort({ version: 1 });
+      expect(first).toMatchObject({ version: 1, riskPercentPerTrade: 2 });
+      expect(second).toMatchObject({ version: 2, riskPercentPerTrade: 1, effectiveTo: null });
+      expect(first.effectiveTo).toEqual(second.effectiveFrom);
+    });
+
+    test('should not record a version when the rules did not change', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await tradingPlanService.createOrUpdateTradingPlan(userId, planBody);
+      await tradingPlanService.createOrUpdateTradingPlan(userId, { ...planBody, preferredSessions: ['NY', 'LONDON'] });
+
+      await expect(TradingPlanVersion.countDocuments({ userId })).resolves.toBe(1);
+    });
+
+    test('should keep the rules of a plan saved before versioning as version 1', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await insertTradingPlans([{ ...tradingPlanOne, userId }]);
+
+      await tradingPlanService.createOrUpdateTradingPlan(userId, { ...planBody, maxTradesPerDay: 2 });
+
+      const versions = await TradingPlanVersion.find({ userId }).sort({ version: 1 });
+      expect(versions.map((v) => v.maxTradesPerDay)).toEqual([tradingPlanOne.maxTradesPerDay, 2]);
+    });
+
+    test('should close the version in force when the plan is deleted', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await tradingPlanService.createOrUpdateTradingPlan(userId, planBody);
+
+      await tradingPlanService.deleteTradingPlanByUserId(userId);
+
+      const version = await TradingPlanVersion.findOne({ userId });
+      expect(version.effectiveTo).toEqual(expect.any(Date));
+    });
+
+    test('should not allow the rules of a version to be changed', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await tradingPlanService.createOrUpdateTradingPlan(userId, planBody);
+
+      const version = await TradingPlanVersion.findOne({ userId });
+      version.riskPercentPerTrade = 5;
+      await version.save();
+
+      await expect(TradingPlanVersion.findOne({ userId })).resolves.toMatchObject({ riskPercentPerTrade: 2 });
+    });
+  });
+
+  describe('getPlanVersionAt', () => {
+    const versions = [
+      {
+        version: 1,
+        effectiveFrom: new Date('2023-01-01T00:00:00Z'),
+        effectiveTo: new Date('2023-01-10T00:00:00Z'),
+      },
+      { version: 2, effectiveFrom: new Date('2023-01-10T00:00:00Z'), effectiveTo: new Date('2023-01-20T00:00:00Z') },
+      { version: 3, effectiveFrom: new Date('2023-02-01T00:00:00Z'), effectiveTo: null },
+    ];
+
+    test('should return the version in force at the date', () => {
+      expect(tradingPlanVersionService.getPlanVersionAt(versions, new Date('2023-01-10T00:00:00Z')).version).toBe(2);
+      expect(tradingPlanVersionService.getPlanVersionAt(versions, new Date('2023-03-01T00:00:00Z')).version).toBe(3);
+    });
+
+    test('should hold dates before the first version to it', () => {
+      expect(tradingPlanVersionService.getPlanVersionAt(versions, new Date('2022-06-01T00:00:00Z')).version).toBe(1);
+    });
+
+    test('should return null while no plan existed', () => {
+      expect(tradingPlanVersionService.getPlanVersionAt(versions, new Date('2023-01-25T00:00:00Z'))).toBeNull();
+      expect(tradingPlanVersionService.getPlanVersionAt([], new Date())).toBeNull();
+    });
+  });
+
+  describe('diffTradingPlanVersions', () => {
+    test('should list the changed rules', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await tradingPlanService.createOrUpdateTradingPlan(userId, planBody);
+      await tradingPlanService.createOrUpdateTradingPlan(userId, {
+        ...planBody,
+        riskPercentPerTrade: 1,
+        preferredSessions: ['ASIA'],
+      });
+
+      const diff = await tradingPlanVersionService.diffTradingPlanVersions(userId, 1, 2);
+
+      expect(diff.from.version).toBe(1);
+      expect(diff.to).toMatchObject({ version: 2, effectiveTo: null });
+      expect(diff.changes.map((change) => change.field)).toEqual(['riskPercentPerTrade', 'preferredSessions']);
+      expect(diff.changes[0]).toEqual({ field: 'riskPercentPerTrade', from: 2, to: 1 });
+    });
+
+    test('should throw 404 when a version does not exist', async () => {
+      const userId = mongoose.Types.ObjectId();
+      await tradingPlanService.createOrUpdateTradingPlan(userId, planBody);
+
+      await expect(tradingPlanVersionService.diffTradingPlanVersions(userId, 1, 3)).rejects.toMatchObject({
+        statusCode: httpStatus.NOT_FOUND,
+      });
+    });
+  });
+});
@@ -0,0 +1,14 @@
+const averageOf = require('../../../src/utils/average');
+
+describe('averageOf', () => {
+  test('should average the field over the items it is set on', () => {
+    const trades = [{ riskRewardAchieved: 2 }, { riskRewardAchieved: 0 }, { riskRewardAchieved: null }, {}];
+
+    expect(averageOf(trades, 'riskRewardAchieved')).toBe(1);
+  });
+
+  test('should return null when no item has the field set', () => {
+    expect(averageOf([{}, { riskRewardAchieved: null }], 'riskRewardAchieved')).toBeNull();
+    expect(averageOf([], 'riskRewardAchieved')).toBeNull();
+  });
+});
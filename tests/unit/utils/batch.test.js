@@ -0,0 +1,40 @@
+const { chunk, mapInBatches } = require('../../../src/utils/batch');
+
+describe('batch', () => {
+  describe('chunk', () => {
+    test('should split items into batches of at most the batch size', () => {
+      expect(chunk([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+    });
+
+    test('should return no batches without items', () => {
+      expect(chunk([], 2)).toEqual([]);
+    });
+  });
+
+  describe('mapInBatches', () => {
+    test('should return the results in the order of the items', async () => {
+      const result = await mapInBatches([1, 2, 3, 4, 5], 2, async (item) => item * 10);
+
+      expect(result).toEqual([10, 20, 30, 40, 50]);
+    });
+
+    test('should not run more calls at once than the batch size', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      const iteratee = async () => {
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise((resolve) => setImmediate(resolve));
+        running -= 1;
+      };
+
+      await mapInBatches([1, 2, 3, 4, 5, 6, 7], 3, iteratee);
+
+      expect(maxRunning).toBe(3);
+    });
+
+    test('should resolve to an empty array without items', async () => {
+      await expect(mapInBatches([], 2, async (item) => item)).resolves.toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const { parseCsv, formatCsvRow } = require('../../../src/utils/csv');
+
+describe('parseCsv', () => {
+  test('should split rows and cells', () => {
+    expect(parseCsv('a,b,c\n1,2,3\r\n4,5,6')).toEqual([
+      ['a', 'b', 'c'],
+      ['1', '2', '3'],
+      ['4', '5', '6'],
+    ]);
+  });
+
+  test('should keep delimiters, quotes and line breaks inside quoted cells', () => {
+    expect(parseCsv('note,size\n"long, then ""cut""",1\n"two\nlines",2')).toEqual([
+      ['note', 'size'],
+      ['long, then "cut"', '1'],
+      ['two\nlines', '2'],
+    ]);
+  });
+
+  test('should skip blank lines and a byte order mark', () => {
+    expect(parseCsv('\ufeffa;b\n\n1;2\n', ';')).toEqual([
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+  });
+
+  test('should keep empty cells', () => {
+    expect(parseCsv('a,b,c\n1,,3')).toEqual([
+      ['a', 'b', 'c'],
+      ['1', '', '3'],
+    ]);
+  });
+});
+
+describe('formatCsvRow', () => {
+  test('should quote cells holding delimiters, quotes or line breaks', () => {
+    expect(formatCsvRow(['plain', 'a,b', 'say "hi"', 'two\nlines', 1.5, false])).toBe(
+      'plain,"a,b","say ""hi""","two\nlines",1.5,false\r\n'
+    );
+  });
+
+  test('should write dates in ISO 8601 and missing values as empty cells', () => {
+    expect(formatCsvRow([new Date('2023-01-02T09:00:00Z'), null, undefined, 'x'], ';')).toBe(
+      '2023-01-02T09:00:00.000Z;;;x\r\n'
+    );
+  });
+
+  test('should prefix text read as a formula with a quote', () => {
+    expect(formatCsvRow(['=SUM(A1:A2)', '+1', '-scalp', '@cmd', '\tx', -75.5, 'a=b'])).toBe(
+      "'=SUM(A1:A2),'+1,'-scalp,'@cmd,'\tx,-75.5,a=b\r\n"
+    );
+  });
+
+  test('should be read back by parseCsv', () => {
+    const rows = [
+      ['note', 'size'],
+      ['long, then "cut"', '1'],
+    ];
+
+    expect(parseCsv(rows.map((row) => formatCsvRow(row)).join(''))).toEqual(rows);
+  });
+});
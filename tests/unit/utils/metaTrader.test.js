@@ -0,0 +1,125 @@
+const parseMetaTraderStatement = require('../../../src/utils/metaTrader');
+
+const mt4Statement = `<html><body><table>
+<tr align=left><td colspan=2><b>Account: 1234</b></td></tr>
+<tr align=left><td colspan=13><b>Closed Transactions:</b></td></tr>
+<tr align=center bgcolor="#C0C0C0">
+  <td>Ticket</td><td nowrap>Open Time</td><td>Type</td><td>Size</td><td>Item</td><td>Price</td><td>S / L</td>
+  <td>T / P</td><td nowrap>Close Time</td><td>Price</td><td>Commission</td><td>Taxes</td><td>Swap</td><td>Profit</td>
+</tr>
+<tr align=right><td>1001</td><td class=msdate>2023.07.03 09:15:22</td><td>buy</td><td>1.00</td><td>eurusd</td>
+  <td>1.09000</td><td>1.08800</td><td>1.09400</td><td>2023.07.03 11:02:10</td><td>1.08800</td><td>-7.00</td>
+  <td>0.00</td><td>-1.50</td><td>-200.00</td></tr>
+<tr align=right><td>1002</td><td>2023.07.03 13:00</td><td>buy limit</td><td>1.00</td><td>eurusd</td>
+  <td>1.08500</td><td>0.00000</td><td>0.00000</td><td>2023.07.03 14:00</td><td colspan=4 align=right>cancelled</td>
+  <td>0.00</td></tr>
+<tr align=right><td>1003</td><td>2023.07.04 08:00:00</td><td>balance</td><td colspan=10>Deposit</td>
+  <td>10&nbsp;000.00</td></tr>
+<tr align=right><td>1004</td><td>2023.07.04 14:30:00</td><td>sell</td><td>0.50</td><td>gbpusd</td>
+  <td>1.27000</td><td>0.00000</td><td>0.00000</td><td>2023.07.04 15:00:00</td><td>1.26500</td><td>-3.50</td>
+  <td>0.00</td><td>0.00</td><td>1 250.00</td></tr>
+<tr><td colspan=13><b>Open Trades:</b></td></tr>
+<tr align=center bgcolor="#C0C0C0">
+  <td>Ticket</td><td nowrap>Open Time</td><td>Type</td><td>Size</td><td>Item</td><td>Price</td><td>S / L</td>
+  <td>T / P</td><td nowrap>Close Time</td><td>Price</td><td>Commission</td><td>Taxes</td><td>Swap</td><td>Profit</td>
+</tr>
+<tr align=right><td>1005</td><td>2023.07.05 09:00:00</td><td>buy</td><td>1.00</td><td>usdjpy</td>
+  <td>144.000</td><td>0.000</td><td>0.000</td><td>&nbsp;</td><td>144.100</td><td>0.00</td><td>0.00</td>
+  <td>0.00</td><td>70.00</td></tr>
+</table></body></html>`;
+
+const mt5Statement = `<html><body><table>
+<tr><th colspan="14"><div><b>Positions</b></div></th></tr>
+<tr bgcolor="#E5F0FC">
+  <td><b>Time</b></td><td><b>Position</b></td><td><b>Symbol</b></td><td><b>Type</b></td>
+  <td class="hidden" colspan="8"></td><td><b>Volume</b></td><td><b>Price</b></td><td><b>S / L</b></td>
+  <td><b>T / P</b></td><td><b>Time</b></td><td><b>Price</b></td><td><b>Commission</b></td><td><b>Swap</b></td>
+  <td colspan="2"><b>Profit</b></td>
+</tr>
+<tr bgcolor="#FFFFFF" align="right">
+  <td>2023.07.03 21:30:00</td><td>5001</td><td>XAUUSD</td><td>sell</td><td class="hidden" colspan="8"></td>
+  <td>0.10</td><td>1 925.50</td><td>1 930.50</td><td>1 915.50</td><td>2023.07.04 02:00:00</td><td>1 915.50</td>
+  <td>-0.70</td><td>0.00</td><td colspan="2">100.00</td>
+</tr>
+<tr><th colspan="14"><div><b>Deals</b></div></th></tr>
+<tr bgcolor="#E5F0FC">
+  <td>Time</td><td>Deal</td><td>Symbol</td><td>Type</td><td>Direction</td><td>Volume</td><td>Price</td>
+  <td>Order</td><td>Commission</td><td>Fee</td><td>Swap</td><td>Profit</td><td>Balance</td><td>Comment</td>
+</tr>
+<tr><td>2023.07.03 21:30:00</td><td>7001</td><td>XAUUSD</td><td>sell</td><td>in</td><td>0.10</td>
+  <td>1 925.50</td><td>6001</td><td>-0.35</td><td>0.00</td><td>0.00</td><td>0.00</td><td>10 000.00</td><td></td></tr>
+</table></body></html>`;
+
+describe('MetaTrader statement parser', () => {
+  test('should parse the closed transactions of an MT4 statement', () => {
+    const positions = parseMetaTraderStatement(mt4Statement);
+
+    expect(positions).toEqual([
+      {
+        ticket: '1001',
+        type: 'buy',
+        symbol: 'eurusd',
+        volume: 1,
+        openTime: '2023.07.03 09:15:22',
+        openPrice: 1.09,
+        stopLoss: 1.088,
+        takeProfit: 1.094,
+        closeTime: '2023.07.03 11:02:10',
+        closePrice: 1.088,
+        commission: -7,
+        taxes: 0,
+        swap: -1.5,
+        profit: -200,
+      },
+      {
+        ticket: '1004',
+        type: 'sell',
+        symbol: 'gbpusd',
+        volume: 0.5,
+        openTime: '2023.07.04 14:30:00',
+        openPrice: 1.27,
+        stopLoss: 0,
+        takeProfit: 0,
+        closeTime: '2023.07.04 15:00:00',
+        closePrice: 1.265,
+        commission: -3.5,
+        taxes: 0,
+        swap: 0,
+        profit: 1250,
+      },
+    ]);
+  });
+
+  test('should parse the positions of an MT5 report and ignore its deals', () => {
+    const positions = parseMetaTraderStatement(mt5Statement);
+
+    expect(positions).toEqual([
+      {
+        ticket: '5001',
+        type: 'sell',
+        symbol: 'XAUUSD',
+        volume: 0.1,
+        openTime: '2023.07.03 21:30:00',
+        openPrice: 1925.5,
+        stopLoss: 1930.5,
+        takeProfit: 1915.5,
+        closeTime: '2023.07.04 02:00:00',
+        closePrice: 1915.5,
+        commission: -0.7,
+        taxes: 0,
+        swap: 0,
+        profit: 100,
+      },
+    ]);
+  });
+
+  test('should decode a UTF-16 report', () => {
+    const statement = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(mt5Statement, 'utf16le')]);
+
+    expect(parseMetaTraderStatement(statement)).toHaveLength(1);
+  });
+
+  test('should return no positions for a document without a statement', () => {
+    expect(parseMetaTraderStatement('<html><body><p>Not a statement</p></body></html>')).toEqual([]);
+  });
+});
@@ -0,0 +1,76 @@
+const {
+  isValidTimeZone,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  getZonedDay,
+  getZonedWeek,
+  getCalendarDayBounds,
+  getZonedDayBounds,
+} = require('../../../src/utils/timezone');
+
+describe('timezone', () => {
+  describe('isValidTimeZone', () => {
+    test('should accept IANA time zones and reject others', () => {
+      expect(isValidTimeZone('Europe/London')).toBe(true);
+      expect(isValidTimeZone('UTC')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    });
+  });
+
+  describe('getTimeZoneOffset', () => {
+    test('should follow daylight saving time', () => {
+      expect(getTimeZoneOffset('Europe/London', new Date('2023-01-15T12:00:00Z'))).toBe(0);
+      expect(getTimeZoneOffset('Europe/London', new Date('2023-07-15T12:00:00Z'))).toBe(60);
+      expect(getTimeZoneOffset('America/New_York', new Date('2023-01-15T12:00:00Z'))).toBe(-300);
+    });
+  });
+
+  describe('zonedTimeToUtc', () => {
+    test('should convert a wall-clock time to the instant it denotes', () => {
+      expect(zonedTimeToUtc(new Date('2023-07-01T09:00:00Z'), 'Europe/London')).toEqual(new Date('2023-07-01T08:00:00Z'));
+      expect(zonedTimeToUtc(new Date('2023-01-01T09:00:00Z'), 'America/New_York')).toEqual(new Date('2023-01-01T14:00:00Z'));
+      expect(zonedTimeToUtc(new Date('2023-01-01T09:00:00Z'), 'UTC')).toEqual(new Date('2023-01-01T09:00:00Z'));
+    });
+  });
+
+  describe('getZonedDay', () => {
+    test('should return the calendar day in the time zone', () => {
+      expect(getZonedDay(new Date('2023-01-03T03:00:00Z'), 'America/New_York')).toBe('2023-01-02');
+      expect(getZonedDay(new Date('2023-01-03T03:00:00Z'), 'UTC')).toBe('2023-01-03');
+      expect(getZonedDay(new Date('2023-01-02T20:00:00Z'), 'Asia/Tokyo')).toBe('2023-01-03');
+    });
+  });
+
+  describe('getZonedWeek', () => {
+    test('should return the Monday of the week in the time zone', () => {
+      expect(getZonedWeek(new Date('2023-01-04T12:00:00Z'), 'UTC')).toBe('2023-01-02');
+      expect(getZonedWeek(new Date('2023-01-02T00:00:00Z'), 'UTC')).toBe('2023-01-02');
+      expect(getZonedWeek(new Date('2023-01-02T03:00:00Z'), 'America/New_York')).toBe('2022-12-26');
+    });
+  });
+
+  describe('getCalendarDayBounds', () => {
+    test('should return the start and end in the time zone of the day of a date', () => {
+      expect(getCalendarDayBounds(new Date('2023-01-02'), 'America/New_York')).toEqual({
+        start: new Date('2023-01-02T05:00:00Z'),
+        end: new Date('2023-01-03T05:00:00Z'),
+      });
+    });
+  });
+
+  describe('getZonedDayBounds', () => {
+    test('should return the start and end of the day in the time zone', () => {
+      expect(getZonedDayBounds(new Date('2023-01-03T03:00:00Z'), 'America/New_York')).toEqual({
+        start: new Date('2023-01-02T05:00:00Z'),
+        end: new Date('2023-01-03T05:00:00Z'),
+      });
+    });
+
+    test('should shorten the day clocks go forward on', () => {
+      expect(getZonedDayBounds(new Date('2023-03-12T12:00:00Z'), 'America/New_York')).toEqual({
+        start: new Date('2023-03-12T05:00:00Z'),
+        end: new Date('2023-03-13T04:00:00Z'),
+      });
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const { getSessionAt } = require('../../../src/utils/tradingSession');
+
+describe('getSessionAt', () => {
+  test('should return the session opened last before the time', () => {
+    expect(getSessionAt(new Date('2023-01-02T08:00:00Z'))).toBe('LONDON');
+    expect(getSessionAt(new Date('2023-01-02T13:30:00Z'))).toBe('NY');
+    expect(getSessionAt(new Date('2023-01-02T22:00:00Z'))).toBe('ASIA');
+  });
+
+  test('should follow the daylight saving time of each market', () => {
+    // London opens at 08:00 GMT in winter and 07:00 GMT in summer
+    expect(getSessionAt(new Date('2023-01-02T07:30:00Z'))).toBe('ASIA');
+    expect(getSessionAt(new Date('2023-07-03T07:30:00Z'))).toBe('LONDON');
+    // New York moves to summer time two weeks before London, opening at 12:00 GMT in between
+    expect(getSessionAt(new Date('2023-03-20T12:30:00Z'))).toBe('NY');
+    expect(getSessionAt(new Date('2023-03-06T12:30:00Z'))).toBe('LONDON');
+  });
+
+  test('should return the session of the previous evening before the first opening of the day', () => {
+    expect(getSessionAt(new Date('2023-01-02T03:00:00Z'))).toBe('ASIA');
+  });
+
+  test('should return the open session opened last among custom sessions', () => {
+    const sessions = [
+      { code: 'LONDON', timeZone: 'Europe/London', start: '08:00' },
+      { code: 'NY_OPEN', timeZone: 'America/New_York', start: '09:30', end: '11:00' },
+      { code: 'OVERLAP', timeZone: 'Europe/London', start: '13:00', end: '16:00' },
+    ];
+
+    expect(getSessionAt(new Date('2023-01-02T14:00:00Z'), sessions)).toBe('OVERLAP');
+    expect(getSessionAt(new Date('2023-01-02T14:45:00Z'), sessions)).toBe('NY_OPEN');
+    // Once the nested sessions close, trades go back to the session they are nested in
+    expect(getSessionAt(new Date('2023-01-02T16:30:00Z'), sessions)).toBe('LONDON');
+  });
+
+  test('should return the session opened last when no session is open', () => {
+    const sessions = [
+      { code: 'NY_OPEN', timeZone: 'America/New_York', start: '09:30', end: '11:00' },
+      { code: 'NIGHT', timeZone: 'UTC', start: '22:00', end: '02:00' },
+    ];
+
+    expect(getSessionAt(new Date('2023-01-03T01:30:00Z'), sessions)).toBe('NIGHT');
+    expect(getSessionAt(new Date('2023-01-03T03:00:00Z'), sessions)).toBe('NIGHT');
+    expect(getSessionAt(new Date('2023-01-03T17:00:00Z'), sessions)).toBe('NY_OPEN');
+  });
+});
@@ -0,0 +1,58 @@
+const ExcelJS = require('exceljs');
+const { Readable, Writable, pipeline } = require('stream');
+const { createXlsxStream } = require('../../../src/utils/xlsx');
+
+const writeWorkbook = (header, rows) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    pipeline(
+      Readable.from(rows),
+      createXlsxStream('Trades', header),
+      new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk);
+          callback();
+        },
+      }),
+      (error) => (error ? reject(error) : resolve(Buffer.concat(chunks)))
+    );
+  });
+
+describe('xlsx', () => {
+  test('should write a workbook holding the rows in its sheet', async () => {
+    const file = await writeWorkbook(
+      ['symbol', 'entryTime', 'profitLoss', 'stopLossHit', 'notes'],
+      [
+        ['EURUSD', new Date('2023-01-02T12:00:00Z'), -75.5, true, '=Cut <early> & "fast"'],
+        ['GBPUSD', null, 150, false, undefined],
+      ]
+    );
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file);
+    const worksheet = workbook.getWorksheet('Trades');
+    expect(worksheet.rowCount).toBe(3);
+    expect(worksheet.getRow(1).values.slice(1)).toEqual(['symbol', 'entryTime', 'profitLoss', 'stopLossHit', 'notes']);
+    expect(worksheet.getRow(2).values.slice(1)).toEqual([
+      'EURUSD',
+      new Date('2023-01-02T12:00:00Z'),
+      -75.5,
+      true,
+      '=Cut <early> & "fast"',
+    ]);
+    expect(worksheet.getCell('B2').numFmt).toBe('yyyy-mm-dd hh:mm:ss');
+    expect(worksheet.getCell('B3').value).toBeNull();
+    expect(worksheet.getCell('C3').value).toBe(150);
+    expect(worksheet.getCell('D3').value).toBe(false);
+  });
+
+  test('should stream a large sheet', async () => {
+    const rows = Array.from({ length: 5000 }, (value, index) => [`row ${index}`, index]);
+
+    const file = await writeWorkbook(['name', 'index'], rows);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file);
+    expect(workbook.getWorksheet('Trades').rowCount).toBe(5001);
+  });
+});